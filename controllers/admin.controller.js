@@ -0,0 +1,780 @@
+/**
+ * Admin Controller
+ * Order management endpoints for the iTapRing team
+ *
+ * All routes using this controller sit behind admin authentication
+ * (see routes/admin.routes.js).
+ */
+
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import {
+  getBackfillRun,
+  listBackfillRuns,
+  resumeBackfill,
+  startBackfill,
+} from "../services/backfill.service.js";
+import { getAnalytics } from "../services/dataStore.service.js";
+import { buildDisputeEvidence } from "../services/dispute.service.js";
+import { exportOrders } from "../services/export.service.js";
+import {
+  getOrderById,
+  queryOrders,
+  updateOrderStatus,
+} from "../services/order.service.js";
+import {
+  createWebhookSubscription,
+  disableWebhookSubscription,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  listWebhookSubscriptions,
+  redeliverWebhook,
+} from "../services/outboundWebhook.service.js";
+import { getPaymentFailureReport } from "../services/paymentFailure.service.js";
+import {
+  listStock,
+  removeStock,
+  setStock,
+} from "../services/inventory.service.js";
+import { findCatalogProduct, getCatalogReport } from "../services/product.service.js";
+import {
+  getReconciliationRun,
+  listReconciliationRuns,
+  runReconciliation,
+} from "../services/reconciliation.service.js";
+import { createRefund } from "../services/refund.service.js";
+import { addShipment } from "../services/shipment.service.js";
+import {
+  getWebhookEvent,
+  listWebhookEvents,
+} from "../services/webhookEvent.service.js";
+import {
+  getWebhookJob,
+  listWebhookJobs,
+  redriveWebhookJob,
+} from "../services/webhookQueue.service.js";
+import { createHttpError } from "../utils/errors.js";
+import { parseDateFilter } from "../utils/helpers.js";
+import { normalizeSize } from "../utils/sizes.js";
+
+/**
+ * List orders
+ *
+ * ENDPOINT: GET /api/admin/orders
+ * QUERY: status, from, to, email, productId, country,
+ *        sort, direction, limit, cursor
+ * RESPONSE: { success: true, data: [...orders], pagination: {...} }
+ */
+export const listOrders = async (req, res, next) => {
+  try {
+    const {
+      status,
+      from,
+      to,
+      email,
+      productId,
+      country,
+      sort,
+      direction,
+      limit,
+      cursor,
+    } = req.query;
+
+    const pageSize = limit ? Number(limit) : 25;
+
+    const { orders, nextCursor } = await queryOrders({
+      statuses: status ? status.split(",").map((s) => s.trim()) : undefined,
+      from: parseDateFilter(from),
+      to: parseDateFilter(to, { endOfDay: true }),
+      email,
+      productId,
+      country,
+      sort,
+      direction,
+      limit: pageSize,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        limit: pageSize,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sales analytics (revenue, top products, countries, last 30 days)
+ *
+ * ENDPOINT: GET /api/admin/analytics
+ * QUERY: refresh=true to recalculate right now
+ * RESPONSE: { success: true, data: {...analytics} }
+ */
+export const getSalesAnalytics = async (req, res, next) => {
+  try {
+    const refresh = req.query.refresh === "true";
+
+    res.json({
+      success: true,
+      data: await getAnalytics(refresh ? { maxAgeMs: 0 } : undefined),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download orders as CSV or NDJSON
+ *
+ * ENDPOINT: GET /api/admin/orders/export
+ * QUERY: format (csv | ndjson), from, to, status, email, productId, country
+ * RESPONSE: a file download, one row per line item, oldest order first
+ */
+export const downloadOrderExport = async (req, res, next) => {
+  try {
+    const { format = "csv", status, from, to, email, productId, country } =
+      req.query;
+
+    const range = [from, to].map((d) => (d ? d.slice(0, 10) : "all")).join("_");
+    const filename = `itapring-orders-${range}.${format}`;
+
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/x-ndjson; charset=utf-8"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    // Stream rows as they're read, with backpressure from the client
+    await pipeline(
+      Readable.from(
+        exportOrders(format, {
+          statuses: status ? status.split(",").map((s) => s.trim()) : undefined,
+          from: parseDateFilter(from),
+          to: parseDateFilter(to, { endOfDay: true }),
+          email,
+          productId,
+          country,
+        })
+      ),
+      res
+    );
+  } catch (error) {
+    // Once rows have gone out we can't switch to a JSON error
+    if (res.headersSent) {
+      console.error("❌ Order export failed mid-stream:", error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get one order with everything we know about it
+ *
+ * ENDPOINT: GET /api/admin/orders/:orderId
+ * RESPONSE: { success: true, data: {...order} }
+ */
+export const getOrder = async (req, res, next) => {
+  try {
+    const order = await getOrderById(req.params.orderId);
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move an order to another status by hand (delivered, returned, ...)
+ *
+ * ENDPOINT: PATCH /api/admin/orders/:orderId/status
+ * BODY: { status, note? }
+ * RESPONSE: { success: true, data: order }
+ */
+export const changeOrderStatus = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const order = await updateOrderStatus(req.params.orderId, status, {
+      actor: `admin:${req.admin.name}`,
+      note: note || null,
+    });
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund an order (full or per line item)
+ *
+ * ENDPOINT: POST /api/admin/orders/:orderId/refunds
+ * BODY: { items?: [{ line: 1, quantity: 1 }], reason?, note? }
+ * HEADER (optional): Idempotency-Key - makes retries safe
+ * RESPONSE: { success: true, data: { order, refund } }
+ */
+export const refundOrder = async (req, res, next) => {
+  try {
+    const { items, reason, note } = req.body || {};
+
+    const result = await createRefund(req.params.orderId, {
+      items,
+      reason,
+      note,
+      admin: req.admin,
+      idempotencyKey: req.headers["idempotency-key"],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a shipment (carrier + tracking) to an order
+ *
+ * ENDPOINT: POST /api/admin/orders/:orderId/shipments
+ * BODY: { carrier, trackingNumber, trackingUrl?, items?: [{ line, quantity }] }
+ * RESPONSE: { success: true, data: { order, shipment } }
+ */
+export const shipOrder = async (req, res, next) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, items } = req.body;
+
+    const result = await addShipment(req.params.orderId, {
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      items,
+      admin: req.admin,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Evidence for the order's latest dispute, ready to review and submit
+ *
+ * ENDPOINT: GET /api/admin/orders/:orderId/dispute-evidence
+ * RESPONSE: { success: true, data: { dispute, evidence, shipments, emailsSent, timeline } }
+ */
+export const getDisputeEvidence = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await buildDisputeEvidence(req.params.orderId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Declined payments, counted by reason
+ *
+ * ENDPOINT: GET /api/admin/payment-failures
+ * QUERY: from, to (optional ISO dates)
+ * RESPONSE: { success: true, data: { total, amount, byReason, retryEmails, recent } }
+ */
+export const getPaymentFailures = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    res.json({
+      success: true,
+      data: await getPaymentFailureReport({
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The product catalog built from Stripe metadata, with its problems
+ * (products without a frontend_id, duplicate IDs, invalid sizes)
+ *
+ * ENDPOINT: GET /api/admin/catalog
+ * RESPONSE: { success: true, data: { products, problems, stale } }
+ */
+export const getCatalog = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await getCatalogReport(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stock per SKU (product + size + option)
+ *
+ * ENDPOINT: GET /api/admin/inventory
+ * QUERY: productId (optional)
+ * RESPONSE: { success: true, data: [...{ sku, onHand, reserved, available }] }
+ */
+export const listInventory = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listStock({ productId: req.query.productId }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the counted stock of a SKU, or add / remove units
+ *
+ * ENDPOINT: PUT /api/admin/inventory
+ * BODY: { productId, size?, option?, onHand } or { productId, size?, option?, adjustBy }
+ * RESPONSE: { success: true, data: { sku, onHand, reserved, available } }
+ */
+export const updateInventory = async (req, res, next) => {
+  try {
+    const { productId, size: requestedSize = null, option = null, onHand, adjustBy } = req.body;
+
+    // Only SKUs the shop actually sells
+    const product = await findCatalogProduct(productId);
+    if (!product) {
+      throw createHttpError(404, `Unknown product: ${productId}`, "INVALID_PRODUCT");
+    }
+
+    // Written the way the product's size system writes it ("m" → "M")
+    const size = normalizeSize(product.sizeSystem, requestedSize);
+    if (requestedSize !== null && !product.sizes.includes(size)) {
+      throw createHttpError(
+        400,
+        `${productId} doesn't come in size ${requestedSize}`,
+        "INVALID_SIZE"
+      );
+    }
+    if (option !== null && !product.options.includes(option)) {
+      throw createHttpError(400, `${productId} has no option ${option}`, "INVALID_OPTION");
+    }
+
+    res.json({
+      success: true,
+      data: await setStock({ productId, size, option, onHand, adjustBy }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop tracking a SKU's stock
+ *
+ * ENDPOINT: DELETE /api/admin/inventory/:sku
+ * RESPONSE: { success: true }
+ */
+export const deleteInventory = async (req, res, next) => {
+  try {
+    await removeStock(req.params.sku);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Browse received Stripe webhook events
+ *
+ * ENDPOINT: GET /api/admin/webhooks/events
+ * QUERY: type, status, limit (default 100, max 1000)
+ * RESPONSE: { success: true, data: [...events] } - newest first
+ */
+export const listWebhookEventLog = async (req, res, next) => {
+  try {
+    const { type, status } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+    res.json({
+      success: true,
+      data: await listWebhookEvents({ type, status, limit }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one logged webhook event
+ *
+ * ENDPOINT: GET /api/admin/webhooks/events/:eventId
+ * RESPONSE: { success: true, data: {...event} }
+ */
+export const getWebhookEventLog = async (req, res, next) => {
+  try {
+    const event = await getWebhookEvent(req.params.eventId);
+    if (!event) {
+      throw createHttpError(404, "Webhook event not found", "EVENT_NOT_FOUND");
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List dead-lettered webhook events (retries gave up)
+ *
+ * ENDPOINT: GET /api/admin/webhooks/dead-letters
+ * QUERY: limit (default 100, max 1000)
+ * RESPONSE: { success: true, data: [...jobs] } - newest first
+ */
+export const listDeadLetters = async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+    res.json({
+      success: true,
+      data: await listWebhookJobs({ status: "dead", limit }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one dead-lettered event, including the full Stripe payload
+ *
+ * ENDPOINT: GET /api/admin/webhooks/dead-letters/:eventId
+ * RESPONSE: { success: true, data: {...job} }
+ */
+export const getDeadLetter = async (req, res, next) => {
+  try {
+    const job = await getWebhookJob(req.params.eventId);
+    if (!job || job.status !== "dead") {
+      throw createHttpError(404, "Dead letter not found", "JOB_NOT_FOUND");
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put a dead-lettered event back in the retry queue (runs right away)
+ *
+ * ENDPOINT: POST /api/admin/webhooks/dead-letters/:eventId/redrive
+ * RESPONSE: { success: true, data: {...job} }
+ */
+export const redriveDeadLetter = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await redriveWebhookJob(req.params.eventId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: GET /api/admin/webhook-subscriptions
+ * RESPONSE: { success: true, data: [...subscriptions] } - without secrets
+ */
+export const listSubscriptions = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listWebhookSubscriptions(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register an endpoint for our order events
+ *
+ * ENDPOINT: POST /api/admin/webhook-subscriptions
+ * BODY: { url, events: ["order.created", ...], description? }
+ * RESPONSE: 201 - the signing "secret" is only shown here
+ */
+export const createSubscription = async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const subscription = await createWebhookSubscription({
+      url,
+      events,
+      description,
+      createdBy: req.admin.name,
+    });
+    console.log(`📤 Webhook endpoint ${url} added by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: DELETE /api/admin/webhook-subscriptions/:subscriptionId
+ */
+export const disableSubscription = async (req, res, next) => {
+  try {
+    const subscription = await disableWebhookSubscription(
+      req.params.subscriptionId
+    );
+    console.log(`📤 Webhook endpoint ${subscription.url} disabled by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Browse outbound webhook deliveries
+ *
+ * ENDPOINT: GET /api/admin/webhook-deliveries
+ * QUERY: subscriptionId, status, type, limit (default 100, max 1000)
+ * RESPONSE: { success: true, data: [...deliveries] } - newest first
+ */
+export const listDeliveries = async (req, res, next) => {
+  try {
+    const { subscriptionId, status, type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+    res.json({
+      success: true,
+      data: await listWebhookDeliveries({ subscriptionId, status, type, limit }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One delivery with the event sent and every attempt
+ *
+ * ENDPOINT: GET /api/admin/webhook-deliveries/:deliveryId
+ * RESPONSE: { success: true, data: {...delivery} }
+ */
+export const getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await getWebhookDelivery(req.params.deliveryId);
+    if (!delivery) {
+      throw createHttpError(404, "Delivery not found", "DELIVERY_NOT_FOUND");
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery again (runs right away)
+ *
+ * ENDPOINT: POST /api/admin/webhook-deliveries/:deliveryId/redeliver
+ * RESPONSE: { success: true, data: {...delivery} }
+ */
+export const redeliverDelivery = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await redeliverWebhook(req.params.deliveryId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start importing paid Stripe checkouts that have no order
+ *
+ * ENDPOINT: POST /api/admin/backfill
+ * BODY: { from?: ISO date, to?: ISO date, dryRun?: boolean }
+ * RESPONSE: 202 { success: true, data: {...run} } - poll GET /backfill/:runId
+ */
+export const createBackfillRun = async (req, res, next) => {
+  try {
+    const { from, to, dryRun } = req.body || {};
+
+    const run = await startBackfill({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      dryRun: dryRun === true,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Continue an interrupted backfill from where it stopped
+ *
+ * ENDPOINT: POST /api/admin/backfill/:runId/resume
+ * RESPONSE: 202 { success: true, data: {...run} }
+ */
+export const resumeBackfillRun = async (req, res, next) => {
+  try {
+    res.status(202).json({
+      success: true,
+      data: await resumeBackfill(req.params.runId),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: GET /api/admin/backfill
+ * RESPONSE: { success: true, data: [...runs] } - newest first
+ */
+export const listBackfills = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listBackfillRuns(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Progress and counts (created / skipped / failed) of one run
+ *
+ * ENDPOINT: GET /api/admin/backfill/:runId
+ * RESPONSE: { success: true, data: {...run} }
+ */
+export const getBackfill = async (req, res, next) => {
+  try {
+    const run = await getBackfillRun(req.params.runId);
+    if (!run) {
+      throw createHttpError(404, "Backfill run not found", "BACKFILL_NOT_FOUND");
+    }
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check Stripe against our orders now (instead of waiting for tonight)
+ *
+ * ENDPOINT: POST /api/admin/reconciliation
+ * BODY: { from?: ISO date, to?: ISO date } - default: last RECONCILE_LOOKBACK_DAYS days
+ * RESPONSE: 202 { success: true, data: {...run} } - poll GET /reconciliation/:runId
+ */
+export const createReconciliationRun = async (req, res, next) => {
+  try {
+    const { from, to } = req.body || {};
+
+    const run = await runReconciliation({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      trigger: "manual",
+    });
+
+    res.status(202).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: GET /api/admin/reconciliation
+ * RESPONSE: { success: true, data: [...runs] } - newest first
+ */
+export const listReconciliations = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listReconciliationRuns(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One run with every discrepancy found and whether it was fixed
+ *
+ * ENDPOINT: GET /api/admin/reconciliation/:runId
+ * RESPONSE: { success: true, data: {...run} }
+ */
+export const getReconciliation = async (req, res, next) => {
+  try {
+    const run = await getReconciliationRun(req.params.runId);
+    if (!run) {
+      throw createHttpError(
+        404,
+        "Reconciliation run not found",
+        "RECONCILIATION_NOT_FOUND"
+      );
+    }
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * Admin Auth Controller
+ * Tokens, API keys and the audit log
+ */
+
+import {
+  createApiKey,
+  issueAdminToken,
+  listAdminActions,
+  listApiKeys,
+  revokeApiKey,
+} from "../services/adminAuth.service.js";
+
+/**
+ * Exchange an API key for a short-lived signed token
+ *
+ * ENDPOINT: POST /api/admin/auth/token
+ * RESPONSE: { success: true, token, expiresIn, role }
+ */
+export const createToken = async (req, res, next) => {
+  try {
+    if (req.admin.via !== "apiKey") {
+      return res.status(400).json({
+        success: false,
+        message: "Tokens can only be issued for API keys",
+      });
+    }
+
+    const { token, expiresIn } = issueAdminToken(req.admin);
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresIn,
+      role: req.admin.role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Who am I?
+ *
+ * ENDPOINT: GET /api/admin/auth/me
+ */
+export const getCurrentAdmin = (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin,
+  });
+};
+
+/**
+ * ENDPOINT: GET /api/admin/keys
+ */
+export const listKeys = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listApiKeys(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: POST /api/admin/keys
+ * BODY: { name: "Alex (packing)", role: "fulfillment" }
+ * RESPONSE: the new key - the plain "key" value is only shown here
+ */
+export const createKey = async (req, res, next) => {
+  try {
+    const { name, role } = req.body;
+
+    const apiKey = await createApiKey({
+      name,
+      role,
+      createdBy: req.admin.name,
+    });
+    console.log(`🔑 API key created for ${name} (${role}) by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: DELETE /api/admin/keys/:keyId
+ */
+export const revokeKey = async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.keyId);
+    console.log(`🔒 API key revoked: ${apiKey.name} by ${req.admin.name}`);
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ENDPOINT: GET /api/admin/audit?limit=100
+ */
+export const listAuditLog = async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+    res.json({
+      success: true,
+      data: await listAdminActions({ limit }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
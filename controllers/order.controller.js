@@ -0,0 +1,39 @@
+/**
+ * Order Controller
+ * Customer-facing order endpoints
+ */
+
+import { lookupOrderForCustomer } from "../services/order.service.js";
+
+/**
+ * Look up an order by order number + purchase email
+ *
+ * ENDPOINT: POST /api/orders/lookup
+ * BODY: { orderNumber: "IT-100001", email: "customer@example.com" }
+ * RESPONSE: { success: true, data: {...status, items, tracking} }
+ */
+export const lookupOrder = async (req, res, next) => {
+  try {
+    const { orderNumber, email } = req.body;
+
+    const order = await lookupOrderForCustomer(
+      orderNumber.trim().toUpperCase(),
+      email
+    );
+
+    if (!order) {
+      // Same answer for "no such order" and "wrong email"
+      return res.status(404).json({
+        success: false,
+        message: "We couldn't find an order with that number and email.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
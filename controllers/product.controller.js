@@ -22,22 +22,37 @@
  * - next = pass to next middleware (usually error handler)
  */
 
-import { getAllProducts } from "../services/product.service.js";
+import { getProductCatalog } from "../services/product.service.js";
 
 /**
- * Get all products with current prices from Stripe
+ * Get all products with current prices
  * 
  * WHAT IT DOES:
- * 1. Call service to fetch products from Stripe
- * 2. Send products back to client as JSON
+ * 1. Get the product catalog (cached - see product.service.js)
+ * 2. Answer 304 Not Modified if the browser already has this version
+ * 3. Otherwise send the products back as JSON
+ * 
+ * CACHING:
+ * - ETag changes whenever a product, price or stock level changes
+ * - Browsers must check again with If-None-Match every time (cheap -
+ *   an unchanged catalog is a 304). Shared caches and CDNs may not
+ *   keep it: stock levels go stale in seconds.
  * 
  * ENDPOINT: GET /api/products
  * RESPONSE: { success: true, data: [...products] }
  */
 export const getProducts = async (req, res, next) => {
   try {
-    // Fetch products from Stripe (via service)
-    const products = await getAllProducts();
+    // Fetch products (via service)
+    const { products, etag } = await getProductCatalog();
+
+    res.set("ETag", etag);
+    res.set("Cache-Control", "private, no-cache");
+
+    // Browser already has this version
+    if (req.fresh) {
+      return res.status(304).end();
+    }
 
     // Send success response
     res.json({
@@ -4,10 +4,18 @@
  */
 
 import Stripe from "stripe";
-import { sendOrderConfirmationEmail } from "../services/email.service.js";
-import { getOrderBySessionId, saveOrder } from "../services/order.service.js";
+import {
+  optOutOfRecoveryEmails,
+  recoverAbandonedCart,
+} from "../services/abandonedCart.service.js";
+import { createCheckoutSessionForCart } from "../services/checkout.service.js";
+import { fulfillCheckoutSession } from "../services/fulfillment.service.js";
+import { toCustomerView } from "../services/order.service.js";
+import { retryFailedPayment } from "../services/paymentFailure.service.js";
 import { validateCart } from "../services/product.service.js";
-import { generateOrderId } from "../utils/helpers.js";
+import { handleStripeEvent } from "../services/webhook.service.js";
+import { claimWebhookEvent } from "../services/webhookEvent.service.js";
+import { processWebhookEvent } from "../services/webhookQueue.service.js";
 
 let stripe;
 const getStripe = () => {
@@ -38,6 +46,16 @@ export const createCheckoutSession = async (req, res, next) => {
     } catch (validationError) {
       console.error(`❌ Validation failed: ${validationError.message}`);
 
+      if (validationError.code === "OUT_OF_STOCK") {
+        return res.status(409).json({
+          success: false,
+          message: "Some items are out of stock. Please update your cart.",
+          error: validationError.message,
+          code: "OUT_OF_STOCK",
+          items: validationError.items,
+        });
+      }
+
       // Determine error type
       const isPriceMismatch =
         validationError.message.includes("Price mismatch");
@@ -63,97 +81,10 @@ export const createCheckoutSession = async (req, res, next) => {
 
     console.log(`✅ Cart validated: $${validatedCart.totalAmount}`);
 
-    // Create line items using server-validated prices only
-    const lineItems = validatedCart.items.map((item, index) => ({
-      price_data: {
-        currency: "usd",
-        product_data: {
-          name: item.size
-            ? `${item.productName} - Size ${item.size}`
-            : item.productName,
-          description: item.size
-            ? `${item.color} - Size ${item.size}`
-            : item.color,
-          images: item.productImages || [],
-          metadata: {
-            item_index: (index + 1).toString(),
-            product_id: item.productId,
-            stripe_product_id: item.stripeProductId,
-            size: item.size?.toString() || "N/A",
-            color: item.color,
-            verified_at: item.metadata.verifiedAt,
-          },
-        },
-        unit_amount: Math.round(item.validatedPrice * 100),
-      },
-      quantity: item.quantity,
-    }));
-
-    const metadata = {
-      orderType: "itapring_product",
-      itemCount: validatedCart.itemCount.toString(),
-      totalQuantity: validatedCart.items
-        .reduce((sum, item) => sum + item.quantity, 0)
-        .toString(),
-      validatedAmount: validatedCart.totalAmount.toFixed(2),
-      validatedAt: validatedCart.validatedAt,
-      itemsSummary: validatedCart.items
-        .map((item, i) => {
-          const size = item.size ? ` Size: ${item.size}` : "";
-          return `[${i + 1}] ${item.productName} (${item.color})${size} x${
-            item.quantity
-          }`;
-        })
-        .join(" | "),
-      ...validatedCart.items.reduce((acc, item, i) => {
-        const num = i + 1;
-        return {
-          ...acc,
-          [`item${num}_id`]: item.productId,
-          [`item${num}_name`]: item.productName,
-          [`item${num}_color`]: item.color,
-          [`item${num}_size`]: item.size?.toString() || "N/A",
-          [`item${num}_quantity`]: item.quantity.toString(),
-          [`item${num}_price`]: item.validatedPrice.toFixed(2),
-          [`item${num}_verified_at`]: item.verifiedAt,
-        };
-      }, {}),
-    };
-
-    const session = await getStripe().checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: lineItems,
-      mode: "payment",
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-      customer_email: customerEmail,
-      shipping_address_collection: {
-        allowed_countries: process.env.ALLOWED_SHIPPING_COUNTRIES?.split(
-          ","
-        ) || ["US", "CA", "GB", "AU"],
-      },
-      shipping_options: [
-        {
-          shipping_rate_data: {
-            type: "fixed_amount",
-            fixed_amount: { amount: 0, currency: "usd" },
-            display_name: "Free Shipping",
-            delivery_estimate: {
-              minimum: { unit: "business_day", value: 5 },
-              maximum: { unit: "business_day", value: 7 },
-            },
-          },
-        },
-      ],
-      metadata,
-      payment_intent_data: {
-        metadata: {
-          integration: "itapring_checkout",
-          validated_at: validatedCart.validatedAt,
-        },
-      },
-      billing_address_collection: "required",
-      allow_promotion_codes: true,
+    const session = await createCheckoutSessionForCart(validatedCart, {
+      customerEmail,
+      successUrl,
+      cancelUrl,
     });
 
     console.log(
@@ -172,6 +103,11 @@ export const createCheckoutSession = async (req, res, next) => {
   }
 };
 
+/**
+ * Confirm a checkout for the success page
+ * Public (anyone with the session ID), so it answers with the customer
+ * view of the order - no payment IDs, street address or history
+ */
 export const verifyCheckoutSession = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
@@ -180,7 +116,12 @@ export const verifyCheckoutSession = async (req, res, next) => {
       expand: ["line_items", "customer", "payment_intent", "shipping_cost"],
     });
 
-    if (session.payment_status !== "paid") {
+    // "complete" but unpaid = delayed payment method still clearing -
+    // the order exists as "pending_payment"
+    const awaitingPayment =
+      session.status === "complete" && session.payment_status === "unpaid";
+
+    if (session.payment_status !== "paid" && !awaitingPayment) {
       return res.status(400).json({
         success: false,
         message: "Payment not completed",
@@ -188,75 +129,21 @@ export const verifyCheckoutSession = async (req, res, next) => {
       });
     }
 
-    const existingOrder = await getOrderBySessionId(sessionId);
-    if (existingOrder) {
-      return res.status(200).json({
-        success: true,
-        ...existingOrder,
+    // Same pipeline as the webhook - whoever arrives first creates the order
+    const { order } = await fulfillCheckoutSession(sessionId, { session });
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment not completed",
+        paymentStatus: session.payment_status,
       });
     }
 
-    const orderId = await generateOrderId();
-
-    const orderData = {
-      orderId,
-      stripeSessionId: sessionId,
-      stripePaymentIntentId: session.payment_intent?.id || null,
-      customerEmail: session.customer_details.email,
-      customerName: session.customer_details.name,
-      amount: session.amount_total / 100,
-      currency: session.currency,
-      paymentStatus: session.payment_status,
-      shippingAddress: session.shipping_details?.address
-        ? {
-            name: session.shipping_details.name,
-            line1: session.shipping_details.address.line1,
-            line2: session.shipping_details.address.line2 || null,
-            city: session.shipping_details.address.city,
-            state: session.shipping_details.address.state,
-            postal_code: session.shipping_details.address.postal_code,
-            country: session.shipping_details.address.country,
-          }
-        : null,
-      items: session.line_items.data.map((item, index) => {
-        const itemNum = index + 1;
-        const productId = session.metadata?.[`item${itemNum}_id`] || "unknown";
-        const productName =
-          session.metadata?.[`item${itemNum}_name`] || item.description;
-        const color = session.metadata?.[`item${itemNum}_color`] || "Unknown";
-        const sizeValue = session.metadata?.[`item${itemNum}_size`];
-        const size =
-          sizeValue && sizeValue !== "N/A" ? parseInt(sizeValue, 10) : null;
-
-        return {
-          productId,
-          name: productName,
-          color,
-          size,
-          quantity: item.quantity,
-          price: item.amount_total / 100,
-        };
-      }),
-      metadata: session.metadata,
-      createdAt: new Date(session.created * 1000),
-    };
-
-    try {
-      await saveOrder(orderData);
-      console.log("Order saved:", orderId);
-    } catch (dbError) {
-      console.warn("Database save failed:", dbError.message);
-    }
-
-    try {
-      await sendOrderConfirmationEmail(orderData);
-    } catch (emailError) {
-      console.error("Email error:", emailError.message);
-    }
-
     res.status(200).json({
       success: true,
-      ...orderData,
+      ...toCustomerView(order),
+      customerEmail: order.customerEmail,
+      paymentStatus: order.paymentStatus,
     });
   } catch (error) {
     console.error("Session verification error:", error.message);
@@ -264,9 +151,77 @@ export const verifyCheckoutSession = async (req, res, next) => {
   }
 };
 
+/**
+ * Reopen an abandoned cart from a reminder email
+ * Redirects to a fresh Stripe Checkout (or to the shop if the cart
+ * can't be bought any more)
+ */
+export const recoverCheckout = async (req, res, next) => {
+  try {
+    const { url } = await recoverAbandonedCart(req.params.token);
+    res.redirect(303, url);
+  } catch (error) {
+    console.error(`❌ Cart recovery error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Try a declined payment again from the retry email
+ * Redirects to a fresh Stripe Checkout (or to the shop if the cart
+ * can't be bought any more)
+ */
+export const retryPayment = async (req, res, next) => {
+  try {
+    const { url } = await retryFailedPayment(req.params.token);
+    res.redirect(303, url);
+  } catch (error) {
+    console.error(`❌ Payment retry error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe page for the link in cart reminder emails
+ * Changes nothing - mail scanners open links too - it only shows a
+ * button that POSTs to the same URL
+ */
+export const showCartOptOut = (req, res) => {
+  res
+    .status(200)
+    .type("html")
+    .send(
+      `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unsubscribe</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px 16px;">
+  <p>Stop sending me reminders about my cart?</p>
+  <form method="post"><button type="submit">Unsubscribe</button></form>
+</body>
+</html>`
+    );
+};
+
+/**
+ * Stop cart reminder emails
+ * POST from the unsubscribe page, or the mail app's unsubscribe button
+ */
+export const optOutOfCartReminders = async (req, res, next) => {
+  try {
+    await optOutOfRecoveryEmails(req.params.token);
+    res
+      .status(200)
+      .type("text/plain")
+      .send("You're unsubscribed - we won't send you any more cart reminders.");
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Handle Stripe Webhooks
- * Processes Stripe events for order fulfillment and price updates
+ * Verifies and logs each event; the handling itself lives in
+ * services/webhook.service.js (handleStripeEvent)
  */
 export const handleWebhook = async (req, res) => {
   const sig = req.headers["stripe-signature"];
@@ -298,137 +253,31 @@ export const handleWebhook = async (req, res) => {
     });
   }
 
-  console.log(`🔔 Webhook received: ${event.type}`);
+  console.log(`🔔 Webhook received: ${event.type} (${event.id})`);
 
   try {
-    switch (event.type) {
-      case "checkout.session.completed": {
-        const session = event.data.object;
-        await fulfillOrder(session);
-        break;
-      }
-
-      case "payment_intent.succeeded": {
-        console.log(`✅ Payment succeeded: ${event.data.object.id}`);
-        break;
-      }
-
-      case "payment_intent.payment_failed": {
-        console.error(`❌ Payment failed: ${event.data.object.id}`);
-        break;
-      }
+    // Stripe retries deliveries - only the first one (or a retry of a
+    // failed one) gets processed
+    const { claimed, record } = await claimWebhookEvent(event);
 
-      case "product.created":
-      case "product.updated": {
-        const product = event.data.object;
-        console.log(
-          `📦 Product ${
-            event.type === "product.created" ? "created" : "updated"
-          }: ${product.name} (${product.id})`
-        );
-        // Note: Prices will be fetched fresh on next request
-        console.log("✅ Product event received");
-        break;
-      }
+    if (!claimed) {
+      console.log(`↩️  Duplicate webhook ${event.id} (${record.status})`);
 
-      case "price.created":
-      case "price.updated": {
-        const price = event.data.object;
-        console.log(
-          `💰 Price ${
-            event.type === "price.created" ? "created" : "updated"
-          }: $${(price.unit_amount / 100).toFixed(
-            2
-          )} ${price.currency.toUpperCase()} (${price.id})`
-        );
-        // Note: Prices will be fetched fresh on next request
-        console.log("✅ Price event received");
-        break;
+      // Still being processed - a non-2xx makes Stripe try again later
+      if (record.status === "processing") {
+        return res.status(409).json({ error: "Event is being processed" });
       }
 
-      default:
-        console.log(`ℹ️  Unhandled event type: ${event.type}`);
+      return res.json({ received: true, duplicate: true });
     }
 
-    res.json({ received: true });
+    // A failed handler is queued for retry (webhookQueue.service.js),
+    // so Stripe still gets a 200
+    const { processed } = await processWebhookEvent(event, handleStripeEvent);
+
+    res.json({ received: true, ...(!processed && { queued: true }) });
   } catch (error) {
     console.error("❌ Webhook handler error:", error.message);
     res.status(500).json({ error: "Webhook handler failed" });
   }
 };
-
-async function fulfillOrder(session) {
-  try {
-    const existingOrder = await getOrderBySessionId(session.id);
-    if (existingOrder) {
-      console.log("Order already fulfilled:", existingOrder.orderId);
-      return;
-    }
-
-    const fullSession = await getStripe().checkout.sessions.retrieve(
-      session.id,
-      {
-        expand: ["line_items", "shipping_cost"],
-      }
-    );
-
-    const orderId = await generateOrderId();
-
-    const orderData = {
-      orderId,
-      stripeSessionId: session.id,
-      stripePaymentIntentId: session.payment_intent,
-      customerEmail: session.customer_details.email,
-      customerName: session.customer_details.name,
-      amount: session.amount_total / 100,
-      currency: session.currency,
-      paymentStatus: session.payment_status,
-      shippingAddress: session.shipping_details?.address
-        ? {
-            name: session.shipping_details.name,
-            line1: session.shipping_details.address.line1,
-            line2: session.shipping_details.address.line2 || null,
-            city: session.shipping_details.address.city,
-            state: session.shipping_details.address.state,
-            postal_code: session.shipping_details.address.postal_code,
-            country: session.shipping_details.address.country,
-          }
-        : null,
-      items: fullSession.line_items.data.map((item, index) => {
-        const itemNum = index + 1;
-        const productId = session.metadata?.[`item${itemNum}_id`] || "unknown";
-        const productName =
-          session.metadata?.[`item${itemNum}_name`] || item.description;
-        const color = session.metadata?.[`item${itemNum}_color`] || "Unknown";
-        const sizeValue = session.metadata?.[`item${itemNum}_size`];
-        const size =
-          sizeValue && sizeValue !== "N/A" ? parseInt(sizeValue, 10) : null;
-
-        return {
-          productId,
-          name: productName,
-          color,
-          size,
-          quantity: item.quantity,
-          price: item.amount_total / 100,
-        };
-      }),
-      metadata: session.metadata,
-      createdAt: new Date(session.created * 1000),
-    };
-
-    await saveOrder(orderData);
-    console.log("Order saved:", orderId);
-
-    try {
-      await sendOrderConfirmationEmail(orderData);
-    } catch (emailError) {
-      console.error("Email error:", emailError.message);
-    }
-
-    console.log("Order fulfilled:", orderId);
-  } catch (error) {
-    console.error("Order fulfillment error:", error.message);
-    throw error;
-  }
-}
@@ -0,0 +1,107 @@
+/**
+ * Admin Authentication Middleware
+ * Protects /api/admin endpoints (and any future admin router)
+ *
+ * HOW IT WORKS:
+ * - The admin tool sends: Authorization: Bearer <API key or token>
+ * - requireAdmin figures out who that is and puts them on req.admin
+ * - requireRole("fulfillment") then checks they're allowed to do this
+ * - Every admin change (POST, PUT, DELETE, ...) is written to the audit
+ *   log when it finishes; reads only when the route asks with auditRead
+ *
+ * USAGE:
+ * router.use(requireAdmin);
+ * router.get("/orders", requireRole("viewer"), listOrders);
+ * router.get("/orders/export", requireRole("owner"), auditRead, downloadOrderExport);
+ */
+
+import {
+  ADMIN_ROLES,
+  authenticateApiKey,
+  hasRole,
+  recordAdminAction,
+  verifyAdminToken,
+} from "../services/adminAuth.service.js";
+
+// JWTs look like "xxx.yyy.zzz", API keys never contain dots
+const looksLikeToken = (value) => value.split(".").length === 3;
+
+// Reads are only audited when the route opts in (see auditRead)
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, credential] = header.split(" ");
+
+    if (scheme !== "Bearer" || !credential) {
+      return res.status(401).json({
+        success: false,
+        message: "Missing admin credentials",
+      });
+    }
+
+    const admin = looksLikeToken(credential)
+      ? await verifyAdminToken(credential)
+      : await authenticateApiKey(credential);
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid admin credentials",
+      });
+    }
+
+    req.admin = admin;
+
+    // Who did what - recorded once the response is sent
+    res.on("finish", () => {
+      if (READ_METHODS.includes(req.method) && !req.auditRead) return;
+
+      recordAdminAction({
+        admin,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+      }).catch((error) => {
+        console.error("❌ Admin audit log failed:", error.message);
+      });
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only let admins with at least this role through
+ * Must run after requireAdmin
+ *
+ * Throws when the routes are set up if role isn't one of ADMIN_ROLES,
+ * so a typo can't open a route to everyone
+ */
+export const requireRole = (role) => {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Unknown admin role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.admin || !hasRole(req.admin.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires ${role} role`,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Write this read to the audit log too (for sensitive data like exports)
+ */
+export const auditRead = (req, res, next) => {
+  req.auditRead = true;
+  next();
+};
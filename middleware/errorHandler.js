@@ -33,6 +33,13 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.name === "TokenExpiredError") {
+    return res.status(401).json({
+      success: false,
+      message: "Token expired",
+    });
+  }
+
   // Default error
   const statusCode = err.statusCode || 500;
   const message = err.message || "Internal server error";
@@ -40,6 +47,8 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    // Only our own codes (createHttpError) - never system ones like ECONNREFUSED
+    ...(err.isHttpError && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
@@ -54,3 +54,28 @@ export const rateLimiter = rateLimit({
     return req.path === "/health";
   },
 });
+
+/**
+ * Strict limiter for the public order lookup
+ * 
+ * WHY:
+ * - Order numbers are sequential (IT-100001, IT-100002, ...)
+ * - Without a tight limit, someone could guess numbers + emails all day
+ * 
+ * LIMITS:
+ * - 10 failed lookups per 15 minutes per IP address
+ * - Successful lookups don't count (customers can refresh their status)
+ */
+export const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Max 10 failed lookups per window
+  skipSuccessfulRequests: true, // Only count lookups that didn't find an order
+
+  message: {
+    success: false,
+    message: "Too many order lookups, please try again later.",
+  },
+
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -23,12 +23,28 @@
  * - Think of it like checking homework before grading
  */
 
+import { ADMIN_ROLES } from "../services/adminAuth.service.js";
+import { EXPORT_FORMATS } from "../services/export.service.js";
+import {
+  MANUAL_ORDER_STATUSES,
+  ORDER_SORT_FIELDS,
+  ORDER_STATUSES,
+} from "../services/order.service.js";
+import {
+  DELIVERY_STATUSES,
+  OUTBOUND_EVENT_TYPES,
+} from "../services/outboundWebhook.service.js";
+import { STRIPE_REFUND_REASONS } from "../services/refund.service.js";
+import { WEBHOOK_EVENT_STATUSES } from "../services/webhookEvent.service.js";
+import { isValidEmail } from "../utils/helpers.js";
+
 /**
  * Validate checkout request
  * 
  * CHECKS:
  * - Cart has items
- * - Each item has required fields (id, name, price, quantity, size)
+ * - Each item has required fields (id, name, price, quantity)
+ * - size / option, when given, have the right type
  * - Customer email is valid
  * - URLs are provided
  */
@@ -76,12 +92,26 @@ export const validateCheckoutSession = (req, res, next) => {
       });
     }
 
-    // Size must be a number (6-12) or null (for bracelets)
+    // Size is a number (7.5) or a short string ("M"), or null
+    // Whether the product comes in it is checked in validateCart()
     if (item.size !== null && item.size !== undefined) {
-      if (typeof item.size !== 'number' || item.size < 6 || item.size > 12) {
+      const validType =
+        (typeof item.size === 'number' && item.size > 0) ||
+        (typeof item.size === 'string' && item.size.trim() && item.size.length <= 10);
+      if (!validType) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${i + 1}: Invalid size`,
+        });
+      }
+    }
+
+    // Option (e.g. bracelet length) is a short string, or left out
+    if (item.option !== null && item.option !== undefined) {
+      if (typeof item.option !== 'string' || !item.option.trim() || item.option.length > 50) {
         return res.status(400).json({
           success: false,
-          message: `Item ${i + 1}: Invalid size (must be 6-12 or null)`,
+          message: `Item ${i + 1}: Invalid option`,
         });
       }
     }
@@ -127,3 +157,637 @@ export const validateSessionId = (req, res, next) => {
   // Valid!
   next();
 };
+
+/**
+ * Validate abandoned cart recovery / payment retry token
+ * 
+ * CHECKS:
+ * - Token is 32 URL-safe characters (what abandonedCart.service.js
+ *   and paymentFailure.service.js create)
+ */
+export const validateRecoveryToken = (req, res, next) => {
+  const { token } = req.params;
+
+  if (!token || !/^[A-Za-z0-9_-]{32}$/.test(token)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid recovery link",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate order ID
+ * 
+ * CHECKS:
+ * - Order ID looks like "IT-100001" (prefix, dash, number)
+ */
+export const validateOrderId = (req, res, next) => {
+  const { orderId } = req.params;
+
+  if (!orderId || !/^[A-Z0-9]+-\d+$/.test(orderId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid order ID format",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check the order filters shared by the order list and the export
+ * RETURNS: an error message, or null when they're fine
+ */
+const getOrderFilterError = (query) => {
+  const { status, from, to } = query;
+
+  // Each filter may only be given once (?email=a&email=b is rejected)
+  for (const [name, value] of Object.entries(query)) {
+    if (typeof value !== "string") {
+      return `Invalid value for ${name}`;
+    }
+  }
+
+  if (status) {
+    const unknown = status
+      .split(",")
+      .filter((s) => !ORDER_STATUSES.includes(s.trim()));
+    if (unknown.length > 0) {
+      return `Unknown status: ${unknown.join(", ")}`;
+    }
+  }
+
+  return getDateRangeError(from, to);
+};
+
+/**
+ * Validate admin order search
+ * 
+ * CHECKS:
+ * - status is a comma-separated list of known statuses
+ * - from/to are real dates, from before to
+ * - sort/direction are supported
+ * - limit is 1-100
+ */
+export const validateOrderQuery = (req, res, next) => {
+  const { sort, direction, limit } = req.query;
+
+  const filterError = getOrderFilterError(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      success: false,
+      message: filterError,
+    });
+  }
+
+  if (sort && !ORDER_SORT_FIELDS.includes(sort)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid sort (must be one of: ${ORDER_SORT_FIELDS.join(", ")})`,
+    });
+  }
+
+  if (direction && !["asc", "desc"].includes(direction)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid direction (must be asc or desc)",
+    });
+  }
+
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid limit (must be 1-100)",
+      });
+    }
+  }
+
+  next();
+};
+
+const ORDER_EXPORT_PARAMS = [
+  "format",
+  "status",
+  "from",
+  "to",
+  "email",
+  "productId",
+  "country",
+];
+
+/**
+ * Validate order export query
+ * 
+ * CHECKS:
+ * - format is csv or ndjson (default csv)
+ * - only export parameters are given (the export is always every
+ *   matching order, oldest first - no sort, limit or cursor)
+ * - the filters are checked like the order list filters
+ */
+export const validateOrderExport = (req, res, next) => {
+  const { format } = req.query;
+
+  const unknown = Object.keys(req.query).filter(
+    (name) => !ORDER_EXPORT_PARAMS.includes(name)
+  );
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported export parameter: ${unknown.join(", ")}`,
+    });
+  }
+
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid format (must be one of: ${EXPORT_FORMATS.join(", ")})`,
+    });
+  }
+
+  const filterError = getOrderFilterError(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      success: false,
+      message: filterError,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate new admin API key
+ * 
+ * CHECKS:
+ * - name is a non-empty string (max 100 characters)
+ * - role is viewer, fulfillment or owner
+ */
+export const validateApiKeyRequest = (req, res, next) => {
+  const { name, role } = req.body || {};
+
+  if (!name || typeof name !== "string" || name.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid key name",
+    });
+  }
+
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid role (must be one of: ${ADMIN_ROLES.join(", ")})`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check an optional list of { line, quantity } order lines
+ * RETURNS: an error message, or null if the list is fine
+ */
+const checkLineItems = (items) => {
+  if (items === undefined) return null;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return "items must be a non-empty list (omit it to include every line)";
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    const validLine = Number.isInteger(item?.line) && item.line >= 1;
+    const validQuantity = Number.isInteger(item?.quantity) && item.quantity >= 1;
+
+    if (!validLine || !validQuantity || seen.has(item.line)) {
+      return "Each item needs a unique line and a quantity (whole numbers, 1 or more)";
+    }
+    seen.add(item.line);
+  }
+
+  return null;
+};
+
+/**
+ * Validate refund request
+ * 
+ * CHECKS:
+ * - items (optional) is a list of { line, quantity } with whole numbers >= 1
+ * - each line appears only once
+ * - reason (optional) is one Stripe accepts
+ */
+export const validateRefundRequest = (req, res, next) => {
+  const { items, reason, note } = req.body || {};
+
+  const itemsError = checkLineItems(items);
+  if (itemsError) {
+    return res.status(400).json({
+      success: false,
+      message: itemsError,
+    });
+  }
+
+  if (reason !== undefined && !STRIPE_REFUND_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid reason (must be one of: ${STRIPE_REFUND_REASONS.join(", ")})`,
+    });
+  }
+
+  if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid note (max 500 characters)",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate shipment request
+ * 
+ * CHECKS:
+ * - carrier and trackingNumber are present
+ * - trackingUrl (optional) is an http(s) URL
+ * - items (optional) is a list of { line, quantity }
+ */
+export const validateShipmentRequest = (req, res, next) => {
+  const { carrier, trackingNumber, trackingUrl, items } = req.body || {};
+
+  if (!carrier || typeof carrier !== "string" || carrier.length > 50) {
+    return res.status(400).json({
+      success: false,
+      message: "Missing carrier",
+    });
+  }
+
+  if (
+    !trackingNumber ||
+    typeof trackingNumber !== "string" ||
+    trackingNumber.length > 100
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Missing tracking number",
+    });
+  }
+
+  if (trackingUrl !== undefined) {
+    let parsed = null;
+    try {
+      parsed =
+        typeof trackingUrl === "string" && trackingUrl.length <= 2000
+          ? new URL(trackingUrl)
+          : null;
+    } catch {
+      parsed = null;
+    }
+
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid tracking URL",
+      });
+    }
+  }
+
+  const itemsError = checkLineItems(items);
+  if (itemsError) {
+    return res.status(400).json({
+      success: false,
+      message: itemsError,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a manual order status change
+ *
+ * CHECKS:
+ * - status is one an admin may set (MANUAL_ORDER_STATUSES)
+ * - note (optional) is a short string
+ */
+export const validateOrderStatusChange = (req, res, next) => {
+  const { status, note } = req.body || {};
+
+  if (!MANUAL_ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${MANUAL_ORDER_STATUSES.join(", ")}`,
+    });
+  }
+
+  if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: "note must be a string of at most 500 characters",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a stock change
+ *
+ * CHECKS:
+ * - productId is our product ID, size / option (optional) pick the SKU
+ * - exactly one of onHand (whole number >= 0) or adjustBy (whole number, not 0)
+ */
+export const validateStockRequest = (req, res, next) => {
+  const { productId, size, option, onHand, adjustBy } = req.body || {};
+
+  if (!productId || typeof productId !== "string" || productId.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: "Missing productId",
+    });
+  }
+
+  if (
+    size !== undefined &&
+    size !== null &&
+    !(typeof size === "number" && size > 0) &&
+    !(typeof size === "string" && size.trim() && size.length <= 10)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "size must be a number, a short string or null",
+    });
+  }
+
+  if (
+    option !== undefined &&
+    option !== null &&
+    (typeof option !== "string" || !option.trim() || option.length > 50)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "option must be a short string or null",
+    });
+  }
+
+  if ((onHand === undefined) === (adjustBy === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: "Send either onHand or adjustBy",
+    });
+  }
+
+  if (onHand !== undefined && !(Number.isInteger(onHand) && onHand >= 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "onHand must be a whole number, 0 or more",
+    });
+  }
+
+  if (adjustBy !== undefined && !(Number.isInteger(adjustBy) && adjustBy !== 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "adjustBy must be a whole number other than 0",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate customer order lookup
+ * 
+ * CHECKS:
+ * - orderNumber looks like "IT-100001"
+ * - email is a valid email address
+ */
+export const validateOrderLookup = (req, res, next) => {
+  const { orderNumber, email } = req.body || {};
+
+  if (
+    typeof orderNumber !== "string" ||
+    !/^[A-Z0-9]+-\d+$/.test(orderNumber.trim().toUpperCase())
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid order number (it looks like IT-100001)",
+    });
+  }
+
+  if (typeof email !== "string" || !isValidEmail(email.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid email address",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate webhook event log filters
+ * 
+ * CHECKS:
+ * - type is a single string
+ * - status is one of WEBHOOK_EVENT_STATUSES (processing, processed, ignored, retrying, dead, failed)
+ */
+export const validateWebhookEventQuery = (req, res, next) => {
+  const { type, status } = req.query;
+
+  if (type !== undefined && typeof type !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid value for type",
+    });
+  }
+
+  if (status !== undefined && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status (must be one of: ${WEBHOOK_EVENT_STATUSES.join(", ")})`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate webhook subscription request
+ * 
+ * CHECKS:
+ * - url is an https URL (http only for localhost, for testing)
+ * - events is a non-empty list of order.created, order.shipped, order.refunded
+ * - description (optional) is a string (max 100 characters)
+ */
+export const validateWebhookSubscriptionRequest = (req, res, next) => {
+  const { url, events, description } = req.body || {};
+
+  let parsed = null;
+  try {
+    parsed = typeof url === "string" && url.length <= 2000 ? new URL(url) : null;
+  } catch {
+    parsed = null;
+  }
+  const isLocal = ["localhost", "127.0.0.1"].includes(parsed?.hostname);
+
+  if (
+    !parsed ||
+    !(parsed.protocol === "https:" || (parsed.protocol === "http:" && isLocal))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "url must be an https URL",
+    });
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every((event) => OUTBOUND_EVENT_TYPES.includes(event))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `events must list one or more of: ${OUTBOUND_EVENT_TYPES.join(", ")}`,
+    });
+  }
+
+  if (
+    description !== undefined &&
+    (typeof description !== "string" || description.length > 100)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid description",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate webhook delivery log filters
+ * 
+ * CHECKS:
+ * - subscriptionId is a single string
+ * - status is pending, delivered or failed
+ * - type is one of the outbound event types
+ */
+export const validateWebhookDeliveryQuery = (req, res, next) => {
+  const { subscriptionId, status, type } = req.query;
+
+  if (subscriptionId !== undefined && typeof subscriptionId !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid value for subscriptionId",
+    });
+  }
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status (must be one of: ${DELIVERY_STATUSES.join(", ")})`,
+    });
+  }
+
+  if (type !== undefined && !OUTBOUND_EVENT_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid type (must be one of: ${OUTBOUND_EVENT_TYPES.join(", ")})`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check optional from / to body dates
+ * RETURNS: an error message, or null when they're fine
+ */
+const getDateRangeError = (from, to) => {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (
+      value !== undefined &&
+      (typeof value !== "string" || isNaN(new Date(value).getTime()))
+    ) {
+      return `Invalid date for ${name}`;
+    }
+  }
+
+  if (from && to && new Date(from) > new Date(to)) {
+    return "from must be before to";
+  }
+
+  return null;
+};
+
+/**
+ * Validate backfill request
+ * 
+ * CHECKS:
+ * - from / to are valid dates (optional), from before to
+ * - dryRun is a boolean (optional)
+ */
+export const validateBackfillRequest = (req, res, next) => {
+  const { from, to, dryRun } = req.body || {};
+
+  const rangeError = getDateRangeError(from, to);
+  if (rangeError) {
+    return res.status(400).json({
+      success: false,
+      message: rangeError,
+    });
+  }
+
+  if (dryRun !== undefined && typeof dryRun !== "boolean") {
+    return res.status(400).json({
+      success: false,
+      message: "dryRun must be true or false",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate reconciliation request
+ * 
+ * CHECKS:
+ * - from / to are valid dates (optional), from before to
+ */
+export const validateReconciliationRequest = (req, res, next) => {
+  const { from, to } = req.body || {};
+
+  const rangeError = getDateRangeError(from, to);
+  if (rangeError) {
+    return res.status(400).json({
+      success: false,
+      message: rangeError,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate payment failure report filters
+ * 
+ * CHECKS:
+ * - from / to are valid dates (optional), from before to
+ */
+export const validatePaymentFailureQuery = (req, res, next) => {
+  const { from, to } = req.query;
+
+  const rangeError = getDateRangeError(from, to);
+  if (rangeError) {
+    return res.status(400).json({
+      success: false,
+      message: rangeError,
+    });
+  }
+
+  next();
+};
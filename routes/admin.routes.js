@@ -0,0 +1,495 @@
+/**
+ * ==========================================
+ * ADMIN ROUTES
+ * ==========================================
+ *
+ * PURPOSE:
+ * Order management endpoints for the iTapRing team
+ *
+ * ENDPOINTS DEFINED HERE:
+ * - POST /api/admin/auth/token - Exchange an API key for a token
+ * - GET /api/admin/auth/me - Who am I?
+ * - GET /api/admin/orders - Search orders
+ * - GET /api/admin/orders/export - Download orders as CSV / NDJSON (owner)
+ * - GET /api/admin/orders/:orderId - Full order record
+ * - PATCH /api/admin/orders/:orderId/status - Mark delivered, returned, ... (fulfillment)
+ * - GET /api/admin/analytics - Sales numbers
+ * - GET /api/admin/payment-failures - Declined payments by reason (owner)
+ * - GET /api/admin/catalog - Products from Stripe metadata, and their problems (owner)
+ * - GET/PUT /api/admin/inventory - Stock per product and size (fulfillment to change)
+ * - DELETE /api/admin/inventory/:sku - Stop tracking a SKU (owner)
+ * - POST /api/admin/backfill - Import paid Stripe checkouts (owner)
+ * - GET /api/admin/backfill[/:runId] - Backfill progress (owner)
+ * - POST /api/admin/backfill/:runId/resume - Continue a stopped run (owner)
+ * - POST /api/admin/reconciliation - Check Stripe against our orders now (owner)
+ * - GET /api/admin/reconciliation[/:runId] - Reconciliation reports (owner)
+ * - POST /api/admin/orders/:orderId/refunds - Refund an order (owner)
+ * - POST /api/admin/orders/:orderId/shipments - Add tracking (fulfillment)
+ * - GET /api/admin/orders/:orderId/dispute-evidence - Evidence for a dispute (owner)
+ * - GET/POST /api/admin/keys - List / create API keys (owner)
+ * - DELETE /api/admin/keys/:keyId - Revoke an API key (owner)
+ * - GET /api/admin/audit - Who did what (owner)
+ * - GET /api/admin/webhooks/events - Received Stripe events (owner)
+ * - GET /api/admin/webhooks/events/:eventId - One logged event (owner)
+ * - GET /api/admin/webhooks/dead-letters[/:eventId] - Events retries gave up on (owner)
+ * - POST /api/admin/webhooks/dead-letters/:eventId/redrive - Retry again (owner)
+ * - GET/POST /api/admin/webhook-subscriptions - Our outbound webhook endpoints (owner)
+ * - DELETE /api/admin/webhook-subscriptions/:subscriptionId - Stop sending (owner)
+ * - GET /api/admin/webhook-deliveries[/:deliveryId] - Outbound delivery log (owner)
+ * - POST /api/admin/webhook-deliveries/:deliveryId/redeliver - Send again (owner)
+ *
+ * SECURITY:
+ * - Every route in this file requires admin authentication
+ * - Send: Authorization: Bearer <API key or token>
+ * - requireRole() sets the minimum role per route
+ */
+
+import express from "express";
+import {
+  changeOrderStatus,
+  createBackfillRun,
+  createReconciliationRun,
+  createSubscription,
+  deleteInventory,
+  disableSubscription,
+  downloadOrderExport,
+  getBackfill,
+  getCatalog,
+  getDeadLetter,
+  getDelivery,
+  getDisputeEvidence,
+  getOrder,
+  getPaymentFailures,
+  getReconciliation,
+  getSalesAnalytics,
+  getWebhookEventLog,
+  listBackfills,
+  listDeadLetters,
+  listDeliveries,
+  listInventory,
+  listOrders,
+  listReconciliations,
+  listSubscriptions,
+  listWebhookEventLog,
+  redeliverDelivery,
+  redriveDeadLetter,
+  resumeBackfillRun,
+  refundOrder,
+  shipOrder,
+  updateInventory,
+} from "../controllers/admin.controller.js";
+import {
+  createKey,
+  createToken,
+  getCurrentAdmin,
+  listAuditLog,
+  listKeys,
+  revokeKey,
+} from "../controllers/adminAuth.controller.js";
+import { auditRead, requireAdmin, requireRole } from "../middleware/adminAuth.js";
+import {
+  validateApiKeyRequest,
+  validateBackfillRequest,
+  validateOrderExport,
+  validateOrderId,
+  validateOrderQuery,
+  validateOrderStatusChange,
+  validatePaymentFailureQuery,
+  validateReconciliationRequest,
+  validateRefundRequest,
+  validateShipmentRequest,
+  validateStockRequest,
+  validateWebhookDeliveryQuery,
+  validateWebhookEventQuery,
+  validateWebhookSubscriptionRequest,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Everything below needs valid admin credentials
+router.use(requireAdmin);
+
+// ==========================================
+// AUTH
+// ==========================================
+
+/**
+ * POST /api/admin/auth/token
+ * Exchange an API key for a short-lived signed token
+ * (the token has the same role as the key)
+ */
+router.post("/auth/token", createToken);
+
+/**
+ * GET /api/admin/auth/me
+ * Returns the admin behind the credentials
+ */
+router.get("/auth/me", getCurrentAdmin);
+
+// ==========================================
+// ORDERS
+// ==========================================
+
+/**
+ * GET /api/admin/orders
+ * Search orders
+ *
+ * QUERY PARAMETERS (all optional):
+ * - status: "paid" or "paid,shipped"
+ * - from / to: ISO dates (order creation time); a to without a time
+ *   includes that whole day
+ * - email: customer email
+ * - productId: e.g. "ring-black"
+ * - country: shipping country, e.g. "US"
+ * - sort: createdAt (default), amount, orderId
+ * - direction: desc (default) or asc
+ * - limit: 1-100 (default 25)
+ * - cursor: pagination.nextCursor from the previous page
+ */
+router.get("/orders", requireRole("viewer"), validateOrderQuery, listOrders);
+
+/**
+ * GET /api/admin/orders/export
+ * Download orders for the bookkeeper or the packing partner
+ * (must stay above /orders/:orderId)
+ *
+ * QUERY PARAMETERS (all optional):
+ * - format: csv (default) or ndjson
+ * - from / to: ISO dates (order creation time); a to without a time
+ *   includes that whole day
+ * - status, email, productId, country: same as GET /orders
+ *
+ * One row per line item, oldest order first
+ * Owners only: the file holds every customer's name, email and address
+ */
+router.get(
+  "/orders/export",
+  requireRole("owner"),
+  auditRead,
+  validateOrderExport,
+  downloadOrderExport
+);
+
+/**
+ * GET /api/admin/orders/:orderId
+ * Full order record including status history
+ *
+ * USAGE:
+ * GET /api/admin/orders/IT-100001
+ */
+router.get(
+  "/orders/:orderId",
+  requireRole("viewer"),
+  validateOrderId,
+  getOrder
+);
+
+/**
+ * PATCH /api/admin/orders/:orderId/status
+ * Move an order along ORDER_TRANSITIONS by hand
+ *
+ * BODY:
+ * - status: processing, delivered, returned or cancelled
+ * - note (optional): kept in the status history
+ *
+ * Moves the status machine doesn't allow get 409 INVALID_TRANSITION
+ */
+router.patch(
+  "/orders/:orderId/status",
+  requireRole("fulfillment"),
+  validateOrderId,
+  validateOrderStatusChange,
+  changeOrderStatus
+);
+
+/**
+ * POST /api/admin/orders/:orderId/refunds
+ * Refund an order through Stripe
+ *
+ * BODY:
+ * - {} → refund everything not refunded yet
+ * - { items: [{ line: 1, quantity: 1 }] } → refund specific units
+ * - reason (optional): duplicate, fraudulent, requested_by_customer
+ *
+ * The customer is emailed when Stripe confirms (charge.refunded webhook)
+ */
+router.post(
+  "/orders/:orderId/refunds",
+  requireRole("owner"),
+  validateOrderId,
+  validateRefundRequest,
+  refundOrder
+);
+
+/**
+ * POST /api/admin/orders/:orderId/shipments
+ * Attach carrier + tracking and email the customer
+ *
+ * BODY:
+ * - carrier: "usps", "ups", "fedex", "dhl", ...
+ * - trackingNumber: "9400..."
+ * - trackingUrl (optional): built automatically for known carriers
+ * - items (optional): [{ line: 1, quantity: 1 }] for split shipments
+ */
+router.post(
+  "/orders/:orderId/shipments",
+  requireRole("fulfillment"),
+  validateOrderId,
+  validateShipmentRequest,
+  shipOrder
+);
+
+/**
+ * GET /api/admin/orders/:orderId/dispute-evidence
+ * Order details, shipping/tracking and the emails we sent, in Stripe's
+ * dispute evidence fields - review, then submit in Stripe
+ */
+router.get(
+  "/orders/:orderId/dispute-evidence",
+  requireRole("owner"),
+  validateOrderId,
+  getDisputeEvidence
+);
+
+/**
+ * GET /api/admin/analytics
+ * Revenue, refunds, top products, countries and the last 30 days
+ * Cached for 5 minutes - add ?refresh=true to recalculate now
+ */
+router.get("/analytics", requireRole("viewer"), getSalesAnalytics);
+
+/**
+ * GET /api/admin/payment-failures
+ * Declined payments counted by reason (Stripe decline code), plus how
+ * many retry emails went out and how many of them led to an order
+ *
+ * QUERY PARAMETERS (all optional):
+ * - from / to: ISO dates (when the payment failed)
+ */
+router.get(
+  "/payment-failures",
+  requireRole("owner"),
+  validatePaymentFailureQuery,
+  getPaymentFailures
+);
+
+/**
+ * GET /api/admin/catalog
+ * The products the shop sells (read from Stripe product metadata),
+ * plus anything wrong with them: products without a frontend_id,
+ * the same frontend_id twice, invalid sizes
+ */
+router.get("/catalog", requireRole("owner"), getCatalog);
+
+// ==========================================
+// INVENTORY
+// ==========================================
+
+/**
+ * GET /api/admin/inventory
+ * Stock per SKU: onHand, reserved (open checkouts) and available
+ *
+ * QUERY PARAMETERS (optional):
+ * - productId: one product only
+ */
+router.get("/inventory", requireRole("viewer"), listInventory);
+
+/**
+ * PUT /api/admin/inventory
+ * Set a SKU's stock after a count, or add / remove units
+ * The first change to a SKU starts tracking it
+ *
+ * BODY:
+ * - productId, size (null for no size), option (optional)
+ * - onHand: units on the shelf, or adjustBy: units to add (negative to remove)
+ */
+router.put(
+  "/inventory",
+  requireRole("fulfillment"),
+  validateStockRequest,
+  updateInventory
+);
+
+/**
+ * DELETE /api/admin/inventory/:sku
+ * Stop tracking a SKU - it can then be bought without limit
+ */
+router.delete("/inventory/:sku", requireRole("owner"), deleteInventory);
+
+// ==========================================
+// BACKFILL (OWNER ONLY)
+// ==========================================
+
+/**
+ * POST /api/admin/backfill
+ * Create orders for paid Stripe checkouts that never became orders
+ *
+ * BODY (all optional):
+ * - from / to: checkout dates to cover (to defaults to now)
+ * - dryRun: true to only count what would be created
+ *
+ * Runs in the background - poll GET /api/admin/backfill/:runId
+ */
+router.post(
+  "/backfill",
+  requireRole("owner"),
+  validateBackfillRequest,
+  createBackfillRun
+);
+
+router.get("/backfill", requireRole("owner"), listBackfills);
+
+router.get("/backfill/:runId", requireRole("owner"), getBackfill);
+
+/**
+ * POST /api/admin/backfill/:runId/resume
+ * Continue a run that stopped (server restart, Stripe error)
+ * from the last session it finished
+ */
+router.post("/backfill/:runId/resume", requireRole("owner"), resumeBackfillRun);
+
+// ==========================================
+// RECONCILIATION (OWNER ONLY)
+// ==========================================
+
+/**
+ * POST /api/admin/reconciliation
+ * Run the nightly Stripe check now
+ *
+ * BODY (all optional):
+ * - from / to: period to check (default: last RECONCILE_LOOKBACK_DAYS days)
+ *
+ * Runs in the background - poll GET /api/admin/reconciliation/:runId
+ */
+router.post(
+  "/reconciliation",
+  requireRole("owner"),
+  validateReconciliationRequest,
+  createReconciliationRun
+);
+
+router.get("/reconciliation", requireRole("owner"), listReconciliations);
+
+router.get("/reconciliation/:runId", requireRole("owner"), getReconciliation);
+
+// ==========================================
+// API KEYS & AUDIT LOG (OWNER ONLY)
+// ==========================================
+
+router.get("/keys", requireRole("owner"), listKeys);
+
+/**
+ * POST /api/admin/keys
+ * BODY: { name: "Alex (packing)", role: "fulfillment" }
+ */
+router.post("/keys", requireRole("owner"), validateApiKeyRequest, createKey);
+
+router.delete("/keys/:keyId", requireRole("owner"), revokeKey);
+
+router.get("/audit", requireRole("owner"), listAuditLog);
+
+// ==========================================
+// WEBHOOK EVENT LOG & RETRIES (OWNER ONLY)
+// ==========================================
+
+/**
+ * GET /api/admin/webhooks/events
+ * Every verified Stripe event we received, newest first
+ *
+ * QUERY PARAMETERS (all optional):
+ * - type: e.g. "checkout.session.completed"
+ * - status: processing, processed, ignored, retrying, dead, failed
+ * - limit: default 100, max 1000
+ */
+router.get(
+  "/webhooks/events",
+  requireRole("owner"),
+  validateWebhookEventQuery,
+  listWebhookEventLog
+);
+
+router.get("/webhooks/events/:eventId", requireRole("owner"), getWebhookEventLog);
+
+/**
+ * GET /api/admin/webhooks/dead-letters
+ * Events whose handler kept failing after WEBHOOK_MAX_ATTEMPTS tries
+ */
+router.get("/webhooks/dead-letters", requireRole("owner"), listDeadLetters);
+
+router.get(
+  "/webhooks/dead-letters/:eventId",
+  requireRole("owner"),
+  getDeadLetter
+);
+
+/**
+ * POST /api/admin/webhooks/dead-letters/:eventId/redrive
+ * Fix the cause first (e.g. a Stripe outage), then send the event
+ * back through the retry queue
+ */
+router.post(
+  "/webhooks/dead-letters/:eventId/redrive",
+  requireRole("owner"),
+  redriveDeadLetter
+);
+
+// ==========================================
+// OUTBOUND WEBHOOKS (OWNER ONLY)
+// ==========================================
+
+router.get("/webhook-subscriptions", requireRole("owner"), listSubscriptions);
+
+/**
+ * POST /api/admin/webhook-subscriptions
+ * Send our order events to another system
+ *
+ * BODY:
+ * - url: "https://warehouse.example.com/hooks/itapring"
+ * - events: ["order.created", "order.shipped", "order.refunded"]
+ * - description (optional): "Warehouse sheet"
+ *
+ * The response has the signing secret - it's only shown once
+ */
+router.post(
+  "/webhook-subscriptions",
+  requireRole("owner"),
+  validateWebhookSubscriptionRequest,
+  createSubscription
+);
+
+router.delete(
+  "/webhook-subscriptions/:subscriptionId",
+  requireRole("owner"),
+  disableSubscription
+);
+
+/**
+ * GET /api/admin/webhook-deliveries
+ * Every event we sent (or tried to), newest first
+ *
+ * QUERY PARAMETERS (all optional):
+ * - subscriptionId: one endpoint only
+ * - status: pending, delivered, failed
+ * - type: e.g. "order.shipped"
+ * - limit: default 100, max 1000
+ */
+router.get(
+  "/webhook-deliveries",
+  requireRole("owner"),
+  validateWebhookDeliveryQuery,
+  listDeliveries
+);
+
+router.get("/webhook-deliveries/:deliveryId", requireRole("owner"), getDelivery);
+
+/**
+ * POST /api/admin/webhook-deliveries/:deliveryId/redeliver
+ * Send a failed (or delivered) event again, e.g. after the endpoint is fixed
+ */
+router.post(
+  "/webhook-deliveries/:deliveryId/redeliver",
+  requireRole("owner"),
+  redeliverDelivery
+);
+
+export { router as adminRouter };
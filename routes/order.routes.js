@@ -0,0 +1,39 @@
+/**
+ * ==========================================
+ * ORDER ROUTES
+ * ==========================================
+ * 
+ * PURPOSE:
+ * Let customers check on their order after closing the checkout tab
+ * 
+ * ENDPOINTS DEFINED HERE:
+ * - POST /api/orders/lookup - Order status by order number + email
+ * 
+ * SECURITY:
+ * - Needs BOTH the order number and the purchase email
+ * - Returns a redacted view (no payment IDs, no street address)
+ * - Strict rate limit against guessing order numbers
+ */
+
+import express from "express";
+import { lookupOrder } from "../controllers/order.controller.js";
+import { orderLookupLimiter } from "../middleware/rateLimiter.js";
+import { validateOrderLookup } from "../middleware/validation.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/orders/lookup
+ * 
+ * REQUEST BODY:
+ * {
+ *   orderNumber: "IT-100001",
+ *   email: "customer@example.com"
+ * }
+ * 
+ * RETURNS:
+ * Order status, items and tracking links
+ */
+router.post("/lookup", orderLookupLimiter, validateOrderLookup, lookupOrder);
+
+export { router as orderRouter };
@@ -10,6 +10,9 @@
  * - POST /api/stripe/create-checkout-session - Start checkout
  * - GET /api/stripe/verify-session/:sessionId - Check order status
  * - POST /api/stripe/webhook - Receive Stripe events
+ * - GET /api/stripe/recover/:token - Reopen an abandoned cart (email link)
+ * - GET/POST /api/stripe/recover/:token/opt-out - Stop cart reminders (GET asks, POST stops)
+ * - GET /api/stripe/retry-payment/:token - Pay again after a decline (email link)
  * 
  * FOR JUNIOR DEVELOPERS:
  * - Checkout session = Stripe's payment page
@@ -21,10 +24,15 @@ import express from "express";
 import {
   createCheckoutSession,
   handleWebhook,
+  optOutOfCartReminders,
+  recoverCheckout,
+  retryPayment,
+  showCartOptOut,
   verifyCheckoutSession,
 } from "../controllers/stripe.controller.js";
 import {
   validateCheckoutSession,
+  validateRecoveryToken,
   validateSessionId,
 } from "../middleware/validation.js";
 
@@ -69,6 +77,36 @@ router.get(
   verifyCheckoutSession
 );
 
+/**
+ * GET /api/stripe/recover/:token
+ * Link in abandoned cart reminder emails
+ * 
+ * WHAT IT DOES:
+ * 1. Finds the saved cart
+ * 2. Sends the customer back to the checkout this link opened before,
+ *    while it's still open (mail scanners prefetch links too)
+ * 3. Otherwise validates the cart again (same as create-checkout-session)
+ *    and redirects to a new Stripe payment page
+ */
+router.get("/recover/:token", validateRecoveryToken, recoverCheckout);
+
+/**
+ * GET or POST /api/stripe/recover/:token/opt-out
+ * GET (the email link) only shows an Unsubscribe button - a link
+ * scanner opening it mustn't unsubscribe anyone
+ * POST (that button, or one-click unsubscribe from mail apps) opts out
+ */
+router.get("/recover/:token/opt-out", validateRecoveryToken, showCartOptOut);
+router.post("/recover/:token/opt-out", validateRecoveryToken, optOutOfCartReminders);
+
+/**
+ * GET /api/stripe/retry-payment/:token
+ * Link in the "your payment didn't go through" email
+ * Back to the declined checkout while it's open, otherwise the same
+ * as /recover/:token
+ */
+router.get("/retry-payment/:token", validateRecoveryToken, retryPayment);
+
 /**
  * POST /api/stripe/webhook
  * Handles Stripe webhook events
@@ -0,0 +1,84 @@
+/**
+ * ==========================================
+ * ORDER BACKFILL (COMMAND LINE)
+ * ==========================================
+ *
+ * Creates orders for paid Stripe checkouts that never became orders.
+ * Same job as POST /api/admin/backfill (see services/backfill.service.js).
+ *
+ * USAGE:
+ *   npm run backfill -- --from 2024-01-01 --to 2024-12-31
+ *   npm run backfill -- --from 2024-01-01 --dry-run
+ *   npm run backfill -- --resume <runId>
+ *
+ * IMPORTANT:
+ * Stop the server first (or use the admin endpoint instead) - with the
+ * file storage driver, two processes writing the same data file
+ * overwrite each other's changes.
+ */
+
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+import { resumeBackfill, startBackfill } from "../services/backfill.service.js";
+import { flushStorage, initStorage } from "../services/storage.service.js";
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    resume: { type: "string" },
+  },
+});
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    console.error(`❌ Invalid --${name} date: ${value}`);
+    process.exit(1);
+  }
+  return date;
+};
+
+if (!process.env.STRIPE_SECRET_KEY) {
+  console.error("❌ STRIPE_SECRET_KEY is not set");
+  process.exit(1);
+}
+
+initStorage();
+
+let run;
+try {
+  run = values.resume
+    ? await resumeBackfill(values.resume, { wait: true })
+    : await startBackfill({
+        from: parseDate(values.from, "from"),
+        to: parseDate(values.to, "to"),
+        dryRun: values["dry-run"],
+        wait: true,
+      });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+await flushStorage();
+
+console.log(`
+Run:      ${run.runId}
+Status:   ${run.status}${run.dryRun ? " (dry run)" : ""}
+Scanned:  ${run.scanned}
+Created:  ${run.created}
+Failed:   ${run.failed}
+Skipped:  ${JSON.stringify(run.skipped)}
+`);
+
+if (run.status !== "completed") {
+  console.log(`Resume with: npm run backfill -- --resume ${run.runId}`);
+  process.exit(1);
+}
+
+process.exit(run.failed > 0 ? 1 : 0);
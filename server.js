@@ -50,9 +50,51 @@ import {
 } from "./middleware/security.js";
 
 // Import our API routes
+import { adminRouter } from "./routes/admin.routes.js";
+import { orderRouter } from "./routes/order.routes.js";
 import { productRouter } from "./routes/product.routes.js";
 import { stripeRouter } from "./routes/stripe.routes.js";
 
+// Import persistent storage (orders survive restarts)
+import { flushStorage, initStorage } from "./services/storage.service.js";
+
+// Import the abandoned cart reminder worker
+import {
+  startCartRecoveryWorker,
+  stopCartRecoveryWorker,
+} from "./services/abandonedCart.service.js";
+
+// Import the nightly Stripe reconciliation
+import {
+  startReconciliationSchedule,
+  stopReconciliationSchedule,
+} from "./services/reconciliation.service.js";
+
+// Import the outbound webhook worker (sends our order events to other systems)
+import {
+  startOutboundWebhookWorker,
+  stopOutboundWebhookWorker,
+} from "./services/outboundWebhook.service.js";
+
+// Import inventory tracking (stock per product and size)
+import {
+  startInventoryWorker,
+  stopInventoryWorker,
+} from "./services/inventory.service.js";
+
+// Import the product catalog cache
+import { warmCatalogCache } from "./services/product.service.js";
+
+// Import the order number prefix check
+import { getOrderNumberPrefix } from "./utils/helpers.js";
+
+// Import the webhook retry worker (re-runs failed Stripe events)
+import { handleStripeEvent } from "./services/webhook.service.js";
+import {
+  startWebhookRetryWorker,
+  stopWebhookRetryWorker,
+} from "./services/webhookQueue.service.js";
+
 // Load environment variables from .env file
 dotenv.config();
 
@@ -72,6 +114,14 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+// Order numbers must stay readable by the order lookup (see utils/helpers.js)
+try {
+  getOrderNumberPrefix();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // ==========================================
 // CREATE EXPRESS APP
 // ==========================================
@@ -115,7 +165,7 @@ app.use(
     origin: process.env.CLIENT_URL || "http://localhost:5173", // Frontend URL
     credentials: true, // Allow cookies
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"], // Allowed HTTP methods
-    allowedHeaders: ["Content-Type", "Authorization", "stripe-signature"], // Allowed headers
+    allowedHeaders: ["Content-Type", "Authorization", "stripe-signature", "Idempotency-Key"], // Allowed headers
   })
 );
 
@@ -203,6 +253,25 @@ app.use("/api/stripe", stripeRouter);
  */
 app.use("/api/products", productRouter);
 
+/**
+ * Order routes
+ * Customer order status lookup
+ * 
+ * ROUTES:
+ * - POST /api/orders/lookup
+ */
+app.use("/api/orders", orderRouter);
+
+/**
+ * Admin routes
+ * Order management for the iTapRing team (requires admin key)
+ * 
+ * ROUTES:
+ * - GET /api/admin/orders
+ * - GET /api/admin/orders/:orderId
+ */
+app.use("/api/admin", adminRouter);
+
 /**
  * 404 handler
  * Catches requests to non-existent routes
@@ -225,11 +294,40 @@ app.use(errorHandler);
 // START SERVER
 // ==========================================
 
+/**
+ * Load persistent storage before accepting requests
+ * A corrupt data file or unknown driver stops the server here
+ */
+try {
+  initStorage();
+} catch (error) {
+  console.error(`❌ Storage failed to load: ${error.message}`);
+  process.exit(1);
+}
+
 /**
  * Start listening for requests
  * Bind to localhost (127.0.0.1) on specified PORT
  */
 app.listen(PORT, "127.0.0.1", () => {
+  // Load the products from Stripe before the first visitor asks (see services/product.service.js)
+  warmCatalogCache();
+
+  // Retry webhook events that failed (see services/webhookQueue.service.js)
+  startWebhookRetryWorker(handleStripeEvent);
+
+  // Email customers about carts they left at checkout (see services/abandonedCart.service.js)
+  startCartRecoveryWorker();
+
+  // Check Stripe against our orders every night (see services/reconciliation.service.js)
+  startReconciliationSchedule();
+
+  // Send order events to our other systems (see services/outboundWebhook.service.js)
+  startOutboundWebhookWorker();
+
+  // Take sold units out of stock, release expired reservations (see services/inventory.service.js)
+  startInventoryWorker();
+
   console.log(`\n✅ iTapRing Server running on http://127.0.0.1:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🌐 CORS enabled for: ${process.env.CLIENT_URL}\n`);
@@ -238,14 +336,27 @@ app.listen(PORT, "127.0.0.1", () => {
 /**
  * Graceful shutdown handlers
  * Clean up when server stops
+ * - Wait for pending storage writes so no order is lost
  */
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   console.log("👋 Received SIGTERM, shutting down gracefully...");
+  stopReconciliationSchedule();
+  await stopWebhookRetryWorker();
+  await stopCartRecoveryWorker();
+  await stopOutboundWebhookWorker();
+  await stopInventoryWorker();
+  await flushStorage();
   process.exit(0);
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("👋 Received SIGINT, shutting down gracefully...");
+  stopReconciliationSchedule();
+  await stopWebhookRetryWorker();
+  await stopCartRecoveryWorker();
+  await stopOutboundWebhookWorker();
+  await stopInventoryWorker();
+  await flushStorage();
   process.exit(0);
 });
 
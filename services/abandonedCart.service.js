@@ -0,0 +1,433 @@
+/**
+ * ==========================================
+ * ABANDONED CART RECOVERY
+ * ==========================================
+ *
+ * PURPOSE:
+ * Win back customers whose Stripe Checkout expired before they paid
+ *
+ * HOW IT WORKS:
+ * 1. Stripe sends checkout.session.expired (webhook.service.js)
+ * 2. We save the cart (items from our item{n}_* session metadata + email)
+ *    in the "abandonedCarts" collection
+ * 3. The worker sends reminder emails on a schedule
+ *    (ABANDONED_CART_DELAYS, hours after the checkout expired)
+ * 4. The email links to GET /api/stripe/recover/:token, which validates
+ *    the cart again and opens a fresh Stripe Checkout for it - or sends
+ *    the customer back to the one it opened before, while that's still open
+ *
+ * A reminder only counts once the email actually went out. A failed send
+ * is tried again an hour later, up to MAX_SEND_ATTEMPTS times.
+ *
+ * REMINDERS STOP WHEN:
+ * - The customer pays through the recovery link ("recovered")
+ * - The customer ordered some other way ("purchased")
+ * - The customer opts out - applies to every cart for that email ("opted_out")
+ * - A newer cart for the same email replaces it ("superseded")
+ * - The sequence is done, or the address hit the cap ("finished")
+ *
+ * CONFIGURATION (.env, all optional):
+ * - ABANDONED_CART_DELAYS: reminder schedule in hours (default "1,24,72"),
+ *   "off" to only record abandoned carts
+ * - ABANDONED_CART_MAX_EMAILS: most reminders one address gets in 30 days (default 3)
+ * - ABANDONED_CART_POLL_MS: how often the worker looks for due reminders (default 60000)
+ * - SERVER_URL: public URL of this server, used for the links in the emails
+ */
+
+import { randomBytes } from "crypto";
+import {
+  buildCartFromMetadata,
+  createCheckoutSessionForCart,
+  getOpenCheckoutSession,
+} from "./checkout.service.js";
+import { sendAbandonedCartEmail } from "./email.service.js";
+import { hasItemMetadata } from "./fulfillment.service.js";
+import { queryOrders } from "./order.service.js";
+import { validateCart } from "./product.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+import { createKeyedLock } from "../utils/helpers.js";
+
+const abandonedCarts = defineCollection("abandonedCarts", {
+  key: "sessionId",
+  indexes: [
+    { field: "token", unique: true },
+    { field: "email" },
+    { field: "status" },
+  ],
+});
+
+// Emails that asked for no more cart reminders
+const optOuts = defineCollection("recoveryOptOuts", { key: "email" });
+
+const HOUR_MS = 60 * 60 * 1000;
+const CAP_WINDOW_MS = 30 * 24 * HOUR_MS;
+
+// A reminder whose email couldn't be sent is tried again this often
+const SEND_RETRY_MS = HOUR_MS;
+const MAX_SEND_ATTEMPTS = 3;
+
+// One recovery checkout at a time per link
+const withCartLock = createKeyedLock();
+
+/**
+ * Reminder schedule, hours after the checkout expired
+ * "1,24,72" → [1, 24, 72]
+ */
+const getReminderDelays = () => {
+  const value = process.env.ABANDONED_CART_DELAYS ?? "1,24,72";
+  if (value.trim() === "off") return [];
+
+  return value
+    .split(",")
+    .map(Number)
+    .filter((hours) => Number.isFinite(hours) && hours >= 0);
+};
+
+const getMaxEmails = () => Number(process.env.ABANDONED_CART_MAX_EMAILS) || 3;
+const getPollMs = () => Number(process.env.ABANDONED_CART_POLL_MS) || 60000;
+
+const getServerUrl = () =>
+  (process.env.SERVER_URL || `http://127.0.0.1:${process.env.PORT || 5000}`).replace(/\/$/, "");
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * When reminder number n (1, 2, 3...) is due
+ * RETURNS: a Date, or null when the sequence has no reminder n
+ */
+const reminderDueAt = (cart, n) => {
+  const hours = getReminderDelays()[n - 1];
+  if (hours === undefined) return null;
+  return new Date(new Date(cart.abandonedAt).getTime() + hours * HOUR_MS);
+};
+
+export const isOptedOut = async (email) => {
+  return Boolean(await optOuts.get(normalizeEmail(email)));
+};
+
+// ==========================================
+// CAPTURE
+// ==========================================
+
+/**
+ * Save the cart of an expired checkout and schedule its reminders
+ * Called for checkout.session.expired
+ *
+ * RETURNS: the cart, or null when there's nothing to recover
+ */
+export const captureAbandonedCheckout = async (session) => {
+  const rawEmail = session.customer_details?.email || session.customer_email;
+
+  if (session.metadata?.orderType !== "itapring_product") return null;
+  if (!rawEmail || !hasItemMetadata(session.metadata)) {
+    console.log(`ℹ️  Expired checkout ${session.id} has no email or items - not recoverable`);
+    return null;
+  }
+
+  const email = normalizeEmail(rawEmail);
+  const optedOut = await isOptedOut(email);
+  const now = new Date();
+
+  let created = false;
+  const cart = await abandonedCarts.upsert(session.id, (existing) => {
+    // Stripe redelivered the event
+    if (existing) return existing;
+
+    created = true;
+    const draft = {
+      sessionId: session.id,
+      token: randomBytes(24).toString("base64url"),
+      email,
+      customerName: session.customer_details?.name || null,
+      items: buildCartFromMetadata(session.metadata),
+      amount: parseFloat(session.metadata.validatedAmount) || session.amount_total / 100,
+      successUrl: session.success_url,
+      cancelUrl: session.cancel_url,
+      checkoutStartedAt: new Date(session.created * 1000),
+      abandonedAt: new Date((session.expires_at || session.created) * 1000),
+      remindersSent: 0,
+      reminders: [],
+      lastReminderAt: null,
+      recoveredSessionId: null,
+      orderId: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const firstReminderAt = reminderDueAt(draft, 1);
+    return {
+      ...draft,
+      status: optedOut ? "opted_out" : firstReminderAt ? "pending" : "finished",
+      nextReminderAt: optedOut ? null : firstReminderAt,
+    };
+  });
+
+  if (!created) return cart;
+
+  // One reminder sequence per customer - the newest cart wins
+  for (const older of await abandonedCarts.find("email", email)) {
+    if (older.sessionId !== cart.sessionId && older.status === "pending") {
+      await abandonedCarts.update(older.sessionId, {
+        status: "superseded",
+        nextReminderAt: null,
+        updatedAt: now,
+      });
+    }
+  }
+
+  console.log(
+    `🛒 Abandoned checkout ${session.id} saved (${email}, $${cart.amount.toFixed(2)})`
+  );
+  return cart;
+};
+
+// ==========================================
+// RECOVERY LINKS
+// ==========================================
+
+const getCartByToken = async (token) => {
+  const cart = await abandonedCarts.findOne("token", token);
+  if (!cart) {
+    throw createHttpError(404, "Recovery link not found", "CART_NOT_FOUND");
+  }
+  return cart;
+};
+
+const openRecoveryCheckout = async (token) => {
+  const cart = await getCartByToken(token);
+
+  if (["recovered", "purchased"].includes(cart.status)) {
+    return { url: cart.cancelUrl };
+  }
+
+  const open = await getOpenCheckoutSession(cart.recoveredSessionId);
+  if (open) return { url: open.url };
+
+  let validatedCart;
+  try {
+    validatedCart = await validateCart(cart.items);
+  } catch (error) {
+    console.log(`ℹ️  Cart ${cart.sessionId} can't be recovered: ${error.message}`);
+    return { url: cart.cancelUrl };
+  }
+
+  const session = await createCheckoutSessionForCart(validatedCart, {
+    customerEmail: cart.email,
+    successUrl: cart.successUrl,
+    cancelUrl: cart.cancelUrl,
+    metadata: { recoveredFrom: cart.sessionId },
+  });
+
+  await abandonedCarts.update(cart.sessionId, {
+    recoveredSessionId: session.id,
+    recoveryClickedAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  console.log(`🛒 Cart ${cart.sessionId} reopened as ${session.id}`);
+  return { url: session.url };
+};
+
+/**
+ * Open a fresh Stripe Checkout for an abandoned cart
+ * Prices are validated again, exactly like create-checkout-session
+ *
+ * A checkout this link opened earlier is reused while it's still open
+ *
+ * RETURNS: { url } - the Stripe payment page, or the shop's cart page
+ * when the cart can't be bought any more (already paid, product gone,
+ * price changed)
+ */
+export const recoverAbandonedCart = (token) =>
+  withCartLock(token, () => openRecoveryCheckout(token));
+
+/**
+ * Mark a cart paid after its recovery checkout completed
+ * Called from checkout.session.completed (metadata.recoveredFrom)
+ */
+export const markCartRecovered = async (sessionId, order) => {
+  const cart = await abandonedCarts.get(sessionId);
+  if (!cart) return null;
+
+  console.log(`🎉 Abandoned cart ${sessionId} recovered as ${order.orderId}`);
+  return abandonedCarts.update(sessionId, {
+    status: "recovered",
+    orderId: order.orderId,
+    nextReminderAt: null,
+    recoveredAt: new Date(),
+    updatedAt: new Date(),
+  });
+};
+
+/**
+ * Stop all cart reminders for the email behind this link
+ *
+ * RETURNS: the email that was opted out
+ */
+export const optOutOfRecoveryEmails = async (token) => {
+  const cart = await getCartByToken(token);
+  const now = new Date();
+
+  await optOuts.upsert(cart.email, (existing) =>
+    existing || { email: cart.email, sessionId: cart.sessionId, optedOutAt: now }
+  );
+
+  for (const other of await abandonedCarts.find("email", cart.email)) {
+    if (other.status === "pending") {
+      await abandonedCarts.update(other.sessionId, {
+        status: "opted_out",
+        nextReminderAt: null,
+        updatedAt: now,
+      });
+    }
+  }
+
+  console.log(`🔕 ${cart.email} opted out of cart reminders`);
+  return cart.email;
+};
+
+// ==========================================
+// REMINDER WORKER
+// ==========================================
+
+/**
+ * Reminders this address got in the last 30 days (all carts)
+ */
+const countRecentReminders = async (email, now) => {
+  const carts = await abandonedCarts.find("email", email);
+  return carts
+    .flatMap((cart) => cart.reminders)
+    .filter((reminder) => reminder.sent !== false)
+    .filter((reminder) => now - new Date(reminder.sentAt) < CAP_WINDOW_MS).length;
+};
+
+/**
+ * Send (or skip) the next reminder of one due cart
+ */
+const sendNextReminder = async (cart) => {
+  const now = new Date();
+  const close = (status, changes = {}) =>
+    abandonedCarts.update(cart.sessionId, {
+      status,
+      nextReminderAt: null,
+      updatedAt: now,
+      ...changes,
+    });
+
+  if (await isOptedOut(cart.email)) {
+    return close("opted_out");
+  }
+
+  // Bought anyway (new checkout, another device...)
+  const { orders } = await queryOrders({
+    email: cart.email,
+    from: new Date(cart.checkoutStartedAt),
+    limit: 1,
+  });
+  if (orders.length > 0) {
+    return close("purchased", { orderId: orders[0].orderId });
+  }
+
+  if ((await countRecentReminders(cart.email, now)) >= getMaxEmails()) {
+    console.log(`🛒 Reminder cap reached for ${cart.email} - stopping`);
+    return close("finished", { capped: true });
+  }
+
+  const reminderNumber = cart.remindersSent + 1;
+  const links = {
+    recoverUrl: `${getServerUrl()}/api/stripe/recover/${cart.token}`,
+    optOutUrl: `${getServerUrl()}/api/stripe/recover/${cart.token}/opt-out`,
+  };
+  const sent = await sendAbandonedCartEmail(cart, { reminderNumber, ...links });
+
+  if (!sent) {
+    const failedSends = (cart.failedSends || 0) + 1;
+    if (failedSends >= MAX_SEND_ATTEMPTS) {
+      console.log(
+        `🛒 Reminder ${reminderNumber} for ${cart.sessionId} couldn't be sent - stopping`
+      );
+      return close("finished", { failedSends });
+    }
+    return abandonedCarts.update(cart.sessionId, {
+      failedSends,
+      nextReminderAt: new Date(now.getTime() + SEND_RETRY_MS),
+      updatedAt: now,
+    });
+  }
+
+  const nextReminderAt = reminderDueAt(cart, reminderNumber + 1);
+  return abandonedCarts.update(cart.sessionId, (current) => ({
+    ...current,
+    status: nextReminderAt ? "pending" : "finished",
+    remindersSent: reminderNumber,
+    reminders: [...current.reminders, { number: reminderNumber, sentAt: now, sent }],
+    failedSends: 0,
+    lastReminderAt: now,
+    nextReminderAt,
+    updatedAt: now,
+  }));
+};
+
+const worker = {
+  timer: null,
+  running: null,
+};
+
+/**
+ * Send every reminder whose time has come (one at a time)
+ */
+const runDueReminders = async () => {
+  const now = Date.now();
+  const due = (await abandonedCarts.find("status", "pending"))
+    .filter((cart) => new Date(cart.nextReminderAt).getTime() <= now)
+    .sort((a, b) => new Date(a.nextReminderAt) - new Date(b.nextReminderAt));
+
+  for (const cart of due) {
+    try {
+      await sendNextReminder(cart);
+    } catch (error) {
+      // Try again on the next tick
+      console.error(`❌ Cart reminder ${cart.sessionId} failed:`, error.message);
+    }
+  }
+};
+
+/**
+ * Run due reminders now, unless a run is already in progress
+ */
+const tick = () => {
+  if (worker.running) return worker.running;
+
+  worker.running = runDueReminders()
+    .catch((error) => {
+      console.error("❌ Cart reminder worker error:", error.message);
+    })
+    .finally(() => {
+      worker.running = null;
+    });
+
+  return worker.running;
+};
+
+/**
+ * Start polling for due reminders
+ */
+export const startCartRecoveryWorker = () => {
+  if (worker.timer) return;
+
+  worker.timer = setInterval(tick, getPollMs());
+  worker.timer.unref(); // Don't keep the process alive just for this
+  tick();
+
+  console.log("🛒 Abandoned cart reminders started");
+};
+
+/**
+ * Stop polling and wait for a run in progress to finish
+ */
+export const stopCartRecoveryWorker = async () => {
+  clearInterval(worker.timer);
+  worker.timer = null;
+  await worker.running;
+};
@@ -0,0 +1,219 @@
+/**
+ * ==========================================
+ * ADMIN AUTH SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Decide who is allowed to use the admin API, and remember what they did
+ *
+ * TWO WAYS TO LOG IN:
+ * 1. API key  - long random secret, good for scripts and tools
+ *               ("itr_..." keys are stored hashed, never in plain text)
+ * 2. Token    - short-lived signed JWT, exchanged for an API key
+ *               (POST /api/admin/auth/token), good for browser dashboards
+ *
+ * ROLES (each one can do everything the previous one can):
+ * - viewer      → read orders
+ * - fulfillment → update orders (ship, cancel, ...)
+ * - owner       → refunds, exports, managing API keys
+ *
+ * BOOTSTRAP:
+ * - ADMIN_API_KEY from .env always works as an "owner" key named "root"
+ * - Use it to create personal keys for the rest of the team
+ */
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import jwt from "jsonwebtoken";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+export const ADMIN_ROLES = ["viewer", "fulfillment", "owner"];
+
+const apiKeys = defineCollection("adminApiKeys", {
+  key: "id",
+  indexes: [{ field: "keyHash", unique: true }],
+});
+
+// Entries older than STORAGE_RETENTION_DAYS are pruned
+const auditLog = defineCollection("adminAuditLog", {
+  key: "id",
+  retention: { field: "at" },
+});
+
+const hashKey = (value) => createHash("sha256").update(value).digest("hex");
+
+// lastUsedAt is only refreshed this often - every write rewrites the store
+const LAST_USED_PRECISION_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Does this role include the permissions of the required role?
+ * An unknown role on either side never matches
+ */
+export const hasRole = (role, requiredRole) => {
+  const required = ADMIN_ROLES.indexOf(requiredRole);
+  return required !== -1 && ADMIN_ROLES.indexOf(role) >= required;
+};
+
+// ==========================================
+// API KEYS
+// ==========================================
+
+/**
+ * Create a new API key
+ * RETURNS: the stored key info plus the plain key (shown only this once!)
+ */
+export const createApiKey = async ({ name, role, createdBy }) => {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw createHttpError(400, `Unknown role: ${role}`, "INVALID_ROLE");
+  }
+
+  const plainKey = `itr_${randomBytes(32).toString("base64url")}`;
+
+  const record = await apiKeys.insert({
+    id: randomUUID(),
+    name,
+    role,
+    keyHash: hashKey(plainKey),
+    keyPreview: `${plainKey.slice(0, 8)}…`,
+    createdBy,
+    createdAt: new Date(),
+    lastUsedAt: null,
+    revokedAt: null,
+  });
+
+  const { keyHash, ...safe } = record;
+  return { ...safe, key: plainKey };
+};
+
+/**
+ * List API keys (without their hashes)
+ */
+export const listApiKeys = async () => {
+  const records = await apiKeys.all();
+  return records.map(({ keyHash, ...safe }) => safe);
+};
+
+/**
+ * Revoke an API key - it stops working immediately
+ * Tokens issued from it stop working too (see verifyAdminToken)
+ */
+export const revokeApiKey = async (id) => {
+  const record = await apiKeys.update(id, (current) => ({
+    ...current,
+    revokedAt: current.revokedAt || new Date(),
+  }));
+  if (!record) throw createHttpError(404, "API key not found", "KEY_NOT_FOUND");
+
+  const { keyHash, ...safe } = record;
+  return safe;
+};
+
+/**
+ * Turn an API key into the admin it belongs to
+ * RETURNS: { id, name, role, via } or null if the key is unknown/revoked
+ */
+export const authenticateApiKey = async (plainKey) => {
+  const rootKey = process.env.ADMIN_API_KEY;
+  if (rootKey) {
+    const given = createHash("sha256").update(plainKey).digest();
+    const expected = createHash("sha256").update(rootKey).digest();
+    if (timingSafeEqual(given, expected)) {
+      return { id: "root", name: "root", role: "owner", via: "apiKey" };
+    }
+  }
+
+  const record = await apiKeys.findOne("keyHash", hashKey(plainKey));
+  if (!record || record.revokedAt) return null;
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > LAST_USED_PRECISION_MS) {
+    await apiKeys.update(record.id, { lastUsedAt: new Date(now) });
+  }
+
+  return { id: record.id, name: record.name, role: record.role, via: "apiKey" };
+};
+
+// ==========================================
+// SIGNED TOKENS
+// ==========================================
+
+const getTokenSecret = () => {
+  const secret = process.env.ADMIN_JWT_SECRET;
+  if (!secret) {
+    throw createHttpError(503, "Admin tokens not configured", "TOKENS_DISABLED");
+  }
+  return secret;
+};
+
+/**
+ * Issue a signed token for an authenticated admin
+ * Lifetime: ADMIN_TOKEN_TTL (default "8h")
+ */
+export const issueAdminToken = (admin) => {
+  const expiresIn = process.env.ADMIN_TOKEN_TTL || "8h";
+
+  const token = jwt.sign(
+    { name: admin.name, role: admin.role },
+    getTokenSecret(),
+    { subject: admin.id, expiresIn, issuer: "itapring-admin" }
+  );
+
+  return { token, expiresIn };
+};
+
+/**
+ * Check a token and return the admin it was issued to
+ * Throws JsonWebTokenError / TokenExpiredError for bad tokens
+ */
+export const verifyAdminToken = async (token) => {
+  const claims = jwt.verify(token, getTokenSecret(), {
+    issuer: "itapring-admin",
+  });
+
+  // The key behind the token may have been revoked since
+  if (claims.sub !== "root") {
+    const record = await apiKeys.get(claims.sub);
+    if (!record || record.revokedAt) return null;
+  }
+
+  return { id: claims.sub, name: claims.name, role: claims.role, via: "token" };
+};
+
+// ==========================================
+// AUDIT LOG
+// ==========================================
+
+/**
+ * Remember that an admin did something
+ * Called for changes and data exports, not for every read (see adminAuth.js)
+ */
+export const recordAdminAction = async ({
+  admin,
+  method,
+  path,
+  statusCode,
+  ip,
+}) => {
+  return auditLog.insert({
+    id: randomUUID(),
+    adminId: admin.id,
+    adminName: admin.name,
+    role: admin.role,
+    via: admin.via,
+    method,
+    path,
+    statusCode,
+    ip,
+    at: new Date(),
+  });
+};
+
+/**
+ * Most recent admin actions first
+ */
+export const listAdminActions = async ({ limit = 100 } = {}) => {
+  const entries = await auditLog.all();
+  return entries
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+};
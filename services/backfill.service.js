@@ -0,0 +1,323 @@
+/**
+ * ==========================================
+ * ORDER BACKFILL SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Create orders for paid Stripe Checkout sessions that never became
+ * orders (sales from before this server existed, lost webhooks, ...)
+ *
+ * HOW IT WORKS:
+ * 1. Page through checkout.sessions.list for the date range
+ *    (100 per page, newest first, through the rate-limited admin client)
+ * 2. Skip sessions that aren't paid, weren't made by our checkout,
+ *    or already have an order
+ * 3. Everything else goes through fulfillCheckoutSession() in backfill
+ *    mode: items rebuilt from item{n}_* metadata, a new order number,
+ *    the original checkout date, no email
+ *
+ * RESUMABLE:
+ * - Each run is saved in the "backfillRuns" collection with its range,
+ *   counts and the last session it finished (the pagination cursor)
+ * - If the server stops mid-run, resume it and it continues from there
+ *
+ * Only one run at a time per server.
+ */
+
+import { randomUUID } from "crypto";
+import Stripe from "stripe";
+import {
+  fulfillCheckoutSession,
+  hasItemMetadata,
+} from "./fulfillment.service.js";
+import { getOrderBySessionId } from "./order.service.js";
+import { adminLimiter, rateLimitedStripe } from "./rateLimiter.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+let adminStripe;
+const getAdminStripe = () => {
+  if (!adminStripe) {
+    adminStripe = rateLimitedStripe(
+      new Stripe(process.env.STRIPE_SECRET_KEY),
+      adminLimiter
+    );
+  }
+  return adminStripe;
+};
+
+const backfillRuns = defineCollection("backfillRuns", { key: "runId" });
+
+const PAGE_SIZE = 100;
+const MAX_RECORDED_FAILURES = 100;
+
+// true while a run is going in this process
+let busy = false;
+
+/**
+ * Why a session gets no order (null = it should get one)
+ */
+const skipReason = async (session) => {
+  if (session.payment_status !== "paid") return "unpaid";
+  if (session.metadata?.orderType !== "itapring_product") return "notOurs";
+  if (await getOrderBySessionId(session.id)) return "existing";
+  if (!hasItemMetadata(session.metadata)) return "missingMetadata";
+  return null;
+};
+
+/**
+ * Handle one session and return the counts to add
+ */
+const backfillSession = async (run, session) => {
+  const reason = await skipReason(session);
+  if (reason) {
+    return { skipped: { [reason]: 1 } };
+  }
+
+  if (run.dryRun) {
+    return { created: 1 };
+  }
+
+  const { created } = await fulfillCheckoutSession(session.id, {
+    session,
+    backfill: true,
+  });
+  return created ? { created: 1 } : { skipped: { existing: 1 } };
+};
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const addCounts = (run, counts) => {
+  const skipped = { ...run.skipped };
+  for (const [reason, n] of Object.entries(counts.skipped || {})) {
+    skipped[reason] = (skipped[reason] || 0) + n;
+  }
+
+  return {
+    ...run,
+    scanned: run.scanned + 1,
+    created: run.created + (counts.created || 0),
+    failed: run.failed + (counts.failed || 0),
+    skipped,
+  };
+};
+
+/**
+ * Page through Stripe until the range is done
+ * Saves progress after every session, so a crash loses at most one
+ */
+const executeRun = async (runId) => {
+  let run = await backfillRuns.get(runId);
+
+  try {
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await getAdminStripe().checkout.sessions.list({
+        limit: PAGE_SIZE,
+        created: {
+          ...(run.from && { gte: toUnixSeconds(run.from) }),
+          lte: toUnixSeconds(run.to),
+        },
+        ...(run.cursor && { starting_after: run.cursor }),
+      });
+
+      for (const session of page.data) {
+        let counts;
+        try {
+          counts = await backfillSession(run, session);
+        } catch (error) {
+          console.error(`❌ Backfill ${session.id} failed:`, error.message);
+          counts = { failed: 1, error: error.message };
+        }
+
+        run = await backfillRuns.update(runId, (current) => {
+          const next = addCounts(current, counts);
+          next.cursor = session.id;
+          next.updatedAt = new Date();
+          if (counts.failed && next.failures.length < MAX_RECORDED_FAILURES) {
+            next.failures = [
+              ...next.failures,
+              { sessionId: session.id, error: counts.error },
+            ];
+          }
+          return next;
+        });
+      }
+
+      hasMore = page.has_more;
+    }
+
+    run = await backfillRuns.update(runId, {
+      status: "completed",
+      completedAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    console.log(
+      `✅ Backfill ${runId} done: ${run.created} created, ${run.failed} failed, ` +
+        `${Object.values(run.skipped).reduce((a, b) => a + b, 0)} skipped`
+    );
+  } catch (error) {
+    console.error(`❌ Backfill ${runId} stopped:`, error.message);
+    run = await backfillRuns.update(runId, {
+      status: "failed",
+      error: error.message,
+      updatedAt: new Date(),
+    });
+  }
+
+  return run;
+};
+
+/**
+ * Claim the (single) backfill slot - call release() if starting fails
+ */
+const claimRunner = () => {
+  if (busy) {
+    throw createHttpError(
+      409,
+      "A backfill is already running",
+      "BACKFILL_RUNNING"
+    );
+  }
+  busy = true;
+};
+
+const release = () => {
+  busy = false;
+};
+
+/**
+ * Run in the background (or wait for it, for the CLI)
+ *
+ * executeRun() records its own failures, but saving that record can fail
+ * too - in the background such a throw is logged and recorded here
+ * instead of crashing the process as an unhandled rejection
+ */
+const launch = (runId, { wait }) => {
+  const finished = executeRun(runId).finally(release);
+  if (wait) return finished;
+
+  finished.catch(async (error) => {
+    console.error(`❌ Backfill ${runId} crashed:`, error.message);
+    try {
+      await backfillRuns.update(runId, {
+        status: "failed",
+        error: error.message,
+        updatedAt: new Date(),
+      });
+    } catch (saveError) {
+      console.error(`❌ Couldn't record backfill ${runId} failure:`, saveError.message);
+    }
+  });
+  return finished;
+};
+
+/**
+ * Start a new backfill
+ *
+ * PARAMETERS:
+ * - from: oldest checkout date to include (Date, default: no limit)
+ * - to: newest checkout date to include (default: now)
+ * - dryRun: count what would be created without creating anything
+ * - wait: true to resolve when the run is finished (CLI),
+ *   false to resolve right after it starts (API)
+ *
+ * RETURNS: the run record
+ */
+export const startBackfill = async ({
+  from,
+  to,
+  dryRun = false,
+  wait = false,
+}) => {
+  claimRunner();
+
+  const now = new Date();
+  let run;
+  try {
+    run = await backfillRuns.insert({
+      runId: randomUUID(),
+      status: "running",
+      from,
+      to: to || now,
+      dryRun,
+      cursor: null,
+      scanned: 0,
+      created: 0,
+      failed: 0,
+      skipped: {},
+      failures: [],
+      error: null,
+      startedAt: now,
+      updatedAt: now,
+      completedAt: null,
+    });
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  console.log(
+    `🔄 Backfill ${run.runId} started (${run.from} → ${run.to}${
+      dryRun ? ", dry run" : ""
+    })`
+  );
+
+  const finished = launch(run.runId, { wait });
+  return wait ? finished : run;
+};
+
+/**
+ * Continue an interrupted or failed run from its last cursor
+ */
+export const resumeBackfill = async (runId, { wait = false } = {}) => {
+  claimRunner();
+
+  let run;
+  let resumed;
+  try {
+    run = await backfillRuns.get(runId);
+    if (!run) {
+      throw createHttpError(404, "Backfill run not found", "BACKFILL_NOT_FOUND");
+    }
+    if (run.status === "completed") {
+      throw createHttpError(
+        409,
+        "Backfill run already completed",
+        "BACKFILL_COMPLETED"
+      );
+    }
+
+    // "running" here means the process died mid-run
+    resumed = await backfillRuns.update(runId, {
+      status: "running",
+      error: null,
+      resumedAt: new Date(),
+      updatedAt: new Date(),
+    });
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  console.log(`🔄 Backfill ${runId} resumed after ${run.cursor || "the start"}`);
+
+  const finished = launch(runId, { wait });
+  return wait ? finished : resumed;
+};
+
+export const getBackfillRun = async (runId) => {
+  return backfillRuns.get(runId);
+};
+
+/**
+ * Most recent runs first
+ */
+export const listBackfillRuns = async ({ limit = 20 } = {}) => {
+  const runs = await backfillRuns.all();
+  return runs
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+};
@@ -0,0 +1,221 @@
+/**
+ * Checkout Service
+ * Creates the Stripe Checkout session for a validated cart
+ *
+ * USED BY:
+ * - POST /api/stripe/create-checkout-session (stripe.controller.js)
+ * - Abandoned cart recovery links (abandonedCart.service.js)
+ * - Payment retry links (paymentFailure.service.js)
+ *
+ * IMPORTANT: only pass carts that went through validateCart()
+ * (product.service.js) - the prices here are charged as-is.
+ *
+ * PAYMENT METHODS:
+ * CHECKOUT_PAYMENT_METHODS lists the Stripe payment method types to offer,
+ * e.g. "card,klarna,afterpay_clearpay,us_bank_account" (default: "card").
+ * Each one must also be turned on in the Stripe Dashboard.
+ * Delayed methods (bank debits) finish checkout before the money clears -
+ * those orders wait in "pending_payment" (see fulfillment.service.js).
+ *
+ * STOCK:
+ * Tracked units are reserved before the session is created, and stay
+ * reserved until a few minutes after the session expires
+ * (see inventory.service.js).
+ */
+
+import Stripe from "stripe";
+import {
+  attachReservation,
+  getCheckoutExpiresAt,
+  releaseReservation,
+  reserveStock,
+} from "./inventory.service.js";
+import { parseSizeValue } from "../utils/sizes.js";
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+/**
+ * Payment method types offered at checkout
+ * "card, klarna" → ["card", "klarna"]
+ */
+const getPaymentMethodTypes = () => {
+  const types = (process.env.CHECKOUT_PAYMENT_METHODS || "card")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+
+  return types.length > 0 ? types : ["card"];
+};
+
+/**
+ * A Stripe Checkout that can still be paid, or null
+ * (expired, completed, or unknown to Stripe)
+ *
+ * Email links reuse it, so a link opened twice (or prefetched by a mail
+ * scanner) doesn't open a second checkout and reserve the stock again
+ */
+export const getOpenCheckoutSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  try {
+    const session = await getStripe().checkout.sessions.retrieve(sessionId);
+    return session.status === "open" ? session : null;
+  } catch (error) {
+    if (error.code === "resource_missing") return null;
+    throw error;
+  }
+};
+
+/**
+ * Rebuild a cart (the create-checkout-session item format)
+ * from the item{n}_* metadata written below
+ */
+export const buildCartFromMetadata = (metadata) => {
+  const count = parseInt(metadata.itemCount, 10);
+
+  return Array.from({ length: count }, (_, index) => {
+    const num = index + 1;
+
+    return {
+      id: metadata[`item${num}_id`],
+      name: metadata[`item${num}_name`] || metadata[`item${num}_id`],
+      color: metadata[`item${num}_color`] || "Standard",
+      size: parseSizeValue(metadata[`item${num}_size`]),
+      option: metadata[`item${num}_option`] || null,
+      quantity: parseInt(metadata[`item${num}_quantity`], 10),
+      price: parseFloat(metadata[`item${num}_price`]),
+    };
+  });
+};
+
+/**
+ * Create a Stripe Checkout session
+ *
+ * PARAMETERS:
+ * - validatedCart: result of validateCart()
+ * - customerEmail, successUrl, cancelUrl: from the checkout request
+ * - metadata: extra session metadata (e.g. recoveredFrom)
+ *
+ * RETURNS: the Stripe session (session.url is the payment page)
+ * THROWS: 409 OUT_OF_STOCK if someone else just reserved the last units
+ */
+export const createCheckoutSessionForCart = async (
+  validatedCart,
+  { customerEmail, successUrl, cancelUrl, metadata: extraMetadata = {} }
+) => {
+  // Charge the Stripe prices validateCart() checked - the size / option
+  // variant's own price, or the product's default - so Stripe's reports
+  // show exactly which price was sold
+  const lineItems = validatedCart.items.map((item) => ({
+    price: item.stripePriceId,
+    quantity: item.quantity,
+  }));
+
+  // Stripe shows its own product names, so list the chosen sizes / options
+  // above the Pay button ("Black Ring: Size 7.5 | Gold Bracelet: M, 18cm")
+  const choices = validatedCart.items
+    .filter((item) => item.size || item.option)
+    .map((item) => {
+      const choice = [item.size && `Size ${item.size}`, item.option].filter(Boolean);
+      return `${item.productName}: ${choice.join(", ")}`;
+    })
+    .join(" | ");
+
+  const metadata = {
+    orderType: "itapring_product",
+    itemCount: validatedCart.itemCount.toString(),
+    totalQuantity: validatedCart.items
+      .reduce((sum, item) => sum + item.quantity, 0)
+      .toString(),
+    validatedAmount: validatedCart.totalAmount.toFixed(2),
+    validatedAt: validatedCart.validatedAt,
+    itemsSummary: validatedCart.items
+      .map((item, i) => {
+        const size = item.size ? ` Size: ${item.size}` : "";
+        const option = item.option ? ` ${item.option}` : "";
+        return `[${i + 1}] ${item.productName} (${item.color})${size}${option} x${
+          item.quantity
+        }`;
+      })
+      .join(" | "),
+    ...extraMetadata,
+    ...validatedCart.items.reduce((acc, item, i) => {
+      const num = i + 1;
+      return {
+        ...acc,
+        [`item${num}_id`]: item.productId,
+        [`item${num}_name`]: item.productName,
+        [`item${num}_color`]: item.color,
+        [`item${num}_size`]: item.size?.toString() || "N/A",
+        // Only for products with options (Stripe allows 50 metadata keys)
+        ...(item.option && { [`item${num}_option`]: item.option }),
+        [`item${num}_quantity`]: item.quantity.toString(),
+        [`item${num}_price`]: item.validatedPrice.toFixed(2),
+        [`item${num}_verified_at`]: item.verifiedAt,
+      };
+    }, {}),
+  };
+
+  // Hold the units while the customer pays
+  const reservation = await reserveStock(validatedCart.items);
+  if (reservation) {
+    metadata.reservationId = reservation.reservationId;
+  }
+
+  const session = await getStripe().checkout.sessions.create({
+    payment_method_types: getPaymentMethodTypes(),
+    line_items: lineItems,
+    mode: "payment",
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    customer_email: customerEmail,
+    shipping_address_collection: {
+      allowed_countries: process.env.ALLOWED_SHIPPING_COUNTRIES?.split(
+        ","
+      ) || ["US", "CA", "GB", "AU"],
+    },
+    shipping_options: [
+      {
+        shipping_rate_data: {
+          type: "fixed_amount",
+          fixed_amount: { amount: 0, currency: "usd" },
+          display_name: "Free Shipping",
+          delivery_estimate: {
+            minimum: { unit: "business_day", value: 5 },
+            maximum: { unit: "business_day", value: 7 },
+          },
+        },
+      },
+    ],
+    metadata,
+    payment_intent_data: {
+      metadata: {
+        integration: "itapring_checkout",
+        validated_at: validatedCart.validatedAt,
+      },
+    },
+    billing_address_collection: "required",
+    allow_promotion_codes: true,
+    ...(choices && {
+      custom_text: { submit: { message: choices.slice(0, 1200) } },
+    }),
+    ...(reservation && {
+      expires_at: Math.floor(getCheckoutExpiresAt().getTime() / 1000),
+    }),
+  }).catch(async (error) => {
+    await releaseReservation(reservation?.reservationId, "checkout_failed");
+    throw error;
+  });
+
+  if (reservation) {
+    await attachReservation(reservation.reservationId, session);
+  }
+
+  return session;
+};
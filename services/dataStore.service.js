@@ -0,0 +1,218 @@
+/**
+ * Data Store Service
+ * Order writes for the webhook and sync code, plus sales analytics
+ *
+ * ONE SOURCE OF TRUTH:
+ * - Orders live only in order.service.js (the "orders" collection)
+ * - This module never keeps its own copy - it reads and writes through
+ *   order.service, so status changes still follow ORDER_TRANSITIONS
+ *
+ * ANALYTICS:
+ * - calculateAnalytics() adds up every order and saves the result
+ *   in the "analytics" collection
+ * - getAnalytics() returns the saved result while it's fresh,
+ *   and recalculates when it's older than maxAgeMs
+ * - Nothing recalculates on new orders - the numbers are worked out
+ *   when someone asks for them (at most every maxAgeMs)
+ */
+
+import {
+  getAllOrders,
+  orderExists,
+  saveOrder as createOrder,
+  updateOrder,
+  updateOrderStatus,
+} from "./order.service.js";
+import { defineCollection } from "./storage.service.js";
+
+const analytics = defineCollection("analytics", { key: "id" });
+
+const SUMMARY_ID = "summary";
+const DAILY_WINDOW_DAYS = 30;
+const TOP_PRODUCTS = 10;
+
+// Order statuses left out of revenue (partial refunds are subtracted instead)
+const NON_REVENUE_STATUSES = ["cancelled", "refunded"];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// ==========================================
+// ORDERS
+// ==========================================
+
+/**
+ * Create or update an order (keyed by orderId)
+ *
+ * - New order → order.service saveOrder()
+ * - Existing order with a different status → updateOrderStatus()
+ *   (throws 409 INVALID_TRANSITION if the change isn't allowed)
+ * - Everything else is merged into the stored order
+ *
+ * RETURNS: the stored order
+ */
+export const saveOrder = async (order) => {
+  if (!order?.orderId) {
+    throw new Error("saveOrder needs an orderId");
+  }
+
+  if (!(await orderExists(order.orderId))) {
+    return createOrder(order);
+  }
+
+  const { status, statusHistory, statusTimestamps, createdAt, ...changes } =
+    order;
+
+  if (status) {
+    await updateOrderStatus(order.orderId, status, { actor: "system" });
+  }
+
+  return updateOrder(order.orderId, changes);
+};
+
+// ==========================================
+// ANALYTICS
+// ==========================================
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Add up sales numbers from a list of orders
+ * Pure function - no storage access
+ */
+const summarizeOrders = (orders, now) => {
+  const byStatus = {};
+  const byCountry = {};
+  const products = new Map();
+  const customers = new Map();
+  const currencies = new Set();
+
+  // Last 30 days, oldest first, including days with no orders
+  const daily = new Map();
+  for (let i = DAILY_WINDOW_DAYS - 1; i >= 0; i--) {
+    const day = dayKey(now.getTime() - i * 24 * 60 * 60 * 1000);
+    daily.set(day, { date: day, orders: 0, revenue: 0 });
+  }
+
+  let gross = 0;
+  let refunded = 0;
+  let unitsSold = 0;
+
+  let paidOrders = 0;
+
+  for (const order of orders) {
+    byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+
+    // Delayed payments still clearing (or failed) aren't revenue
+    if (["unpaid", "failed"].includes(order.paymentStatus)) continue;
+
+    // Neither are cancelled or fully refunded orders
+    if (NON_REVENUE_STATUSES.includes(order.status)) continue;
+
+    const amount = order.amount || 0;
+    const orderRefunded = order.refundedAmount || 0;
+
+    paidOrders++;
+    gross += amount;
+    refunded += orderRefunded;
+    if (order.currency) currencies.add(order.currency.toUpperCase());
+
+    const country = order.shippingAddress?.country || "unknown";
+    byCountry[country] = byCountry[country] || { orders: 0, revenue: 0 };
+    byCountry[country].orders++;
+    byCountry[country].revenue += amount - orderRefunded;
+
+    const email = order.customerEmail?.toLowerCase();
+    if (email) customers.set(email, (customers.get(email) || 0) + 1);
+
+    const day = daily.get(dayKey(order.createdAt));
+    if (day) {
+      day.orders++;
+      day.revenue += amount - orderRefunded;
+    }
+
+    for (const item of order.items || []) {
+      const units = item.quantity - (item.refundedQuantity || 0);
+      const unitPrice = item.quantity ? item.price / item.quantity : 0;
+      unitsSold += units;
+
+      const product = products.get(item.productId) || {
+        productId: item.productId,
+        name: item.name,
+        units: 0,
+        revenue: 0,
+      };
+      product.units += units;
+      product.revenue += unitPrice * units;
+      products.set(item.productId, product);
+    }
+  }
+
+  return {
+    currencies: [...currencies],
+    orders: {
+      total: orders.length,
+      paid: paidOrders,
+      byStatus,
+    },
+    revenue: {
+      gross: roundCents(gross),
+      refunded: roundCents(refunded),
+      net: roundCents(gross - refunded),
+      averageOrderValue: paidOrders ? roundCents(gross / paidOrders) : 0,
+    },
+    unitsSold,
+    customers: {
+      unique: customers.size,
+      repeat: [...customers.values()].filter((count) => count > 1).length,
+    },
+    topProducts: [...products.values()]
+      .map((product) => ({ ...product, revenue: roundCents(product.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, TOP_PRODUCTS),
+    byCountry: Object.fromEntries(
+      Object.entries(byCountry).map(([country, stats]) => [
+        country,
+        { ...stats, revenue: roundCents(stats.revenue) },
+      ])
+    ),
+    daily: [...daily.values()].map((day) => ({
+      ...day,
+      revenue: roundCents(day.revenue),
+    })),
+  };
+};
+
+/**
+ * Recalculate sales analytics from every order and save the result
+ *
+ * RETURNS: the analytics summary (with calculatedAt)
+ */
+export const calculateAnalytics = async () => {
+  const now = new Date();
+  const orders = await getAllOrders();
+
+  const summary = await analytics.upsert(SUMMARY_ID, () => ({
+    id: SUMMARY_ID,
+    ...summarizeOrders(orders, now),
+    calculatedAt: now,
+  }));
+
+  console.log(
+    `📊 Analytics updated: ${summary.orders.total} orders, $${summary.revenue.net.toFixed(2)} net`
+  );
+  return summary;
+};
+
+/**
+ * Saved analytics, recalculated if missing or older than maxAgeMs
+ * (new orders, refunds and status changes don't trigger a recalculation)
+ */
+export const getAnalytics = async ({ maxAgeMs = 5 * 60 * 1000 } = {}) => {
+  const summary = await analytics.get(SUMMARY_ID);
+
+  if (summary && Date.now() - new Date(summary.calculatedAt) <= maxAgeMs) {
+    return summary;
+  }
+
+  return calculateAnalytics();
+};
@@ -0,0 +1,303 @@
+/**
+ * ==========================================
+ * DISPUTE SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * React fast when a customer disputes a payment (chargeback)
+ *
+ * HOW IT WORKS:
+ * 1. Stripe sends charge.dispute.created / updated / closed
+ * 2. The dispute is saved in the "disputes" collection and linked to
+ *    the order through its payment intent
+ * 3. The order is flagged (disputed: true, plus a dispute summary)
+ * 4. The owner gets an URGENT email with the evidence due date,
+ *    and a second one when the dispute closes (won / lost)
+ * 5. GET /api/admin/orders/:orderId/dispute-evidence gathers everything
+ *    we know about the order in Stripe's evidence format
+ *
+ * WHY IT MATTERS:
+ * Unanswered disputes are lost automatically, and Stripe only gives
+ * a few days to respond - the due date is in every alert.
+ */
+
+import Stripe from "stripe";
+import { sendDisputeAlertEmail } from "./email.service.js";
+import {
+  getOrderById,
+  getOrderByPaymentIntentId,
+  updateOrder,
+} from "./order.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+const disputes = defineCollection("disputes", {
+  key: "disputeId",
+  indexes: [{ field: "orderId" }, { field: "status" }],
+});
+
+// Stripe statuses that end a dispute
+const CLOSED_STATUSES = ["won", "lost", "warning_closed"];
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+/**
+ * Disputes carry the charge, and usually the payment intent too
+ */
+const getPaymentIntentId = async (dispute) => {
+  if (dispute.payment_intent) {
+    return typeof dispute.payment_intent === "string"
+      ? dispute.payment_intent
+      : dispute.payment_intent.id;
+  }
+
+  const chargeId =
+    typeof dispute.charge === "string" ? dispute.charge : dispute.charge?.id;
+  if (!chargeId) return null;
+
+  const charge = await getStripe().charges.retrieve(chargeId);
+  return typeof charge.payment_intent === "string"
+    ? charge.payment_intent
+    : charge.payment_intent?.id || null;
+};
+
+/**
+ * Handle charge.dispute.created / updated / closed
+ *
+ * Safe to run more than once for the same dispute - each alert
+ * (opened, closed) is sent only once.
+ *
+ * RETURNS: the stored dispute
+ */
+export const processDisputeEvent = async (dispute) => {
+  const paymentIntentId = await getPaymentIntentId(dispute);
+  const order = paymentIntentId
+    ? await getOrderByPaymentIntentId(paymentIntentId)
+    : null;
+
+  const now = new Date();
+  const closed = CLOSED_STATUSES.includes(dispute.status);
+
+  // Claim each alert inside the atomic upsert, so two deliveries
+  // arriving together can't both send it
+  let alertOpened = false;
+  let alertClosed = false;
+
+  let record = await disputes.upsert(dispute.id, (existing) => {
+    const alerts = existing?.alerts || { opened: null, closed: null };
+    alertOpened = !alerts.opened;
+    alertClosed = closed && !alerts.closed;
+
+    return {
+      disputeId: dispute.id,
+      orderId: order?.orderId || null,
+      chargeId:
+        typeof dispute.charge === "string" ? dispute.charge : dispute.charge?.id,
+      paymentIntentId,
+      amount: dispute.amount / 100,
+      currency: dispute.currency,
+      reason: dispute.reason,
+      status: dispute.status,
+      evidenceDueBy: toDate(dispute.evidence_details?.due_by),
+      evidenceSubmitted: (dispute.evidence_details?.submission_count || 0) > 0,
+      openedAt: existing?.openedAt || toDate(dispute.created) || now,
+      closedAt: closed ? existing?.closedAt || now : null,
+      alerts: {
+        opened: alertOpened ? { at: now, sent: false } : alerts.opened,
+        closed: alertClosed ? { at: now, sent: false } : alerts.closed,
+      },
+      updatedAt: now,
+    };
+  });
+
+  console.log(
+    `⚠️  Dispute ${dispute.id} (${dispute.status}, ${dispute.reason}) on ${
+      order?.orderId || `unknown payment ${paymentIntentId}`
+    }`
+  );
+
+  if (order) {
+    await updateOrder(order.orderId, (current) => ({
+      ...current,
+      disputed: true,
+      dispute: {
+        disputeId: record.disputeId,
+        status: record.status,
+        reason: record.reason,
+        amount: record.amount,
+        evidenceDueBy: record.evidenceDueBy,
+      },
+    }));
+  }
+
+  // Urgent alert the first time we see the dispute (even if "updated"
+  // came first), outcome alert when it closes
+  for (const [kind, due] of [["opened", alertOpened], ["closed", alertClosed]]) {
+    if (!due) continue;
+
+    const sent = await sendDisputeAlertEmail(record, order, {
+      closed: kind === "closed",
+    });
+    record = await disputes.update(dispute.id, (current) => ({
+      ...current,
+      alerts: { ...current.alerts, [kind]: { ...current.alerts[kind], sent } },
+    }));
+  }
+
+  return record;
+};
+
+export const getDispute = async (disputeId) => {
+  return disputes.get(disputeId);
+};
+
+/**
+ * Disputes for one order, newest first
+ */
+export const getOrderDisputes = async (orderId) => {
+  const found = await disputes.find("orderId", orderId);
+  return found.sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+};
+
+// ==========================================
+// EVIDENCE
+// ==========================================
+
+const formatAddress = (address) =>
+  address
+    ? [
+        address.name,
+        address.line1,
+        address.line2,
+        [address.city, address.state, address.postal_code].filter(Boolean).join(", "),
+        address.country,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    : null;
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+// order.notifications entries whose email type isn't just the name in snake_case
+const NOTIFICATION_EMAIL_TYPES = { confirmation: "order_confirmation" };
+
+// "paymentPending" → "payment_pending"
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+
+/**
+ * Every email we sent the customer about this order
+ */
+const listEmailsSent = (order) => {
+  const emails = [];
+
+  // One entry per order email, e.g. confirmation, paymentPending
+  for (const [name, notice] of Object.entries(order.notifications || {})) {
+    if (notice?.sent) {
+      emails.push({
+        type: NOTIFICATION_EMAIL_TYPES[name] || toSnakeCase(name),
+        at: notice.at,
+      });
+    }
+  }
+  for (const shipment of order.shipments || []) {
+    if (shipment.notified) {
+      emails.push({
+        type: "shipping_notification",
+        at: shipment.notifiedAt,
+        detail: `${shipment.carrier} ${shipment.trackingNumber}`,
+      });
+    }
+  }
+  for (const refund of order.refunds || []) {
+    if (refund.notified) {
+      emails.push({
+        type: "refund_notice",
+        at: refund.notifiedAt,
+        detail: `$${refund.amount.toFixed(2)}`,
+      });
+    }
+  }
+
+  return emails.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * Gather evidence for the order's latest dispute
+ *
+ * RETURNS:
+ * - dispute: the dispute being answered
+ * - evidence: text fields named like Stripe's dispute evidence
+ *   (stripe.disputes.update(disputeId, { evidence })) - review before submitting
+ * - shipments, emailsSent, timeline: the details behind it
+ */
+export const buildDisputeEvidence = async (orderId) => {
+  const order = await getOrderById(orderId);
+  const [dispute] = await getOrderDisputes(orderId);
+
+  if (!dispute) {
+    throw createHttpError(404, "Order has no dispute", "DISPUTE_NOT_FOUND");
+  }
+
+  const shipments = order.shipments || [];
+  const emailsSent = listEmailsSent(order);
+
+  const productDescription = order.items
+    .map((item) => {
+      const size =
+        (item.size ? `, size ${item.size}` : "") + (item.option ? `, ${item.option}` : "");
+      return `${item.quantity} x ${item.name} (${item.color}${size}) - $${item.price.toFixed(2)}`;
+    })
+    .join("\n");
+
+  const timeline = (order.statusHistory || []).map((change) => ({
+    at: change.at,
+    status: change.to,
+    note: change.note,
+  }));
+
+  const summary = [
+    `Order ${order.orderId} placed ${formatDay(order.createdAt)} by ${order.customerName} <${order.customerEmail}> for $${order.amount.toFixed(2)}.`,
+    ...shipments.map(
+      (s) =>
+        `Shipped ${formatDay(s.shippedAt)} via ${s.carrier}, tracking ${s.trackingNumber}${
+          s.trackingUrl ? ` (${s.trackingUrl})` : ""
+        }.`
+    ),
+    ...(order.refunds || []).map(
+      (r) => `Refunded $${r.amount.toFixed(2)} on ${formatDay(r.createdAt)} (${r.status}).`
+    ),
+    ...emailsSent.map(
+      (e) =>
+        `Emailed the customer (${e.type.replace(/_/g, " ")}) on ${formatDay(e.at)}${
+          e.detail ? `: ${e.detail}` : ""
+        }.`
+    ),
+  ].join("\n");
+
+  return {
+    orderId: order.orderId,
+    dispute,
+    evidence: {
+      customer_name: order.customerName,
+      customer_email_address: order.customerEmail,
+      product_description: productDescription,
+      shipping_address: formatAddress(order.shippingAddress),
+      shipping_date: formatDay(shipments[0]?.shippedAt),
+      shipping_carrier: [...new Set(shipments.map((s) => s.carrier))].join(", ") || null,
+      shipping_tracking_number: shipments.map((s) => s.trackingNumber).join(", ") || null,
+      uncategorized_text: summary,
+    },
+    shipments,
+    emailsSent,
+    timeline,
+    dashboardUrl: `https://dashboard.stripe.com/disputes/${dispute.disputeId}`,
+  };
+};
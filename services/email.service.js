@@ -22,12 +22,37 @@
  */
 
 import { createTransport } from "nodemailer";
+import {
+  generateAbandonedCartHTML,
+  getReminderCopy,
+} from "../templates/email/abandoned-cart.html.js";
 import { generateCustomerConfirmationHTML } from "../templates/email/customer-confirmation.html.js";
+import {
+  formatDueDate,
+  generateDisputeAlertHTML,
+} from "../templates/email/dispute-alert.html.js";
 import { generateOwnerNotificationHTML } from "../templates/email/owner-notification.html.js";
+import { generatePaymentFailedHTML } from "../templates/email/payment-failed.html.js";
+import { generatePaymentPendingHTML } from "../templates/email/payment-pending.html.js";
+import { generatePaymentRetryHTML } from "../templates/email/payment-retry.html.js";
 import {
+  generateAbandonedCartPlainText,
+  generateDisputeAlertPlainText,
   generateOwnerPlainText,
+  generatePaymentFailedPlainText,
+  generatePaymentPendingPlainText,
+  generatePaymentRetryPlainText,
   generatePlainTextConfirmation,
+  generateReconciliationPlainText,
+  generateRefundPlainText,
+  generateShippingPlainText,
 } from "../templates/email/plain-text.js";
+import {
+  DISCREPANCY_LABELS,
+  generateReconciliationReportHTML,
+} from "../templates/email/reconciliation-report.html.js";
+import { generateRefundNoticeHTML } from "../templates/email/refund-notice.html.js";
+import { generateShippingNotificationHTML } from "../templates/email/shipping-notification.html.js";
 
 /**
  * Check if email is configured
@@ -80,6 +105,8 @@ const createTransporter = () => {
  * IMPORTANT:
  * - If email fails, we log it but DON'T break the order
  * - Order is more important than email!
+ * 
+ * RETURNS: true if the customer email was sent, false otherwise
  */
 export const sendOrderConfirmationEmail = async (orderData) => {
   console.log("📧 Sending order confirmation emails...");
@@ -88,7 +115,7 @@ export const sendOrderConfirmationEmail = async (orderData) => {
     // Check if email is set up
     if (!isEmailConfigured()) {
       console.log("⚠️  Email service not configured");
-      return;
+      return false;
     }
 
     // Create email connection
@@ -116,9 +143,11 @@ export const sendOrderConfirmationEmail = async (orderData) => {
     // Also notify the business owner
     await sendOwnerNotification(orderData, transporter);
 
+    return true;
   } catch (error) {
     console.error("❌ Email send failed:", error.message);
     // Don't throw - email failure shouldn't break order processing
+    return false;
   }
 };
 
@@ -153,6 +182,203 @@ const sendOwnerNotification = async (orderData, transporter) => {
   }
 };
 
+/**
+ * Send one customer email
+ * Shared by all the follow-up emails (refunds, shipping, ...)
+ * 
+ * RETURNS: true if sent, false if email is off or sending failed
+ */
+const sendCustomerEmail = async ({ to, subject, html, text, label, headers }) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.log(`⚠️  Email service not configured (${label} not sent)`);
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const fromName = process.env.BUSINESS_NAME || "iTapRing";
+
+    await transporter.sendMail({
+      from: `"${fromName}" <${process.env.SMTP_USER}>`,
+      to,
+      subject,
+      html,
+      text,
+      headers,
+    });
+
+    console.log(`✅ ${label} email sent:`, to);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${label} email failed:`, error.message);
+    // Don't throw - email failure shouldn't break order processing
+    return false;
+  }
+};
+
+/**
+ * Tell the customer about a refund
+ */
+export const sendRefundNoticeEmail = async (orderData, refund) => {
+  return sendCustomerEmail({
+    to: orderData.customerEmail,
+    subject: `Refund Issued - ${orderData.orderId}`,
+    html: generateRefundNoticeHTML(orderData, refund),
+    text: generateRefundPlainText(orderData, refund),
+    label: "Refund notice",
+  });
+};
+
+/**
+ * Tell the customer a package is on its way
+ */
+export const sendShipmentNotificationEmail = async (orderData, shipment) => {
+  return sendCustomerEmail({
+    to: orderData.customerEmail,
+    subject: `Your order ${orderData.orderId} has shipped`,
+    html: generateShippingNotificationHTML(orderData, shipment),
+    text: generateShippingPlainText(orderData, shipment),
+    label: "Shipping notification",
+  });
+};
+
+/**
+ * Tell the customer we have the order but their payment hasn't cleared
+ * (delayed payment methods - the confirmation follows when it does)
+ */
+export const sendPaymentPendingEmail = async (orderData) => {
+  return sendCustomerEmail({
+    to: orderData.customerEmail,
+    subject: `Order ${orderData.orderId} received - payment pending`,
+    html: generatePaymentPendingHTML(orderData),
+    text: generatePaymentPendingPlainText(orderData),
+    label: "Payment pending",
+  });
+};
+
+/**
+ * Tell the customer their delayed payment failed and the order is cancelled
+ */
+export const sendPaymentFailedEmail = async (orderData) => {
+  return sendCustomerEmail({
+    to: orderData.customerEmail,
+    subject: `Payment failed - order ${orderData.orderId} cancelled`,
+    html: generatePaymentFailedHTML(orderData),
+    text: generatePaymentFailedPlainText(orderData),
+    label: "Payment failed",
+  });
+};
+
+/**
+ * Send a customer whose card was declined a link to try again
+ */
+export const sendPaymentRetryEmail = async (retry, { retryUrl }) => {
+  return sendCustomerEmail({
+    to: retry.email,
+    subject: `Your payment didn't go through - your ${process.env.BUSINESS_NAME || "iTapRing"} cart is saved`,
+    html: generatePaymentRetryHTML(retry, { retryUrl }),
+    text: generatePaymentRetryPlainText(retry, { retryUrl }),
+    label: "Payment retry",
+  });
+};
+
+/**
+ * Remind a customer about the cart they left at checkout
+ * Carries List-Unsubscribe headers so mail apps show an unsubscribe button
+ */
+export const sendAbandonedCartEmail = async (
+  cart,
+  { reminderNumber, recoverUrl, optOutUrl }
+) => {
+  const { heading } = getReminderCopy(reminderNumber);
+
+  return sendCustomerEmail({
+    to: cart.email,
+    subject: `${heading} - your ${process.env.BUSINESS_NAME || "iTapRing"} cart`,
+    html: generateAbandonedCartHTML(cart, { reminderNumber, recoverUrl, optOutUrl }),
+    text: generateAbandonedCartPlainText(cart, { heading, recoverUrl, optOutUrl }),
+    label: "Abandoned cart reminder",
+    headers: {
+      "List-Unsubscribe": `<${optOutUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+};
+
+/**
+ * Send one email to the business owner (OWNER_EMAIL)
+ * Shared by the owner alerts and reports
+ * 
+ * RETURNS: true if sent, false if email is off or sending failed
+ */
+const sendOwnerEmail = async ({ subject, html, text, label }) => {
+  try {
+    if (!isEmailConfigured()) {
+      console.log(`⚠️  Email service not configured (${label} not sent)`);
+      return false;
+    }
+
+    const transporter = createTransporter();
+    const fromName = process.env.BUSINESS_NAME || "iTapRing";
+
+    await transporter.sendMail({
+      from: `"${fromName} Orders" <${process.env.SMTP_USER}>`,
+      to: process.env.OWNER_EMAIL,
+      subject,
+      html,
+      text,
+    });
+
+    console.log(`✅ ${label} email sent:`, process.env.OWNER_EMAIL);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${label} email failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Send the reconciliation report to the owner
+ */
+export const sendReconciliationReportEmail = async (report) => {
+  const needsReview = report.summary.needsReview;
+
+  return sendOwnerEmail({
+    subject:
+      report.status === "failed"
+        ? "Reconciliation failed - check the server"
+        : `Reconciliation: ${report.discrepancies.length} discrepancies${
+            needsReview ? `, ${needsReview} need review` : ""
+          }`,
+    html: generateReconciliationReportHTML(report),
+    text: generateReconciliationPlainText(report, DISCREPANCY_LABELS),
+    label: "Reconciliation report",
+  });
+};
+
+/**
+ * Alert the owner about a disputed payment (or its outcome)
+ */
+export const sendDisputeAlertEmail = async (dispute, order, { closed = false } = {}) => {
+  const target = order ? order.orderId : `payment ${dispute.paymentIntentId}`;
+
+  return sendOwnerEmail({
+    subject: closed
+      ? `Dispute ${dispute.status} - ${target}`
+      : `URGENT: Dispute on ${target}${
+          dispute.evidenceDueBy
+            ? ` - respond by ${formatDueDate(dispute.evidenceDueBy)}`
+            : ""
+        }`,
+    html: generateDisputeAlertHTML(dispute, order, { closed }),
+    text: generateDisputeAlertPlainText(dispute, order, {
+      closed,
+      dueDate: formatDueDate(dispute.evidenceDueBy),
+    }),
+    label: closed ? "Dispute outcome" : "Dispute alert",
+  });
+};
+
 /**
  * Test email configuration
  * Useful for debugging if emails aren't working
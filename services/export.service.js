@@ -0,0 +1,129 @@
+/**
+ * ==========================================
+ * ORDER EXPORT SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Turn orders into spreadsheet-friendly rows for bookkeeping and packing
+ *
+ * ONE ROW PER LINE ITEM:
+ * - An order with 2 rings and a bracelet becomes 2 rows (one per line)
+ * - Order-level values (total, refunded, address, tracking) repeat on
+ *   every row, so each row makes sense on its own in a spreadsheet
+ *
+ * FORMATS:
+ * - csv: header row + one row per line item
+ * - ndjson: one JSON object per line item, same fields as the CSV
+ *
+ * Orders are read one at a time from iterateOrders(), oldest first,
+ * and turned into text as they come, so a big export never copies the
+ * whole collection or builds the whole file in memory.
+ */
+
+import { iterateOrders } from "./order.service.js";
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+/**
+ * Export columns, in CSV order
+ * [column name, value for (order, item, lineNumber)]
+ */
+const EXPORT_COLUMNS = [
+  ["orderId", (order) => order.orderId],
+  ["createdAt", (order) => order.createdAt],
+  ["status", (order) => order.status],
+  ["paymentStatus", (order) => order.paymentStatus],
+  ["customerName", (order) => order.customerName],
+  ["customerEmail", (order) => order.customerEmail],
+  ["shipName", (order) => order.shippingAddress?.name],
+  ["shipLine1", (order) => order.shippingAddress?.line1],
+  ["shipLine2", (order) => order.shippingAddress?.line2],
+  ["shipCity", (order) => order.shippingAddress?.city],
+  ["shipState", (order) => order.shippingAddress?.state],
+  ["shipPostalCode", (order) => order.shippingAddress?.postal_code],
+  ["shipCountry", (order) => order.shippingAddress?.country],
+  ["line", (order, item, line) => line],
+  ["productId", (order, item) => item.productId],
+  ["productName", (order, item) => item.name],
+  ["color", (order, item) => item.color],
+  ["size", (order, item) => item.size],
+  ["option", (order, item) => item.option],
+  ["quantity", (order, item) => item.quantity],
+  ["unitPrice", (order, item) => roundCents(item.price / item.quantity)],
+  ["lineTotal", (order, item) => item.price],
+  ["shippedQuantity", (order, item) => item.shippedQuantity || 0],
+  ["refundedQuantity", (order, item) => item.refundedQuantity || 0],
+  ["orderTotal", (order) => order.amount],
+  ["refundedAmount", (order) => order.refundedAmount || 0],
+  ["currency", (order) => order.currency?.toUpperCase()],
+  [
+    "trackingNumbers",
+    (order) =>
+      (order.shipments || [])
+        .map((s) => `${s.carrier} ${s.trackingNumber}`)
+        .join("; "),
+  ],
+];
+
+export const EXPORT_COLUMN_NAMES = EXPORT_COLUMNS.map(([name]) => name);
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Flatten one order into one plain object per line item
+ */
+export const orderToExportRows = (order) =>
+  (order.items || []).map((item, index) =>
+    Object.fromEntries(
+      EXPORT_COLUMNS.map(([name, getValue]) => [
+        name,
+        getValue(order, item, index + 1) ?? null,
+      ])
+    )
+  );
+
+/**
+ * Escape one CSV cell
+ *
+ * - Cells with commas, quotes or line breaks are quoted
+ * - Text starting with = + - @ gets a leading ' so spreadsheet apps
+ *   don't run it as a formula (numbers are left alone)
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value !== "string") return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(toCsvCell).join(",") + "\r\n";
+
+/**
+ * Export orders as text chunks (CSV or NDJSON)
+ *
+ * PARAMETERS:
+ * - format: "csv" or "ndjson"
+ * - filters: same as queryOrders (statuses, from, to, email, productId, country)
+ *
+ * USAGE:
+ * Readable.from(exportOrders("csv", { from, to })).pipe(res)
+ */
+export async function* exportOrders(format, filters = {}) {
+  if (format === "csv") {
+    yield toCsvLine(EXPORT_COLUMN_NAMES);
+  }
+
+  for await (const order of iterateOrders(filters)) {
+    const rows = orderToExportRows(order);
+    if (rows.length === 0) continue;
+
+    yield rows
+      .map((row) =>
+        format === "csv"
+          ? toCsvLine(EXPORT_COLUMN_NAMES.map((name) => row[name]))
+          : JSON.stringify(row) + "\n"
+      )
+      .join("");
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * ==========================================
+ * FULFILLMENT SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Turn a paid Stripe Checkout session into exactly ONE order
+ * and exactly ONE confirmation email
+ *
+ * WHY ONE PIPELINE:
+ * - Stripe's webhook (checkout.session.completed) and the customer's
+ *   redirect to the success page (verify-session) usually arrive together
+ * - Both used to build their own order, so we got two orders + two emails
+ * - Now both call fulfillCheckoutSession() and share the same result
+ *
+ * HOW DUPLICATES ARE PREVENTED:
+ * 1. Per-session lock: a second caller for the same session waits for
+ *    the first one and gets the same order back
+ * 2. Unique index on stripeSessionId in storage: even if the lock is
+ *    bypassed, a second order for the session can't be saved
+ * 3. The confirmation email is recorded on the order, so it's sent once
+ *
+ * DELAYED PAYMENT METHODS (bank debits, ...):
+ * - Checkout completes before the money clears (payment_status "unpaid")
+ * - The order is saved as "pending_payment" and the customer gets a
+ *   "we're waiting for your payment" email instead of the confirmation
+ * - checkout.session.async_payment_succeeded → confirmAsyncPayment():
+ *   order becomes "paid", confirmation email goes out
+ * - checkout.session.async_payment_failed → failAsyncPayment():
+ *   order is cancelled, customer is told the payment didn't go through
+ *
+ * BACKFILL MODE ({ backfill: true }, used by backfill.service.js):
+ * - Items are rebuilt from our item{n}_* session metadata when the
+ *   session has no expanded line_items (saves one Stripe call per order)
+ * - The order keeps the checkout date instead of "now"
+ * - No confirmation email (the customer bought it long ago)
+ */
+
+import Stripe from "stripe";
+import {
+  sendOrderConfirmationEmail,
+  sendPaymentFailedEmail,
+  sendPaymentPendingEmail,
+} from "./email.service.js";
+import {
+  getOrderBySessionId,
+  saveOrder,
+  updateOrder,
+  updateOrderStatus,
+} from "./order.service.js";
+import { generateOrderId } from "../utils/helpers.js";
+import { parseSizeValue } from "../utils/sizes.js";
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+// Session ID → Promise of the fulfillment currently running for it
+const inFlight = new Map();
+
+/**
+ * Build our order object from a Stripe session
+ * The session must have line_items expanded, or complete item{n}_* metadata
+ */
+export const buildOrderFromSession = (session, orderId) => ({
+  orderId,
+  stripeSessionId: session.id,
+  stripePaymentIntentId:
+    typeof session.payment_intent === "string"
+      ? session.payment_intent
+      : session.payment_intent?.id || null,
+  customerEmail: session.customer_details.email,
+  customerName: session.customer_details.name,
+  amount: session.amount_total / 100,
+  currency: session.currency,
+  paymentStatus: session.payment_status,
+  shippingAddress: session.shipping_details?.address
+    ? {
+        name: session.shipping_details.name,
+        line1: session.shipping_details.address.line1,
+        line2: session.shipping_details.address.line2 || null,
+        city: session.shipping_details.address.city,
+        state: session.shipping_details.address.state,
+        postal_code: session.shipping_details.address.postal_code,
+        country: session.shipping_details.address.country,
+      }
+    : null,
+  items: session.line_items
+    ? buildItemsFromLineItems(session)
+    : buildItemsFromMetadata(session.metadata),
+  metadata: session.metadata,
+  createdAt: new Date(session.created * 1000),
+});
+
+const buildItemsFromLineItems = (session) =>
+  session.line_items.data.map((item, index) => {
+    const itemNum = index + 1;
+    const productId = session.metadata?.[`item${itemNum}_id`] || "unknown";
+    const productName =
+      session.metadata?.[`item${itemNum}_name`] || item.description;
+    const color = session.metadata?.[`item${itemNum}_color`] || "Unknown";
+    const size = parseSizeValue(session.metadata?.[`item${itemNum}_size`]);
+    const option = session.metadata?.[`item${itemNum}_option`] || null;
+
+    return {
+      productId,
+      name: productName,
+      color,
+      size,
+      option,
+      quantity: item.quantity,
+      price: item.amount_total / 100,
+    };
+  });
+
+/**
+ * Does the session metadata describe every item?
+ * (item1_id, item1_quantity, item1_price, ... up to itemCount)
+ */
+export const hasItemMetadata = (metadata) => {
+  const count = parseInt(metadata?.itemCount, 10);
+  if (!count) return false;
+
+  for (let num = 1; num <= count; num++) {
+    for (const field of ["id", "quantity", "price"]) {
+      if (!metadata[`item${num}_${field}`]) return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Rebuild items from item{n}_* metadata (written at checkout)
+ * item{n}_price is the unit price, order items store the line total
+ */
+const buildItemsFromMetadata = (metadata) => {
+  const count = parseInt(metadata.itemCount, 10);
+
+  return Array.from({ length: count }, (_, index) => {
+    const itemNum = index + 1;
+    const quantity = parseInt(metadata[`item${itemNum}_quantity`], 10);
+    const unitPrice = parseFloat(metadata[`item${itemNum}_price`]);
+
+    return {
+      productId: metadata[`item${itemNum}_id`],
+      name: metadata[`item${itemNum}_name`] || metadata[`item${itemNum}_id`],
+      color: metadata[`item${itemNum}_color`] || "Unknown",
+      size: parseSizeValue(metadata[`item${itemNum}_size`]),
+      option: metadata[`item${itemNum}_option`] || null,
+      quantity,
+      price: Math.round(unitPrice * quantity * 100) / 100,
+    };
+  });
+};
+
+/**
+ * Send the confirmation email once and record that we did
+ * (orders still waiting for their payment get the "pending" email instead)
+ */
+const sendConfirmationOnce = async (order, { notify = true } = {}) => {
+  if (order.status === "pending_payment") {
+    return sendNoticeOnce(order, "paymentPending", sendPaymentPendingEmail);
+  }
+
+  if (order.notifications?.confirmation) {
+    return order;
+  }
+
+  // Imported from Stripe after the fact - the customer heard from us back then
+  const sent = notify ? await sendOrderConfirmationEmail(order) : false;
+
+  return updateOrder(order.orderId, (current) => ({
+    ...current,
+    notifications: {
+      ...current.notifications,
+      confirmation: { sent, at: new Date(), ...(!notify && { skipped: true }) },
+    },
+  }));
+};
+
+/**
+ * Send one of the payment emails once and record it under notifications[name]
+ */
+const sendNoticeOnce = async (order, name, send) => {
+  if (order.notifications?.[name]) {
+    return order;
+  }
+
+  const sent = await send(order);
+
+  return updateOrder(order.orderId, (current) => ({
+    ...current,
+    notifications: {
+      ...current.notifications,
+      [name]: { sent, at: new Date() },
+    },
+  }));
+};
+
+// Checkout finished, but a delayed payment method hasn't cleared yet
+const isAwaitingPayment = (session) =>
+  session.status === "complete" && session.payment_status === "unpaid";
+
+const runFulfillment = async (sessionId, providedSession, backfill) => {
+  const notify = !backfill;
+
+  const existingOrder = await getOrderBySessionId(sessionId);
+  if (existingOrder) {
+    console.log("Order already fulfilled:", existingOrder.orderId);
+    // A crash between saving and emailing leaves the email unsent
+    return {
+      order: await sendConfirmationOnce(existingOrder, { notify }),
+      created: false,
+    };
+  }
+
+  const usable =
+    providedSession?.line_items ||
+    (backfill && hasItemMetadata(providedSession?.metadata));
+
+  const session = usable
+    ? providedSession
+    : await getStripe().checkout.sessions.retrieve(sessionId, {
+        expand: ["line_items", "payment_intent", "shipping_cost"],
+      });
+
+  const awaitingPayment = !backfill && isAwaitingPayment(session);
+
+  if (session.payment_status !== "paid" && !awaitingPayment) {
+    console.log(
+      `⏳ Session ${sessionId} not paid yet (${session.payment_status})`
+    );
+    return { order: null, created: false };
+  }
+
+  const orderId = await generateOrderId();
+
+  let order;
+  try {
+    order = await saveOrder(
+      {
+        ...buildOrderFromSession(session, orderId),
+        ...(awaitingPayment && { status: "pending_payment" }),
+      },
+      backfill
+        ? { placedAt: new Date(session.created * 1000), actor: "backfill" }
+        : undefined
+    );
+  } catch (error) {
+    // Another server instance won the race for this session
+    if (error.code === "DUPLICATE_KEY") {
+      const winner = await getOrderBySessionId(sessionId);
+      if (winner) return { order: winner, created: false };
+    }
+    throw error;
+  }
+
+  order = await sendConfirmationOnce(order, { notify });
+  console.log("Order fulfilled:", orderId);
+
+  return { order, created: true };
+};
+
+/**
+ * Fulfill a Checkout session (safe to call any number of times)
+ *
+ * PARAMETERS:
+ * - sessionId: Stripe Checkout session ID (cs_...)
+ * - options.session: the session if the caller already retrieved it
+ *   (used as-is when line_items are expanded)
+ * - options.backfill: true when importing old sessions (see BACKFILL MODE)
+ *
+ * RETURNS: { order, created }
+ * - order: the one order for this session (null if not paid yet,
+ *   "pending_payment" while a delayed payment method clears)
+ * - created: true only for the call that actually created it
+ */
+export const fulfillCheckoutSession = (
+  sessionId,
+  { session, backfill = false } = {}
+) => {
+  if (inFlight.has(sessionId)) {
+    return inFlight.get(sessionId);
+  }
+
+  const run = runFulfillment(sessionId, session, backfill).finally(() => {
+    inFlight.delete(sessionId);
+  });
+  inFlight.set(sessionId, run);
+
+  return run;
+};
+
+/**
+ * A delayed payment cleared (checkout.session.async_payment_succeeded)
+ *
+ * RETURNS: the paid order
+ */
+export const confirmAsyncPayment = async (session) => {
+  // Creates the order if the completed event never arrived
+  let { order } = await fulfillCheckoutSession(session.id);
+  if (!order) return null;
+
+  if (order.status === "pending_payment") {
+    await updateOrderStatus(order.orderId, "paid", {
+      actor: "webhook",
+      note: "Delayed payment cleared",
+    });
+    order = await updateOrder(order.orderId, { paymentStatus: "paid" });
+    order = await sendConfirmationOnce(order);
+    console.log(`✅ Payment cleared for ${order.orderId}`);
+  }
+
+  return order;
+};
+
+/**
+ * A delayed payment failed (checkout.session.async_payment_failed)
+ * The order is cancelled and the customer is told once
+ *
+ * RETURNS: the cancelled order (null if there was none)
+ */
+export const failAsyncPayment = async (session) => {
+  let order = await getOrderBySessionId(session.id);
+  if (!order) {
+    console.log(`ℹ️  Payment failed for ${session.id}, which has no order`);
+    return null;
+  }
+
+  if (order.status === "pending_payment") {
+    await updateOrderStatus(order.orderId, "cancelled", {
+      actor: "webhook",
+      note: "Delayed payment failed",
+    });
+    order = await updateOrder(order.orderId, { paymentStatus: "failed" });
+    console.log(`❌ Payment failed for ${order.orderId} - order cancelled`);
+  }
+
+  if (order.paymentStatus === "failed") {
+    order = await sendNoticeOnce(order, "paymentFailed", sendPaymentFailedEmail);
+  }
+
+  return order;
+};
@@ -0,0 +1,543 @@
+/**
+ * ==========================================
+ * INVENTORY SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Stop selling sizes we don't have
+ *
+ * HOW IT WORKS:
+ * 1. Stock is counted per SKU - product + size (+ option) - in the
+ *    "inventory" collection. Products without a stock record aren't
+ *    tracked and can always be bought.
+ * 2. validateCart() rejects lines we can't fill (code OUT_OF_STOCK)
+ * 3. Opening a Stripe Checkout reserves the units until the checkout
+ *    expires (see RESERVATIONS), so two customers can't buy the last one
+ * 4. When the order is created the units are sold: onHand goes down
+ *    and the reservation ends
+ * 5. Units come back into stock when they're back on the shelf: the
+ *    unshipped units of cancelled orders and refunded lines, and every
+ *    unit of a returned order. Refunded units that were shipped stay
+ *    sold - a refund alone doesn't mean the customer sent them back.
+ *
+ * Available = onHand - reserved
+ *
+ * CONFIGURATION (.env, all optional):
+ * - INVENTORY_RESERVATION_MINUTES: how long a checkout holds its units,
+ *   30-1440 (default 30 - Stripe's shortest checkout lifetime). The
+ *   session gets 2 minutes on top, so Stripe never sees less than 30.
+ * - INVENTORY_SWEEP_MS: how often expired reservations are released
+ *   (default 60000)
+ */
+
+import { randomUUID } from "crypto";
+import { onOrderStatusChange, updateOrder } from "./order.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+import { compareSizes } from "../utils/sizes.js";
+
+const stock = defineCollection("inventory", {
+  key: "sku",
+  indexes: [{ field: "productId" }],
+});
+
+const reservations = defineCollection("inventoryReservations", {
+  key: "reservationId",
+  indexes: [{ field: "status" }],
+});
+
+// Stripe webhooks can arrive a little after the checkout expires
+const RESERVATION_GRACE_MS = 5 * 60 * 1000;
+
+// Stripe rejects an expires_at under 30 minutes after it creates the
+// session - its clock and the request time count against that
+const CHECKOUT_EXPIRY_MARGIN_MS = 2 * 60 * 1000;
+
+const getReservationMinutes = () =>
+  Math.min(Math.max(Number(process.env.INVENTORY_RESERVATION_MINUTES) || 30, 30), 1440);
+
+const getSweepMs = () => Number(process.env.INVENTORY_SWEEP_MS) || 60 * 1000;
+
+/**
+ * The stock key for a product choice
+ * "ring-black:8", "ring-black:7.5", "bracelet-gold:M:18cm", "bracelet-cf-marble:-"
+ */
+export const skuOf = (productId, size = null, option = null) =>
+  [productId, size ?? "-", ...(option ? [option] : [])].join(":");
+
+const toStockView = (record) => ({
+  ...record,
+  available: Math.max(record.onHand - record.reserved, 0),
+});
+
+// "ring-black size 8", "bracelet-gold 18cm"
+const describeLine = ({ productId, size, option }) =>
+  [productId, size !== null && size !== undefined && `size ${size}`, option]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Add up a cart's quantities per tracked SKU
+ * Untracked products are left out
+ *
+ * RETURNS: [{ sku, productId, size, option, quantity }]
+ */
+const trackedLines = async (items) => {
+  const lines = new Map();
+
+  for (const item of items) {
+    const sku = skuOf(item.productId, item.size, item.option);
+    if (!(await stock.get(sku))) continue;
+
+    const line = lines.get(sku) || {
+      sku,
+      productId: item.productId,
+      size: item.size ?? null,
+      option: item.option || null,
+      quantity: 0,
+    };
+    line.quantity += item.quantity;
+    lines.set(sku, line);
+  }
+
+  return [...lines.values()];
+};
+
+const toShortage = ({ quantity, ...line }, available) => ({
+  ...line,
+  requested: quantity,
+  available,
+});
+
+const outOfStockError = (shortages) => {
+  const error = createHttpError(
+    409,
+    `Out of stock: ${shortages
+      .map((line) => `${describeLine(line)} (${line.available} left)`)
+      .join(", ")}`,
+    "OUT_OF_STOCK"
+  );
+  error.items = shortages;
+  return error;
+};
+
+// ==========================================
+// STOCK LEVELS
+// ==========================================
+
+/**
+ * Check a cart against the available stock
+ * Called by validateCart() (product.service.js)
+ *
+ * PARAMETERS:
+ * - items: [{ productId, size, option, quantity }]
+ *
+ * THROWS: 409 OUT_OF_STOCK, with error.items listing every short line
+ */
+export const checkStock = async (items) => {
+  const shortages = [];
+
+  for (const line of await trackedLines(items)) {
+    const { available } = toStockView(await stock.get(line.sku));
+    if (available < line.quantity) {
+      shortages.push(toShortage(line, available));
+    }
+  }
+
+  if (shortages.length > 0) throw outOfStockError(shortages);
+};
+
+/**
+ * Available stock per product, for GET /api/products
+ *
+ * RETURNS: Map(productId → [{ size, option, available }])
+ * Products that aren't tracked have no entry.
+ */
+export const getStockLevels = async () => {
+  const levels = new Map();
+
+  for (const record of await stock.all()) {
+    const entries = levels.get(record.productId) || [];
+    entries.push({
+      size: record.size,
+      option: record.option,
+      available: toStockView(record).available,
+    });
+    levels.set(record.productId, entries);
+  }
+
+  for (const entries of levels.values()) {
+    entries.sort(
+      (a, b) => compareSizes(a.size, b.size) || (a.option || "").localeCompare(b.option || "")
+    );
+  }
+  return levels;
+};
+
+/**
+ * Every stock record, by SKU
+ * Filter (optional): productId
+ */
+export const listStock = async ({ productId } = {}) => {
+  const records = productId ? await stock.find("productId", productId) : await stock.all();
+  return records.map(toStockView).sort((a, b) => a.sku.localeCompare(b.sku));
+};
+
+/**
+ * Set or adjust the stock of one SKU (starts tracking it if needed)
+ *
+ * PARAMETERS:
+ * - productId, size, option: which SKU
+ * - onHand: the counted number of units, or
+ * - adjustBy: units to add (negative to remove)
+ *
+ * RETURNS: the stock record, with available
+ */
+export const setStock = async ({ productId, size = null, option = null, onHand, adjustBy }) => {
+  const sku = skuOf(productId, size, option);
+
+  const record = await stock.upsert(sku, (current) => {
+    const base = current || {
+      sku,
+      productId,
+      size,
+      option,
+      onHand: 0,
+      reserved: 0,
+      createdAt: new Date(),
+    };
+    const next = onHand !== undefined ? onHand : base.onHand + adjustBy;
+
+    if (next < 0) {
+      throw createHttpError(409, `Stock for ${sku} can't go below 0`, "INVALID_STOCK");
+    }
+    return { ...base, onHand: next, updatedAt: new Date() };
+  });
+
+  console.log(`📦 Stock ${sku}: ${record.onHand} on hand, ${record.reserved} reserved`);
+  return toStockView(record);
+};
+
+/**
+ * Stop tracking a SKU (it can then always be bought)
+ */
+export const removeStock = async (sku) => {
+  if (!(await stock.remove(sku))) {
+    throw createHttpError(404, "Stock record not found", "STOCK_NOT_FOUND");
+  }
+  console.log(`📦 Stock ${sku}: no longer tracked`);
+};
+
+/**
+ * Change onHand / reserved of several SKUs
+ * SKUs that stopped being tracked are skipped
+ */
+const applyStockChanges = async (lines, { onHand = 0, reserved = 0 }) => {
+  for (const line of lines) {
+    const record = await stock.update(line.sku, (current) => ({
+      ...current,
+      onHand: current.onHand + onHand * line.quantity,
+      reserved: Math.max(current.reserved + reserved * line.quantity, 0),
+      updatedAt: new Date(),
+    }));
+
+    if (record && record.onHand < 0) {
+      console.warn(`⚠️  Stock ${line.sku} is oversold (${record.onHand} on hand)`);
+    }
+  }
+};
+
+// ==========================================
+// RESERVATIONS
+// ==========================================
+
+/**
+ * When a Stripe Checkout created right now should expire
+ * INVENTORY_RESERVATION_MINUTES from now, plus a margin so Stripe
+ * never sees less than its 30 minute minimum
+ */
+export const getCheckoutExpiresAt = () =>
+  new Date(Date.now() + getReservationMinutes() * 60 * 1000 + CHECKOUT_EXPIRY_MARGIN_MS);
+
+const toReservationExpiry = (checkoutExpiresAt) =>
+  new Date(new Date(checkoutExpiresAt).getTime() + RESERVATION_GRACE_MS);
+
+/**
+ * Hold a validated cart's units while the customer pays
+ * Called just before the Stripe Checkout is created (checkout.service.js)
+ *
+ * RETURNS: the reservation, or null when nothing in the cart is tracked.
+ * Its expiry is provisional until attachReservation() sets it from the
+ * session that was actually created.
+ *
+ * THROWS: 409 OUT_OF_STOCK if someone else got the last units first
+ */
+export const reserveStock = async (items) => {
+  const lines = await trackedLines(items);
+  if (lines.length === 0) return null;
+
+  // Each SKU is checked and held in one atomic update.
+  // If a later one falls short, the earlier ones are given back.
+  const held = [];
+  try {
+    for (const line of lines) {
+      await stock.update(line.sku, (current) => {
+        const { available } = toStockView(current);
+        if (available < line.quantity) {
+          throw outOfStockError([toShortage(line, available)]);
+        }
+        return {
+          ...current,
+          reserved: current.reserved + line.quantity,
+          updatedAt: new Date(),
+        };
+      });
+      held.push(line);
+    }
+  } catch (error) {
+    await applyStockChanges(held, { reserved: -1 });
+    throw error;
+  }
+
+  const now = new Date();
+  const checkoutExpiresAt = getCheckoutExpiresAt();
+
+  return reservations.insert({
+    reservationId: randomUUID(),
+    sessionId: null,
+    lines,
+    status: "held",
+    checkoutExpiresAt,
+    expiresAt: toReservationExpiry(checkoutExpiresAt),
+    createdAt: now,
+    endedAt: null,
+    endReason: null,
+  });
+};
+
+/**
+ * Remember which Stripe Checkout a reservation belongs to, and hold the
+ * units until that session's expires_at (plus the webhook grace)
+ */
+export const attachReservation = async (reservationId, session) => {
+  const checkoutExpiresAt = new Date(session.expires_at * 1000);
+
+  return reservations.update(reservationId, {
+    sessionId: session.id,
+    checkoutExpiresAt,
+    expiresAt: toReservationExpiry(checkoutExpiresAt),
+  });
+};
+
+/**
+ * End a held reservation (claimed atomically, so it ends only once)
+ *
+ * RETURNS: the reservation if this call ended it, otherwise null
+ */
+const endReservation = async (reservationId, status, reason) => {
+  let claimed = false;
+
+  const reservation = await reservations.update(reservationId, (current) => {
+    if (current.status !== "held") return current;
+
+    claimed = true;
+    return { ...current, status, endedAt: new Date(), endReason: reason };
+  });
+
+  return claimed ? reservation : null;
+};
+
+/**
+ * Give a reservation's units back (checkout expired, or failed to open)
+ */
+export const releaseReservation = async (reservationId, reason = "released") => {
+  if (!reservationId) return null;
+
+  const reservation = await endReservation(reservationId, "released", reason);
+  if (!reservation) return null;
+
+  await applyStockChanges(reservation.lines, { reserved: -1 });
+  console.log(`📦 Reservation ${reservationId} released (${reason})`);
+  return reservation;
+};
+
+/**
+ * Release every held reservation past its expiry
+ * (the checkout.session.expired webhook usually gets there first)
+ */
+const releaseExpiredReservations = async () => {
+  const now = Date.now();
+  const expired = (await reservations.find("status", "held")).filter(
+    (reservation) => new Date(reservation.expiresAt).getTime() <= now
+  );
+
+  for (const reservation of expired) {
+    await releaseReservation(reservation.reservationId, "expired");
+  }
+};
+
+// ==========================================
+// ORDERS
+// ==========================================
+
+/**
+ * Take a new order's units out of stock (once per order)
+ * Its checkout's reservation, if still held, ends here
+ */
+const commitOrderStock = async (order) => {
+  const items = order.items.map((item) => ({ ...item, option: item.option || null }));
+  const lines = await trackedLines(items);
+
+  let claimed = false;
+  await updateOrder(order.orderId, (current) => {
+    if (current.inventory) return current;
+
+    claimed = true;
+    return {
+      ...current,
+      inventory: { lines, committedAt: new Date(), restocked: {} },
+    };
+  });
+  if (!claimed) return;
+
+  const reservationId = order.metadata?.reservationId;
+  const reservation = reservationId
+    ? await endReservation(reservationId, "committed", `order ${order.orderId}`)
+    : null;
+
+  await applyStockChanges(lines, { onHand: -1 });
+  if (reservation) {
+    await applyStockChanges(reservation.lines, { reserved: -1 });
+  }
+
+  if (lines.length > 0) {
+    console.log(`📦 Order ${order.orderId}: ${lines.length} SKU(s) taken out of stock`);
+  }
+};
+
+/**
+ * Units of an order item that have left the warehouse
+ * Orders marked shipped by hand have no shipments - all of it left
+ */
+const shippedUnits = (order, item) =>
+  order.statusTimestamps?.shipped ? item.quantity : item.shippedQuantity || 0;
+
+/**
+ * Put units that are back on the shelf into stock
+ *
+ * - Returned orders: every unit
+ * - Cancelled orders: every unit that wasn't shipped
+ * - Refunds: the refunded units that weren't shipped. Shipped ones only
+ *   come back with a return.
+ *
+ * Safe to call any number of times - only the difference to what was
+ * already put back is applied.
+ *
+ * RETURNS: the order
+ */
+export const restockOrder = async (order) => {
+  if (!order.inventory?.lines?.length) return order;
+
+  let changes = [];
+
+  const updated = await updateOrder(order.orderId, (current) => {
+    const restocked = { ...current.inventory.restocked };
+    changes = [];
+
+    // Units per SKU that should be back in stock by now
+    const due = new Map();
+    for (const item of current.items) {
+      const sku = skuOf(item.productId, item.size, item.option || null);
+      const unshipped = item.quantity - shippedUnits(current, item);
+      const units =
+        current.status === "returned"
+          ? item.quantity
+          : current.status === "cancelled"
+          ? unshipped
+          : Math.min(item.refundedQuantity || 0, unshipped);
+      due.set(sku, (due.get(sku) || 0) + units);
+    }
+
+    for (const line of current.inventory.lines) {
+      const quantity = Math.min(due.get(line.sku) || 0, line.quantity) - (restocked[line.sku] || 0);
+      if (quantity <= 0) continue;
+
+      changes.push({ sku: line.sku, quantity });
+      restocked[line.sku] = (restocked[line.sku] || 0) + quantity;
+    }
+
+    return changes.length > 0
+      ? { ...current, inventory: { ...current.inventory, restocked } }
+      : current;
+  });
+
+  if (changes.length > 0) {
+    await applyStockChanges(changes, { onHand: 1 });
+    console.log(
+      `📦 Order ${order.orderId}: ${changes
+        .map((change) => `${change.quantity} x ${change.sku}`)
+        .join(", ")} back in stock`
+    );
+  }
+  return updated;
+};
+
+// ==========================================
+// WORKER
+// ==========================================
+
+const worker = {
+  timer: null,
+  running: null,
+  unsubscribe: null,
+};
+
+const tick = () => {
+  if (worker.running) return worker.running;
+
+  worker.running = releaseExpiredReservations()
+    .catch((error) => {
+      console.error("❌ Inventory worker error:", error.message);
+    })
+    .finally(() => {
+      worker.running = null;
+    });
+
+  return worker.running;
+};
+
+/**
+ * Follow orders (sold, cancelled, returned, refunded) and release expired
+ * reservations every INVENTORY_SWEEP_MS
+ */
+export const startInventoryWorker = () => {
+  if (worker.timer) return;
+
+  worker.unsubscribe = onOrderStatusChange(async ({ order, from, to, change }) => {
+    if (from === null) {
+      // Imported orders were shipped long ago
+      if (change.actor === "backfill") return;
+      await commitOrderStock(order);
+    }
+    if (["cancelled", "returned", "refunded"].includes(to)) {
+      await restockOrder(order);
+    }
+  });
+
+  worker.timer = setInterval(tick, getSweepMs());
+  worker.timer.unref(); // Don't keep the process alive just for this
+  tick();
+
+  console.log("📦 Inventory tracking started");
+};
+
+/**
+ * Stop the worker and wait for a run in progress to finish
+ */
+export const stopInventoryWorker = async () => {
+  worker.unsubscribe?.();
+  worker.unsubscribe = null;
+  clearInterval(worker.timer);
+  worker.timer = null;
+  await worker.running;
+};
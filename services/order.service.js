@@ -1,56 +1,431 @@
 /**
  * Order Service
+ * Orders are kept in the "orders" collection of the storage service,
+ * so they survive restarts and deploys.
+ *
+ * ORDER LIFECYCLE:
+ * (pending_payment →) paid → processing → shipped → delivered
+ * plus cancelled, refunded and returned (see ORDER_TRANSITIONS)
+ *
+ * pending_payment is for delayed payment methods (bank debits, ...):
+ * the checkout is done but the money hasn't cleared yet.
+ *
+ * Every status change is checked against ORDER_TRANSITIONS, stamped in
+ * statusTimestamps, appended to statusHistory, and announced to anyone
+ * who subscribed with onOrderStatusChange().
  */
 
-const orders = new Map();
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+const orders = defineCollection("orders", {
+  key: "orderId",
+  indexes: [
+    { field: "stripeSessionId", unique: true },
+    { field: "stripePaymentIntentId" },
+  ],
+});
+
+/**
+ * Which status can move to which
+ * Anything not listed here is rejected
+ */
+export const ORDER_TRANSITIONS = {
+  pending_payment: ["paid", "cancelled"],
+  paid: ["processing", "shipped", "cancelled", "refunded"],
+  processing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "returned", "refunded"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Statuses an admin may set by hand
+ * paid and refunded follow the money in Stripe, and shipped comes
+ * from adding a shipment (which also emails the tracking)
+ */
+export const MANUAL_ORDER_STATUSES = ["processing", "delivered", "returned", "cancelled"];
+
+export const canTransition = (from, to) => {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+// ==========================================
+// STATUS CHANGE HOOKS
+// ==========================================
+
+const statusListeners = new Set();
+
+/**
+ * Subscribe to order status changes
+ *
+ * The listener gets { order, from, to, change }.
+ * from is null when the order was just created.
+ *
+ * RETURNS: a function that unsubscribes the listener
+ */
+export const onOrderStatusChange = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+/**
+ * Tell every listener about a change
+ * A failing listener (e.g., email down) never undoes the status change
+ */
+const notifyStatusChange = async (order, change) => {
+  const results = await Promise.allSettled(
+    [...statusListeners].map(async (listener) =>
+      listener({ order, from: change.from, to: change.to, change })
+    )
+  );
+
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error(
+        `❌ Order status hook failed (${order.orderId} → ${change.to}):`,
+        result.reason?.message
+      );
+    }
+  }
+};
+
+// ==========================================
+// ORDERS
+// ==========================================
+
+/**
+ * Save a new order (returns the existing one if orderId is taken)
+ *
+ * OPTIONS:
+ * - placedAt: when the order was placed (default: now) - used for imports
+ * - actor: who created it, recorded in statusHistory (default: "system")
+ */
+export const saveOrder = async (
+  orderData,
+  { placedAt, actor = "system" } = {}
+) => {
+  let order;
+  let change;
 
-export const saveOrder = async (orderData) => {
   try {
-    if (orders.has(orderData.orderId)) {
+    const existing = await orders.get(orderData.orderId);
+    if (existing) {
       console.log("Order already exists:", orderData.orderId);
-      return orders.get(orderData.orderId);
+      return existing;
     }
 
-    const order = {
-      ...orderData,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+    const now = new Date();
+    const at = placedAt || now;
+    const status = orderData.status || "paid";
+    change = { from: null, to: status, at, actor, note: null };
 
-    orders.set(order.orderId, order);
+    order = await orders.insert({
+      ...orderData,
+      status,
+      statusTimestamps: { [status]: at },
+      statusHistory: [change],
+      createdAt: at,
+      updatedAt: now,
+    });
     console.log("Order saved:", order.orderId);
-
-    return order;
   } catch (error) {
     console.error("Error saving order:", error.message);
+    // Let callers tell "already saved for this session" apart from real failures
+    if (error.code === "DUPLICATE_KEY") throw error;
     throw new Error("Failed to save order");
   }
+
+  await notifyStatusChange(order, change);
+
+  return order;
 };
 
 export const getOrderById = async (orderId) => {
-  const order = orders.get(orderId);
-  if (!order) throw new Error("Order not found");
+  const order = await orders.get(orderId);
+  if (!order) throw createHttpError(404, "Order not found", "ORDER_NOT_FOUND");
   return order;
 };
 
+export const orderExists = async (orderId) => {
+  return (await orders.get(orderId)) !== null;
+};
+
 export const getOrderBySessionId = async (sessionId) => {
-  for (const order of orders.values()) {
-    if (order.stripeSessionId === sessionId) {
-      return order;
+  return orders.findOne("stripeSessionId", sessionId);
+};
+
+export const getOrderByPaymentIntentId = async (paymentIntentId) => {
+  return orders.findOne("stripePaymentIntentId", paymentIntentId);
+};
+
+/**
+ * Move an order to a new status
+ *
+ * PARAMETERS:
+ * - status: one of ORDER_STATUSES
+ * - options.actor: who made the change (e.g., "webhook", "admin:alex")
+ * - options.note: optional free text stored in the history
+ *
+ * Moving to the status the order already has is a no-op,
+ * so repeated webhooks don't pile up history entries.
+ */
+export const updateOrderStatus = async (
+  orderId,
+  status,
+  { actor = "system", note = null } = {}
+) => {
+  if (!ORDER_TRANSITIONS[status]) {
+    throw createHttpError(400, `Unknown order status: ${status}`, "INVALID_STATUS");
+  }
+
+  let change = null;
+
+  const order = await orders.update(orderId, (current) => {
+    if (current.status === status) return current;
+
+    if (!canTransition(current.status, status)) {
+      throw createHttpError(
+        409,
+        `Order ${orderId} cannot move from ${current.status} to ${status}`,
+        "INVALID_TRANSITION"
+      );
     }
+
+    const now = new Date();
+    change = { from: current.status, to: status, at: now, actor, note };
+
+    return {
+      ...current,
+      status,
+      statusTimestamps: { ...current.statusTimestamps, [status]: now },
+      statusHistory: [...(current.statusHistory || []), change],
+      updatedAt: now,
+    };
+  });
+  if (!order) throw createHttpError(404, "Order not found", "ORDER_NOT_FOUND");
+
+  if (change) {
+    console.log(`📋 Order ${orderId}: ${change.from} → ${status} (${actor})`);
+    await notifyStatusChange(order, change);
   }
-  return null;
-};
 
-export const updateOrderStatus = async (orderId, status) => {
-  const order = orders.get(orderId);
-  if (!order) throw new Error("Order not found");
+  return order;
+};
 
-  order.status = status;
-  order.updatedAt = new Date();
+export const updateOrder = async (orderId, changes) => {
+  const order = await orders.update(orderId, (current) => {
+    const next =
+      typeof changes === "function" ? changes(current) : { ...current, ...changes };
+    return { ...next, updatedAt: new Date() };
+  });
+  if (!order) throw createHttpError(404, "Order not found", "ORDER_NOT_FOUND");
   return order;
 };
 
 export const getAllOrders = async () => {
-  return Array.from(orders.values());
+  return orders.all();
+};
+
+// ==========================================
+// SEARCH (ADMIN)
+// ==========================================
+
+export const ORDER_SORT_FIELDS = ["createdAt", "amount", "orderId"];
+
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw createHttpError(400, "Invalid cursor", "INVALID_CURSOR");
+  }
+};
+
+const sortValue = (order, field) =>
+  field === "createdAt" ? new Date(order.createdAt).getTime() : order[field];
+
+/**
+ * Turn the search filters into a test for one stored order
+ */
+const matchOrderFilters = ({ statuses, from, to, email, productId, country }) => {
+  const lowerEmail = email?.toLowerCase();
+  const upperCountry = country?.toUpperCase();
+
+  return (order) => {
+    const createdAt = new Date(order.createdAt);
+
+    if (statuses?.length && !statuses.includes(order.status)) return false;
+    if (from && createdAt < from) return false;
+    if (to && createdAt > to) return false;
+    if (lowerEmail && order.customerEmail?.toLowerCase() !== lowerEmail) {
+      return false;
+    }
+    if (productId && !order.items?.some((item) => item.productId === productId)) {
+      return false;
+    }
+    if (upperCountry && order.shippingAddress?.country !== upperCountry) {
+      return false;
+    }
+    return true;
+  };
+};
+
+/**
+ * Order comparison for sort + direction, ties broken by orderId
+ */
+const compareOrdersBy = (sort, direction) => {
+  const sign = direction === "asc" ? 1 : -1;
+
+  return (a, b) => {
+    const av = sortValue(a, sort);
+    const bv = sortValue(b, sort);
+    if (av !== bv) return (av < bv ? -1 : 1) * sign;
+    return (a.orderId < b.orderId ? -1 : a.orderId > b.orderId ? 1 : 0) * sign;
+  };
+};
+
+/**
+ * Find orders with filters, sorting and cursor pagination
+ *
+ * FILTERS (all optional):
+ * - statuses: ["paid", "shipped", ...]
+ * - from / to: Date range on createdAt (inclusive)
+ * - email: customer email (case-insensitive)
+ * - productId: orders containing this product (e.g., "ring-black")
+ * - country: shipping country code (e.g., "US")
+ *
+ * PAGINATION:
+ * - Results are sorted by sort + direction, ties broken by orderId
+ * - nextCursor points after the last returned order; pass it back as cursor
+ * - A cursor only works with the same sort + direction it was made with
+ *
+ * RETURNS: { orders, nextCursor }
+ */
+export const queryOrders = async ({
+  sort = "createdAt",
+  direction = "desc",
+  limit = 25,
+  cursor,
+  ...filters
+} = {}) => {
+  let after = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (decoded?.sort !== sort || decoded?.direction !== direction) {
+      throw createHttpError(
+        400,
+        "Cursor does not match the requested sort",
+        "INVALID_CURSOR"
+      );
+    }
+    after = { orderId: decoded.orderId, [sort]: decoded.value };
+    if (sort === "createdAt") after.createdAt = new Date(decoded.value);
+  }
+
+  const { docs: page, hasMore } = await orders.page({
+    where: matchOrderFilters(filters),
+    compare: compareOrdersBy(sort, direction),
+    after,
+    limit,
+  });
+  const last = page[page.length - 1];
+
+  return {
+    orders: page,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            sort,
+            direction,
+            value: sortValue(last, sort),
+            orderId: last.orderId,
+          })
+        : null,
+  };
+};
+
+/**
+ * Walk every order matching the filters (same as queryOrders), oldest first
+ *
+ * The matching order numbers are collected once, then each order is read
+ * on its own - so a big export never copies the whole collection.
+ * Orders deleted along the way are skipped.
+ */
+export async function* iterateOrders(filters = {}) {
+  const orderIds = await orders.keys({
+    where: matchOrderFilters(filters),
+    compare: compareOrdersBy("createdAt", "asc"),
+  });
+
+  for (const orderId of orderIds) {
+    const order = await orders.get(orderId);
+    if (order) yield order;
+  }
+}
+
+// ==========================================
+// CUSTOMER LOOKUP
+// ==========================================
+
+/**
+ * Safe, customer-facing view of an order
+ * Leaves out payment IDs, street address, internal notes and history actors
+ * Also used by the checkout success page (verify-session)
+ */
+export const toCustomerView = (order) => ({
+  orderId: order.orderId,
+  status: order.status,
+  placedAt: order.createdAt,
+  statusTimestamps: order.statusTimestamps,
+  amount: order.amount,
+  currency: order.currency,
+  refundedAmount: order.refundedAmount || 0,
+  items: order.items.map((item) => ({
+    name: item.name,
+    color: item.color,
+    size: item.size,
+    option: item.option || null,
+    quantity: item.quantity,
+    price: item.price,
+  })),
+  shippingDestination: order.shippingAddress
+    ? {
+        city: order.shippingAddress.city,
+        state: order.shippingAddress.state,
+        country: order.shippingAddress.country,
+      }
+    : null,
+  shipments: (order.shipments || []).map((shipment) => ({
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    shippedAt: shipment.shippedAt,
+    items: shipment.items.map((line) => ({
+      name: order.items[line.line - 1]?.name,
+      quantity: line.quantity,
+    })),
+  })),
+});
+
+/**
+ * Find an order for a customer by order number + purchase email
+ *
+ * Both must match - a wrong email looks exactly like a missing order,
+ * so nobody can probe which IT- numbers exist.
+ *
+ * RETURNS: the redacted order view, or null
+ */
+export const lookupOrderForCustomer = async (orderId, email) => {
+  const order = await orders.get(orderId);
+  const emailMatches =
+    order?.customerEmail?.toLowerCase() === email.trim().toLowerCase();
+
+  return order && emailMatches ? toCustomerView(order) : null;
 };
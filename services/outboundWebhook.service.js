@@ -0,0 +1,548 @@
+/**
+ * ==========================================
+ * OUTBOUND WEBHOOKS
+ * ==========================================
+ *
+ * PURPOSE:
+ * Tell our other systems (NFC profile app, warehouse sheet, ...) when
+ * something happens to an order, the same way Stripe tells us
+ *
+ * EVENTS:
+ * - order.created: a new order is paid - right away for cards, once the
+ *   money clears for delayed payment methods (not for backfill imports)
+ * - order.shipped: a package went out (one event per shipment)
+ * - order.refunded: Stripe confirmed a refund (one event per refund)
+ *
+ * HOW IT WORKS:
+ * 1. An owner registers an endpoint URL and the events it wants
+ *    (POST /api/admin/webhook-subscriptions) and gets a signing secret
+ * 2. Each event becomes one delivery per subscribed endpoint, saved in
+ *    the "webhookDeliveries" collection (survives restarts)
+ * 3. The worker POSTs the event as JSON. Any 2xx answer = delivered
+ * 4. Anything else is retried with exponential backoff:
+ *    30s, 1m, 2m, 4m, ... (capped at 6 hours)
+ * 5. After OUTBOUND_WEBHOOK_MAX_ATTEMPTS failed attempts the delivery is
+ *    marked failed - it can be sent again from the admin API
+ *
+ * SIGNATURE (same scheme Stripe uses for us, see handleWebhook):
+ *   X-iTapRing-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * The HMAC is computed over "<t>.<raw body>" with the subscription secret.
+ * Receivers should recompute it and reject old timestamps (replays).
+ *
+ * CONFIGURATION (.env, all optional):
+ * - OUTBOUND_WEBHOOK_MAX_ATTEMPTS: attempts before giving up (default 8)
+ * - OUTBOUND_WEBHOOK_RETRY_BASE_MS: first retry delay (default 30000)
+ * - OUTBOUND_WEBHOOK_POLL_MS: how often the worker looks for due deliveries (default 15000)
+ * - OUTBOUND_WEBHOOK_TIMEOUT_MS: how long an endpoint gets to answer (default 10000)
+ */
+
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { onOrderStatusChange } from "./order.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+const subscriptions = defineCollection("webhookSubscriptions", {
+  key: "subscriptionId",
+});
+
+const deliveries = defineCollection("webhookDeliveries", {
+  key: "deliveryId",
+  indexes: [{ field: "subscriptionId" }, { field: "status" }],
+  // Old deliveries are pruned once they're done (delivered or failed)
+  retention: { field: "createdAt", keep: (delivery) => delivery.status === "pending" },
+});
+
+export const OUTBOUND_EVENT_TYPES = [
+  "order.created",
+  "order.shipped",
+  "order.refunded",
+];
+
+export const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Keep the delivery log small - endpoints can answer with whole HTML pages
+const MAX_RESPONSE_BODY = 500;
+
+const getMaxAttempts = () =>
+  Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8;
+const getRetryBaseMs = () =>
+  Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS) || 30000;
+const getPollMs = () => Number(process.env.OUTBOUND_WEBHOOK_POLL_MS) || 15000;
+const getTimeoutMs = () =>
+  Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000;
+
+/**
+ * Delay before the next attempt, doubling each time
+ * failures = how many attempts have failed so far (1, 2, 3...)
+ */
+const retryDelay = (failures) =>
+  Math.min(getRetryBaseMs() * 2 ** (failures - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * "t=<timestamp>,v1=<signature>" for one request body
+ */
+const signPayload = (body, secret, timestamp) => {
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// ==========================================
+// SUBSCRIPTIONS
+// ==========================================
+
+const withoutSecret = ({ secret, ...safe }) => safe;
+
+/**
+ * Register an endpoint
+ * RETURNS: the subscription plus its signing secret (shown only this once!)
+ */
+export const createWebhookSubscription = async ({
+  url,
+  events,
+  description,
+  createdBy,
+}) => {
+  const secret = `whsec_${randomBytes(32).toString("base64url")}`;
+
+  const record = await subscriptions.insert({
+    subscriptionId: randomUUID(),
+    url,
+    events: [...new Set(events)],
+    description: description || null,
+    secret,
+    secretPreview: `${secret.slice(0, 10)}…`,
+    createdBy,
+    createdAt: new Date(),
+    disabledAt: null,
+  });
+
+  return { ...withoutSecret(record), secret };
+};
+
+/**
+ * List endpoints (without their secrets)
+ */
+export const listWebhookSubscriptions = async () => {
+  const records = await subscriptions.all();
+  return records
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(withoutSecret);
+};
+
+/**
+ * Stop sending to an endpoint - deliveries still waiting are dropped
+ */
+export const disableWebhookSubscription = async (subscriptionId) => {
+  const record = await subscriptions.update(subscriptionId, (current) => ({
+    ...current,
+    disabledAt: current.disabledAt || new Date(),
+  }));
+  if (!record) {
+    throw createHttpError(
+      404,
+      "Webhook subscription not found",
+      "SUBSCRIPTION_NOT_FOUND"
+    );
+  }
+
+  return withoutSecret(record);
+};
+
+// ==========================================
+// PUBLISHING
+// ==========================================
+
+/**
+ * EVENT PAYLOAD
+ * Receivers get these fields only - the same ones as the order export
+ * (export.service.js), plus shipments and refunds. Payment IDs, status
+ * history, notes and who did what stay with us.
+ */
+const toPublicShipment = (shipment) => ({
+  shipmentId: shipment.shipmentId,
+  carrier: shipment.carrier,
+  trackingNumber: shipment.trackingNumber,
+  trackingUrl: shipment.trackingUrl || null,
+  items: shipment.items, // [{ line, quantity }]
+  shippedAt: shipment.shippedAt,
+});
+
+const toPublicRefund = (refund) => ({
+  refundId: refund.refundId,
+  amount: refund.amount,
+  status: refund.status,
+  reason: refund.reason || null,
+  items: refund.items || [], // [{ line, quantity }]
+  createdAt: refund.createdAt,
+});
+
+const toPublicOrder = (order) => ({
+  orderId: order.orderId,
+  createdAt: order.createdAt,
+  status: order.status,
+  paymentStatus: order.paymentStatus,
+  customerName: order.customerName,
+  customerEmail: order.customerEmail,
+  shippingAddress: order.shippingAddress
+    ? {
+        name: order.shippingAddress.name || null,
+        line1: order.shippingAddress.line1 || null,
+        line2: order.shippingAddress.line2 || null,
+        city: order.shippingAddress.city || null,
+        state: order.shippingAddress.state || null,
+        postalCode: order.shippingAddress.postal_code || null,
+        country: order.shippingAddress.country || null,
+      }
+    : null,
+  items: (order.items || []).map((item, index) => ({
+    line: index + 1,
+    productId: item.productId || null,
+    productName: item.name,
+    color: item.color || null,
+    size: item.size ?? null,
+    option: item.option || null,
+    quantity: item.quantity,
+    unitPrice: Math.round((item.price / item.quantity) * 100) / 100,
+    lineTotal: item.price,
+    shippedQuantity: item.shippedQuantity || 0,
+    refundedQuantity: item.refundedQuantity || 0,
+  })),
+  amount: order.amount,
+  refundedAmount: order.refundedAmount || 0,
+  currency: order.currency,
+  shipments: (order.shipments || []).map(toPublicShipment),
+  refunds: (order.refunds || []).map(toPublicRefund),
+});
+
+/**
+ * The event body for { order, shipment, refund } (see EVENT PAYLOAD)
+ */
+const toEventData = ({ order, shipment, refund }) => ({
+  order: toPublicOrder(order),
+  ...(shipment && { shipment: toPublicShipment(shipment) }),
+  ...(refund && { refund: toPublicRefund(refund) }),
+});
+
+/**
+ * Queue an event for every endpoint subscribed to it
+ *
+ * PARAMETERS:
+ * - type: one of OUTBOUND_EVENT_TYPES
+ * - data: { order } plus the shipment or refund the event is about -
+ *   only their public fields are sent (see EVENT PAYLOAD)
+ *
+ * Never throws - a broken webhook must not break the order flow.
+ *
+ * RETURNS: the queued deliveries
+ */
+export const publishOrderEvent = async (type, data) => {
+  try {
+    const targets = (await subscriptions.all()).filter(
+      (s) => !s.disabledAt && s.events.includes(type)
+    );
+    if (targets.length === 0) return [];
+
+    const now = new Date();
+    const event = {
+      id: `evt_${randomUUID()}`,
+      type,
+      created: now,
+      data: toEventData(data),
+    };
+
+    const queued = [];
+    for (const subscription of targets) {
+      queued.push(
+        await deliveries.insert({
+          deliveryId: randomUUID(),
+          subscriptionId: subscription.subscriptionId,
+          url: subscription.url,
+          eventId: event.id,
+          type,
+          event,
+          status: "pending",
+          failures: 0,
+          attempts: [],
+          nextRunAt: now,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now,
+          deliveredAt: null,
+        })
+      );
+    }
+
+    console.log(`📤 ${type} queued for ${queued.length} endpoint(s)`);
+    tick();
+
+    return queued;
+  } catch (error) {
+    console.error(`❌ Couldn't queue outbound webhook ${type}:`, error.message);
+    return [];
+  }
+};
+
+// ==========================================
+// DELIVERY
+// ==========================================
+
+/**
+ * POST the event once
+ * RETURNS: the attempt ({ at, statusCode, durationMs, responseBody, error })
+ */
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const attempt = {
+    at: new Date(),
+    statusCode: null,
+    durationMs: null,
+    responseBody: null,
+    error: null,
+  };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "iTapRing-Webhooks/1.0",
+        "X-iTapRing-Event": delivery.type,
+        "X-iTapRing-Delivery": delivery.deliveryId,
+        "X-iTapRing-Signature": signPayload(body, subscription.secret, timestamp),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(getTimeoutMs()),
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) {
+      attempt.error = `Endpoint answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error =
+      error.name === "TimeoutError"
+        ? `No answer within ${getTimeoutMs()}ms`
+        : error.cause?.message || error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+};
+
+/**
+ * Send one due delivery and record how it went
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await subscriptions.get(delivery.subscriptionId);
+
+  if (!subscription || subscription.disabledAt) {
+    return deliveries.update(delivery.deliveryId, {
+      status: "failed",
+      nextRunAt: null,
+      lastError: "Subscription disabled",
+      updatedAt: new Date(),
+    });
+  }
+
+  const attempt = await sendDelivery(delivery, subscription);
+  const maxAttempts = getMaxAttempts();
+
+  const updated = await deliveries.update(delivery.deliveryId, (current) => {
+    const attempts = [...current.attempts, attempt];
+
+    if (!attempt.error) {
+      return {
+        ...current,
+        status: "delivered",
+        attempts,
+        nextRunAt: null,
+        lastError: null,
+        updatedAt: attempt.at,
+        deliveredAt: attempt.at,
+      };
+    }
+
+    const failures = current.failures + 1;
+    const gaveUp = failures >= maxAttempts;
+
+    return {
+      ...current,
+      status: gaveUp ? "failed" : "pending",
+      failures,
+      attempts,
+      nextRunAt: gaveUp ? null : new Date(Date.now() + retryDelay(failures)),
+      lastError: attempt.error,
+      updatedAt: attempt.at,
+    };
+  });
+
+  if (updated.status === "delivered") {
+    console.log(`📤 ${updated.type} delivered to ${updated.url}`);
+  } else if (updated.status === "failed") {
+    console.error(
+      `☠️  ${updated.type} to ${updated.url} failed after ${updated.failures} attempts: ${attempt.error}`
+    );
+  } else {
+    console.log(
+      `🔁 ${updated.type} to ${updated.url} failed (${attempt.error}), retry ${updated.failures}/${maxAttempts - 1} at ${updated.nextRunAt}`
+    );
+  }
+
+  return updated;
+};
+
+// ==========================================
+// WORKER
+// ==========================================
+
+const worker = {
+  timer: null,
+  running: null,
+  unsubscribe: null,
+};
+
+/**
+ * Send every delivery whose nextRunAt has passed (one at a time),
+ * including ones queued while we were busy
+ */
+const runDueDeliveries = async () => {
+  for (;;) {
+    const now = Date.now();
+    const due = (await deliveries.find("status", "pending"))
+      .filter((delivery) => new Date(delivery.nextRunAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+
+    if (due.length === 0) return;
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  }
+};
+
+/**
+ * Send due deliveries now, unless a run is already in progress
+ */
+const tick = () => {
+  if (!worker.timer || worker.running) return worker.running;
+
+  worker.running = runDueDeliveries()
+    .catch((error) => {
+      console.error("❌ Outbound webhook worker error:", error.message);
+    })
+    .finally(() => {
+      worker.running = null;
+    });
+
+  return worker.running;
+};
+
+/**
+ * Start sending: publish order.created for newly paid orders and poll
+ * for due deliveries
+ */
+export const startOutboundWebhookWorker = () => {
+  if (worker.timer) return;
+
+  worker.unsubscribe = onOrderStatusChange(({ order, from, to }) => {
+    // pending_payment orders (delayed payment methods) haven't been paid
+    // yet - listeners hear about them once the money clears
+    if (to !== "paid" || ![null, "pending_payment"].includes(from)) return;
+
+    // Backfilled orders are old news for the systems listening
+    // (even when their delayed payment clears after the import)
+    if (order.statusHistory?.[0]?.actor === "backfill") return;
+    return publishOrderEvent("order.created", { order });
+  });
+
+  worker.timer = setInterval(tick, getPollMs());
+  worker.timer.unref(); // Don't keep the process alive just for this
+  tick();
+
+  console.log("📤 Outbound webhook worker started");
+};
+
+/**
+ * Stop sending and wait for a run in progress to finish
+ */
+export const stopOutboundWebhookWorker = async () => {
+  worker.unsubscribe?.();
+  worker.unsubscribe = null;
+  clearInterval(worker.timer);
+  worker.timer = null;
+  await worker.running;
+};
+
+// ==========================================
+// DELIVERY LOG
+// ==========================================
+
+/**
+ * Deliveries, newest first
+ * Filters (optional): subscriptionId, status, type
+ */
+export const listWebhookDeliveries = async ({
+  subscriptionId,
+  status,
+  type,
+  limit = 100,
+} = {}) => {
+  let found;
+  if (subscriptionId) {
+    found = await deliveries.find("subscriptionId", subscriptionId);
+  } else if (status) {
+    found = await deliveries.find("status", status);
+  } else {
+    found = await deliveries.all();
+  }
+
+  return found
+    .filter((d) => !status || d.status === status)
+    .filter((d) => !type || d.type === type)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+};
+
+export const getWebhookDelivery = async (deliveryId) => {
+  return deliveries.get(deliveryId);
+};
+
+/**
+ * Send a delivery again (same event ID, so receivers can spot duplicates)
+ * Its attempts start over and it runs right away
+ */
+export const redeliverWebhook = async (deliveryId) => {
+  const delivery = await deliveries.get(deliveryId);
+  if (!delivery) {
+    throw createHttpError(404, "Delivery not found", "DELIVERY_NOT_FOUND");
+  }
+  if (delivery.status === "pending") {
+    throw createHttpError(
+      409,
+      "Delivery is still being retried",
+      "DELIVERY_PENDING"
+    );
+  }
+
+  const now = new Date();
+  const requeued = await deliveries.update(deliveryId, {
+    status: "pending",
+    failures: 0,
+    nextRunAt: now,
+    updatedAt: now,
+  });
+
+  console.log(`🔁 ${delivery.type} to ${delivery.url} queued again`);
+  tick();
+
+  return requeued;
+};
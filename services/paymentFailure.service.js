@@ -0,0 +1,330 @@
+/**
+ * ==========================================
+ * PAYMENT FAILURE SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Keep track of declined payments, and help the customer pay anyway
+ *
+ * HOW IT WORKS:
+ * 1. Stripe sends payment_intent.payment_failed (webhook.service.js)
+ * 2. We find the checkout session behind the payment and save the
+ *    failure with its reason (Stripe's decline code, e.g.
+ *    "insufficient_funds") in the "paymentFailures" collection
+ * 3. When PAYMENT_RETRY_EMAILS=on, the customer gets one email per
+ *    checkout with a link to GET /api/stripe/retry-payment/:token,
+ *    which goes back to that checkout while it's open, and otherwise
+ *    validates the cart again and opens a fresh Stripe Checkout
+ * 4. GET /api/admin/payment-failures counts failures by reason
+ *
+ * WHICH FAILURES GET AN EMAIL:
+ * Only declines while the checkout is still open (the customer may have
+ * given up). Delayed payments that fail later are handled by
+ * failAsyncPayment() (fulfillment.service.js), and expired checkouts
+ * by the abandoned cart reminders.
+ *
+ * CONFIGURATION (.env, all optional):
+ * - PAYMENT_RETRY_EMAILS: "on" to email customers a retry link (default off)
+ * - SERVER_URL: public URL of this server, used for the link in the email
+ */
+
+import { randomBytes } from "crypto";
+import Stripe from "stripe";
+import {
+  buildCartFromMetadata,
+  createCheckoutSessionForCart,
+  getOpenCheckoutSession,
+} from "./checkout.service.js";
+import { sendPaymentRetryEmail } from "./email.service.js";
+import { hasItemMetadata } from "./fulfillment.service.js";
+import { releaseReservation } from "./inventory.service.js";
+import { getOrderBySessionId } from "./order.service.js";
+import { validateCart } from "./product.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+import { createKeyedLock } from "../utils/helpers.js";
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+const paymentFailures = defineCollection("paymentFailures", {
+  key: "failureId",
+  indexes: [{ field: "sessionId" }, { field: "reason" }],
+});
+
+// One retry link (and email) per checkout session
+const paymentRetries = defineCollection("paymentRetries", {
+  key: "sessionId",
+  indexes: [{ field: "token", unique: true }],
+});
+
+// One retry checkout at a time per link
+const withRetryLock = createKeyedLock();
+
+const isRetryEmailOn = () => process.env.PAYMENT_RETRY_EMAILS === "on";
+
+const getServerUrl = () =>
+  (process.env.SERVER_URL || `http://127.0.0.1:${process.env.PORT || 5000}`).replace(/\/$/, "");
+
+const idOf = (value) => (typeof value === "string" ? value : value?.id || null);
+
+// Payments created by our own checkout
+const isOurPaymentIntent = (paymentIntent) =>
+  paymentIntent.metadata?.integration === "itapring_checkout";
+
+/**
+ * The checkout session that created this payment intent
+ */
+const findCheckoutSession = async (paymentIntentId) => {
+  const { data } = await getStripe().checkout.sessions.list({
+    payment_intent: paymentIntentId,
+    limit: 1,
+  });
+  return data[0] || null;
+};
+
+// ==========================================
+// RECORDING FAILURES
+// ==========================================
+
+/**
+ * Handle payment_intent.payment_failed
+ *
+ * Each declined attempt is saved once (keyed on its charge), so Stripe
+ * redelivering the event changes nothing.
+ *
+ * RETURNS: the stored failure, or null for payments that aren't ours
+ */
+export const recordPaymentFailure = async (paymentIntent) => {
+  if (!isOurPaymentIntent(paymentIntent)) {
+    console.log(`ℹ️  Payment failed for ${paymentIntent.id} (not from our checkout)`);
+    return null;
+  }
+
+  const error = paymentIntent.last_payment_error || {};
+  const failureId =
+    idOf(error.charge) || idOf(paymentIntent.latest_charge) || paymentIntent.id;
+  const session = await findCheckoutSession(paymentIntent.id);
+
+  let created = false;
+  const failure = await paymentFailures.upsert(failureId, (existing) => {
+    if (existing) return existing;
+
+    created = true;
+    return {
+      failureId,
+      paymentIntentId: paymentIntent.id,
+      sessionId: session?.id || null,
+      email:
+        session?.customer_details?.email ||
+        session?.customer_email ||
+        paymentIntent.receipt_email ||
+        null,
+      amount: paymentIntent.amount / 100,
+      currency: paymentIntent.currency,
+      reason: error.decline_code || error.code || "unknown",
+      errorCode: error.code || null,
+      errorType: error.type || null,
+      message: error.message || null,
+      paymentMethodType: error.payment_method?.type || null,
+      failedAt: new Date(),
+    };
+  });
+
+  if (!created) return failure;
+
+  console.error(
+    `❌ Payment failed: ${paymentIntent.id} (${failure.reason}) for ${
+      failure.sessionId || "unknown checkout"
+    }`
+  );
+
+  if (isRetryEmailOn() && session) {
+    await sendRetryEmailOnce(session, failure);
+  }
+
+  return failure;
+};
+
+/**
+ * Email the customer a retry link, once per checkout
+ */
+const sendRetryEmailOnce = async (session, failure) => {
+  // Still on the payment page? Otherwise another flow takes over
+  if (session.status !== "open") return null;
+  if (!failure.email || !hasItemMetadata(session.metadata)) return null;
+
+  const now = new Date();
+
+  // Claimed inside the atomic upsert, so two failures arriving
+  // together can't both send it
+  let claimed = false;
+  let retry = await paymentRetries.upsert(session.id, (existing) => {
+    if (existing) return existing;
+
+    claimed = true;
+    return {
+      sessionId: session.id,
+      token: randomBytes(24).toString("base64url"),
+      email: failure.email,
+      customerName: session.customer_details?.name || null,
+      items: buildCartFromMetadata(session.metadata),
+      amount: parseFloat(session.metadata.validatedAmount) || session.amount_total / 100,
+      reason: failure.reason,
+      message: failure.message,
+      successUrl: session.success_url,
+      cancelUrl: session.cancel_url,
+      emailedAt: null,
+      emailed: false,
+      retrySessionId: null,
+      retriedAt: null,
+      recoveredOrderId: null,
+      createdAt: now,
+    };
+  });
+
+  if (!claimed) return retry;
+
+  const retryUrl = `${getServerUrl()}/api/stripe/retry-payment/${retry.token}`;
+  const sent = await sendPaymentRetryEmail(retry, { retryUrl });
+
+  retry = await paymentRetries.update(session.id, {
+    emailedAt: new Date(),
+    emailed: sent,
+  });
+  return retry;
+};
+
+// ==========================================
+// RETRY LINKS
+// ==========================================
+
+const openRetryCheckout = async (token) => {
+  const retry = await paymentRetries.findOne("token", token);
+  if (!retry) {
+    throw createHttpError(404, "Payment link not found", "RETRY_NOT_FOUND");
+  }
+
+  // Paid in the end (same checkout, or an earlier retry link)
+  if (retry.recoveredOrderId || (await getOrderBySessionId(retry.sessionId))) {
+    return { url: retry.cancelUrl };
+  }
+
+  // The declined checkout (or an earlier retry) is still open - the
+  // customer can simply try again there, with the stock it already holds
+  const original = await getStripe().checkout.sessions.retrieve(retry.sessionId);
+  if (original.status === "open") return { url: original.url };
+  if (original.status === "complete") return { url: retry.cancelUrl };
+
+  const open = await getOpenCheckoutSession(retry.retrySessionId);
+  if (open) return { url: open.url };
+
+  // Its units may still be held until checkout.session.expired arrives
+  await releaseReservation(original.metadata?.reservationId, "expired");
+
+  let validatedCart;
+  try {
+    validatedCart = await validateCart(retry.items);
+  } catch (error) {
+    console.log(`ℹ️  Payment retry for ${retry.sessionId} not possible: ${error.message}`);
+    return { url: retry.cancelUrl };
+  }
+
+  const session = await createCheckoutSessionForCart(validatedCart, {
+    customerEmail: retry.email,
+    successUrl: retry.successUrl,
+    cancelUrl: retry.cancelUrl,
+    metadata: { retryOf: retry.sessionId },
+  });
+
+  await paymentRetries.update(retry.sessionId, {
+    retrySessionId: session.id,
+    retriedAt: new Date(),
+  });
+
+  console.log(`💳 Payment retry for ${retry.sessionId} opened as ${session.id}`);
+  return { url: session.url };
+};
+
+/**
+ * Send the customer back to pay for a declined cart
+ *
+ * - The declined checkout is still open → back to it
+ * - A checkout this link opened earlier is still open → back to that one
+ * - Otherwise a fresh Stripe Checkout, with prices validated again
+ *   exactly like create-checkout-session. The declined checkout's
+ *   reservation is released first, so the units are never held twice.
+ *
+ * RETURNS: { url } - the Stripe payment page, or the shop's cart page
+ * when the cart can't be bought any more (already paid, product gone,
+ * price changed)
+ */
+export const retryFailedPayment = (token) =>
+  withRetryLock(token, () => openRetryCheckout(token));
+
+/**
+ * Mark a retry link as having led to an order
+ * Called from checkout.session.completed (metadata.retryOf)
+ */
+export const markPaymentRetried = async (sessionId, order) => {
+  const retry = await paymentRetries.get(sessionId);
+  if (!retry) return null;
+
+  console.log(`🎉 Declined checkout ${sessionId} paid on retry as ${order.orderId}`);
+  return paymentRetries.update(sessionId, { recoveredOrderId: order.orderId });
+};
+
+// ==========================================
+// REPORTING
+// ==========================================
+
+/**
+ * Failed payments by reason
+ *
+ * PARAMETERS:
+ * - from / to: failure dates to include (default: everything)
+ *
+ * RETURNS: { total, amount, byReason: [{ reason, count, amount }],
+ *            retryEmails: { sent, recovered }, recent: [...last 20] }
+ */
+export const getPaymentFailureReport = async ({ from, to } = {}) => {
+  const inRange = (date) =>
+    (!from || new Date(date) >= from) && (!to || new Date(date) <= to);
+
+  const failures = (await paymentFailures.all())
+    .filter((failure) => inRange(failure.failedAt))
+    .sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+
+  const reasons = new Map();
+  for (const failure of failures) {
+    const entry = reasons.get(failure.reason) || {
+      reason: failure.reason,
+      count: 0,
+      amount: 0,
+    };
+    entry.count++;
+    entry.amount = Math.round((entry.amount + failure.amount) * 100) / 100;
+    reasons.set(failure.reason, entry);
+  }
+
+  const retries = (await paymentRetries.all()).filter((retry) =>
+    inRange(retry.createdAt)
+  );
+
+  return {
+    total: failures.length,
+    amount:
+      Math.round(failures.reduce((sum, failure) => sum + failure.amount, 0) * 100) / 100,
+    byReason: [...reasons.values()].sort((a, b) => b.count - a.count),
+    retryEmails: {
+      sent: retries.filter((retry) => retry.emailed).length,
+      recovered: retries.filter((retry) => retry.recoveredOrderId).length,
+    },
+    recent: failures.slice(0, 20),
+  };
+};
@@ -15,7 +15,9 @@
  * WHAT IT DOES:
  * 1. Connects to Stripe API
  * 2. Fetches product information and prices
- * 3. Validates that cart prices match Stripe prices
+ * 3. Builds the shop's catalog from Stripe product metadata
+ *    (frontend_id, category, sizes, display_order)
+ * 4. Validates that cart prices match Stripe prices
  * 
  * FOR JUNIOR DEVELOPERS:
  * - Stripe is our payment processor (like PayPal)
@@ -23,7 +25,15 @@
  * - This prevents customers from changing prices in browser
  */
 
+import { createHash } from "crypto";
 import Stripe from "stripe";
+import { checkStock, getStockLevels } from "./inventory.service.js";
+import {
+  SIZE_SYSTEMS,
+  compareSizes,
+  normalizeSize,
+  parseSizeValue,
+} from "../utils/sizes.js";
 
 // ==========================================
 // STRIPE CONNECTION
@@ -43,19 +53,20 @@ const getStripe = () => {
 };
 
 // ==========================================
-// PRODUCT ID MAPPING
+// PRODUCT ID MAPPING (LEGACY)
 // ==========================================
 
 /**
- * Map our product IDs to Stripe product IDs
- * 
- * WHY: Our frontend uses simple IDs like "ring-black"
- *      Stripe uses complex IDs like "prod_123abc"
- *      This maps between them
- * 
- * IMPORTANT: These must match the IDs in frontend's products.data.js
+ * OLD WAY: map our product IDs to Stripe product IDs with env vars
+ *
+ * WHY IT'S STILL HERE:
+ * Shops set up before the catalog moved to Stripe metadata (see
+ * PRODUCT CATALOG below) keep working. A product's frontend_id
+ * metadata always wins over these.
+ *
+ * DEPRECATED: set frontend_id on the products in Stripe instead
  */
-const getProductIdMap = () => ({
+const getLegacyProductIdMap = () => ({
   "ring-black": process.env.STRIPE_PRODUCT_RING_BLACK,
   "ring-white": process.env.STRIPE_PRODUCT_RING_WHITE,
   "bracelet-cf-marble": process.env.STRIPE_PRODUCT_CF_MARBLE,
@@ -68,6 +79,69 @@ const getProductIdMap = () => ({
 // FETCH PRODUCTS FROM STRIPE
 // ==========================================
 
+/**
+ * The fields we keep from a Stripe product
+ */
+const productFields = (product) => ({
+  id: product.id,
+  name: product.name,
+  description: product.description || product.name,
+  images: product.images || [],
+  metadata: product.metadata || {},
+  updated: product.updated, // Stripe's last-change time, to spot out-of-order webhooks
+});
+
+/**
+ * One product with its price, as kept in the product Map
+ */
+const toCatalogEntry = (product, price, variants = []) => ({
+  ...productFields(product),
+  price: price.unit_amount / 100, // Convert cents to dollars
+  priceId: price.id,
+  currency: price.currency,
+  variants, // Prices for specific sizes / options (see toVariant)
+});
+
+/**
+ * A price for one size or option of a product
+ *
+ * Set on the price in Stripe (price metadata):
+ * - size: e.g. "12" - this price is for size 12
+ * - option: e.g. "18cm" - this price is for that option (bracelet length)
+ * Both together: the price for that size AND option.
+ *
+ * RETURNS: the variant, or null for plain prices (no size / option)
+ */
+const toVariant = (price) => {
+  const size = price.metadata?.size?.trim();
+  const option = price.metadata?.option?.trim();
+  if ((!size && !option) || price.type === "recurring") return null;
+
+  return {
+    priceId: price.id,
+    size: parseSizeValue(size), // Checked against the product's sizes in buildCatalog
+    option: option || null,
+    price: price.unit_amount / 100,
+    currency: price.currency,
+  };
+};
+
+/**
+ * The variant prices of one product (see toVariant)
+ */
+const fetchVariants = async (productId) => {
+  const variants = [];
+  for await (const price of getStripe().prices.list({
+    product: productId,
+    active: true,
+    limit: 100,
+  })) {
+    const variant = toVariant(price);
+    if (variant) variants.push(variant);
+  }
+  return variants;
+};
+
 /**
  * Get all products and prices from Stripe
  * 
@@ -113,21 +187,21 @@ export const fetchStripeProducts = async () => {
 
       // Only add products that have an active price
       if (price && price.active) {
-        productMap.set(product.id, {
-          id: product.id,
-          name: product.name,
-          description: product.description || product.name,
-          images: product.images || [],
-          price: price.unit_amount / 100, // Convert cents to dollars
-          priceId: price.id,
-          currency: price.currency,
-          metadata: product.metadata || {},
-        });
+        productMap.set(product.id, toCatalogEntry(product, price));
 
         console.log(`✓ ${product.name}: $${price.unit_amount / 100}`);
       }
     }
 
+    // Add the size / option prices (all products in one list)
+    for await (const price of stripe.prices.list({ active: true, limit: 100 })) {
+      const entry = productMap.get(
+        typeof price.product === "string" ? price.product : price.product?.id
+      );
+      const variant = toVariant(price);
+      if (entry && variant) entry.variants.push(variant);
+    }
+
     return productMap;
   } catch (error) {
     console.error("❌ Error fetching Stripe products:", error.message);
@@ -135,6 +209,484 @@ export const fetchStripeProducts = async () => {
   }
 };
 
+// ==========================================
+// CATALOG CACHE
+// ==========================================
+
+/**
+ * Keep the Stripe products in memory, so GET /api/products doesn't
+ * call Stripe on every page view
+ *
+ * HOW IT WORKS:
+ * - Loaded at startup (warmCatalogCache) and then on demand
+ * - Fresh for CATALOG_CACHE_TTL_MS (default 5 minutes)
+ * - After that the cached copy is still served while a refresh runs in
+ *   the background, and keeps being served if Stripe is unreachable -
+ *   for up to CATALOG_STALE_MAX_MS (default 24 hours)
+ * - product.* / price.* webhooks patch the cache right away
+ *   (applyCatalogEvent), so Dashboard changes show up immediately
+ */
+const catalogCache = {
+  products: null, // Map from fetchStripeProducts()
+  fetchedAt: 0,
+  version: 0, // Bumped on every change, so a slow refresh can't undo a webhook patch
+  refreshing: null,
+};
+
+const getCacheTtlMs = () => Number(process.env.CATALOG_CACHE_TTL_MS) || 5 * 60 * 1000;
+const getStaleMaxMs = () =>
+  Number(process.env.CATALOG_STALE_MAX_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * Load the products from Stripe (one request at a time)
+ */
+const refreshCatalog = () => {
+  if (catalogCache.refreshing) return catalogCache.refreshing;
+
+  const startVersion = catalogCache.version;
+  catalogCache.refreshing = fetchStripeProducts()
+    .then((products) => {
+      // A webhook patched the cache meanwhile - our copy may be older
+      if (catalogCache.version !== startVersion) return catalogCache.products;
+
+      catalogCache.products = products;
+      catalogCache.fetchedAt = Date.now();
+      catalogCache.version++;
+      return products;
+    })
+    .finally(() => {
+      catalogCache.refreshing = null;
+    });
+
+  return catalogCache.refreshing;
+};
+
+/**
+ * The product Map, from the cache when possible
+ *
+ * RETURNS: { products, stale } - stale is true when the cached copy
+ * is past its TTL (a refresh is running or Stripe is unreachable)
+ */
+const getCachedStripeProducts = async () => {
+  const age = Date.now() - catalogCache.fetchedAt;
+
+  if (catalogCache.products && age < getCacheTtlMs()) {
+    return { products: catalogCache.products, stale: false };
+  }
+
+  if (catalogCache.products && age < getStaleMaxMs()) {
+    refreshCatalog().catch((error) => {
+      console.error("⚠️  Catalog refresh failed, serving cached products:", error.message);
+    });
+    return { products: catalogCache.products, stale: true };
+  }
+
+  return { products: await refreshCatalog(), stale: false };
+};
+
+/**
+ * Load the catalog before the first request needs it
+ * A Stripe error here isn't fatal - the first request tries again
+ */
+export const warmCatalogCache = async () => {
+  try {
+    // Building the catalog logs anything wrong with it
+    const { products } = await getCatalog();
+    console.log(`🛍️  Product catalog cached (${products.length} products)`);
+  } catch (error) {
+    console.error("⚠️  Couldn't load the product catalog:", error.message);
+  }
+};
+
+/**
+ * Drop the cached catalog - the next request loads it from Stripe
+ */
+export const invalidateCatalogCache = () => {
+  catalogCache.products = null;
+  catalogCache.fetchedAt = 0;
+  catalogCache.version++;
+};
+
+const setCatalogEntry = (id, entry) => {
+  if (entry) {
+    catalogCache.products.set(id, entry);
+  } else {
+    catalogCache.products.delete(id);
+  }
+  catalogCache.version++;
+};
+
+/**
+ * Product created / updated / deleted in Stripe
+ */
+const patchProduct = async (product, deleted) => {
+  const cached = catalogCache.products.get(product.id);
+
+  // Stripe doesn't promise event order - ignore older versions
+  if (cached && product.updated && cached.updated > product.updated) return;
+
+  const priceId =
+    typeof product.default_price === "string"
+      ? product.default_price
+      : product.default_price?.id;
+
+  if (deleted || !product.active || !priceId) {
+    setCatalogEntry(product.id, null);
+    return;
+  }
+
+  // Same price - only the product details changed
+  if (cached?.priceId === priceId) {
+    setCatalogEntry(product.id, { ...cached, ...productFields(product) });
+    return;
+  }
+
+  const price =
+    typeof product.default_price === "object"
+      ? product.default_price
+      : await getStripe().prices.retrieve(priceId);
+
+  // New to the cache - its size / option prices may have come first
+  const variants = cached ? cached.variants : await fetchVariants(product.id);
+
+  setCatalogEntry(
+    product.id,
+    price.active ? toCatalogEntry(product, price, variants) : null
+  );
+};
+
+/**
+ * Price created / updated / deleted in Stripe
+ * (a new default price arrives as product.updated)
+ */
+const patchPrice = (price, deleted) => {
+  const productId =
+    typeof price.product === "string" ? price.product : price.product?.id;
+  const entry = catalogCache.products.get(productId);
+  if (!entry) return;
+
+  const active = !deleted && price.active;
+  const isDefault = entry.priceId === price.id;
+
+  if (isDefault && !active) {
+    setCatalogEntry(productId, null);
+    return;
+  }
+
+  const variant = active ? toVariant(price) : null;
+  const wasVariant = entry.variants.some((v) => v.priceId === price.id);
+  if (!isDefault && !variant && !wasVariant) return;
+
+  const variants = entry.variants.filter((v) => v.priceId !== price.id);
+  if (variant) variants.push(variant);
+
+  setCatalogEntry(productId, {
+    ...entry,
+    ...(isDefault && { price: price.unit_amount / 100, currency: price.currency }),
+    variants,
+  });
+};
+
+/**
+ * Apply a product.* or price.* webhook to the cached catalog
+ *
+ * PARAMETERS:
+ * - type: the Stripe event type, e.g. "price.updated"
+ * - object: the event's product or price
+ */
+export const applyCatalogEvent = async (type, object) => {
+  // Nothing cached yet - the next request loads everything fresh
+  if (!catalogCache.products) return;
+
+  try {
+    if (type.startsWith("product.")) {
+      await patchProduct(object, type === "product.deleted");
+    } else if (type.startsWith("price.")) {
+      patchPrice(object, type === "price.deleted");
+    }
+  } catch (error) {
+    // Couldn't patch precisely - start over from Stripe
+    console.error(`⚠️  Catalog patch for ${type} failed, clearing cache:`, error.message);
+    invalidateCatalogCache();
+  }
+};
+
+// ==========================================
+// PRODUCT CATALOG (FROM STRIPE METADATA)
+// ==========================================
+
+/**
+ * Which Stripe products the shop sells, and under which ID
+ *
+ * METADATA (set on each product in the Stripe Dashboard):
+ * - frontend_id (required): our ID, e.g. "ring-black" - must match the
+ *   IDs in frontend's products.data.js
+ * - category: e.g. "ring" or "bracelet"
+ * - size_system: "us_ring" (incl. half sizes), "bracelet" (XS-XL) or
+ *   "none" - see utils/sizes.js. Default: us_ring for rings and
+ *   products with sizes, otherwise none
+ * - sizes: the sizes on offer, e.g. "6,6.5,7,7.5,8" or "S,M,L"
+ *   (default: every size of the system)
+ * - display_order: position in the shop, lowest first (e.g. "10")
+ *
+ * Sizes and options can have their own price - see toVariant().
+ *
+ * A new product with a frontend_id is sold as soon as Stripe tells us
+ * about it - no code change, no new env var.
+ *
+ * VALIDATION:
+ * Products without a frontend_id, two products with the same one,
+ * and unreadable sizes are logged at startup (warmCatalogCache) and
+ * again whenever the list of problems changes.
+ */
+const catalogIndex = {
+  source: null, // The product Map it was built from
+  version: -1, // ...and its catalogCache.version
+  products: [], // Sorted by display order
+  byFrontendId: new Map(),
+  problems: [],
+};
+let reportedProblems = "";
+
+/**
+ * The sizes a product comes in
+ * us_ring "6, 7.5,8" → [6, 7.5, 8]   "" → every size of the system
+ * us_ring "6,seven" → null (invalid)
+ */
+const parseSizes = (system, value) => {
+  if (!value?.trim()) return SIZE_SYSTEMS[system].sizes;
+  const sizes = value.split(",").map((size) => normalizeSize(system, size));
+  return sizes.every((size) => size !== null) ? [...new Set(sizes)].sort(compareSizes) : null;
+};
+
+// Lowest display_order first, products without one last, then by name
+const byDisplayOrder = (a, b) =>
+  (a.displayOrder ?? Infinity) - (b.displayOrder ?? Infinity) ||
+  a.name.localeCompare(b.name) ||
+  a.stripeProductId.localeCompare(b.stripeProductId);
+
+// "size 12, 18cm"
+const describeVariant = ({ size, option }) =>
+  [size !== null && `size ${size}`, option].filter(Boolean).join(", ");
+
+/**
+ * The variant price for a size / option choice
+ *
+ * A variant applies when everything it names matches the choice (a
+ * price with only size "12" covers size 12 in every option). The most
+ * specific one wins. RETURNS: the variant, or null for the default price
+ */
+const findVariant = (catalogEntry, size, option) => {
+  const matches = catalogEntry.variants.filter(
+    (v) =>
+      (v.size === null || v.size === size) && (v.option === null || v.option === option)
+  );
+  const specificity = (v) => (v.size !== null) + (v.option !== null);
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * Turn the Stripe product Map into the shop's catalog
+ *
+ * RETURNS: { products, byFrontendId, problems }
+ * - problems: [{ type, stripeProductId, frontendId, message }]
+ */
+const buildCatalog = (stripeProducts) => {
+  const problems = [];
+  const flag = (type, details, message) => problems.push({ type, ...details, message });
+
+  // Old env var mapping, for products without frontend_id metadata
+  const legacyIds = new Map();
+  for (const [frontendId, stripeProductId] of Object.entries(getLegacyProductIdMap())) {
+    if (!stripeProductId) continue;
+    legacyIds.set(stripeProductId, frontendId);
+    if (!stripeProducts.has(stripeProductId)) {
+      flag(
+        "legacy_product_missing",
+        { stripeProductId, frontendId },
+        `"${frontendId}" points to ${stripeProductId}, which isn't an active product with a price`
+      );
+    }
+  }
+
+  const candidates = [];
+  for (const product of stripeProducts.values()) {
+    const metadata = product.metadata || {};
+    const details = { stripeProductId: product.id };
+    const frontendId = metadata.frontend_id?.trim() || legacyIds.get(product.id);
+
+    if (!frontendId) {
+      flag("unmapped", details, `${product.name} (${product.id}) has no frontend_id - not sold`);
+      continue;
+    }
+    details.frontendId = frontendId;
+
+    if (!metadata.frontend_id?.trim()) {
+      flag(
+        "legacy_mapping",
+        details,
+        `"${frontendId}" comes from a STRIPE_PRODUCT_* env var - set frontend_id on ${product.id} instead`
+      );
+    }
+
+    // Old env var mapping: "ring-black" is a ring
+    const category =
+      metadata.category?.trim() || (metadata.frontend_id?.trim() ? null : frontendId.split("-")[0]);
+
+    const sizeSystem =
+      metadata.size_system?.trim() ||
+      (category === "ring" || metadata.sizes?.trim() ? "us_ring" : "none");
+    if (!SIZE_SYSTEMS[sizeSystem]) {
+      flag(
+        "invalid_size_system",
+        details,
+        `"${frontendId}" has unknown size_system "${sizeSystem}" - not sold`
+      );
+      continue;
+    }
+
+    const sizes = parseSizes(sizeSystem, metadata.sizes);
+    if (!sizes) {
+      flag("invalid_sizes", details, `"${frontendId}" has invalid sizes "${metadata.sizes}" - not sold`);
+      continue;
+    }
+
+    // One price per size / option combination
+    const variants = [];
+    for (const price of product.variants || []) {
+      const variant = { ...price, size: normalizeSize(sizeSystem, price.size) };
+      const label = describeVariant(variant);
+      if (price.size !== null && !sizes.includes(variant.size)) {
+        flag(
+          "invalid_variant",
+          { ...details, priceId: variant.priceId },
+          `"${frontendId}" price ${variant.priceId} is for size ${price.size}, which it isn't sold in - ignored`
+        );
+      } else if (variants.some((v) => v.size === variant.size && v.option === variant.option)) {
+        flag(
+          "duplicate_variant",
+          { ...details, priceId: variant.priceId },
+          `"${frontendId}" has two prices for ${label} - ${variant.priceId} ignored`
+        );
+      } else {
+        variants.push(variant);
+      }
+    }
+    variants.sort(
+      (a, b) => compareSizes(a.size, b.size) || (a.option || "").localeCompare(b.option || "")
+    );
+
+    let displayOrder = metadata.display_order?.trim()
+      ? Number(metadata.display_order)
+      : null;
+    if (displayOrder !== null && !Number.isFinite(displayOrder)) {
+      flag(
+        "invalid_display_order",
+        details,
+        `"${frontendId}" has invalid display_order "${metadata.display_order}" - listed last`
+      );
+      displayOrder = null;
+    }
+
+    candidates.push({
+      id: frontendId, // Our simple ID (e.g., 'ring-black')
+      stripeProductId: product.id, // Stripe's ID
+      stripePriceId: product.priceId, // Stripe's price ID
+      name: product.name,
+      description: product.description,
+      images: product.images,
+      price: product.price,
+      currency: product.currency,
+      category,
+      sizeSystem,
+      sizes,
+      options: [...new Set(variants.map((v) => v.option).filter(Boolean))],
+      variants,
+      displayOrder,
+      metadata,
+    });
+  }
+
+  // Same frontend_id twice: the first in display order is sold
+  const products = [];
+  const byFrontendId = new Map();
+  for (const entry of candidates.sort(byDisplayOrder)) {
+    const first = byFrontendId.get(entry.id);
+    if (first) {
+      flag(
+        "duplicate_id",
+        { stripeProductId: entry.stripeProductId, frontendId: entry.id },
+        `"${entry.id}" is on both ${first.stripeProductId} and ${entry.stripeProductId} - only ${first.stripeProductId} is sold`
+      );
+      continue;
+    }
+    byFrontendId.set(entry.id, entry);
+    products.push(entry);
+  }
+
+  return { products, byFrontendId, problems };
+};
+
+/**
+ * Log catalog problems, once per distinct set
+ */
+const reportCatalogProblems = (problems) => {
+  const summary = problems.map((problem) => problem.message).join("\n");
+  if (summary === reportedProblems) return;
+
+  if (problems.length === 0) {
+    console.log("✅ Product catalog problems resolved");
+  } else {
+    console.warn(`⚠️  Product catalog has ${problems.length} problem(s):`);
+    for (const problem of problems) {
+      console.warn(`   - ${problem.message}`);
+    }
+  }
+  reportedProblems = summary;
+};
+
+/**
+ * The shop's catalog, rebuilt only when the cached products change
+ *
+ * RETURNS: { products, byFrontendId, problems, stale }
+ */
+const getCatalog = async () => {
+  const { products: stripeProducts, stale } = await getCachedStripeProducts();
+
+  if (
+    catalogIndex.source !== stripeProducts ||
+    catalogIndex.version !== catalogCache.version
+  ) {
+    Object.assign(catalogIndex, buildCatalog(stripeProducts), {
+      source: stripeProducts,
+      version: catalogCache.version,
+    });
+    reportCatalogProblems(catalogIndex.problems);
+  }
+
+  return { ...catalogIndex, stale };
+};
+
+/**
+ * One product of the catalog by our ID (e.g. "ring-black")
+ * RETURNS: the catalog entry, or null if the shop doesn't sell it
+ */
+export const findCatalogProduct = async (productId) => {
+  const { byFrontendId } = await getCatalog();
+  return byFrontendId.get(productId) || null;
+};
+
+/**
+ * The catalog as the shop sees it, with any problems found
+ * Used by GET /api/admin/catalog
+ *
+ * RETURNS: { products, problems, stale }
+ */
+export const getCatalogReport = async () => {
+  const { products, problems, stale } = await getCatalog();
+  return { products, problems, stale };
+};
+
 // ==========================================
 // GET ALL PRODUCTS (FOR FRONTEND)
 // ==========================================
@@ -146,33 +698,34 @@ export const fetchStripeProducts = async () => {
  * RETURNS: Array of products with prices
  */
 export const getAllProducts = async () => {
+  const { products } = await getProductCatalog();
+  return products;
+};
+
+/**
+ * Products for the frontend, with a version tag for HTTP caching
+ *
+ * RETURNS: { products, etag, stale }
+ * - etag: changes whenever anything in the list changes
+ * - stale: served from an expired cache (see CATALOG CACHE)
+ */
+export const getProductCatalog = async () => {
   try {
-    // Fetch fresh products from Stripe
-    const stripeProducts = await fetchStripeProducts();
-
-    const products = [];
-    const PRODUCT_ID_MAP = getProductIdMap();
-
-    // Convert Stripe products to our format
-    for (const [frontendId, stripeProductId] of Object.entries(PRODUCT_ID_MAP)) {
-      if (!stripeProductId) continue;
-
-      const stripeProduct = stripeProducts.get(stripeProductId);
-      if (stripeProduct) {
-        products.push({
-          id: frontendId, // Our simple ID (e.g., 'ring-black')
-          stripeProductId: stripeProduct.id, // Stripe's ID
-          stripePriceId: stripeProduct.priceId, // Stripe's price ID
-          name: stripeProduct.name,
-          description: stripeProduct.description,
-          price: stripeProduct.price,
-          currency: stripeProduct.currency,
-          metadata: stripeProduct.metadata,
-        });
-      }
-    }
+    // Built from the cached Stripe products (see PRODUCT CATALOG above)
+    const { products: catalogProducts, stale } = await getCatalog();
+
+    // Units left per size / option (null = stock isn't tracked)
+    const stockLevels = await getStockLevels();
+    const products = catalogProducts.map((product) => ({
+      ...product,
+      stock: stockLevels.get(product.id) || null,
+    }));
 
-    return products;
+    const etag = `"${createHash("sha1")
+      .update(JSON.stringify(products))
+      .digest("base64url")}"`;
+
+    return { products, etag, stale };
   } catch (error) {
     console.error("❌ Error getting products:", error.message);
     throw error;
@@ -183,13 +736,51 @@ export const getAllProducts = async () => {
 // VALIDATE PRODUCT PRICE (SECURITY!)
 // ==========================================
 
+/**
+ * The price a cart item is charged: its variant's price, or the
+ * product's default price
+ *
+ * Comes from the cached catalog. Stripe is only asked when the cache
+ * has no price for the item.
+ *
+ * RETURNS: { priceId, price } - price in dollars
+ */
+const getCurrentPrice = async (catalogEntry, variant) => {
+  if (variant) {
+    return { priceId: variant.priceId, price: variant.price };
+  }
+  if (catalogEntry.stripePriceId && Number.isFinite(catalogEntry.price)) {
+    return { priceId: catalogEntry.stripePriceId, price: catalogEntry.price };
+  }
+
+  console.log(`🔒 No cached price for ${catalogEntry.id} - checking Stripe...`);
+  const stripe = getStripe();
+
+  const stripeProduct = await stripe.products.retrieve(catalogEntry.stripeProductId);
+  if (!stripeProduct.default_price) {
+    throw new Error(`No price found for product: ${catalogEntry.id}`);
+  }
+
+  const stripePrice = await stripe.prices.retrieve(stripeProduct.default_price);
+  if (!stripePrice || !stripePrice.active) {
+    throw new Error(`Price not active for product: ${catalogEntry.id}`);
+  }
+
+  return { priceId: stripePrice.id, price: stripePrice.unit_amount / 100 };
+};
+
 /**
  * Check if the price the customer sent matches Stripe's price
  * 
  * WHY THIS IS CRITICAL:
  * - Customers can hack the browser and change prices
  * - We NEVER trust prices from the frontend
- * - Always verify against Stripe before charging
+ * - Always verify against Stripe's prices before charging
+ *
+ * WHERE THE PRICE COMES FROM:
+ * The cached catalog (see CATALOG CACHE) - the product / price webhooks
+ * update it as soon as a price changes in Stripe, so a cart doesn't need
+ * its own Stripe calls (see getCurrentPrice)
  * 
  * EXAMPLE:
  * - Frontend says: "This ring costs $5"
@@ -200,48 +791,68 @@ export const getAllProducts = async () => {
  * - productId: Our product ID (e.g., "ring-black")
  * - claimedPrice: The price frontend sent
  * - quantity: How many they want
- * - size: Ring size (if applicable)
+ * - size: Ring / bracelet size (for products with a size system)
+ * - option: e.g. bracelet length (required for products with options)
+ *
+ * VARIANTS:
+ * When the size / option has its own Stripe price (see toVariant),
+ * the claimed price is checked against that price instead of the
+ * product's default price.
  */
-export const validateProductPrice = async (productId, claimedPrice, quantity = 1, size = null) => {
+export const validateProductPrice = async (
+  productId,
+  claimedPrice,
+  quantity = 1,
+  size = null,
+  option = null
+) => {
   try {
-    const PRODUCT_ID_MAP = getProductIdMap();
-    const stripeProductId = PRODUCT_ID_MAP[productId];
+    // Which Stripe product is this? (see PRODUCT CATALOG above)
+    const { byFrontendId } = await getCatalog();
+    const catalogEntry = byFrontendId.get(productId);
 
     // Check if this is a valid product
-    if (!stripeProductId) {
+    if (!catalogEntry) {
       throw new Error(`Invalid product: ${productId}`);
     }
 
-    console.log(`🔒 Validating ${productId} - checking Stripe...`);
-
-    const stripe = getStripe();
-
-    // Step 1: Get product from Stripe
-    const stripeProduct = await stripe.products.retrieve(stripeProductId);
+    // Check the size against the product's size system (utils/sizes.js)
+    const hasSize = size !== null && size !== undefined && size !== "";
+    const chosenSize = hasSize ? normalizeSize(catalogEntry.sizeSystem, size) : null;
 
-    // Step 2: Check if product has a price
-    if (!stripeProduct.default_price) {
-      throw new Error(`No price found for product: ${productId}`);
+    if (catalogEntry.sizeSystem === "none") {
+      if (hasSize) throw new Error(`Product ${productId} has no sizes`);
+    } else if (!hasSize) {
+      throw new Error(`Choose a size for product: ${productId}`);
+    } else if (chosenSize === null || !catalogEntry.sizes.includes(chosenSize)) {
+      throw new Error(`Size ${size} not available for product: ${productId}`);
     }
 
-    // Step 3: Get the price details
-    const stripePrice = await stripe.prices.retrieve(stripeProduct.default_price);
-
-    // Step 4: Check if price is active
-    if (!stripePrice || !stripePrice.active) {
-      throw new Error(`Price not active for product: ${productId}`);
+    // Products with options (e.g. lengths) need one of them
+    if (catalogEntry.options.length > 0 && !catalogEntry.options.includes(option)) {
+      throw new Error(
+        option
+          ? `Option ${option} not available for product: ${productId}`
+          : `Choose an option for product: ${productId} (${catalogEntry.options.join(", ")})`
+      );
     }
+    if (catalogEntry.options.length === 0 && option) {
+      throw new Error(`Product ${productId} has no options`);
+    }
+
+    const variant = findVariant(catalogEntry, chosenSize, option || null);
 
-    // Step 5: Convert Stripe price from cents to dollars
-    const actualPrice = stripePrice.unit_amount / 100;
+    // Step 1: The price to check against - from the cache, which the
+    // product / price webhooks keep current (see CATALOG CACHE)
+    const { priceId, price: actualPrice } = await getCurrentPrice(catalogEntry, variant);
 
-    // Step 6: Compare prices (allow 1 cent difference for rounding)
+    // Step 2: Compare prices (allow 1 cent difference for rounding)
     const priceDifference = Math.abs(actualPrice - claimedPrice);
 
     if (priceDifference > 0.01) {
       // FRAUD DETECTED!
       console.error(`❌ PRICE FRAUD DETECTED!`);
-      console.error(`   Product: ${productId}`);
+      console.error(`   Product: ${productId}${variant ? ` (${describeVariant(variant)})` : ""}`);
       console.error(`   Customer sent: $${claimedPrice}`);
       console.error(`   Actual price: $${actualPrice}`);
       throw new Error(`Price mismatch: Expected $${actualPrice}, got $${claimedPrice}`);
@@ -253,15 +864,17 @@ export const validateProductPrice = async (productId, claimedPrice, quantity = 1
     return {
       valid: true,
       productId,
-      stripeProductId: stripeProduct.id,
-      stripePriceId: stripePrice.id,
+      stripeProductId: catalogEntry.stripeProductId,
+      stripePriceId: priceId,
       validatedPrice: actualPrice,
       totalPrice: actualPrice * quantity,
-      productName: stripeProduct.name,
-      productDescription: stripeProduct.description || stripeProduct.name,
-      productImages: stripeProduct.images || [],
+      productName: catalogEntry.name,
+      productDescription: catalogEntry.description || catalogEntry.name,
+      productImages: catalogEntry.images || [],
+      category: catalogEntry.category,
       quantity,
-      size,
+      size: chosenSize, // Written the way the size system writes it (8, 7.5, "M")
+      option: option || null,
       verifiedAt: new Date().toISOString(),
     };
 
@@ -327,7 +940,8 @@ export const validateCart = async (cartItems) => {
         item.id,
         item.price,
         item.quantity,
-        item.size
+        item.size,
+        item.option
       );
 
       // Add to validated list
@@ -337,8 +951,9 @@ export const validateCart = async (cartItems) => {
         metadata: {
           frontendProductId: item.id,
           color: item.colorName || item.color,
-          size: item.size,
-          category: item.category,
+          size: validated.size,
+          option: validated.option,
+          category: validated.category || item.category,
           verifiedAt: validated.verifiedAt,
         },
       });
@@ -357,6 +972,9 @@ export const validateCart = async (cartItems) => {
     throw new Error(`Cart validation failed: ${errors.join("; ")}`);
   }
 
+  // Enough left of every size? (throws OUT_OF_STOCK - see inventory.service.js)
+  await checkStock(validatedItems);
+
   console.log(`✅ Cart valid: ${validatedItems.length} items, $${totalAmount.toFixed(2)}`);
 
   return {
@@ -0,0 +1,160 @@
+/**
+ * Stripe Rate Limiter Service
+ * Keeps our own back-office Stripe traffic under Stripe's API rate limit
+ *
+ * WHY:
+ * - Stripe allows roughly 25 requests/second in test mode (100 in live mode)
+ *   across EVERYTHING using the same key
+ * - A big sync or reconciliation could use all of that on its own,
+ *   and customers' checkouts would start failing with 429 errors
+ *
+ * HOW IT WORKS:
+ * - A limiter runs queued calls, at most N per second and M at once
+ * - rateLimitedStripe() wraps a Stripe client so every API call
+ *   goes through a limiter first
+ *
+ * USAGE:
+ * const adminStripe = rateLimitedStripe(stripe, adminLimiter);
+ * await adminStripe.checkout.sessions.list({ limit: 100 });
+ *
+ * NOTE: calls return plain promises, so Stripe's autoPagingEach() isn't
+ * available on wrapped clients - use listAllPages() instead.
+ */
+
+/**
+ * Create a limiter
+ *
+ * PARAMETERS:
+ * - name: shown in logs
+ * - requestsPerSecond: max calls started in any 1 second window
+ * - maxConcurrent: max calls running at the same time
+ *
+ * RETURNS: { schedule(task), stats() }
+ */
+export const createRateLimiter = ({
+  name,
+  requestsPerSecond = 10,
+  maxConcurrent = 4,
+}) => {
+  const queue = [];
+  const recentStarts = [];
+  let active = 0;
+  let timer = null;
+
+  const runNext = () => {
+    if (timer) return;
+
+    while (queue.length > 0 && active < maxConcurrent) {
+      const now = Date.now();
+      while (recentStarts.length > 0 && now - recentStarts[0] >= 1000) {
+        recentStarts.shift();
+      }
+
+      // Used up this second - wait until the oldest call leaves the window
+      if (recentStarts.length >= requestsPerSecond) {
+        timer = setTimeout(() => {
+          timer = null;
+          runNext();
+        }, 1000 - (now - recentStarts[0]));
+        return;
+      }
+
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      recentStarts.push(now);
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          runNext();
+        });
+    }
+  };
+
+  return {
+    name,
+
+    /**
+     * Run task() when the limit allows
+     * RETURNS: a promise of task()'s result
+     */
+    schedule: (task) =>
+      new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        runNext();
+      }),
+
+    stats: () => ({ name, queued: queue.length, active }),
+  };
+};
+
+/**
+ * Limiter for admin and background jobs (sync, reconciliation, backfill)
+ * Leaves most of the test-mode limit for checkout traffic
+ */
+export const adminLimiter = createRateLimiter({
+  name: "stripe-admin",
+  requestsPerSecond: 10,
+  maxConcurrent: 4,
+});
+
+// Stripe client properties that aren't API resources
+const UNWRAPPED = new Set(["webhooks", "errors", "StripeResource"]);
+
+/**
+ * Wrap a Stripe client so every API call goes through the limiter
+ *
+ * stripe.customers.retrieve(...) → limiter.schedule(() => stripe.customers.retrieve(...))
+ * Nested resources (stripe.checkout.sessions) are wrapped too.
+ */
+export const rateLimitedStripe = (stripe, limiter) => {
+  const wrap = (target) =>
+    new Proxy(target, {
+      get(object, property, receiver) {
+        const value = Reflect.get(object, property, receiver);
+
+        if (typeof property !== "string" || property.startsWith("_")) {
+          return value;
+        }
+
+        if (typeof value === "function") {
+          return (...args) =>
+            limiter.schedule(() => value.apply(object, args));
+        }
+
+        if (value && typeof value === "object" && !UNWRAPPED.has(property)) {
+          return wrap(value);
+        }
+
+        return value;
+      },
+    });
+
+  return wrap(stripe);
+};
+
+/**
+ * Walk every page of a Stripe list call, one item at a time
+ * (the replacement for autoPagingEach on wrapped clients)
+ *
+ * USAGE:
+ * for await (const refund of listAllPages(adminStripe.refunds, { created })) { ... }
+ */
+export async function* listAllPages(resource, params = {}) {
+  let startingAfter;
+
+  while (true) {
+    const page = await resource.list({
+      limit: 100,
+      ...params,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+
+    yield* page.data;
+
+    if (!page.has_more || page.data.length === 0) return;
+    startingAfter = page.data[page.data.length - 1].id;
+  }
+}
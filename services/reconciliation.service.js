@@ -0,0 +1,440 @@
+/**
+ * ==========================================
+ * RECONCILIATION SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Compare what Stripe says happened with what our order store says,
+ * fix what we safely can, and email the owner about the rest
+ *
+ * WHAT IT CHECKS (for the last RECONCILE_LOOKBACK_DAYS days):
+ * 1. Paid checkouts without an order (webhook lost, server down)
+ *    → FIXED: run through fulfillCheckoutSession(), like the webhook would
+ * 2. Refunds Stripe made that the order doesn't show
+ *    → FIXED: run through processChargeRefunded(), like the webhook would
+ * 3. Refunds on our payments that have no order → needs review
+ * 4. Disputes on our orders that the dispute webhook never recorded
+ *    → needs review
+ * 5. Orders whose payment isn't "succeeded" in Stripe → needs review
+ *
+ * WHEN IT RUNS:
+ * - Every night at RECONCILE_TIME (server local time, default 03:00)
+ * - On demand: POST /api/admin/reconciliation
+ *
+ * Each run is saved in the "reconciliationRuns" collection. The owner is
+ * emailed when a run finds something (or fails).
+ */
+
+import { randomUUID } from "crypto";
+import Stripe from "stripe";
+import { getDispute } from "./dispute.service.js";
+import { sendReconciliationReportEmail } from "./email.service.js";
+import { fulfillCheckoutSession } from "./fulfillment.service.js";
+import {
+  getOrderByPaymentIntentId,
+  getOrderBySessionId,
+  queryOrders,
+} from "./order.service.js";
+import {
+  adminLimiter,
+  listAllPages,
+  rateLimitedStripe,
+} from "./rateLimiter.service.js";
+import { processChargeRefunded } from "./refund.service.js";
+import { defineCollection } from "./storage.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+let adminStripe;
+const getAdminStripe = () => {
+  if (!adminStripe) {
+    adminStripe = rateLimitedStripe(
+      new Stripe(process.env.STRIPE_SECRET_KEY),
+      adminLimiter
+    );
+  }
+  return adminStripe;
+};
+
+const reconciliationRuns = defineCollection("reconciliationRuns", {
+  key: "runId",
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getLookbackDays = () => Number(process.env.RECONCILE_LOOKBACK_DAYS) || 3;
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const idOf = (value) => (typeof value === "string" ? value : value?.id || null);
+
+// Sessions / payments created by our own checkout
+const isOurSession = (session) =>
+  session.metadata?.orderType === "itapring_product";
+const isOurPaymentIntent = (paymentIntent) =>
+  paymentIntent?.metadata?.integration === "itapring_checkout";
+
+// ==========================================
+// CHECKS
+// ==========================================
+
+/**
+ * 1. Paid checkouts without an order
+ */
+const checkCheckoutSessions = async (range, report) => {
+  for await (const session of listAllPages(
+    getAdminStripe().checkout.sessions,
+    { created: range }
+  )) {
+    report.checked.sessions++;
+    if (session.payment_status !== "paid" || !isOurSession(session)) continue;
+    if (await getOrderBySessionId(session.id)) continue;
+
+    const discrepancy = {
+      type: "missing_order",
+      sessionId: session.id,
+      paymentIntentId: idOf(session.payment_intent),
+      detail: `$${(session.amount_total / 100).toFixed(2)} paid by ${
+        session.customer_details?.email || "unknown"
+      }`,
+    };
+
+    try {
+      const { order } = await fulfillCheckoutSession(session.id);
+      discrepancy.orderId = order?.orderId || null;
+      discrepancy.repaired = Boolean(order);
+    } catch (error) {
+      discrepancy.error = error.message;
+    }
+
+    report.discrepancies.push(discrepancy);
+  }
+};
+
+/**
+ * 2 + 3. Refunds Stripe knows about that our orders don't
+ */
+const checkRefunds = async (range, report) => {
+  const repairedCharges = new Set();
+
+  for await (const refund of listAllPages(getAdminStripe().refunds, {
+    created: range,
+    expand: ["data.payment_intent"],
+  })) {
+    report.checked.refunds++;
+    if (!["succeeded", "pending"].includes(refund.status)) continue;
+
+    const paymentIntentId = idOf(refund.payment_intent);
+    const order = paymentIntentId
+      ? await getOrderByPaymentIntentId(paymentIntentId)
+      : null;
+
+    if (!order) {
+      if (isOurPaymentIntent(refund.payment_intent)) {
+        report.discrepancies.push({
+          type: "refund_without_order",
+          paymentIntentId,
+          detail: `Refund ${refund.id} of $${(refund.amount / 100).toFixed(2)}`,
+        });
+      }
+      continue;
+    }
+
+    const recorded = (order.refunds || []).some((r) => r.refundId === refund.id);
+    const chargeId = idOf(refund.charge);
+    if (recorded || !chargeId || repairedCharges.has(chargeId)) continue;
+
+    const discrepancy = {
+      type: "refund_not_recorded",
+      orderId: order.orderId,
+      paymentIntentId,
+      detail: `Refund ${refund.id} of $${(refund.amount / 100).toFixed(2)} not on the order`,
+    };
+
+    try {
+      // Same path as the charge.refunded webhook (records every refund on the charge)
+      const charge = await getAdminStripe().charges.retrieve(chargeId);
+      await processChargeRefunded(charge);
+      repairedCharges.add(chargeId);
+      discrepancy.repaired = true;
+    } catch (error) {
+      discrepancy.error = error.message;
+    }
+
+    report.discrepancies.push(discrepancy);
+  }
+};
+
+/**
+ * 4. Disputes on our orders that we have no record of
+ * (missing from the disputes collection, or the order isn't flagged)
+ */
+const checkDisputes = async (range, report) => {
+  for await (const dispute of listAllPages(getAdminStripe().disputes, {
+    created: range,
+  })) {
+    report.checked.disputes++;
+
+    const paymentIntentId = idOf(dispute.payment_intent);
+    const order = paymentIntentId
+      ? await getOrderByPaymentIntentId(paymentIntentId)
+      : null;
+    if (!order) continue;
+
+    const stored = await getDispute(dispute.id);
+    const recorded = stored?.orderId === order.orderId && Boolean(order.dispute);
+    if (recorded) continue;
+
+    report.discrepancies.push({
+      type: "dispute_not_recorded",
+      orderId: order.orderId,
+      paymentIntentId,
+      detail: `Dispute ${dispute.id}: $${(dispute.amount / 100).toFixed(2)} (${
+        dispute.reason
+      }, ${dispute.status}) not on the order`,
+    });
+  }
+};
+
+/**
+ * 5. Orders whose payment intent didn't succeed
+ */
+const checkOrders = async ({ gte, lte }, report) => {
+  let cursor;
+
+  do {
+    const page = await queryOrders({
+      from: new Date(gte * 1000),
+      // lte is whole seconds - include the rest of that second too
+      to: new Date(lte * 1000 + 999),
+      sort: "createdAt",
+      direction: "asc",
+      limit: 100,
+      cursor,
+    });
+
+    for (const order of page.orders) {
+      report.checked.orders++;
+      if (!order.stripePaymentIntentId) continue;
+      // Delayed payments still clearing, or already failed and cancelled
+      if (["unpaid", "failed"].includes(order.paymentStatus)) continue;
+
+      const paymentIntent = await getAdminStripe().paymentIntents.retrieve(
+        order.stripePaymentIntentId
+      );
+      if (paymentIntent.status === "succeeded") continue;
+
+      report.discrepancies.push({
+        type: "payment_not_succeeded",
+        orderId: order.orderId,
+        paymentIntentId: paymentIntent.id,
+        detail: `Payment is "${paymentIntent.status}" in Stripe`,
+      });
+    }
+
+    cursor = page.nextCursor;
+  } while (cursor);
+};
+
+// ==========================================
+// RUNS
+// ==========================================
+
+const summarize = (discrepancies) => ({
+  total: discrepancies.length,
+  repaired: discrepancies.filter((d) => d.repaired).length,
+  failedRepairs: discrepancies.filter((d) => d.error).length,
+  needsReview: discrepancies.filter((d) => !d.repaired).length,
+  byType: discrepancies.reduce((counts, d) => {
+    counts[d.type] = (counts[d.type] || 0) + 1;
+    return counts;
+  }, {}),
+});
+
+let busy = false;
+
+const executeRun = async (runId) => {
+  const run = await reconciliationRuns.get(runId);
+  const range = { gte: toUnixSeconds(run.from), lte: toUnixSeconds(run.to) };
+
+  const report = {
+    checked: { sessions: 0, orders: 0, refunds: 0, disputes: 0 },
+    discrepancies: [],
+  };
+
+  let status = "completed";
+  let error = null;
+
+  try {
+    // Missing orders first, so the later checks see the repaired orders
+    await checkCheckoutSessions(range, report);
+    await checkRefunds(range, report);
+    await checkDisputes(range, report);
+    await checkOrders(range, report);
+  } catch (err) {
+    console.error(`❌ Reconciliation ${runId} failed:`, err.message);
+    status = "failed";
+    error = err.message;
+  }
+
+  let finished = await reconciliationRuns.update(runId, {
+    status,
+    error,
+    checked: report.checked,
+    discrepancies: report.discrepancies,
+    summary: summarize(report.discrepancies),
+    completedAt: new Date(),
+  });
+
+  console.log(
+    `🔍 Reconciliation ${runId}: ${finished.summary.total} discrepancies, ` +
+      `${finished.summary.repaired} fixed, ${finished.summary.needsReview} need review`
+  );
+
+  if (finished.summary.total > 0 || status === "failed") {
+    const emailed = await sendReconciliationReportEmail(finished);
+    finished = await reconciliationRuns.update(runId, { emailed });
+  }
+
+  return finished;
+};
+
+/**
+ * Run a reconciliation
+ *
+ * PARAMETERS:
+ * - from / to: period to check (default: the last RECONCILE_LOOKBACK_DAYS days)
+ * - trigger: "schedule" or "manual" (shown in the run record)
+ * - wait: true to resolve when the run is finished
+ *
+ * RETURNS: the run record
+ */
+export const runReconciliation = async ({
+  from,
+  to,
+  trigger = "manual",
+  wait = false,
+} = {}) => {
+  // One run at a time - claimed before the first await
+  if (busy) {
+    throw createHttpError(
+      409,
+      "A reconciliation is already running",
+      "RECONCILIATION_RUNNING"
+    );
+  }
+  busy = true;
+
+  const now = new Date();
+  const end = to || now;
+
+  let run;
+  try {
+    run = await reconciliationRuns.insert({
+      runId: randomUUID(),
+      trigger,
+      status: "running",
+      from: from || new Date(end.getTime() - getLookbackDays() * DAY_MS),
+      to: end,
+      startedAt: now,
+      completedAt: null,
+      emailed: false,
+    });
+  } catch (error) {
+    busy = false;
+    throw error;
+  }
+
+  console.log(`🔍 Reconciliation ${run.runId} started (${trigger})`);
+
+  const finished = executeRun(run.runId).finally(() => {
+    busy = false;
+  });
+  if (wait) return finished;
+
+  // In the background a throw (saving the report, the email, ...) would be
+  // an unhandled rejection and crash the process - log and record it instead
+  finished.catch(async (err) => {
+    console.error(`❌ Reconciliation ${run.runId} crashed:`, err.message);
+    try {
+      await reconciliationRuns.update(run.runId, {
+        status: "failed",
+        error: err.message,
+        completedAt: new Date(),
+      });
+    } catch (saveError) {
+      console.error(
+        `❌ Couldn't record reconciliation ${run.runId} failure:`,
+        saveError.message
+      );
+    }
+  });
+  return run;
+};
+
+export const getReconciliationRun = async (runId) => {
+  return reconciliationRuns.get(runId);
+};
+
+/**
+ * Most recent runs first
+ */
+export const listReconciliationRuns = async ({ limit = 30 } = {}) => {
+  const runs = await reconciliationRuns.all();
+  return runs
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit);
+};
+
+// ==========================================
+// NIGHTLY SCHEDULE
+// ==========================================
+
+let scheduleTimer = null;
+
+/**
+ * Milliseconds until the next HH:MM (server local time)
+ */
+const msUntil = (time, now = new Date()) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+};
+
+/**
+ * Run the reconciliation every night at RECONCILE_TIME
+ * RECONCILE_TIME=off turns the schedule off
+ */
+export const startReconciliationSchedule = () => {
+  const time = process.env.RECONCILE_TIME || "03:00";
+
+  if (time === "off") {
+    console.log("🔍 Nightly reconciliation is off (RECONCILE_TIME=off)");
+    return;
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    console.error(`❌ Invalid RECONCILE_TIME "${time}" (use HH:MM) - schedule off`);
+    return;
+  }
+
+  const scheduleNext = () => {
+    scheduleTimer = setTimeout(async () => {
+      try {
+        await runReconciliation({ trigger: "schedule", wait: true });
+      } catch (error) {
+        console.error("❌ Scheduled reconciliation failed:", error.message);
+      }
+      scheduleNext();
+    }, msUntil(time));
+    scheduleTimer.unref(); // Don't keep the process alive just for this
+  };
+
+  scheduleNext();
+  console.log(`🔍 Nightly reconciliation scheduled for ${time}`);
+};
+
+export const stopReconciliationSchedule = () => {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+};
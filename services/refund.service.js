@@ -0,0 +1,323 @@
+/**
+ * ==========================================
+ * REFUND SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Refund orders through Stripe and keep our order records in sync
+ *
+ * TWO WAYS A REFUND HAPPENS:
+ * 1. Admin API (POST /api/admin/orders/:orderId/refunds)
+ *    → we create the refund in Stripe and record it on the order
+ * 2. Stripe Dashboard (or any other tool)
+ *    → Stripe sends charge.refunded, we pick the refund up from there
+ *
+ * Either way, the charge.refunded webhook is what emails the customer
+ * (and sends order.refunded to our outbound webhooks), so every refund
+ * gets exactly one notice no matter where it started.
+ *
+ * PARTIAL REFUNDS:
+ * - Pick line items by their line number (1 = first item in the order)
+ * - Each line remembers how many units were already refunded
+ * - When everything is refunded, the order moves to "refunded"
+ */
+
+import Stripe from "stripe";
+import { sendRefundNoticeEmail } from "./email.service.js";
+import { restockOrder } from "./inventory.service.js";
+import {
+  canTransition,
+  getOrderById,
+  getOrderByPaymentIntentId,
+  updateOrder,
+  updateOrderStatus,
+} from "./order.service.js";
+import { publishOrderEvent } from "./outboundWebhook.service.js";
+import { createHttpError } from "../utils/errors.js";
+import { createKeyedLock } from "../utils/helpers.js";
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+// Reasons Stripe accepts on a refund
+export const STRIPE_REFUND_REASONS = [
+  "duplicate",
+  "fraudulent",
+  "requested_by_customer",
+];
+
+const withOrderLock = createKeyedLock();
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Add (or update) a refund on an order object
+ * Pure function - used inside an atomic order update
+ */
+const applyRefund = (order, refund) => {
+  const refunds = order.refunds || [];
+  const existing = refunds.find((r) => r.refundId === refund.refundId);
+
+  const nextRefunds = existing
+    ? refunds.map((r) =>
+        r.refundId === refund.refundId
+          ? { ...r, status: refund.status, updatedAt: new Date() }
+          : r
+      )
+    : [...refunds, refund];
+
+  // Failed or canceled refunds gave nothing back - count neither
+  // their money nor their units
+  const activeRefunds = nextRefunds.filter(
+    (r) => !["failed", "canceled"].includes(r.status)
+  );
+
+  const items = order.items.map((item, index) => ({
+    ...item,
+    refundedQuantity: activeRefunds
+      .flatMap((r) => r.items || [])
+      .filter((l) => l.line === index + 1)
+      .reduce((sum, l) => sum + l.quantity, 0),
+  }));
+
+  const refundedAmount = roundCents(
+    activeRefunds.reduce((sum, r) => sum + r.amount, 0)
+  );
+
+  return { ...order, items, refunds: nextRefunds, refundedAmount };
+};
+
+/**
+ * Move the order to "refunded" once the money is all back,
+ * and put refunded units that weren't shipped back into stock
+ */
+const syncRefundStatus = async (order, actor) => {
+  const fullyRefunded = order.refundedAmount >= order.amount;
+
+  let updated = await updateOrder(order.orderId, {
+    paymentStatus: fullyRefunded ? "refunded" : "partially_refunded",
+  });
+
+  if (fullyRefunded && canTransition(updated.status, "refunded")) {
+    updated = await updateOrderStatus(order.orderId, "refunded", { actor });
+  }
+
+  // Unshipped refunded units go back into stock - shipped ones only
+  // with a return (see inventory.service.js)
+  return restockOrder(updated);
+};
+
+/**
+ * Work out which lines and how much money a refund request covers
+ */
+const planRefund = (order, requestedItems) => {
+  const remaining = roundCents(order.amount - (order.refundedAmount || 0));
+
+  // No items given = refund everything that's left
+  if (!requestedItems?.length) {
+    const lines = order.items
+      .map((item, index) => ({
+        line: index + 1,
+        quantity: item.quantity - (item.refundedQuantity || 0),
+      }))
+      .filter((line) => line.quantity > 0);
+    return { amount: remaining, lines };
+  }
+
+  let amount = 0;
+  const lines = [];
+
+  for (const { line, quantity } of requestedItems) {
+    const item = order.items[line - 1];
+    if (!item) {
+      throw createHttpError(400, `Order has no line ${line}`, "INVALID_LINE");
+    }
+
+    const refundable = item.quantity - (item.refundedQuantity || 0);
+    if (quantity > refundable) {
+      throw createHttpError(
+        400,
+        `Line ${line}: only ${refundable} unit(s) left to refund`,
+        "REFUND_EXCEEDS_QUANTITY"
+      );
+    }
+
+    // item.price is the line total, so split it per unit
+    const lineAmount = roundCents((item.price / item.quantity) * quantity);
+    amount += lineAmount;
+    lines.push({ line, quantity, amount: lineAmount });
+  }
+
+  amount = roundCents(Math.min(amount, remaining));
+  return { amount, lines };
+};
+
+/**
+ * Refund an order (fully or per line item)
+ *
+ * PARAMETERS:
+ * - orderId: e.g. "IT-100001"
+ * - options.items: [{ line: 1, quantity: 1 }] - omit for a full refund
+ * - options.reason: one of STRIPE_REFUND_REASONS (optional)
+ * - options.note: internal note (optional)
+ * - options.admin: who asked for it (req.admin)
+ * - options.idempotencyKey: makes a retried request safe (optional)
+ *
+ * RETURNS: { order, refund }
+ */
+export const createRefund = async (
+  orderId,
+  { items, reason, note = null, admin, idempotencyKey } = {}
+) =>
+  withOrderLock(orderId, async () => {
+    const order = await getOrderById(orderId);
+
+    if (!order.stripePaymentIntentId) {
+      throw createHttpError(409, "Order has no payment to refund", "NO_PAYMENT");
+    }
+
+    const { amount, lines } = planRefund(order, items);
+    if (amount <= 0) {
+      throw createHttpError(409, "Nothing left to refund", "NOTHING_TO_REFUND");
+    }
+
+    const stripeRefund = await getStripe().refunds.create(
+      {
+        payment_intent: order.stripePaymentIntentId,
+        amount: Math.round(amount * 100),
+        ...(reason && { reason }),
+        metadata: {
+          orderId,
+          lines: JSON.stringify(lines.map((l) => [l.line, l.quantity])),
+          requestedBy: admin?.name || "system",
+        },
+      },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+
+    const refund = {
+      refundId: stripeRefund.id,
+      amount: stripeRefund.amount / 100,
+      status: stripeRefund.status,
+      items: lines,
+      reason: reason || null,
+      note,
+      source: "admin",
+      createdBy: admin?.name || "system",
+      createdAt: new Date(stripeRefund.created * 1000),
+      notifiedAt: null,
+    };
+
+    console.log(
+      `↩️  Refund ${refund.refundId}: $${refund.amount.toFixed(2)} on ${orderId}`
+    );
+
+    const updated = await updateOrder(orderId, (current) =>
+      applyRefund(current, refund)
+    );
+
+    return {
+      order: await syncRefundStatus(updated, `admin:${refund.createdBy}`),
+      refund,
+    };
+  });
+
+/**
+ * Read the line items we stored in refund metadata
+ * Refunds made in the Stripe Dashboard have none
+ */
+const parseRefundLines = (metadata) => {
+  try {
+    return JSON.parse(metadata?.lines || "[]").map(([line, quantity]) => ({
+      line,
+      quantity,
+    }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Handle Stripe's charge.refunded webhook
+ *
+ * WHAT IT DOES:
+ * 1. Find the order by payment intent
+ * 2. Record every refund on the charge (including Dashboard refunds)
+ * 3. Trust Stripe's amount_refunded as the final refunded total
+ * 4. Email the customer once per refund
+ */
+export const processChargeRefunded = async (charge) => {
+  const paymentIntentId =
+    typeof charge.payment_intent === "string"
+      ? charge.payment_intent
+      : charge.payment_intent?.id;
+
+  const order = paymentIntentId
+    ? await getOrderByPaymentIntentId(paymentIntentId)
+    : null;
+
+  if (!order) {
+    console.log(`ℹ️  Refund for unknown payment: ${paymentIntentId}`);
+    return null;
+  }
+
+  return withOrderLock(order.orderId, async () => {
+    const { data: stripeRefunds } = await getStripe().refunds.list({
+      charge: charge.id,
+      limit: 100,
+    });
+
+    let updated = await updateOrder(order.orderId, (current) => {
+      let next = current;
+      for (const stripeRefund of stripeRefunds) {
+        next = applyRefund(next, {
+          refundId: stripeRefund.id,
+          amount: stripeRefund.amount / 100,
+          status: stripeRefund.status,
+          items: parseRefundLines(stripeRefund.metadata),
+          reason: stripeRefund.reason || null,
+          note: null,
+          source: stripeRefund.metadata?.orderId ? "admin" : "stripe",
+          createdBy: stripeRefund.metadata?.requestedBy || "stripe",
+          createdAt: new Date(stripeRefund.created * 1000),
+          notifiedAt: null,
+        });
+      }
+      return { ...next, refundedAmount: charge.amount_refunded / 100 };
+    });
+
+    updated = await syncRefundStatus(updated, "webhook");
+
+    // One email (and one order.refunded event) per refund, only once
+    for (const refund of updated.refunds) {
+      if (refund.notifiedAt || !["succeeded", "pending"].includes(refund.status)) {
+        continue;
+      }
+
+      const sent = await sendRefundNoticeEmail(updated, refund);
+      updated = await updateOrder(order.orderId, (current) => ({
+        ...current,
+        refunds: current.refunds.map((r) =>
+          r.refundId === refund.refundId
+            ? { ...r, notifiedAt: new Date(), notified: sent }
+            : r
+        ),
+      }));
+
+      await publishOrderEvent("order.refunded", {
+        order: updated,
+        refund: updated.refunds.find((r) => r.refundId === refund.refundId),
+      });
+    }
+
+    console.log(
+      `↩️  Order ${order.orderId} refunded total: $${updated.refundedAmount.toFixed(2)}`
+    );
+    return updated;
+  });
+};
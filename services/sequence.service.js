@@ -0,0 +1,41 @@
+/**
+ * Sequence Service
+ * Persisted counters that hand out unique, ever-increasing numbers
+ *
+ * WHY NOT COUNT ORDERS:
+ * - Two requests counting at the same time get the same number
+ * - Counting also breaks if an order is ever deleted
+ * - A counter stored on disk keeps going up, even across restarts
+ */
+
+import { defineCollection } from "./storage.service.js";
+
+const sequences = defineCollection("sequences", { key: "name" });
+
+/**
+ * Allocate the next value of a named sequence
+ *
+ * PARAMETERS:
+ * - name: sequence name (e.g., "order-number:IT")
+ * - start: first value handed out if the sequence doesn't exist yet
+ *
+ * ATOMIC: read + increment happen in one storage upsert, so concurrent
+ * callers always get different values.
+ */
+export const nextSequenceValue = async (name, { start = 1 } = {}) => {
+  const sequence = await sequences.upsert(name, (current) => ({
+    name,
+    value: current ? Math.max(current.value + 1, start) : start,
+    updatedAt: new Date(),
+  }));
+
+  return sequence.value;
+};
+
+/**
+ * Peek at the last value handed out (null if the sequence was never used)
+ */
+export const getSequenceValue = async (name) => {
+  const sequence = await sequences.get(name);
+  return sequence ? sequence.value : null;
+};
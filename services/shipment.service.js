@@ -0,0 +1,176 @@
+/**
+ * ==========================================
+ * SHIPMENT SERVICE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Attach carrier + tracking info to orders and tell the customer
+ *
+ * SPLIT SHIPMENTS:
+ * - An order can go out in several packages
+ * - Each shipment lists the lines (and units) inside the package
+ * - Each line remembers how many units have shipped so far
+ * - Partly shipped → order is "processing"
+ * - Everything shipped → order is "shipped"
+ *
+ * Every shipment sends a "your ring is on the way" email with its tracking link,
+ * and an order.shipped event to our outbound webhooks.
+ */
+
+import { sendShipmentNotificationEmail } from "./email.service.js";
+import {
+  canTransition,
+  getOrderById,
+  updateOrder,
+  updateOrderStatus,
+} from "./order.service.js";
+import { publishOrderEvent } from "./outboundWebhook.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+/**
+ * Tracking page per carrier ({number} is replaced by the tracking number)
+ * Used when no trackingUrl is given
+ */
+export const CARRIER_TRACKING_URLS = {
+  usps: "https://tools.usps.com/go/TrackConfirmAction?tLabels={number}",
+  ups: "https://www.ups.com/track?tracknum={number}",
+  fedex: "https://www.fedex.com/fedextrack/?trknbr={number}",
+  dhl: "https://www.dhl.com/en/express/tracking.html?AWB={number}",
+};
+
+export const buildTrackingUrl = (carrier, trackingNumber) => {
+  const template = CARRIER_TRACKING_URLS[carrier?.toLowerCase()];
+  return template
+    ? template.replace("{number}", encodeURIComponent(trackingNumber))
+    : null;
+};
+
+const unshippedQuantity = (item) =>
+  item.quantity - (item.shippedQuantity || 0) - (item.refundedQuantity || 0);
+
+/**
+ * Work out which lines go in this package
+ * No lines given = everything that hasn't shipped yet
+ */
+const planShipment = (order, requestedItems) => {
+  if (!requestedItems?.length) {
+    return order.items
+      .map((item, index) => ({ line: index + 1, quantity: unshippedQuantity(item) }))
+      .filter((line) => line.quantity > 0);
+  }
+
+  return requestedItems.map(({ line, quantity }) => {
+    const item = order.items[line - 1];
+    if (!item) {
+      throw createHttpError(400, `Order has no line ${line}`, "INVALID_LINE");
+    }
+
+    const remaining = unshippedQuantity(item);
+    if (quantity > remaining) {
+      throw createHttpError(
+        400,
+        `Line ${line}: only ${remaining} unit(s) left to ship`,
+        "SHIPMENT_EXCEEDS_QUANTITY"
+      );
+    }
+
+    return { line, quantity };
+  });
+};
+
+/**
+ * Add a shipment to an order
+ *
+ * PARAMETERS:
+ * - orderId: e.g. "IT-100001"
+ * - details.carrier: e.g. "usps"
+ * - details.trackingNumber: carrier tracking number
+ * - details.trackingUrl: optional (built from the carrier if missing)
+ * - details.items: [{ line: 1, quantity: 1 }] - omit to ship everything left
+ * - details.admin: who shipped it (req.admin)
+ *
+ * RETURNS: { order, shipment }
+ */
+export const addShipment = async (
+  orderId,
+  { carrier, trackingNumber, trackingUrl, items, admin } = {}
+) => {
+  const order = await getOrderById(orderId);
+
+  if (order.status !== "processing" && !canTransition(order.status, "shipped")) {
+    throw createHttpError(
+      409,
+      `Order ${orderId} can't ship while ${order.status}`,
+      "INVALID_TRANSITION"
+    );
+  }
+
+  let shipment;
+
+  // Plan + record in one atomic update so two packers can't ship the same units
+  let updated = await updateOrder(orderId, (current) => {
+    const lines = planShipment(current, items);
+    if (lines.length === 0) {
+      throw createHttpError(409, "Nothing left to ship", "NOTHING_TO_SHIP");
+    }
+
+    const shipments = current.shipments || [];
+    shipment = {
+      shipmentId: `${orderId}-S${shipments.length + 1}`,
+      carrier,
+      trackingNumber,
+      trackingUrl: trackingUrl || buildTrackingUrl(carrier, trackingNumber),
+      items: lines,
+      shippedAt: new Date(),
+      createdBy: admin?.name || "system",
+      notifiedAt: null,
+    };
+
+    return {
+      ...current,
+      items: current.items.map((item, index) => {
+        const line = lines.find((l) => l.line === index + 1);
+        return line
+          ? { ...item, shippedQuantity: (item.shippedQuantity || 0) + line.quantity }
+          : item;
+      }),
+      shipments: [...shipments, shipment],
+    };
+  });
+
+  const fullyShipped = updated.items.every((item) => unshippedQuantity(item) <= 0);
+  const actor = `admin:${shipment.createdBy}`;
+  const note = `${shipment.carrier} ${shipment.trackingNumber}`;
+
+  if (fullyShipped) {
+    updated = await updateOrderStatus(orderId, "shipped", { actor, note });
+  } else if (updated.status === "paid") {
+    updated = await updateOrderStatus(orderId, "processing", {
+      actor,
+      note: `Partial shipment: ${note}`,
+    });
+  }
+
+  console.log(
+    `📦 Shipment ${shipment.shipmentId}: ${note} (${
+      fullyShipped ? "complete" : "partial"
+    })`
+  );
+
+  const sent = await sendShipmentNotificationEmail(updated, shipment);
+  updated = await updateOrder(orderId, (current) => ({
+    ...current,
+    shipments: current.shipments.map((s) =>
+      s.shipmentId === shipment.shipmentId
+        ? { ...s, notifiedAt: new Date(), notified: sent }
+        : s
+    ),
+  }));
+
+  const recorded = updated.shipments.find(
+    (s) => s.shipmentId === shipment.shipmentId
+  );
+  await publishOrderEvent("order.shipped", { order: updated, shipment: recorded });
+
+  return { order: updated, shipment: recorded };
+};
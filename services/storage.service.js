@@ -0,0 +1,538 @@
+/**
+ * ==========================================
+ * STORAGE SERVICE - EMBEDDED DATA STORE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Keep our data (orders and friends) safe across restarts and deploys
+ *
+ * HOW IT WORKS:
+ * - Data is grouped in "collections" (like tables in a database)
+ * - Every collection lives in memory for fast reads
+ * - Every write is saved through a driver (a JSON file by default)
+ * - Indexes let us find documents by a field without scanning everything
+ *
+ * WHY WRITES ARE SAFE WITH CONCURRENT REQUESTS:
+ * - Node.js runs our JavaScript on a single thread
+ * - Each insert/update checks and changes memory before its first "await"
+ * - So two requests can never interleave in the middle of a write
+ *
+ * WHEN A WRITE FAILS:
+ * - The change is undone in memory and the caller gets the error
+ * - So a write that "failed" can't quietly reach disk with the next save
+ *
+ * RETENTION:
+ * - Log-style collections set a retention option; their old entries
+ *   are pruned as new ones come in
+ * - STORAGE_RETENTION_DAYS (default 90) sets how long they're kept
+ *
+ * FOR JUNIOR DEVELOPERS:
+ * - Use defineCollection() once per collection, at the top of a service
+ * - Then call insert/get/findOne/update on the returned object
+ * - Never keep data in your own module-level Map - it vanishes on restart!
+ */
+
+import { createStorageDriver } from "./storage/drivers.js";
+import { LATEST_SCHEMA_VERSION, migrations } from "./storage/migrations.js";
+
+const state = {
+  driver: null,
+  data: null,
+};
+
+// Collection name → { key, indexes, retention }
+const definitions = new Map();
+
+// Collection name → Map(field → Map(value → Set(document keys)))
+const indexStore = new Map();
+
+/**
+ * Copy a document so callers can't change stored data by accident
+ * JSON round trip also turns Dates into ISO strings, exactly like a reload would
+ */
+const clone = (doc) => (doc === undefined ? null : JSON.parse(JSON.stringify(doc)));
+
+// ==========================================
+// LOADING & MIGRATIONS
+// ==========================================
+
+/**
+ * Run every migration newer than the snapshot's schema version
+ * RETURNS: how many migrations were applied
+ */
+const runMigrations = (data) => {
+  const pending = migrations.filter((m) => m.version > data.schemaVersion);
+
+  for (const migration of pending) {
+    console.log(
+      `🔧 Storage migration v${migration.version}: ${migration.description}`
+    );
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  }
+
+  return pending.length;
+};
+
+/**
+ * Load the snapshot from the driver the first time anyone needs it
+ */
+const ensureLoaded = () => {
+  if (state.data) return state.data;
+
+  const driver = createStorageDriver();
+  const data = driver.load() || { schemaVersion: 0, collections: {} };
+  data.collections = data.collections || {};
+  data.schemaVersion = data.schemaVersion || 0;
+
+  if (data.schemaVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema v${data.schemaVersion} is newer than this server (v${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  const applied = runMigrations(data);
+
+  state.driver = driver;
+  state.data = data;
+
+  for (const name of definitions.keys()) {
+    rebuildIndexes(name);
+  }
+
+  if (applied > 0) {
+    // A failed save is logged by persist() and retried with the next write
+    persist().catch(() => {});
+  }
+
+  return data;
+};
+
+// ==========================================
+// WRITING TO THE DRIVER
+// ==========================================
+
+let queuedWrite = null;
+let writeChain = Promise.resolve();
+
+// Changes made since the last save started: [{ name, id, previous, stored }]
+let unsaved = [];
+
+/**
+ * Save the current snapshot
+ *
+ * Writes run one at a time. If a write is already waiting its turn,
+ * later changes simply join it (it will include them when it runs).
+ * If the save fails, every change it carried is undone (see rollback).
+ */
+const persist = () => {
+  if (!queuedWrite) {
+    queuedWrite = writeChain.then(() => {
+      queuedWrite = null;
+      const changes = unsaved;
+      unsaved = [];
+
+      return state.driver.save(state.data).catch((error) => {
+        rollback(changes);
+        throw error;
+      });
+    });
+    writeChain = queuedWrite.catch((error) => {
+      console.error("❌ Storage write failed:", error.message);
+    });
+  }
+  return queuedWrite;
+};
+
+/**
+ * Undo the changes of a failed save, newest first
+ * A document changed again since then keeps its newer version - that
+ * change's own save decides its fate, and undoing it goes all the way back
+ */
+const rollback = (changes) => {
+  for (const { name, id, previous, stored } of [...changes].reverse()) {
+    const docs = getDocs(name);
+    if (docs[id] !== stored) {
+      const later = unsaved.find((change) => change.name === name && change.id === id);
+      if (later) later.previous = previous;
+      continue;
+    }
+
+    if (stored) removeFromIndexes(name, id, stored);
+    if (previous) {
+      docs[id] = previous;
+      addToIndexes(name, id, previous);
+    } else {
+      delete docs[id];
+    }
+  }
+};
+
+/**
+ * Put a document (or null to delete it) into memory and remember how to undo it
+ * Callers then await persist()
+ */
+const commit = (name, id, stored) => {
+  const docs = getDocs(name);
+  const previous = docs[id] || null;
+
+  if (previous) removeFromIndexes(name, id, previous);
+  if (stored) {
+    docs[id] = stored;
+    addToIndexes(name, id, stored);
+  } else {
+    delete docs[id];
+  }
+
+  unsaved.push({ name, id, previous, stored: stored || undefined });
+};
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+const getDocs = (name) => {
+  const data = ensureLoaded();
+  if (!data.collections[name]) {
+    data.collections[name] = {};
+  }
+  return data.collections[name];
+};
+
+const addToIndexes = (name, key, doc) => {
+  for (const [field, values] of indexStore.get(name)) {
+    const value = doc[field];
+    if (value === undefined || value === null) continue;
+
+    if (!values.has(value)) values.set(value, new Set());
+    values.get(value).add(key);
+  }
+};
+
+const removeFromIndexes = (name, key, doc) => {
+  for (const [field, values] of indexStore.get(name)) {
+    const keys = values.get(doc[field]);
+    if (!keys) continue;
+
+    keys.delete(key);
+    if (keys.size === 0) values.delete(doc[field]);
+  }
+};
+
+const rebuildIndexes = (name) => {
+  const { indexes } = definitions.get(name);
+  indexStore.set(name, new Map(indexes.map(({ field }) => [field, new Map()])));
+
+  for (const [key, doc] of Object.entries(getDocs(name))) {
+    addToIndexes(name, key, doc);
+  }
+};
+
+/**
+ * Make sure a write doesn't break a unique index
+ * ignoreKey lets a document keep its own value during updates
+ */
+const assertUnique = (name, doc, ignoreKey = null) => {
+  const { indexes } = definitions.get(name);
+
+  for (const { field, unique } of indexes) {
+    const value = doc[field];
+    if (!unique || value === undefined || value === null) continue;
+
+    const keys = indexStore.get(name).get(field).get(value);
+    const clash = keys && [...keys].some((key) => key !== ignoreKey);
+
+    if (clash) {
+      const error = new Error(`Duplicate ${field} in ${name}: ${value}`);
+      error.code = "DUPLICATE_KEY";
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+};
+
+// ==========================================
+// RETENTION
+// ==========================================
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // at most once an hour
+
+const getRetentionDays = () => Number(process.env.STORAGE_RETENTION_DAYS) || 90;
+
+// Collection name → when it was last pruned
+const lastPruned = new Map();
+
+/**
+ * Drop entries older than the retention period
+ * Runs inside insert() and upsert(), so the removals are saved with the new entry
+ *
+ * retention: { field: "createdAt", keep: (doc) => true to never prune it }
+ */
+const pruneExpired = (name) => {
+  const { key, retention } = definitions.get(name);
+  const now = Date.now();
+  if (!retention || now - (lastPruned.get(name) || 0) < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastPruned.set(name, now);
+
+  const cutoff = now - getRetentionDays() * 24 * 60 * 60 * 1000;
+  const expired = Object.values(getDocs(name)).filter(
+    (doc) =>
+      new Date(doc[retention.field]).getTime() < cutoff &&
+      !retention.keep?.(doc)
+  );
+
+  for (const doc of expired) {
+    commit(name, doc[key], null);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Storage: pruned ${expired.length} old ${name} entries`);
+  }
+};
+
+// ==========================================
+// COLLECTIONS
+// ==========================================
+
+/**
+ * Define a collection and get back its API
+ *
+ * PARAMETERS:
+ * - name: collection name (e.g., "orders")
+ * - key: field that uniquely identifies a document (e.g., "orderId")
+ * - indexes: [{ field: "stripeSessionId", unique: true }, ...]
+ * - retention: prune old entries of log-style collections (see RETENTION)
+ *
+ * EXAMPLE:
+ * const orders = defineCollection("orders", { key: "orderId" });
+ * await orders.insert({ orderId: "IT-100001", ... });
+ */
+export const defineCollection = (
+  name,
+  { key = "id", indexes = [], retention = null } = {}
+) => {
+  definitions.set(name, { key, indexes, retention });
+
+  if (state.data) {
+    rebuildIndexes(name);
+  }
+
+  const ensureIndexes = () => {
+    ensureLoaded();
+    if (!indexStore.has(name)) rebuildIndexes(name);
+  };
+
+  return {
+    name,
+
+    /**
+     * Get one document by its key (null if missing)
+     */
+    get: async (id) => clone(getDocs(name)[id]),
+
+    /**
+     * Get every document whose field equals value
+     * Uses the index when there is one, otherwise scans the collection
+     */
+    find: async (field, value) => {
+      ensureIndexes();
+      const docs = getDocs(name);
+      const index = indexStore.get(name).get(field);
+
+      if (index) {
+        return [...(index.get(value) || [])].map((id) => clone(docs[id]));
+      }
+
+      return Object.values(docs)
+        .filter((doc) => doc[field] === value)
+        .map(clone);
+    },
+
+    /**
+     * Get the first document whose field equals value (null if none)
+     */
+    findOne: async (field, value) => {
+      ensureIndexes();
+      const docs = getDocs(name);
+      const index = indexStore.get(name).get(field);
+
+      if (index) {
+        const [id] = index.get(value) || [];
+        return id === undefined ? null : clone(docs[id]);
+      }
+
+      return clone(Object.values(docs).find((doc) => doc[field] === value));
+    },
+
+    /**
+     * Get every document in the collection
+     */
+    all: async () => Object.values(getDocs(name)).map(clone),
+
+    /**
+     * Keys of the documents that pass where, sorted by compare
+     * Looks at the stored documents without copying them, so where and
+     * compare must only read them
+     */
+    keys: async ({ where = () => true, compare } = {}) => {
+      const docs = getDocs(name);
+      const keys = Object.keys(docs).filter((id) => where(docs[id]));
+      return compare ? keys.sort((a, b) => compare(docs[a], docs[b])) : keys;
+    },
+
+    /**
+     * One page of the documents that pass where, sorted by compare
+     * Only the page is copied (same read-only rule as keys())
+     *
+     * - after: the page starts after this document (compared with compare)
+     *
+     * RETURNS: { docs, hasMore }
+     */
+    page: async ({ where = () => true, compare, after = null, limit }) => {
+      const matches = Object.values(getDocs(name)).filter(where).sort(compare);
+
+      let start = after ? matches.findIndex((doc) => compare(doc, after) > 0) : 0;
+      if (start === -1) start = matches.length;
+
+      return {
+        docs: matches.slice(start, start + limit).map(clone),
+        hasMore: start + limit < matches.length,
+      };
+    },
+
+    /**
+     * How many documents are stored
+     */
+    count: async () => Object.keys(getDocs(name)).length,
+
+    /**
+     * Add a new document
+     * Throws DUPLICATE_KEY if the key or a unique field is already taken
+     */
+    insert: async (doc) => {
+      ensureIndexes();
+      const docs = getDocs(name);
+      const id = doc[key];
+
+      if (id === undefined || id === null) {
+        throw new Error(`Missing ${key} for ${name}`);
+      }
+      if (docs[id]) {
+        const error = new Error(`Duplicate ${key} in ${name}: ${id}`);
+        error.code = "DUPLICATE_KEY";
+        error.statusCode = 409;
+        throw error;
+      }
+      assertUnique(name, doc);
+
+      pruneExpired(name);
+      const stored = clone(doc);
+      commit(name, id, stored);
+
+      await persist();
+      return clone(stored);
+    },
+
+    /**
+     * Change an existing document
+     *
+     * changes can be:
+     * - an object  → merged into the document
+     * - a function → gets a copy of the document, returns the new version
+     *                (must be synchronous so the update stays atomic)
+     *
+     * RETURNS: the updated document, or null if it doesn't exist
+     */
+    update: async (id, changes) => {
+      ensureIndexes();
+      const docs = getDocs(name);
+      const current = docs[id];
+      if (!current) return null;
+
+      const next =
+        typeof changes === "function"
+          ? changes(clone(current))
+          : { ...clone(current), ...changes };
+      next[key] = id;
+      assertUnique(name, next, id);
+
+      const stored = clone(next);
+      commit(name, id, stored);
+
+      await persist();
+      return clone(stored);
+    },
+
+    /**
+     * Create or change a document in one atomic step
+     *
+     * build gets a copy of the current document (or null if missing)
+     * and returns the new version. Like update(), it must be synchronous.
+     *
+     * RETURNS: the stored document
+     */
+    upsert: async (id, build) => {
+      ensureIndexes();
+      pruneExpired(name);
+      const docs = getDocs(name);
+      const current = docs[id] || null;
+
+      const next = build(current ? clone(current) : null);
+      next[key] = id;
+      assertUnique(name, next, id);
+
+      const stored = clone(next);
+      commit(name, id, stored);
+
+      await persist();
+      return clone(stored);
+    },
+
+    /**
+     * Delete a document
+     * RETURNS: true if something was deleted
+     */
+    remove: async (id) => {
+      ensureIndexes();
+      const docs = getDocs(name);
+      const current = docs[id];
+      if (!current) return false;
+
+      commit(name, id, null);
+
+      await persist();
+      return true;
+    },
+  };
+};
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+
+/**
+ * Load storage at startup
+ * Surfaces a bad STORAGE_DRIVER or corrupt file before we accept requests
+ */
+export const initStorage = () => {
+  ensureLoaded();
+  const { driver } = state;
+  console.log(
+    `💾 Storage ready: ${driver.name}${
+      driver.location ? ` (${driver.location})` : ""
+    } - schema v${state.data.schemaVersion}`
+  );
+};
+
+/**
+ * Wait until every pending write has reached the driver
+ * Call this before the process exits
+ */
+export const flushStorage = async () => {
+  let pending;
+  do {
+    pending = writeChain;
+    await pending;
+  } while (pending !== writeChain);
+};
@@ -0,0 +1,96 @@
+/**
+ * Storage Drivers
+ * Where the storage service actually keeps its data
+ *
+ * A driver is a tiny object with two functions:
+ * - load()        → returns the last saved snapshot (or null if none yet)
+ * - save(data)    → writes the full snapshot, returns a Promise
+ *
+ * To plug in another backend (Postgres, Redis, ...), write an object with
+ * the same two functions and register it with registerStorageDriver().
+ */
+
+import { existsSync, mkdirSync, readFileSync } from "fs";
+import { rename, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+
+/**
+ * Memory driver
+ * Nothing survives a restart - only for local experiments and scripts
+ */
+export const createMemoryDriver = () => ({
+  name: "memory",
+  load: () => null,
+  save: async () => {},
+});
+
+/**
+ * File driver (default)
+ * Keeps the whole store in one JSON file on disk
+ *
+ * SAFE WRITES:
+ * - We write to "<file>.tmp" first, then rename it over the real file
+ * - A rename is atomic, so a crash mid-write never leaves half a file
+ */
+export const createFileDriver = ({ filePath }) => {
+  const target = resolve(filePath);
+
+  return {
+    name: "file",
+    location: target,
+
+    load: () => {
+      if (!existsSync(target)) return null;
+
+      const raw = readFileSync(target, "utf8");
+      if (!raw.trim()) return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // Refuse to start on a corrupt file rather than overwrite real orders
+        throw new Error(`Storage file is corrupt (${target}): ${error.message}`);
+      }
+    },
+
+    save: async (data) => {
+      mkdirSync(dirname(target), { recursive: true });
+      const tmpPath = `${target}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(data, null, 2), "utf8");
+      await rename(tmpPath, target);
+    },
+  };
+};
+
+const driverFactories = {
+  memory: createMemoryDriver,
+  file: createFileDriver,
+};
+
+/**
+ * Register a custom driver factory under a name
+ * The name can then be used in STORAGE_DRIVER
+ */
+export const registerStorageDriver = (name, factory) => {
+  driverFactories[name] = factory;
+};
+
+/**
+ * Build the driver picked in .env
+ *
+ * ENV:
+ * - STORAGE_DRIVER: "file" (default) or "memory"
+ * - STORAGE_PATH: where the file driver writes (default: data/itapring.json)
+ */
+export const createStorageDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "file";
+  const factory = driverFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return factory({
+    filePath: process.env.STORAGE_PATH || "data/itapring.json",
+  });
+};
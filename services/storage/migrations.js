@@ -0,0 +1,72 @@
+/**
+ * Storage Migrations
+ * Step-by-step upgrades for data saved by older versions of the server
+ *
+ * HOW IT WORKS:
+ * - The saved snapshot remembers its schemaVersion
+ * - On startup, every migration with a higher version runs in order
+ * - Each migration gets the raw snapshot and changes it in place
+ *
+ * ADDING A MIGRATION:
+ * - Append a new entry with the next version number
+ * - Never edit or reorder migrations that have already shipped
+ */
+
+export const migrations = [
+  {
+    version: 1,
+    description: "Create orders collection",
+    up: (data) => {
+      data.collections.orders = data.collections.orders || {};
+    },
+  },
+  {
+    version: 2,
+    description: "Seed order number sequences from existing orders",
+    up: (data) => {
+      const sequences = (data.collections.sequences =
+        data.collections.sequences || {});
+
+      for (const orderId of Object.keys(data.collections.orders)) {
+        const match = /^([A-Z0-9]+)-(\d+)$/.exec(orderId);
+        if (!match) continue;
+
+        const name = `order-number:${match[1]}`;
+        const value = parseInt(match[2], 10);
+        if (!sequences[name] || sequences[name].value < value) {
+          sequences[name] = { name, value };
+        }
+      }
+    },
+  },
+  {
+    version: 3,
+    description: "Record confirmation emails for orders saved before tracking",
+    up: (data) => {
+      // Older orders already got their email when they were created
+      for (const order of Object.values(data.collections.orders)) {
+        order.notifications = order.notifications || {};
+        order.notifications.confirmation = order.notifications
+          .confirmation || { sent: true, at: order.createdAt };
+      }
+    },
+  },
+  {
+    version: 4,
+    description: "Start order lifecycle history for existing orders",
+    up: (data) => {
+      for (const order of Object.values(data.collections.orders)) {
+        if (order.statusHistory) continue;
+
+        // Orders only ever existed once paid, whatever "status" said
+        order.status = "paid";
+        order.statusTimestamps = { paid: order.createdAt };
+        order.statusHistory = [
+          { from: null, to: "paid", at: order.createdAt, actor: "migration", note: null },
+        ];
+      }
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
@@ -1,96 +1,68 @@
 /**
  * Webhook Service
- * Handles Stripe webhook events with cache invalidation
+ * Handles Stripe webhook events
+ *
+ * ONE CODE PATH:
+ * - handleStripeEvent() is the only place events are handled
+ * - The webhook endpoint (stripe.controller.js) and the retry queue
+ *   (webhookQueue.service.js) both call it
+ * - Orders are created by fulfillment.service.js, the same pipeline
+ *   the success page uses
+ * - Importing old sessions lives in backfill.service.js
  */
 
-import Stripe from "stripe";
-import { calculateAnalytics, saveOrder } from "./dataStore.service.js";
-import { rateLimitedStripe, adminLimiter } from "./rateLimiter.service.js";
-
-let stripe;
-let adminStripe;
-
-const getStripe = () => {
-  if (!stripe) {
-    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-    adminStripe = rateLimitedStripe(stripe, adminLimiter);
-  }
-  return stripe;
-};
-
-const getAdminStripe = () => {
-  getStripe();
-  return adminStripe;
-};
+import {
+  captureAbandonedCheckout,
+  markCartRecovered,
+} from "./abandonedCart.service.js";
+import { saveOrder } from "./dataStore.service.js";
+import { processDisputeEvent } from "./dispute.service.js";
+import {
+  confirmAsyncPayment,
+  failAsyncPayment,
+  fulfillCheckoutSession,
+} from "./fulfillment.service.js";
+import { releaseReservation } from "./inventory.service.js";
+import { getOrderByPaymentIntentId } from "./order.service.js";
+import {
+  markPaymentRetried,
+  recordPaymentFailure,
+} from "./paymentFailure.service.js";
+import { applyCatalogEvent } from "./product.service.js";
+import { processChargeRefunded } from "./refund.service.js";
 
 /**
  * Process checkout session completed event
+ *
+ * RETURNS: the order (null if the session isn't paid yet)
  */
 export const processCheckoutSessionCompleted = async (session) => {
   try {
     console.log("📦 Processing checkout session:", session.id);
 
-    // Get order ID from metadata
-    const orderId = session.metadata?.orderId;
-    
-    if (!orderId) {
-      console.log(`⏭️  Skipping session without orderId: ${session.id.substring(0, 30)}...`);
+    // Uses the session as-is when line_items are expanded, otherwise retrieves it
+    const { order, created } = await fulfillCheckoutSession(session.id, {
+      session,
+    });
+
+    if (!order) {
       return null;
     }
 
-    // Get line items from session
-    const lineItems = await getStripe().checkout.sessions.listLineItems(
-      session.id,
-      { limit: 100 }
-    );
-
-    // Get customer details
-    let customer = null;
-    if (session.customer) {
-      try {
-        customer = await getStripe().customers.retrieve(session.customer);
-      } catch (error) {
-        console.error("Error fetching customer:", error);
-      }
+    if (created) {
+      console.log("✅ Order saved successfully:", order.orderId);
+    }
+
+    // Paid through an abandoned cart reminder
+    if (session.metadata?.recoveredFrom) {
+      await markCartRecovered(session.metadata.recoveredFrom, order);
+    }
+
+    // Paid through a payment retry email
+    if (session.metadata?.retryOf) {
+      await markPaymentRetried(session.metadata.retryOf, order);
     }
 
-    // Create order object
-    const order = {
-      id: orderId,
-      paymentIntent: session.payment_intent,
-      status: session.payment_status,
-      amount: session.amount_total / 100, // Convert from cents
-      currency: session.currency,
-      customer: {
-        id: session.customer,
-        email: customer?.email || session.customer_details?.email,
-        name: customer?.name || session.customer_details?.name,
-        phone: session.customer_details?.phone,
-      },
-      shipping: session.shipping_details,
-      items: lineItems.data.map((item) => ({
-        product_id: item.price.product,
-        name: item.description,
-        description: item.description,
-        quantity: item.quantity,
-        price: item.price.unit_amount / 100,
-        amount_total: item.amount_total / 100,
-      })),
-      metadata: {
-        ...session.metadata,
-        stripeSessionId: session.id
-      },
-      created: session.created,
-      expires_at: session.expires_at,
-    };
-
-    // Save to local storage
-    await saveOrder(order);
-
-    // Recalculate analytics
-    await calculateAnalytics();
-
-    console.log("✅ Order saved successfully:", order.id);
     return order;
   } catch (error) {
     console.error("❌ Error processing checkout session:", error);
@@ -98,6 +70,26 @@ export const processCheckoutSessionCompleted = async (session) => {
   }
 };
 
+/**
+ * Process checkout.session.async_payment_succeeded
+ * A delayed payment method (bank debit, ...) cleared - the order is paid
+ */
+export const processAsyncPaymentSucceeded = async (session) => {
+  console.log("💳 Delayed payment cleared:", session.id);
+
+  return confirmAsyncPayment(session);
+};
+
+/**
+ * Process checkout.session.async_payment_failed
+ * The order is cancelled and the customer is told
+ */
+export const processAsyncPaymentFailed = async (session) => {
+  console.error("❌ Delayed payment failed:", session.id);
+
+  return failAsyncPayment(session);
+};
+
 /**
  * Process payment intent succeeded event
  */
@@ -106,18 +98,15 @@ export const processPaymentIntentSucceeded = async (paymentIntent) => {
     console.log("💳 Processing payment intent:", paymentIntent.id);
 
     // Find existing order with this payment intent
-    const { getOrders } = await import("./dataStore.service.js");
-    const orders = await getOrders();
-    const existingOrder = orders.find(
-      (o) => o.paymentIntent === paymentIntent.id
-    );
-
-    if (existingOrder) {
-      // Update order status
-      existingOrder.status = "paid";
-      existingOrder.paymentStatus = paymentIntent.status;
-      await saveOrder(existingOrder);
-      console.log("✅ Order payment status updated:", existingOrder.id);
+    const existingOrder = await getOrderByPaymentIntentId(paymentIntent.id);
+
+    // Only fill in a missing payment status - never undo a refund
+    if (existingOrder && !existingOrder.paymentStatus) {
+      await saveOrder({
+        orderId: existingOrder.orderId,
+        paymentStatus: "paid",
+      });
+      console.log("✅ Order payment status updated:", existingOrder.orderId);
     }
 
     return paymentIntent;
@@ -156,36 +145,85 @@ export const processChargeSucceeded = async (charge) => {
 };
 
 /**
- * Sync historical orders from Stripe (one-time operation)
+ * Run the handler for one verified event
+ *
+ * RETURNS: false if we don't handle this event type
  */
-export const syncHistoricalOrders = async (limit = 100) => {
-  try {
-    console.log("🔄 Syncing historical orders from Stripe...");
-
-    const sessions = await getStripe().checkout.sessions.list({
-      limit,
-      expand: ["data.customer", "data.line_items"],
-    });
-
-    let synced = 0;
-    let skipped = 0;
-    for (const session of sessions.data) {
-      if (session.payment_status === "paid") {
-        const result = await processCheckoutSessionCompleted(session);
-        if (result) {
-          synced++;
-        } else {
-          skipped++;
-        }
-      }
+export const handleStripeEvent = async (event) => {
+  switch (event.type) {
+    case "checkout.session.completed":
+      await processCheckoutSessionCompleted(event.data.object);
+      break;
+
+    case "checkout.session.async_payment_succeeded":
+      await processAsyncPaymentSucceeded(event.data.object);
+      break;
+
+    case "checkout.session.async_payment_failed":
+      await processAsyncPaymentFailed(event.data.object);
+      break;
+
+    case "checkout.session.expired":
+      // Give the reserved units back (see inventory.service.js)
+      await releaseReservation(event.data.object.metadata?.reservationId, "expired");
+      await captureAbandonedCheckout(event.data.object);
+      break;
+
+    case "payment_intent.succeeded":
+      await processPaymentIntentSucceeded(event.data.object);
+      break;
+
+    case "payment_intent.payment_failed":
+      await recordPaymentFailure(event.data.object);
+      break;
+
+    case "charge.succeeded":
+      await processChargeSucceeded(event.data.object);
+      break;
+
+    case "charge.refunded":
+      await processChargeRefunded(event.data.object);
+      break;
+
+    case "charge.dispute.created":
+    case "charge.dispute.updated":
+    case "charge.dispute.closed":
+      await processDisputeEvent(event.data.object);
+      break;
+
+    case "customer.created":
+      await processCustomerCreated(event.data.object);
+      break;
+
+    case "product.created":
+    case "product.updated":
+    case "product.deleted": {
+      const product = event.data.object;
+      console.log(
+        `📦 Product ${event.type.split(".")[1]}: ${product.name} (${product.id})`
+      );
+      // Patch the cached catalog so GET /api/products shows it right away
+      await applyCatalogEvent(event.type, product);
+      break;
     }
 
-    await calculateAnalytics();
+    case "price.created":
+    case "price.updated":
+    case "price.deleted": {
+      const price = event.data.object;
+      console.log(
+        `💰 Price ${event.type.split(".")[1]}: $${(price.unit_amount / 100).toFixed(
+          2
+        )} ${price.currency.toUpperCase()} (${price.id})`
+      );
+      await applyCatalogEvent(event.type, price);
+      break;
+    }
 
-    console.log(`✅ Synced ${synced} historical orders (${skipped} skipped - no orderId in metadata)`);
-    return { synced, skipped, total: sessions.data.length };
-  } catch (error) {
-    console.error("❌ Error syncing historical orders:", error);
-    throw error;
+    default:
+      console.log(`ℹ️  Unhandled event type: ${event.type}`);
+      return false;
   }
+
+  return true;
 };
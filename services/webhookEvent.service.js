@@ -0,0 +1,189 @@
+/**
+ * ==========================================
+ * WEBHOOK EVENT LOG
+ * ==========================================
+ *
+ * PURPOSE:
+ * Remember every verified Stripe event, so we know what arrived when
+ * and never process the same event twice
+ *
+ * WHY:
+ * - Stripe retries a delivery until it gets a 2xx, and sometimes
+ *   delivers the same event twice even after a 2xx
+ * - Each event has a unique ID (evt_...), so we key the log on it
+ *
+ * EVENT STATUS:
+ * - processing: a handler is working on it right now
+ * - processed: handled successfully
+ * - ignored: we don't handle this event type (acknowledged anyway)
+ * - retrying: the handler threw - waiting in our retry queue
+ *   (see webhookQueue.service.js)
+ * - dead: gave up after too many attempts (dead-lettered)
+ * - failed: the handler threw and couldn't be queued
+ *
+ * A new delivery of a failed or dead event runs it again. A "processing"
+ * entry older than PROCESSING_TIMEOUT_MS is treated as failed (the server
+ * probably died mid-event), so it can be retried too.
+ */
+
+import { defineCollection } from "./storage.service.js";
+
+const webhookEvents = defineCollection("webhookEvents", {
+  key: "eventId",
+  indexes: [{ field: "type" }, { field: "status" }],
+  // Stripe stops retrying after 3 days, so old handled events can go
+  retention: {
+    field: "receivedAt",
+    keep: (event) => !["processed", "ignored"].includes(event.status),
+  },
+});
+
+export const WEBHOOK_EVENT_STATUSES = [
+  "processing",
+  "processed",
+  "ignored",
+  "retrying",
+  "dead",
+  "failed",
+];
+
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+const isStale = (event, now) =>
+  event.status === "processing" &&
+  now - new Date(event.lastAttemptAt).getTime() > PROCESSING_TIMEOUT_MS;
+
+/**
+ * Log a delivery and decide whether we should process it
+ *
+ * ATOMIC: the check and the claim happen in one storage upsert,
+ * so two deliveries of the same event can't both be claimed.
+ *
+ * RETURNS: { claimed, record }
+ * - claimed: true → go ahead and process the event
+ * - claimed: false → duplicate; record.status says how the first one went
+ */
+export const claimWebhookEvent = async (event) => {
+  const now = new Date();
+  let claimed = false;
+
+  const record = await webhookEvents.upsert(event.id, (current) => {
+    if (!current) {
+      claimed = true;
+      return {
+        eventId: event.id,
+        type: event.type,
+        objectId: event.data?.object?.id || null,
+        livemode: Boolean(event.livemode),
+        stripeCreatedAt: new Date(event.created * 1000),
+        receivedAt: now,
+        lastDeliveryAt: now,
+        deliveries: 1,
+        status: "processing",
+        attempts: 1,
+        lastAttemptAt: now,
+        processedAt: null,
+        error: null,
+      };
+    }
+
+    const retry =
+      ["failed", "dead"].includes(current.status) ||
+      isStale(current, now.getTime());
+    claimed = retry;
+
+    return {
+      ...current,
+      lastDeliveryAt: now,
+      deliveries: current.deliveries + 1,
+      ...(retry && {
+        status: "processing",
+        attempts: current.attempts + 1,
+        lastAttemptAt: now,
+      }),
+    };
+  });
+
+  return { claimed, record };
+};
+
+/**
+ * Record that a claimed event was handled (or deliberately ignored)
+ */
+export const completeWebhookEvent = async (eventId, { ignored = false } = {}) => {
+  return webhookEvents.update(eventId, {
+    status: ignored ? "ignored" : "processed",
+    processedAt: new Date(),
+    error: null,
+  });
+};
+
+/**
+ * Record that a claimed event's handler threw
+ *
+ * OPTIONS:
+ * - retryAt: when the retry queue will try again (status "retrying")
+ * - dead: true when the retry queue gave up (status "dead")
+ */
+export const failWebhookEvent = async (
+  eventId,
+  error,
+  { retryAt = null, dead = false } = {}
+) => {
+  return webhookEvents.update(eventId, {
+    status: dead ? "dead" : retryAt ? "retrying" : "failed",
+    nextRetryAt: retryAt,
+    error: error?.message || String(error),
+  });
+};
+
+/**
+ * Claim a queued event for a retry run
+ * Only works while the event is "retrying" (so a Stripe redelivery
+ * and the queue never run it at the same time)
+ *
+ * RETURNS: true if the retry may run
+ */
+export const beginWebhookRetry = async (eventId) => {
+  let claimed = false;
+  const now = new Date();
+
+  await webhookEvents.update(eventId, (current) => {
+    if (current.status !== "retrying") return current;
+
+    claimed = true;
+    return {
+      ...current,
+      status: "processing",
+      attempts: current.attempts + 1,
+      lastAttemptAt: now,
+      nextRetryAt: null,
+    };
+  });
+
+  return claimed;
+};
+
+export const getWebhookEvent = async (eventId) => {
+  return webhookEvents.get(eventId);
+};
+
+/**
+ * Most recently received events first
+ *
+ * FILTERS (optional):
+ * - type: e.g. "checkout.session.completed"
+ * - status: one of WEBHOOK_EVENT_STATUSES
+ */
+export const listWebhookEvents = async ({ type, status, limit = 100 } = {}) => {
+  const events = status
+    ? await webhookEvents.find("status", status)
+    : type
+    ? await webhookEvents.find("type", type)
+    : await webhookEvents.all();
+
+  return events
+    .filter((event) => !type || event.type === type)
+    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+    .slice(0, limit);
+};
@@ -0,0 +1,264 @@
+/**
+ * ==========================================
+ * WEBHOOK RETRY QUEUE
+ * ==========================================
+ *
+ * PURPOSE:
+ * Retry webhook events whose handler failed, on our own schedule,
+ * instead of relying only on Stripe's retries
+ *
+ * HOW IT WORKS:
+ * 1. A handler throws (Stripe timeout, storage error, ...)
+ * 2. The event is saved as a job in the "webhookJobs" collection
+ *    (survives restarts) and Stripe gets a 200
+ * 3. The worker retries due jobs with exponential backoff:
+ *    30s, 1m, 2m, 4m, ... (capped at 6 hours)
+ * 4. After WEBHOOK_MAX_ATTEMPTS failed attempts the job is dead-lettered
+ * 5. An owner can inspect dead letters and re-drive them from the admin API
+ *
+ * CONFIGURATION (.env, all optional):
+ * - WEBHOOK_MAX_ATTEMPTS: attempts before dead-lettering (default 8)
+ * - WEBHOOK_RETRY_BASE_MS: first retry delay (default 30000)
+ * - WEBHOOK_RETRY_POLL_MS: how often the worker looks for due jobs (default 15000)
+ */
+
+import { defineCollection } from "./storage.service.js";
+import {
+  beginWebhookRetry,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getWebhookEvent,
+} from "./webhookEvent.service.js";
+import { createHttpError } from "../utils/errors.js";
+
+const webhookJobs = defineCollection("webhookJobs", {
+  key: "eventId",
+  indexes: [{ field: "status" }],
+  // Done jobs are removed right away; old dead letters are pruned
+  retention: { field: "updatedAt", keep: (job) => job.status !== "dead" },
+});
+
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const getRetryBaseMs = () => Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const getPollMs = () => Number(process.env.WEBHOOK_RETRY_POLL_MS) || 15000;
+
+/**
+ * Delay before the next attempt, doubling each time
+ * failures = how many attempts have failed so far (1, 2, 3...)
+ */
+const retryDelay = (failures) =>
+  Math.min(getRetryBaseMs() * 2 ** (failures - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue (or re-queue) an event after its handler failed
+ *
+ * RETURNS: the job - status "pending" with nextRunAt, or "dead"
+ */
+const scheduleWebhookRetry = async (event, error) => {
+  const now = new Date();
+  const maxAttempts = getMaxAttempts();
+
+  const job = await webhookJobs.upsert(event.id, (current) => {
+    // A fresh Stripe delivery of a dead event starts a new round of retries
+    const failures =
+      current && current.status !== "dead" ? current.failures + 1 : 1;
+    const dead = failures >= maxAttempts;
+
+    return {
+      eventId: event.id,
+      type: event.type,
+      event,
+      status: dead ? "dead" : "pending",
+      failures,
+      nextRunAt: dead ? null : new Date(now.getTime() + retryDelay(failures)),
+      lastError: error?.message || String(error),
+      createdAt: current?.createdAt || now,
+      updatedAt: now,
+      deadAt: dead ? now : null,
+    };
+  });
+
+  await failWebhookEvent(event.id, error, {
+    retryAt: job.nextRunAt,
+    dead: job.status === "dead",
+  });
+
+  if (job.status === "dead") {
+    console.error(
+      `☠️  Webhook ${event.id} (${event.type}) dead-lettered after ${job.failures} attempts`
+    );
+  } else {
+    console.log(
+      `🔁 Webhook ${event.id} retry ${job.failures}/${maxAttempts - 1} at ${job.nextRunAt}`
+    );
+  }
+
+  return job;
+};
+
+/**
+ * Run a claimed event's handler, queueing a retry if it throws
+ *
+ * PARAMETERS:
+ * - event: the verified Stripe event
+ * - handler: async (event) => false if the event type isn't handled
+ *
+ * RETURNS: { processed: true } or { processed: false, job }
+ */
+export const processWebhookEvent = async (event, handler) => {
+  try {
+    const handled = await handler(event);
+    await completeWebhookEvent(event.id, { ignored: !handled });
+    await webhookJobs.remove(event.id);
+    return { processed: true };
+  } catch (error) {
+    console.error(`❌ Webhook ${event.id} failed:`, error.message);
+
+    try {
+      return { processed: false, job: await scheduleWebhookRetry(event, error) };
+    } catch (queueError) {
+      // Couldn't queue it - leave it "failed" so Stripe's retry runs it
+      await failWebhookEvent(event.id, error);
+      throw queueError;
+    }
+  }
+};
+
+// ==========================================
+// WORKER
+// ==========================================
+
+const worker = {
+  handler: null,
+  timer: null,
+  running: null,
+};
+
+/**
+ * Retry every job whose nextRunAt has passed (one at a time)
+ */
+const runDueJobs = async () => {
+  const now = Date.now();
+  const due = (await webhookJobs.find("status", "pending"))
+    .filter((job) => new Date(job.nextRunAt).getTime() <= now)
+    .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+
+  for (const job of due) {
+    if (!(await beginWebhookRetry(job.eventId))) {
+      // Already handled by a Stripe redelivery in the meantime
+      const event = await getWebhookEvent(job.eventId);
+      if (["processed", "ignored"].includes(event?.status)) {
+        await webhookJobs.remove(job.eventId);
+      }
+      continue;
+    }
+
+    console.log(`🔁 Retrying webhook ${job.eventId} (${job.type})`);
+    const { processed } = await processWebhookEvent(job.event, worker.handler);
+    if (processed) {
+      console.log(`✅ Webhook ${job.eventId} succeeded on retry`);
+    }
+  }
+};
+
+/**
+ * Run due jobs now, unless a run is already in progress
+ */
+const tick = () => {
+  if (!worker.handler || worker.running) return worker.running;
+
+  worker.running = runDueJobs()
+    .catch((error) => {
+      console.error("❌ Webhook retry worker error:", error.message);
+    })
+    .finally(() => {
+      worker.running = null;
+    });
+
+  return worker.running;
+};
+
+/**
+ * Start polling for due retries
+ * handler is the same function the webhook endpoint uses
+ */
+export const startWebhookRetryWorker = (handler) => {
+  worker.handler = handler;
+  if (worker.timer) return;
+
+  worker.timer = setInterval(tick, getPollMs());
+  worker.timer.unref(); // Don't keep the process alive just for this
+  tick();
+
+  console.log("🔁 Webhook retry worker started");
+};
+
+/**
+ * Stop polling and wait for a run in progress to finish
+ */
+export const stopWebhookRetryWorker = async () => {
+  clearInterval(worker.timer);
+  worker.timer = null;
+  await worker.running;
+};
+
+// ==========================================
+// DEAD LETTERS
+// ==========================================
+
+/**
+ * Jobs in the queue, newest first
+ * status: "pending" or "dead" (optional)
+ */
+export const listWebhookJobs = async ({ status, limit = 100 } = {}) => {
+  const jobs = status
+    ? await webhookJobs.find("status", status)
+    : await webhookJobs.all();
+
+  return jobs
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .slice(0, limit);
+};
+
+export const getWebhookJob = async (eventId) => {
+  return webhookJobs.get(eventId);
+};
+
+/**
+ * Send a dead-lettered event back through the queue
+ * Its attempts start over and it runs right away
+ */
+export const redriveWebhookJob = async (eventId) => {
+  const job = await webhookJobs.get(eventId);
+  if (!job) {
+    throw createHttpError(
+      404,
+      "No queued webhook for that event",
+      "JOB_NOT_FOUND"
+    );
+  }
+  if (job.status !== "dead") {
+    throw createHttpError(
+      409,
+      "Only dead-lettered events can be re-driven",
+      "JOB_NOT_DEAD"
+    );
+  }
+
+  const now = new Date();
+  const requeued = await webhookJobs.update(eventId, {
+    status: "pending",
+    failures: 0,
+    nextRunAt: now,
+    deadAt: null,
+    updatedAt: now,
+  });
+  await failWebhookEvent(eventId, job.lastError, { retryAt: now });
+
+  console.log(`🔁 Webhook ${eventId} re-driven from the dead-letter list`);
+  tick();
+
+  return requeued;
+};
@@ -0,0 +1,92 @@
+/**
+ * Customer Abandoned Cart Reminder Email Template
+ */
+
+import {
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+// Heading / subheading per reminder - the last one repeats
+const REMINDER_COPY = [
+  {
+    heading: "You Left Something Behind",
+    subheading: "Your cart is saved - pick up right where you left off",
+  },
+  {
+    heading: "Still Thinking It Over?",
+    subheading: "Your ring is still waiting for you",
+  },
+  {
+    heading: "Last Reminder",
+    subheading: "We'll stop reminding you about this cart after today",
+  },
+];
+
+export const getReminderCopy = (reminderNumber) =>
+  REMINDER_COPY[Math.min(reminderNumber, REMINDER_COPY.length) - 1];
+
+/**
+ * @param {Object} cart - Abandoned cart (see abandonedCart.service.js)
+ * @param {Object} options - { reminderNumber, recoverUrl, optOutUrl }
+ * @returns {string} HTML email content
+ */
+export const generateAbandonedCartHTML = (
+  cart,
+  { reminderNumber, recoverUrl, optOutUrl }
+) => {
+  const copy = getReminderCopy(reminderNumber);
+
+  const itemsHtml = cart.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
+      return `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #111827;">
+            ${item.name} <span style="color: #6b7280; font-size: 12px;">${item.color}${sizeInfo}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center; font-size: 13px; color: #374151;">${item.quantity}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right; font-size: 13px; color: #111827;">$${(item.price * item.quantity).toFixed(2)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const content = `
+    <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; margin-bottom: 16px;">
+      <thead>
+        <tr style="background-color: #f9fafb;">
+          <th style="padding: 8px; text-align: left; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Item</th>
+          <th style="padding: 8px; text-align: center; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Qty</th>
+          <th style="padding: 8px; text-align: right; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Price</th>
+        </tr>
+      </thead>
+      <tbody>${itemsHtml}</tbody>
+    </table>
+
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin: 20px 0;">
+      <tr>
+        <td align="center">
+          <a href="${recoverUrl}" style="display: inline-block; padding: 12px 28px; background-color: #f59e0b; color: #ffffff; text-decoration: none; font-weight: 700; font-size: 14px; border-radius: 6px;">
+            Complete My Order
+          </a>
+        </td>
+      </tr>
+    </table>
+
+    ${renderSupportBox()}
+
+    <p style="margin: 16px 0 0; color: #9ca3af; font-size: 11px; text-align: center;">
+      Don't want these reminders? <a href="${optOutUrl}" style="color: #9ca3af;">Unsubscribe</a>
+    </p>
+  `;
+
+  return wrapEmailLayout({
+    title: copy.heading,
+    heading: copy.heading,
+    subheading: copy.subheading,
+    content,
+    footerNote: `Sent to ${cart.email}`,
+  });
+};
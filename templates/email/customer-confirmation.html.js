@@ -7,7 +7,8 @@
 export const generateCustomerConfirmationHTML = (orderData) => {
   const itemsHtml = orderData.items
     .map((item) => {
-      const sizeInfo = item.size ? ` (Size ${item.size})` : "";
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
       return `
         <tr>
           <td style="padding: 10px 8px; border-bottom: 1px solid #e5e7eb;">
@@ -0,0 +1,79 @@
+/**
+ * Owner Dispute Alert Email Template
+ * Sent when a payment is disputed, and again when the dispute closes
+ */
+
+import { renderInfoBox, wrapEmailLayout } from "./layout.html.js";
+
+// "Monday, June 10, 2024 at 11:59 PM UTC"
+export const formatDueDate = (date) =>
+  date
+    ? new Date(date).toLocaleString("en-US", {
+        dateStyle: "full",
+        timeStyle: "short",
+        timeZone: "UTC",
+      }) + " UTC"
+    : "See the Stripe Dashboard";
+
+/**
+ * @param {Object} dispute - Stored dispute (see dispute.service.js)
+ * @param {Object|null} order - The disputed order (null if we couldn't match it)
+ * @param {Object} options - { closed: true for the outcome email }
+ * @returns {string} HTML email content
+ */
+export const generateDisputeAlertHTML = (dispute, order, { closed = false } = {}) => {
+  const won = dispute.status === "won";
+  const dashboardUrl = `https://dashboard.stripe.com/disputes/${dispute.disputeId}`;
+
+  const actionHtml = closed
+    ? ""
+    : `
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 16px;">
+        <tr>
+          <td style="padding: 14px; background-color: #fef2f2; border-radius: 6px; border-left: 3px solid #dc2626;">
+            <div style="font-weight: 600; color: #991b1b; font-size: 13px; margin-bottom: 6px;">Respond before ${formatDueDate(dispute.evidenceDueBy)}</div>
+            <p style="margin: 0; color: #b91c1c; font-size: 12px; line-height: 1.5;">
+              Disputes without a response are lost automatically.
+              ${
+                order
+                  ? `Evidence for this order is ready at <span style="font-family: monospace;">GET /api/admin/orders/${order.orderId}/dispute-evidence</span>.`
+                  : "We couldn't match this payment to an order - check it in Stripe."
+              }
+            </p>
+          </td>
+        </tr>
+      </table>
+    `;
+
+  const content = `
+    ${renderInfoBox("Order", order ? `${order.orderId} · ${order.customerName} (${order.customerEmail})` : "No matching order")}
+    ${renderInfoBox("Disputed Amount", `$${dispute.amount.toFixed(2)} ${dispute.currency?.toUpperCase() || ""}`)}
+    ${renderInfoBox("Reason", dispute.reason.replace(/_/g, " "))}
+    ${renderInfoBox("Status", dispute.status.replace(/_/g, " "))}
+    ${actionHtml}
+    <table width="100%" cellpadding="0" cellspacing="0">
+      <tr>
+        <td align="center">
+          <a href="${dashboardUrl}" style="display: inline-block; padding: 10px 24px; background-color: #111827; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 13px; border-radius: 6px;">
+            Open in Stripe
+          </a>
+        </td>
+      </tr>
+    </table>
+  `;
+
+  return wrapEmailLayout({
+    title: closed ? "Dispute closed" : "URGENT: payment disputed",
+    heading: closed
+      ? won
+        ? "Dispute Won"
+        : "Dispute Closed"
+      : "Payment Disputed",
+    subheading: closed
+      ? `${dispute.disputeId} closed as ${dispute.status.replace(/_/g, " ")}`
+      : `Evidence due ${formatDueDate(dispute.evidenceDueBy)}`,
+    accentColor: closed && won ? "#16a34a" : "#dc2626",
+    content,
+    footerNote: `Dispute ${dispute.disputeId}`,
+  });
+};
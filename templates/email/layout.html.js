@@ -0,0 +1,133 @@
+/**
+ * Shared Email Layout
+ * Same look as the order confirmation, for every follow-up email
+ * (refunds, shipping updates, ...)
+ */
+
+/**
+ * Wrap email content in the standard iTapRing layout
+ * @param {Object} options
+ * @param {string} options.title - <title> of the email
+ * @param {string} options.heading - Big header text
+ * @param {string} [options.subheading] - Smaller text under the header
+ * @param {string} [options.accentColor] - Header color (default: brand amber)
+ * @param {string} options.content - Inner HTML
+ * @param {string} [options.footerNote] - Last line of the footer
+ * @returns {string} HTML email content
+ */
+export const wrapEmailLayout = ({
+  title,
+  heading,
+  subheading = "",
+  accentColor = "#f59e0b",
+  content,
+  footerNote = "",
+}) => `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="X-UA-Compatible" content="IE=edge">
+        <meta name="format-detection" content="telephone=no">
+        <meta name="format-detection" content="date=no">
+        <meta name="format-detection" content="address=no">
+        <meta name="format-detection" content="email=no">
+        <title>${title}</title>
+        <style type="text/css">
+          @media only screen and (max-width: 600px) {
+            .email-container {
+              width: 100% !important;
+              min-width: 100% !important;
+            }
+            .mobile-padding {
+              padding-left: 10px !important;
+              padding-right: 10px !important;
+            }
+          }
+        </style>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f3f4f6;">
+        <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f3f4f6; padding: 20px 0;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" border="0" class="email-container" style="max-width: 600px; width: 100%; background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05);">
+
+                <!-- Header -->
+                <tr>
+                  <td class="mobile-padding" style="background-color: ${accentColor}; padding: 24px; text-align: center;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 22px; font-weight: 700;">${heading}</h1>
+                    ${
+                      subheading
+                        ? `<p style="margin: 6px 0 0; color: #ffffff; font-size: 14px;">${subheading}</p>`
+                        : ""
+                    }
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td class="mobile-padding" style="padding: 20px;">
+                    ${content}
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="padding: 16px 20px; background-color: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
+                    <p style="margin: 0; color: #9ca3af; font-size: 11px;">
+                      © ${new Date().getFullYear()} ${
+  process.env.BUSINESS_NAME || "iTapRing"
+}. All rights reserved.${footerNote ? `<br>${footerNote}` : ""}
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+    </html>
+  `;
+
+/**
+ * Make admin- or customer-typed text safe to put into HTML
+ * (element content and quoted attribute values)
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Small labelled box (e.g., "Order Number: IT-100001")
+ */
+export const renderInfoBox = (label, value) => `
+  <div style="padding: 10px; background-color: #fff7ed; border-radius: 4px; border-left: 3px solid #f59e0b; margin-bottom: 10px;">
+    <div style="font-size: 11px; color: #9a3412; font-weight: 600; text-transform: uppercase; margin-bottom: 3px;">${label}</div>
+    <div style="font-size: 13px; color: #7c2d12; font-weight: 700;">${value}</div>
+  </div>
+`;
+
+/**
+ * "Need Help?" block with the support address
+ */
+export const renderSupportBox = () => {
+  const supportEmail = process.env.OWNER_EMAIL || "support@itapring.com";
+  return `
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 16px;">
+      <tr>
+        <td style="padding: 12px; background-color: #f9fafb; border-radius: 6px; text-align: center;">
+          <p style="margin: 0 0 6px; color: #6b7280; font-size: 12px; font-weight: 600;">Need Help?</p>
+          <a href="mailto:${supportEmail}" style="color: #f59e0b; text-decoration: none; font-weight: 600; font-size: 13px;">
+            ${supportEmail}
+          </a>
+        </td>
+      </tr>
+    </table>
+  `;
+};
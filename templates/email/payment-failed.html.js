@@ -0,0 +1,59 @@
+/**
+ * Customer Payment Failed Email Template
+ * A delayed payment (bank debit, ...) didn't go through - the order is cancelled
+ */
+
+import {
+  renderInfoBox,
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+/**
+ * @param {Object} orderData - Order data (cancelled, paymentStatus "failed")
+ * @returns {string} HTML email content
+ */
+export const generatePaymentFailedHTML = (orderData) => {
+  const shopUrl = process.env.CLIENT_URL;
+
+  const content = `
+    ${renderInfoBox("Order Number", orderData.orderId)}
+    ${renderInfoBox("Amount", `$${orderData.amount.toFixed(2)}`)}
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 16px;">
+      <tr>
+        <td style="padding: 14px; background-color: #fef2f2; border-radius: 6px; border-left: 3px solid #dc2626;">
+          <div style="font-weight: 600; color: #991b1b; font-size: 13px; margin-bottom: 6px;">Your payment didn't go through</div>
+          <p style="margin: 0; color: #b91c1c; font-size: 12px; line-height: 1.5;">
+            Your bank or payment provider declined the payment, so we've cancelled this order. You haven't been charged.
+            To get your order, please place it again and choose another payment method.
+          </p>
+        </td>
+      </tr>
+    </table>
+    ${
+      shopUrl
+        ? `
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin: 20px 0;">
+        <tr>
+          <td align="center">
+            <a href="${shopUrl}" style="display: inline-block; padding: 12px 28px; background-color: #f59e0b; color: #ffffff; text-decoration: none; font-weight: 700; font-size: 14px; border-radius: 6px;">
+              Back to the Shop
+            </a>
+          </td>
+        </tr>
+      </table>
+    `
+        : ""
+    }
+    ${renderSupportBox()}
+  `;
+
+  return wrapEmailLayout({
+    title: `Payment failed for ${orderData.orderId}`,
+    heading: "Payment Failed",
+    subheading: `Order ${orderData.orderId} has been cancelled`,
+    accentColor: "#dc2626",
+    content,
+    footerNote: `Sent to ${orderData.customerEmail}`,
+  });
+};
@@ -0,0 +1,61 @@
+/**
+ * Customer Payment Pending Email Template
+ * For delayed payment methods (bank debits, ...) - the order is in,
+ * the money hasn't cleared yet
+ */
+
+import {
+  renderInfoBox,
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+/**
+ * @param {Object} orderData - Order data (status "pending_payment")
+ * @returns {string} HTML email content
+ */
+export const generatePaymentPendingHTML = (orderData) => {
+  const itemsHtml = orderData.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
+      return `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #111827;">
+            ${item.name} <span style="color: #6b7280; font-size: 12px;">${item.color}${sizeInfo}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center; font-size: 13px; color: #374151;">${item.quantity}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right; font-size: 13px; color: #111827;">$${item.price.toFixed(2)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const content = `
+    ${renderInfoBox("Order Number", orderData.orderId)}
+    ${renderInfoBox("Total", `$${orderData.amount.toFixed(2)}`)}
+    <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; margin-bottom: 16px;">
+      <tbody>${itemsHtml}</tbody>
+    </table>
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 16px;">
+      <tr>
+        <td style="padding: 14px; background-color: #eff6ff; border-radius: 6px; border-left: 3px solid #3b82f6;">
+          <div style="font-weight: 600; color: #1e3a8a; font-size: 13px; margin-bottom: 6px;">What happens next?</div>
+          <p style="margin: 0; color: #1e40af; font-size: 12px; line-height: 1.5;">
+            Your payment method takes a few business days to clear. We'll email your order confirmation as soon as it does, and start preparing your order then.
+          </p>
+        </td>
+      </tr>
+    </table>
+    ${renderSupportBox()}
+  `;
+
+  return wrapEmailLayout({
+    title: `Order ${orderData.orderId} received`,
+    heading: "Order Received",
+    subheading: "We're waiting for your payment to clear",
+    accentColor: "#3b82f6",
+    content,
+    footerNote: `Sent to ${orderData.customerEmail}`,
+  });
+};
@@ -0,0 +1,78 @@
+/**
+ * Customer Payment Retry Email Template
+ * A card was declined at checkout - link to a fresh payment page
+ */
+
+import {
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+/**
+ * @param {Object} retry - Retry link record (see paymentFailure.service.js)
+ * @param {Object} options - { retryUrl }
+ * @returns {string} HTML email content
+ */
+export const generatePaymentRetryHTML = (retry, { retryUrl }) => {
+  const itemsHtml = retry.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
+      return `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #111827;">
+            ${item.name} <span style="color: #6b7280; font-size: 12px;">${item.color}${sizeInfo}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center; font-size: 13px; color: #374151;">${item.quantity}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right; font-size: 13px; color: #111827;">$${(item.price * item.quantity).toFixed(2)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const content = `
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 16px;">
+      <tr>
+        <td style="padding: 14px; background-color: #fef2f2; border-radius: 6px; border-left: 3px solid #dc2626;">
+          <div style="font-weight: 600; color: #991b1b; font-size: 13px; margin-bottom: 6px;">Your payment didn't go through</div>
+          <p style="margin: 0; color: #b91c1c; font-size: 12px; line-height: 1.5;">
+            ${retry.message || "Your bank or card issuer declined the payment."}
+            You haven't been charged. You can try again with the same card or another payment method.
+          </p>
+        </td>
+      </tr>
+    </table>
+
+    <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; margin-bottom: 16px;">
+      <thead>
+        <tr style="background-color: #f9fafb;">
+          <th style="padding: 8px; text-align: left; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Item</th>
+          <th style="padding: 8px; text-align: center; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Qty</th>
+          <th style="padding: 8px; text-align: right; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Price</th>
+        </tr>
+      </thead>
+      <tbody>${itemsHtml}</tbody>
+    </table>
+
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin: 20px 0;">
+      <tr>
+        <td align="center">
+          <a href="${retryUrl}" style="display: inline-block; padding: 12px 28px; background-color: #f59e0b; color: #ffffff; text-decoration: none; font-weight: 700; font-size: 14px; border-radius: 6px;">
+            Try Again
+          </a>
+        </td>
+      </tr>
+    </table>
+
+    ${renderSupportBox()}
+  `;
+
+  return wrapEmailLayout({
+    title: "Your payment didn't go through",
+    heading: "Payment Declined",
+    subheading: "Your cart is saved - try again whenever you're ready",
+    accentColor: "#dc2626",
+    content,
+    footerNote: `Sent to ${retry.email}`,
+  });
+};
@@ -11,7 +11,8 @@
 export const generatePlainTextConfirmation = (orderData) => {
   const items = orderData.items
     .map((item) => {
-      const sizeInfo = item.size ? ` - Size ${item.size}` : "";
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
       return `  - ${item.name} (${item.color}${sizeInfo}) x${
         item.quantity
       } - $${item.price.toFixed(2)}`;
@@ -73,7 +74,8 @@ This email was sent to ${orderData.customerEmail}
 export const generateOwnerPlainText = (orderData) => {
   const items = orderData.items
     .map((item) => {
-      const sizeInfo = item.size ? ` - Size ${item.size}` : "";
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
       return `  - ${item.name} (${item.color}${sizeInfo}) x${
         item.quantity
       } - $${item.price.toFixed(2)}
@@ -125,3 +127,304 @@ Automated notification from iTapRing Store
 Email sent at ${new Date().toLocaleString("en-US")}
   `.trim();
 };
+
+/**
+ * Generate plain text version of the refund notice
+ * @param {Object} orderData - Order data
+ * @param {Object} refund - The refund being announced
+ * @returns {string} Plain text email content
+ */
+export const generateRefundPlainText = (orderData, refund) => {
+  const items = (refund.items || [])
+    .map((line) => {
+      const item = orderData.items[line.line - 1];
+      if (!item) return null;
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
+      return `  - ${item.name} (${item.color}${sizeInfo}) x${line.quantity}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  return `
+REFUND ISSUED
+
+Hi ${orderData.customerName || "there"},
+
+We've refunded $${refund.amount.toFixed(2)} for your order ${orderData.orderId}.
+${items ? `\nREFUNDED ITEMS:\n${items}\n` : ""}
+Refunds go back to your original payment method. Depending on your bank, it can take 5-10 business days to appear on your statement.
+
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${orderData.customerEmail}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the shipping notification
+ * @param {Object} orderData - Order data
+ * @param {Object} shipment - The shipment being announced
+ * @returns {string} Plain text email content
+ */
+export const generateShippingPlainText = (orderData, shipment) => {
+  const items = shipment.items
+    .map((line) => {
+      const item = orderData.items[line.line - 1];
+      if (!item) return null;
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
+      return `  - ${item.name} (${item.color}${sizeInfo}) x${line.quantity}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  const rest =
+    orderData.status !== "shipped"
+      ? "\nThe rest of your order will ship separately - we'll email you again when it does.\n"
+      : "";
+
+  return `
+YOUR RING IS ON THE WAY!
+
+Hi ${orderData.customerName || "there"},
+
+Good news - order ${orderData.orderId} has shipped.
+
+Carrier: ${shipment.carrier.toUpperCase()}
+Tracking Number: ${shipment.trackingNumber}
+${shipment.trackingUrl ? `Track it here: ${shipment.trackingUrl}\n` : ""}
+IN THIS PACKAGE:
+${items}
+${rest}
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${orderData.customerEmail}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the owner reconciliation report
+ * @param {Object} report - Reconciliation run
+ * @param {Object} labels - Readable name per discrepancy type
+ * @returns {string} Plain text email content
+ */
+export const generateReconciliationPlainText = (report, labels = {}) => {
+  const rows = report.discrepancies
+    .map((d) => {
+      const outcome = d.repaired
+        ? "FIXED"
+        : d.error
+        ? `FIX FAILED (${d.error})`
+        : "NEEDS REVIEW";
+      const ids = [d.orderId, d.sessionId, d.paymentIntentId]
+        .filter(Boolean)
+        .join(" / ");
+      return `  - [${outcome}] ${labels[d.type] || d.type}: ${d.detail}\n    ${ids}`;
+    })
+    .join("\n");
+
+  return `
+RECONCILIATION REPORT
+
+Period: ${new Date(report.from).toISOString()} → ${new Date(report.to).toISOString()}
+Checked: ${report.checked.sessions} checkouts, ${report.checked.orders} orders, ${report.checked.refunds} refunds, ${report.checked.disputes} disputes
+${report.status === "failed" ? `\nTHE CHECK DIDN'T FINISH: ${report.error}\n` : ""}
+DISCREPANCIES (${report.discrepancies.length}, ${report.summary.repaired} fixed automatically):
+${rows || "  Everything matches."}
+
+---
+Run ${report.runId}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of an abandoned cart reminder
+ * @param {Object} cart - Abandoned cart
+ * @param {Object} options - { heading, recoverUrl, optOutUrl }
+ * @returns {string} Plain text email content
+ */
+export const generateAbandonedCartPlainText = (
+  cart,
+  { heading, recoverUrl, optOutUrl }
+) => {
+  const items = cart.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
+      return `  - ${item.name} (${item.color}${sizeInfo}) x${item.quantity} - $${(
+        item.price * item.quantity
+      ).toFixed(2)}`;
+    })
+    .join("\n");
+
+  return `
+${heading.toUpperCase()}
+
+Hi ${cart.customerName || "there"},
+
+You left these in your cart:
+${items}
+
+Complete your order: ${recoverUrl}
+
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${cart.email}
+Unsubscribe from cart reminders: ${optOutUrl}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the owner dispute alert
+ * @param {Object} dispute - Stored dispute
+ * @param {Object|null} order - The disputed order
+ * @param {Object} options - { closed, dueDate: formatted evidence due date }
+ * @returns {string} Plain text email content
+ */
+export const generateDisputeAlertPlainText = (
+  dispute,
+  order,
+  { closed = false, dueDate }
+) => {
+  const action = closed
+    ? ""
+    : `
+RESPOND BEFORE: ${dueDate}
+Disputes without a response are lost automatically.
+${
+  order
+    ? `Evidence: GET /api/admin/orders/${order.orderId}/dispute-evidence`
+    : "We couldn't match this payment to an order - check it in Stripe."
+}
+`;
+
+  return `
+${closed ? `DISPUTE CLOSED (${dispute.status.toUpperCase()})` : "URGENT: PAYMENT DISPUTED"}
+
+Order: ${order ? `${order.orderId} - ${order.customerName} (${order.customerEmail})` : "No matching order"}
+Amount: $${dispute.amount.toFixed(2)} ${dispute.currency?.toUpperCase() || ""}
+Reason: ${dispute.reason.replace(/_/g, " ")}
+Status: ${dispute.status.replace(/_/g, " ")}
+${action}
+Stripe: https://dashboard.stripe.com/disputes/${dispute.disputeId}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the payment pending email
+ * @param {Object} orderData - Order data
+ * @returns {string} Plain text email content
+ */
+export const generatePaymentPendingPlainText = (orderData) => {
+  const items = orderData.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
+      return `  - ${item.name} (${item.color}${sizeInfo}) x${
+        item.quantity
+      } - $${item.price.toFixed(2)}`;
+    })
+    .join("\n");
+
+  return `
+ORDER RECEIVED - PAYMENT PENDING
+
+Hi ${orderData.customerName || "there"},
+
+We've received your order ${orderData.orderId} ($${orderData.amount.toFixed(2)}):
+${items}
+
+Your payment method takes a few business days to clear. We'll email your order confirmation as soon as it does, and start preparing your order then.
+
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${orderData.customerEmail}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the payment failed email
+ * @param {Object} orderData - Order data
+ * @returns {string} Plain text email content
+ */
+export const generatePaymentFailedPlainText = (orderData) => {
+  return `
+PAYMENT FAILED
+
+Hi ${orderData.customerName || "there"},
+
+The payment for your order ${orderData.orderId} ($${orderData.amount.toFixed(
+    2
+  )}) didn't go through, so we've cancelled the order. You haven't been charged.
+
+To get your order, please place it again${
+    process.env.CLIENT_URL ? ` at ${process.env.CLIENT_URL}` : ""
+  } and choose another payment method.
+
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${orderData.customerEmail}
+  `.trim();
+};
+
+/**
+ * Generate plain text version of the payment retry email
+ * @param {Object} retry - Retry link record
+ * @param {Object} options - { retryUrl }
+ * @returns {string} Plain text email content
+ */
+export const generatePaymentRetryPlainText = (retry, { retryUrl }) => {
+  const items = retry.items
+    .map((item) => {
+      const sizeInfo =
+        (item.size ? ` - Size ${item.size}` : "") + (item.option ? ` - ${item.option}` : "");
+      return `  - ${item.name} (${item.color}${sizeInfo}) x${item.quantity} - $${(
+        item.price * item.quantity
+      ).toFixed(2)}`;
+    })
+    .join("\n");
+
+  return `
+PAYMENT DECLINED
+
+Hi ${retry.customerName || "there"},
+
+Your payment didn't go through. ${
+    retry.message || "Your bank or card issuer declined the payment."
+  } You haven't been charged.
+
+Your cart:
+${items}
+
+Try again: ${retryUrl}
+
+Questions? Contact us at ${process.env.OWNER_EMAIL || "support@itapring.com"}
+
+---
+© ${new Date().getFullYear()} ${
+    process.env.BUSINESS_NAME || "iTapRing"
+  }. All rights reserved.
+This email was sent to ${retry.email}
+  `.trim();
+};
@@ -0,0 +1,97 @@
+/**
+ * Owner Reconciliation Report Email Template
+ * Nightly "Stripe vs. our orders" check - what didn't match and what we fixed
+ */
+
+import { renderInfoBox, wrapEmailLayout } from "./layout.html.js";
+
+// Readable names for discrepancy types
+export const DISCREPANCY_LABELS = {
+  missing_order: "Paid checkout without an order",
+  refund_not_recorded: "Refund missing from order",
+  refund_without_order: "Refund for a payment with no order",
+  dispute_not_recorded: "Dispute missing from order",
+  payment_not_succeeded: "Order whose payment didn't succeed",
+};
+
+/**
+ * @param {Object} report - Reconciliation run (see reconciliation.service.js)
+ * @returns {string} HTML email content
+ */
+export const generateReconciliationReportHTML = (report) => {
+  const rowsHtml = report.discrepancies
+    .map((d) => {
+      const outcome = d.repaired
+        ? `<span style="color: #15803d; font-weight: 600;">Fixed</span>`
+        : d.error
+        ? `<span style="color: #b91c1c; font-weight: 600;">Fix failed</span>`
+        : `<span style="color: #b45309; font-weight: 600;">Needs review</span>`;
+
+      return `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 12px; color: #111827;">
+            <div style="font-weight: 600;">${DISCREPANCY_LABELS[d.type] || d.type}</div>
+            <div style="color: #6b7280; margin-top: 2px;">${d.detail}</div>
+            <div style="color: #9ca3af; margin-top: 2px; font-family: monospace; font-size: 11px;">
+              ${[d.orderId, d.sessionId, d.paymentIntentId].filter(Boolean).join(" · ")}
+            </div>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: right; font-size: 12px; white-space: nowrap;">
+            ${outcome}
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const failedHtml =
+    report.status === "failed"
+      ? `
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 16px;">
+        <tr>
+          <td style="padding: 14px; background-color: #fef2f2; border-radius: 6px; border-left: 3px solid #dc2626;">
+            <div style="font-weight: 600; color: #991b1b; font-size: 13px; margin-bottom: 6px;">The check didn't finish</div>
+            <p style="margin: 0; color: #b91c1c; font-size: 12px;">${report.error}</p>
+          </td>
+        </tr>
+      </table>
+    `
+      : "";
+
+  const content = `
+    ${renderInfoBox(
+      "Period Checked",
+      `${new Date(report.from).toUTCString()} → ${new Date(report.to).toUTCString()}`
+    )}
+    ${renderInfoBox(
+      "Checked",
+      `${report.checked.sessions} checkouts · ${report.checked.orders} orders · ${report.checked.refunds} refunds · ${report.checked.disputes} disputes`
+    )}
+    ${failedHtml}
+
+    ${
+      rowsHtml
+        ? `
+      <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden;">
+        <thead>
+          <tr style="background-color: #f9fafb;">
+            <th style="padding: 8px; text-align: left; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Discrepancy</th>
+            <th style="padding: 8px; text-align: right; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Status</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    `
+        : `<p style="margin: 0; color: #6b7280; font-size: 13px; text-align: center;">Everything matches.</p>`
+    }
+  `;
+
+  return wrapEmailLayout({
+    title: "Stripe reconciliation report",
+    heading: "Reconciliation Report",
+    subheading: `${report.discrepancies.length} discrepancies · ${report.summary.repaired} fixed automatically`,
+    accentColor: report.summary.needsReview > 0 ? "#dc2626" : "#16a34a",
+    content,
+    footerNote: `Run ${report.runId}`,
+  });
+};
@@ -0,0 +1,77 @@
+/**
+ * Customer Refund Notice Email Template
+ */
+
+import {
+  renderInfoBox,
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+/**
+ * @param {Object} orderData - Order data (after the refund was recorded)
+ * @param {Object} refund - The refund being announced
+ * @returns {string} HTML email content
+ */
+export const generateRefundNoticeHTML = (orderData, refund) => {
+  const isFullRefund = orderData.refundedAmount >= orderData.amount;
+
+  const itemsHtml = (refund.items || [])
+    .map((line) => {
+      const item = orderData.items[line.line - 1];
+      if (!item) return "";
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
+      return `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; font-size: 13px; color: #111827;">
+            ${item.name} <span style="color: #6b7280; font-size: 12px;">${item.color}${sizeInfo}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center; font-size: 13px; color: #374151;">${line.quantity}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const itemsTable = itemsHtml
+    ? `
+      <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; margin-bottom: 16px;">
+        <thead>
+          <tr style="background-color: #f9fafb;">
+            <th style="padding: 8px; text-align: left; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Refunded Item</th>
+            <th style="padding: 8px; text-align: center; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Qty</th>
+          </tr>
+        </thead>
+        <tbody>${itemsHtml}</tbody>
+      </table>
+    `
+    : "";
+
+  const content = `
+    ${renderInfoBox("Order Number", orderData.orderId)}
+    ${renderInfoBox("Refund Amount", `$${refund.amount.toFixed(2)}`)}
+    ${itemsTable}
+    <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 16px;">
+      <tr>
+        <td style="padding: 14px; background-color: #eff6ff; border-radius: 6px; border-left: 3px solid #3b82f6;">
+          <div style="font-weight: 600; color: #1e3a8a; font-size: 13px; margin-bottom: 6px;">When will I see it?</div>
+          <p style="margin: 0; color: #1e40af; font-size: 12px; line-height: 1.5;">
+            Refunds go back to your original payment method. Depending on your bank, it can take 5-10 business days to appear on your statement.
+          </p>
+        </td>
+      </tr>
+    </table>
+    ${renderSupportBox()}
+  `;
+
+  return wrapEmailLayout({
+    title: `Refund for ${orderData.orderId}`,
+    heading: isFullRefund ? "Your Order Was Refunded" : "Partial Refund Issued",
+    subheading: `We've refunded $${refund.amount.toFixed(2)} for order ${
+      orderData.orderId
+    }`,
+    accentColor: "#3b82f6",
+    content,
+    footerNote: `Sent to ${orderData.customerEmail}`,
+  });
+};
@@ -0,0 +1,114 @@
+/**
+ * Customer Shipping Notification Email Template
+ * "Your ring is on the way" - one email per shipment
+ */
+
+import {
+  escapeHtml,
+  renderInfoBox,
+  renderSupportBox,
+  wrapEmailLayout,
+} from "./layout.html.js";
+
+/**
+ * @param {Object} orderData - Order data
+ * @param {Object} shipment - The shipment being announced
+ * @returns {string} HTML email content
+ */
+export const generateShippingNotificationHTML = (orderData, shipment) => {
+  const itemsHtml = shipment.items
+    .map((line) => {
+      const item = orderData.items[line.line - 1];
+      if (!item) return "";
+      const sizeInfo =
+        (item.size ? ` (Size ${item.size})` : "") + (item.option ? ` (${item.option})` : "");
+      return `
+        <tr>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e5e7eb;">
+            <div style="font-weight: 600; color: #111827; font-size: 13px;">${item.name}</div>
+            <div style="font-size: 12px; color: #6b7280; margin-top: 2px;">${item.color}${sizeInfo}</div>
+          </td>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e5e7eb; text-align: center; font-weight: 600; color: #374151;">
+            ${line.quantity}
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const isPartial = orderData.status !== "shipped";
+
+  const trackingButton = shipment.trackingUrl
+    ? `<a href="${escapeHtml(shipment.trackingUrl)}" style="display: inline-block; background-color: #f59e0b; color: #ffffff; padding: 10px 20px; text-decoration: none; border-radius: 4px; font-weight: 600; font-size: 14px;">Track Your Package</a>`
+    : "";
+
+  const shippingHtml = orderData.shippingAddress
+    ? `
+      <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 16px;">
+        <tr>
+          <td style="padding: 14px; background-color: #fef3c7; border-radius: 6px; border-left: 3px solid #f59e0b;">
+            <div style="font-weight: 600; color: #78350f; font-size: 13px; margin-bottom: 6px;">Shipping To</div>
+            <div style="color: #92400e; line-height: 1.5; font-size: 12px;">
+              <div style="font-weight: 600;">${orderData.shippingAddress.name}</div>
+              <div>${orderData.shippingAddress.line1}</div>
+              ${
+                orderData.shippingAddress.line2
+                  ? `<div>${orderData.shippingAddress.line2}</div>`
+                  : ""
+              }
+              <div>${orderData.shippingAddress.city}, ${
+        orderData.shippingAddress.state
+      } ${orderData.shippingAddress.postal_code}</div>
+              <div><strong>${orderData.shippingAddress.country}</strong></div>
+            </div>
+          </td>
+        </tr>
+      </table>
+    `
+    : "";
+
+  const content = `
+    ${renderInfoBox("Order Number", orderData.orderId)}
+    ${renderInfoBox(
+      "Carrier & Tracking Number",
+      `${escapeHtml(shipment.carrier.toUpperCase())} · <span style="font-family: monospace;">${escapeHtml(
+        shipment.trackingNumber
+      )}</span>`
+    )}
+
+    <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; margin-bottom: 16px;">
+      <thead>
+        <tr style="background-color: #f9fafb;">
+          <th style="padding: 8px; text-align: left; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">In This Package</th>
+          <th style="padding: 8px; text-align: center; font-size: 11px; color: #6b7280; font-weight: 600; text-transform: uppercase;">Qty</th>
+        </tr>
+      </thead>
+      <tbody>${itemsHtml}</tbody>
+    </table>
+
+    ${
+      trackingButton
+        ? `<div style="text-align: center; margin: 16px 0;">${trackingButton}</div>`
+        : ""
+    }
+
+    ${
+      isPartial
+        ? `<p style="margin: 0 0 16px; color: #6b7280; font-size: 12px; text-align: center;">The rest of your order will ship separately - we'll email you again when it does.</p>`
+        : ""
+    }
+
+    ${shippingHtml}
+    ${renderSupportBox()}
+  `;
+
+  return wrapEmailLayout({
+    title: `Your order ${orderData.orderId} has shipped`,
+    heading: "Your Ring Is on the Way!",
+    subheading: `Order ${orderData.orderId} has shipped${
+      orderData.customerName ? `, ${orderData.customerName.split(" ")[0]}` : ""
+    }`,
+    content,
+    footerNote: `Sent to ${orderData.customerEmail}`,
+  });
+};
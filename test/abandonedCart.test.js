@@ -0,0 +1,135 @@
+/**
+ * Abandoned carts: reminders that couldn't be sent, recovery links, opting out
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import {
+  captureEmails,
+  catalogProduct,
+  paidCheckoutSession,
+  stubCatalog,
+  stubStripe,
+} from "./helpers/stubs.js";
+import { serveRouter } from "./helpers/http.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ABANDONED_CART_DELAYS = "1,24";
+const {
+  captureAbandonedCheckout,
+  isOptedOut,
+  startCartRecoveryWorker,
+  stopCartRecoveryWorker,
+} = await import("../services/abandonedCart.service.js");
+const { stripeRouter } = await import("../routes/stripe.routes.js");
+
+let emails;
+let server;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+  server = await serveRouter("/api/stripe", stripeRouter);
+});
+
+after(() => server.close());
+
+// A checkout that expired two hours ago - its first reminder is due
+const expiredCheckout = (id, email) =>
+  paidCheckoutSession(id, {
+    status: "expired",
+    payment_status: "unpaid",
+    payment_intent: null,
+    expires_at: Math.floor((Date.now() - 2 * HOUR_MS) / 1000),
+    customer_details: { email, name: "Jane Doe" },
+    success_url: "https://shop.example.test/success",
+    cancel_url: "https://shop.example.test/cart",
+  });
+
+// One pass of the reminder worker
+const runWorker = async () => {
+  startCartRecoveryWorker();
+  await stopCartRecoveryWorker();
+};
+
+const remindersTo = (email) => emails.filter((message) => message.to === email);
+
+test("a reminder that couldn't be sent isn't counted and is tried again later", async (t) => {
+  const email = "retry@example.com";
+  await captureAbandonedCheckout(expiredCheckout("cs_test_retry", email));
+
+  // SMTP unavailable - the send fails
+  const smtpHost = process.env.SMTP_HOST;
+  delete process.env.SMTP_HOST;
+  await runWorker();
+  process.env.SMTP_HOST = smtpHost;
+  assert.equal(remindersTo(email).length, 0);
+
+  // Not before the retry is due
+  await runWorker();
+  assert.equal(remindersTo(email).length, 0);
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + HOUR_MS + 60 * 1000 });
+  await runWorker();
+
+  const [reminder] = remindersTo(email);
+  assert.equal(remindersTo(email).length, 1);
+  assert.match(reminder.html, /recover\/[A-Za-z0-9_-]{32}/);
+});
+
+test("opening a recovery link twice reuses the checkout it opened", async () => {
+  const cart = await captureAbandonedCheckout(
+    expiredCheckout("cs_test_reopen", "reopen@example.com")
+  );
+  stubCatalog([catalogProduct("prod_black", "ring-black", 9550, { category: "ring" })]);
+
+  const recovered = {
+    id: "cs_test_recovered",
+    status: "open",
+    url: "https://checkout.stripe.com/c/pay/cs_test_recovered",
+  };
+  const create = stubStripe("checkout.sessions.create", async () => recovered);
+  stubStripe("checkout.sessions.retrieve", async () => recovered);
+
+  const first = await server.request("GET", `/api/stripe/recover/${cart.token}`);
+  const second = await server.request("GET", `/api/stripe/recover/${cart.token}`);
+
+  assert.equal(first.status, 303);
+  assert.equal(first.headers.get("location"), recovered.url);
+  assert.equal(second.headers.get("location"), recovered.url);
+  assert.equal(create.mock.callCount(), 1);
+
+  // Once that checkout expires, the link opens a new one
+  stubStripe("checkout.sessions.retrieve", async () => ({ ...recovered, status: "expired" }));
+  await server.request("GET", `/api/stripe/recover/${cart.token}`);
+  assert.equal(create.mock.callCount(), 2);
+});
+
+test("the opt-out link only asks - the form it shows opts out", async () => {
+  const email = "optout@example.com";
+  const cart = await captureAbandonedCheckout(expiredCheckout("cs_test_optout", email));
+  const path = `/api/stripe/recover/${cart.token}/opt-out`;
+
+  // Mail scanners open links - that alone mustn't unsubscribe anyone
+  const page = await server.request("GET", path);
+  assert.equal(page.status, 200);
+  assert.match(page.body, /<form method="post"/i);
+  assert.equal(await isOptedOut(email), false);
+
+  const optOut = await server.request("POST", path);
+  assert.equal(optOut.status, 200);
+  assert.equal(await isOptedOut(email), true);
+
+  await runWorker();
+  assert.equal(remindersTo(email).length, 0);
+});
+
+test("a malformed recovery link is rejected", async () => {
+  const response = await server.request("GET", "/api/stripe/recover/not-a-token");
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+});
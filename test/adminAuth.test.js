@@ -0,0 +1,79 @@
+/**
+ * Admin roles and the audit log
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { setTimeout as delay } from "node:timers/promises";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ADMIN_API_KEY = "root-key-for-tests";
+const { ADMIN_ROLES, hasRole, listAdminActions } = await import(
+  "../services/adminAuth.service.js"
+);
+const { requireRole } = await import("../middleware/adminAuth.js");
+const { adminRouter } = await import("../routes/admin.routes.js");
+
+const token = process.env.ADMIN_API_KEY;
+let api;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  api = await serveRouter("/api/admin", adminRouter);
+});
+
+after(() => api.close());
+
+// The audit entry is written once the response has gone out
+const auditedPaths = async () => {
+  await delay(20);
+  return (await listAdminActions()).map((entry) => `${entry.method} ${entry.path}`);
+};
+
+test("each role includes the roles below it", () => {
+  const allowed = ADMIN_ROLES.map((role) =>
+    ADMIN_ROLES.filter((required) => hasRole(role, required))
+  );
+
+  assert.deepEqual(allowed, [
+    ["viewer"],
+    ["viewer", "fulfillment"],
+    ["viewer", "fulfillment", "owner"],
+  ]);
+});
+
+test("unknown roles never match", () => {
+  assert.equal(hasRole("owner", "superadmin"), false);
+  assert.equal(hasRole("owner", undefined), false);
+  assert.equal(hasRole("intern", "viewer"), false);
+  assert.equal(hasRole(undefined, "viewer"), false);
+});
+
+test("a route can't require an unknown role", () => {
+  assert.throws(() => requireRole("admin"), /Unknown admin role/);
+});
+
+test("reads aren't audited, changes and exports are", async () => {
+  await api.request("GET", "/api/admin/orders", { token });
+  await api.request("GET", "/api/admin/orders/export", { token });
+  await api.request("POST", "/api/admin/keys", {
+    token,
+    body: { name: "Alex", role: "viewer" },
+  });
+
+  const paths = await auditedPaths();
+  assert.equal(paths.includes("GET /api/admin/orders"), false);
+  assert.ok(paths.includes("GET /api/admin/orders/export"));
+  assert.ok(paths.includes("POST /api/admin/keys"));
+});
+
+test("the audit entry names the admin", async () => {
+  await api.request("DELETE", "/api/admin/keys/no-such-key", { token });
+
+  await delay(20);
+  const [latest] = await listAdminActions({ limit: 1 });
+  assert.equal(latest.path, "/api/admin/keys/no-such-key");
+  assert.equal(latest.adminName, "root");
+});
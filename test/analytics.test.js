@@ -0,0 +1,68 @@
+/**
+ * Sales analytics: what counts as revenue, and when it's recalculated
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+
+process.env.STORAGE_DRIVER = "memory";
+const { calculateAnalytics, getAnalytics } = await import(
+  "../services/dataStore.service.js"
+);
+const { saveOrder } = await import("../services/order.service.js");
+
+before(() => {
+  mock.method(console, "log", () => {});
+});
+
+const placeOrder = (orderId, overrides = {}) =>
+  saveOrder({
+    orderId,
+    status: "paid",
+    paymentStatus: "paid",
+    customerEmail: "customer@example.com",
+    amount: 100,
+    currency: "usd",
+    items: [{ productId: "ring-black", name: "Black Ring", quantity: 2, price: 100 }],
+    ...overrides,
+  });
+
+test("only paid orders are revenue, minus their partial refunds", async () => {
+  await placeOrder("IT-800001");
+  await placeOrder("IT-800002", {
+    refundedAmount: 50,
+    paymentStatus: "partially_refunded",
+    items: [
+      {
+        productId: "ring-black",
+        name: "Black Ring",
+        quantity: 2,
+        price: 100,
+        refundedQuantity: 1,
+      },
+    ],
+  });
+  await placeOrder("IT-800003", { status: "cancelled" });
+  await placeOrder("IT-800004", { status: "refunded", refundedAmount: 100 });
+  await placeOrder("IT-800005", { status: "pending_payment", paymentStatus: "unpaid" });
+
+  const summary = await calculateAnalytics();
+
+  assert.equal(summary.orders.total, 5);
+  assert.equal(summary.orders.paid, 2);
+  assert.deepEqual(summary.revenue, {
+    gross: 200,
+    refunded: 50,
+    net: 150,
+    averageOrderValue: 100,
+  });
+  assert.equal(summary.unitsSold, 3);
+});
+
+test("a new order shows up once the saved numbers are older than maxAgeMs", async () => {
+  const { orders } = await getAnalytics();
+  await placeOrder("IT-800006");
+
+  assert.equal((await getAnalytics()).orders.total, orders.total);
+  assert.equal((await getAnalytics({ maxAgeMs: 0 })).orders.total, orders.total + 1);
+});
@@ -0,0 +1,120 @@
+/**
+ * Delayed payment methods: pending_payment orders until the money clears
+ */
+
+import assert from "node:assert/strict";
+import { afterEach, before, mock, test } from "node:test";
+import { captureEmails, paidCheckoutSession, stubStripe } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { createCheckoutSessionForCart } = await import("../services/checkout.service.js");
+const { getOrderBySessionId } = await import("../services/order.service.js");
+const { handleStripeEvent } = await import("../services/webhook.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+});
+
+afterEach(() => {
+  delete process.env.CHECKOUT_PAYMENT_METHODS;
+});
+
+// Checkout finished with a bank debit that hasn't cleared yet
+const unpaidSession = (id) =>
+  paidCheckoutSession(id, {
+    payment_status: "unpaid",
+    payment_method_types: ["us_bank_account"],
+  });
+
+const sendEvent = (id, type, session) =>
+  handleStripeEvent({ id, type, data: { object: session } });
+
+const customerSubjects = (orderId) =>
+  emails
+    .filter((email) => email.to === "customer@example.com" && email.subject.includes(orderId))
+    .map((email) => email.subject);
+
+test("a delayed payment waits as pending_payment, then confirms once it clears", async () => {
+  const session = unpaidSession("cs_test_async_ok");
+  stubStripe("checkout.sessions.retrieve", async () => session);
+
+  await sendEvent("evt_test_async_ok_1", "checkout.session.completed", session);
+  let order = await getOrderBySessionId(session.id);
+
+  assert.equal(order.status, "pending_payment");
+  assert.deepEqual(customerSubjects(order.orderId), [
+    `Order ${order.orderId} received - payment pending`,
+  ]);
+
+  const paid = { ...session, payment_status: "paid" };
+  stubStripe("checkout.sessions.retrieve", async () => paid);
+  await sendEvent("evt_test_async_ok_2", "checkout.session.async_payment_succeeded", paid);
+  await sendEvent("evt_test_async_ok_3", "checkout.session.async_payment_succeeded", paid);
+
+  order = await getOrderBySessionId(session.id);
+  assert.equal(order.status, "paid");
+  assert.equal(order.paymentStatus, "paid");
+  assert.deepEqual(customerSubjects(order.orderId), [
+    `Order ${order.orderId} received - payment pending`,
+    `Order Confirmation - ${order.orderId}`,
+  ]);
+});
+
+test("a failed delayed payment cancels the order and tells the customer once", async () => {
+  const session = unpaidSession("cs_test_async_fail");
+  stubStripe("checkout.sessions.retrieve", async () => session);
+
+  await sendEvent("evt_test_async_fail_1", "checkout.session.completed", session);
+  await sendEvent("evt_test_async_fail_2", "checkout.session.async_payment_failed", session);
+  await sendEvent("evt_test_async_fail_3", "checkout.session.async_payment_failed", session);
+
+  const order = await getOrderBySessionId(session.id);
+  assert.equal(order.status, "cancelled");
+  assert.equal(order.paymentStatus, "failed");
+  assert.deepEqual(customerSubjects(order.orderId), [
+    `Order ${order.orderId} received - payment pending`,
+    `Payment failed - order ${order.orderId} cancelled`,
+  ]);
+});
+
+test("checkout offers the payment methods from CHECKOUT_PAYMENT_METHODS", async () => {
+  process.env.CHECKOUT_PAYMENT_METHODS = "card, klarna,us_bank_account";
+  const create = stubStripe("checkout.sessions.create", async () => ({
+    id: "cs_test_methods",
+    url: "https://checkout.stripe.com/c/pay/cs_test_methods",
+  }));
+
+  await createCheckoutSessionForCart(
+    {
+      items: [
+        {
+          productId: "ring-black",
+          stripeProductId: "prod_black",
+          productName: "Black Ring",
+          color: "Black",
+          size: 8,
+          option: null,
+          quantity: 1,
+          validatedPrice: 95.5,
+          verifiedAt: new Date().toISOString(),
+          metadata: { verifiedAt: new Date().toISOString() },
+        },
+      ],
+      itemCount: 1,
+      totalAmount: 95.5,
+      validatedAt: new Date().toISOString(),
+    },
+    {
+      customerEmail: "customer@example.com",
+      successUrl: "https://shop.example.test/success",
+      cancelUrl: "https://shop.example.test/cart",
+    }
+  );
+
+  const [params] = create.mock.calls[0].arguments;
+  assert.deepEqual(params.payment_method_types, ["card", "klarna", "us_bank_account"]);
+});
@@ -0,0 +1,145 @@
+/**
+ * Backfill: orders for paid checkouts that never became orders
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { captureEmails, paidCheckoutSession, stubStripe } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { getBackfillRun, resumeBackfill, startBackfill } = await import(
+  "../services/backfill.service.js"
+);
+const { getOrderBySessionId, saveOrder } = await import("../services/order.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+});
+
+const JAN_15 = Math.floor(Date.parse("2025-01-15T12:00:00Z") / 1000);
+
+const sessions = [
+  paidCheckoutSession("cs_test_bf_new", { created: JAN_15 }),
+  paidCheckoutSession("cs_test_bf_unpaid", {
+    created: JAN_15,
+    payment_status: "unpaid",
+  }),
+  paidCheckoutSession("cs_test_bf_other", {
+    created: JAN_15,
+    metadata: { orderType: "gift_card" },
+  }),
+  paidCheckoutSession("cs_test_bf_existing", { created: JAN_15 }),
+  paidCheckoutSession("cs_test_bf_nometa", {
+    created: JAN_15,
+    metadata: { orderType: "itapring_product" },
+  }),
+];
+
+// Stripe's list, two sessions per page, honouring starting_after
+const stubSessionList = (data, { failAfter } = {}) => {
+  let calls = 0;
+  return stubStripe("checkout.sessions.list", async (params) => {
+    if (failAfter !== undefined && calls++ >= failAfter) {
+      throw new Error("Stripe is down");
+    }
+    const start = params.starting_after
+      ? data.findIndex((session) => session.id === params.starting_after) + 1
+      : 0;
+    return { data: data.slice(start, start + 2), has_more: start + 2 < data.length };
+  });
+};
+
+test("missing paid orders are created with their checkout date, the rest skipped", async () => {
+  await saveOrder({
+    orderId: "IT-900001",
+    status: "paid",
+    stripeSessionId: "cs_test_bf_existing",
+    items: [],
+  });
+  const list = stubSessionList(sessions);
+
+  const run = await startBackfill({ from: new Date("2025-01-01"), wait: true });
+
+  assert.equal(run.status, "completed");
+  assert.equal(run.scanned, 5);
+  assert.equal(run.created, 1);
+  assert.deepEqual(run.skipped, {
+    unpaid: 1,
+    notOurs: 1,
+    existing: 1,
+    missingMetadata: 1,
+  });
+  assert.equal(
+    list.mock.calls[0].arguments[0].created.gte,
+    Math.floor(Date.parse("2025-01-01") / 1000)
+  );
+
+  const order = await getOrderBySessionId("cs_test_bf_new");
+  assert.equal(new Date(order.createdAt).getTime(), JAN_15 * 1000);
+  assert.equal(order.items[0].name, "Black Ring");
+  assert.equal(emails.length, 0);
+});
+
+test("a dry run counts without creating anything", async () => {
+  const session = paidCheckoutSession("cs_test_bf_dry", { created: JAN_15 });
+  stubSessionList([session]);
+
+  const run = await startBackfill({
+    from: new Date("2025-01-01"),
+    dryRun: true,
+    wait: true,
+  });
+
+  assert.equal(run.created, 1);
+  assert.equal(await getOrderBySessionId(session.id), null);
+});
+
+test("a run that stopped resumes after the last session it finished", async () => {
+  const batch = [1, 2, 3, 4].map((n) =>
+    paidCheckoutSession(`cs_test_bf_resume_${n}`, { created: JAN_15 })
+  );
+  stubSessionList(batch, { failAfter: 1 });
+
+  const failed = await startBackfill({ from: new Date("2025-01-01"), wait: true });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "Stripe is down");
+  assert.equal(failed.cursor, "cs_test_bf_resume_2");
+  assert.equal(failed.created, 2);
+
+  const list = stubSessionList(batch);
+  const resumed = await resumeBackfill(failed.runId, { wait: true });
+
+  assert.equal(list.mock.calls[0].arguments[0].starting_after, "cs_test_bf_resume_2");
+  assert.equal(resumed.status, "completed");
+  assert.equal(resumed.created, 4);
+  assert.equal((await getBackfillRun(failed.runId)).scanned, 4);
+  for (const session of batch) {
+    assert.ok(await getOrderBySessionId(session.id), session.id);
+  }
+});
+
+test("only one backfill runs at a time", async () => {
+  let release;
+  stubStripe("checkout.sessions.list", () =>
+    new Promise((resolve) => {
+      release = () => resolve({ data: [], has_more: false });
+    })
+  );
+
+  const first = await startBackfill({ from: new Date("2025-01-01") });
+  await assert.rejects(
+    startBackfill({ from: new Date("2025-01-01") }),
+    (error) => error.code === "BACKFILL_RUNNING"
+  );
+
+  while (!release) await new Promise((resolve) => setImmediate(resolve));
+  release();
+  while ((await getBackfillRun(first.runId)).status === "running") {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.equal((await getBackfillRun(first.runId)).status, "completed");
+});
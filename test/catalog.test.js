@@ -0,0 +1,90 @@
+/**
+ * Product catalog cache: loaded once, patched by webhooks, used for prices
+ */
+
+import assert from "node:assert/strict";
+import { after, afterEach, before, mock, test } from "node:test";
+import { catalogProduct, stubCatalog, stubStripe } from "./helpers/stubs.js";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const {
+  applyCatalogEvent,
+  getProductCatalog,
+  invalidateCatalogCache,
+  validateProductPrice,
+} = await import("../services/product.service.js");
+const { productRouter } = await import("../routes/product.routes.js");
+
+const black = () => catalogProduct("prod_black", "ring-black", 9550, { category: "ring" });
+
+let server;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(console, "warn", () => {});
+  server = await serveRouter("/api/products", productRouter);
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  delete process.env.CATALOG_CACHE_TTL_MS;
+  invalidateCatalogCache();
+});
+
+test("products are loaded from Stripe once and keep their ETag", async () => {
+  const { productsList } = stubCatalog([black()]);
+
+  const first = await server.request("GET", "/api/products");
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data[0].id, "ring-black");
+  assert.equal(first.body.data[0].price, 95.5);
+  assert.equal(first.headers.get("cache-control"), "private, no-cache");
+
+  const again = await server.request("GET", "/api/products");
+  assert.equal(again.headers.get("etag"), first.headers.get("etag"));
+  assert.equal(productsList.mock.callCount(), 1);
+});
+
+test("a price webhook updates the cached price, and carts are checked against it", async () => {
+  const product = black();
+  const { productsList, productRetrieve, priceRetrieve } = stubCatalog([product]);
+  const { etag } = await getProductCatalog();
+
+  await applyCatalogEvent("product.updated", {
+    ...product,
+    default_price: { ...product.default_price, id: "price_black_new", unit_amount: 11000 },
+    updated: Math.floor(Date.now() / 1000) + 1,
+  });
+
+  const catalog = await getProductCatalog();
+  assert.equal(catalog.products[0].price, 110);
+  assert.notEqual(catalog.etag, etag);
+
+  const validated = await validateProductPrice("ring-black", 110, 2, 8);
+  assert.equal(validated.stripePriceId, "price_black_new");
+  assert.equal(validated.totalPrice, 220);
+  await assert.rejects(validateProductPrice("ring-black", 95.5, 1, 8), /Price mismatch/);
+
+  // Everything came from the cache
+  assert.equal(productsList.mock.callCount(), 1);
+  assert.equal(productRetrieve.mock.callCount(), 0);
+  assert.equal(priceRetrieve.mock.callCount(), 0);
+});
+
+test("an expired catalog is still served while Stripe is unreachable", async () => {
+  stubCatalog([black()]);
+  await getProductCatalog();
+
+  process.env.CATALOG_CACHE_TTL_MS = "1";
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  stubStripe("products.list", async () => {
+    throw new Error("Stripe unreachable");
+  });
+
+  const { products, stale } = await getProductCatalog();
+  assert.equal(stale, true);
+  assert.equal(products[0].id, "ring-black");
+});
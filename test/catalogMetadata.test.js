@@ -0,0 +1,94 @@
+/**
+ * Catalog from Stripe product metadata: what's sold, and what's flagged
+ */
+
+import assert from "node:assert/strict";
+import { afterEach, before, mock, test } from "node:test";
+import { catalogProduct, stubCatalog } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { getCatalogReport, invalidateCatalogCache } = await import(
+  "../services/product.service.js"
+);
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  delete process.env.STRIPE_PRODUCT_RING_WHITE;
+  invalidateCatalogCache();
+});
+
+const problemTypes = (problems) => problems.map((problem) => problem.type).sort();
+
+test("products are sold by their metadata, in display order", async () => {
+  stubCatalog([
+    catalogProduct("prod_bracelet", "bracelet-cf-marble", 12000, {
+      category: "bracelet",
+      size_system: "bracelet",
+      sizes: "s, m,L",
+      display_order: "2",
+    }),
+    catalogProduct("prod_black", "ring-black", 9550, {
+      category: "ring",
+      sizes: "7,8,9",
+      display_order: "1",
+    }),
+    catalogProduct("prod_charm", "charm-star", 2500),
+  ]);
+
+  const { products, problems } = await getCatalogReport();
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(
+    products.map((p) => [p.id, p.category, p.sizeSystem, p.sizes]),
+    [
+      ["ring-black", "ring", "us_ring", [7, 8, 9]],
+      ["bracelet-cf-marble", "bracelet", "bracelet", ["S", "M", "L"]],
+      ["charm-star", null, "none", []],
+    ]
+  );
+});
+
+test("products with broken metadata are flagged and not sold", async () => {
+  stubCatalog([
+    catalogProduct("prod_first", "ring-black", 9550, { display_order: "1" }),
+    catalogProduct("prod_second", "ring-black", 9550, { display_order: "2" }),
+    catalogProduct("prod_sizes", "ring-gold", 9550, { sizes: "8,99" }),
+    catalogProduct("prod_system", "ring-rose", 9550, { size_system: "eu_ring" }),
+    catalogProduct("prod_order", "charm-moon", 2500, { display_order: "first" }),
+    { ...catalogProduct("prod_unmapped", "unused", 2500), metadata: {} },
+  ]);
+
+  const { products, problems } = await getCatalogReport();
+
+  assert.deepEqual(problemTypes(problems), [
+    "duplicate_id",
+    "invalid_display_order",
+    "invalid_size_system",
+    "invalid_sizes",
+    "unmapped",
+  ]);
+  assert.deepEqual(
+    products.map((p) => [p.id, p.stripeProductId]),
+    [
+      ["ring-black", "prod_first"],
+      ["charm-moon", "prod_order"],
+    ]
+  );
+});
+
+test("a STRIPE_PRODUCT_* env var still maps a product without frontend_id", async () => {
+  process.env.STRIPE_PRODUCT_RING_WHITE = "prod_white";
+  stubCatalog([{ ...catalogProduct("prod_white", "unused", 9550), metadata: {} }]);
+
+  const { products, problems } = await getCatalogReport();
+
+  assert.deepEqual(
+    products.map((p) => [p.id, p.category]),
+    [["ring-white", "ring"]]
+  );
+  assert.deepEqual(problemTypes(problems), ["legacy_mapping"]);
+});
@@ -0,0 +1,120 @@
+/**
+ * Disputes: linked to the order, alerted once, evidence from everything we know
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { captureEmails } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { buildDisputeEvidence, processDisputeEvent } = await import(
+  "../services/dispute.service.js"
+);
+const { getOrderById, saveOrder, updateOrder } = await import("../services/order.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+});
+
+const placeOrder = (orderId) =>
+  saveOrder({
+    orderId,
+    status: "paid",
+    paymentStatus: "paid",
+    stripePaymentIntentId: `pi_${orderId}`,
+    customerName: "Jane Doe",
+    customerEmail: "customer@example.com",
+    amount: 95.5,
+    currency: "usd",
+    items: [
+      { name: "Black Ring", color: "Black", size: 8, option: null, quantity: 1, price: 95.5 },
+    ],
+  });
+
+const stripeDispute = (id, paymentIntentId, status = "needs_response") => ({
+  id,
+  object: "dispute",
+  amount: 9550,
+  currency: "usd",
+  reason: "product_not_received",
+  status,
+  charge: `ch_${paymentIntentId}`,
+  payment_intent: paymentIntentId,
+  created: Math.floor(Date.now() / 1000),
+  evidence_details: {
+    due_by: Math.floor(Date.now() / 1000) + 7 * 86400,
+    submission_count: 0,
+  },
+});
+
+const ownerAlerts = (disputeId) =>
+  emails.filter(
+    (email) => email.to === "owner@example.test" && email.html.includes(disputeId)
+  );
+
+test("a dispute flags its order and alerts the owner once per stage", async () => {
+  await placeOrder("IT-920001");
+  const dispute = stripeDispute("dp_test_flag", "pi_IT-920001");
+
+  // created and updated arriving together
+  await Promise.all([processDisputeEvent(dispute), processDisputeEvent(dispute)]);
+
+  const order = await getOrderById("IT-920001");
+  assert.equal(order.disputed, true);
+  assert.equal(order.dispute.disputeId, "dp_test_flag");
+  assert.equal(order.dispute.status, "needs_response");
+  assert.equal(ownerAlerts("dp_test_flag").length, 1);
+
+  const lost = { ...dispute, status: "lost" };
+  await processDisputeEvent(lost);
+  await processDisputeEvent(lost);
+
+  assert.equal((await getOrderById("IT-920001")).dispute.status, "lost");
+  assert.equal(ownerAlerts("dp_test_flag").length, 2);
+});
+
+test("the evidence lists every email the customer got, in order", async () => {
+  await placeOrder("IT-920002");
+  const day = (n) => new Date(Date.UTC(2026, 0, n)).toISOString();
+  await updateOrder("IT-920002", (current) => ({
+    ...current,
+    notifications: {
+      confirmation: { sent: true, at: day(1) },
+      paymentPending: { sent: true, at: day(2) },
+      paymentFailed: { sent: false, at: day(3) },
+    },
+    shipments: [
+      {
+        carrier: "UPS",
+        trackingNumber: "1Z999",
+        shippedAt: day(4),
+        notified: true,
+        notifiedAt: day(4),
+      },
+    ],
+    refunds: [
+      { amount: 10, status: "succeeded", createdAt: day(5), notified: true, notifiedAt: day(5) },
+    ],
+  }));
+  await processDisputeEvent(stripeDispute("dp_test_evidence", "pi_IT-920002"));
+
+  const { emailsSent, evidence } = await buildDisputeEvidence("IT-920002");
+
+  assert.deepEqual(
+    emailsSent.map((email) => email.type),
+    ["order_confirmation", "payment_pending", "shipping_notification", "refund_notice"]
+  );
+  assert.match(evidence.uncategorized_text, /\(payment pending\) on 2026-01-02/);
+  assert.equal(evidence.shipping_tracking_number, "1Z999");
+  assert.equal(evidence.customer_email_address, "customer@example.com");
+});
+
+test("an order without a dispute has no evidence to build", async () => {
+  await placeOrder("IT-920003");
+
+  await assert.rejects(buildDisputeEvidence("IT-920003"), { statusCode: 404 });
+});
@@ -0,0 +1,36 @@
+/**
+ * Error responses: our error codes reach the client, system ones don't
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { errorHandler } from "../middleware/errorHandler.js";
+import { createHttpError } from "../utils/errors.js";
+import { fakeResponse } from "./helpers/stubs.js";
+
+before(() => {
+  mock.method(console, "error", () => {});
+});
+
+test("createHttpError sets the status and code of the response", () => {
+  const res = fakeResponse();
+  errorHandler(createHttpError(404, "Order not found", "ORDER_NOT_FOUND"), {}, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, {
+    success: false,
+    message: "Order not found",
+    code: "ORDER_NOT_FOUND",
+  });
+});
+
+test("a system error code stays out of the response", () => {
+  const error = new Error("connect ECONNREFUSED 10.0.0.5:5432");
+  error.code = "ECONNREFUSED";
+
+  const res = fakeResponse();
+  errorHandler(error, {}, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal("code" in res.body, false);
+});
@@ -0,0 +1,106 @@
+/**
+ * Fulfillment: the webhook and the success page share one order
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import {
+  captureEmails,
+  fakeResponse,
+  paidCheckoutSession,
+  stubStripe,
+} from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { verifyCheckoutSession } = await import("../controllers/stripe.controller.js");
+const { fulfillCheckoutSession } = await import("../services/fulfillment.service.js");
+const { getAllOrders } = await import("../services/order.service.js");
+const { handleStripeEvent } = await import("../services/webhook.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  emails = captureEmails();
+});
+
+const customerEmails = (orderId) =>
+  emails.filter(
+    (email) => email.to === "customer@example.com" && email.subject.includes(orderId)
+  );
+
+test("webhook and success page racing create one order and one email", async () => {
+  const session = paidCheckoutSession("cs_test_race");
+  stubStripe("checkout.sessions.retrieve", async () => session);
+
+  const res = fakeResponse();
+  const next = mock.fn();
+  await Promise.all([
+    handleStripeEvent({
+      id: "evt_test_race",
+      type: "checkout.session.completed",
+      data: { object: session },
+    }),
+    verifyCheckoutSession({ params: { sessionId: session.id } }, res, next),
+    fulfillCheckoutSession(session.id, { session }),
+  ]);
+
+  const orders = (await getAllOrders()).filter((o) => o.stripeSessionId === session.id);
+  assert.equal(orders.length, 1);
+  assert.equal(next.mock.callCount(), 0);
+  assert.equal(res.body.orderId, orders[0].orderId);
+  assert.equal(customerEmails(orders[0].orderId).length, 1);
+
+  // A late redelivery changes nothing
+  const again = await fulfillCheckoutSession(session.id, { session });
+  assert.equal(again.created, false);
+  assert.equal(again.order.orderId, orders[0].orderId);
+  assert.equal(customerEmails(orders[0].orderId).length, 1);
+});
+
+test("the success page gets the customer view of the order, nothing internal", async () => {
+  const session = paidCheckoutSession("cs_test_view");
+  stubStripe("checkout.sessions.retrieve", async () => session);
+
+  const res = fakeResponse();
+  await verifyCheckoutSession({ params: { sessionId: session.id } }, res, mock.fn());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.amount, 95.5);
+  assert.equal(res.body.customerEmail, "customer@example.com");
+  assert.equal(res.body.paymentStatus, "paid");
+  assert.deepEqual(res.body.shippingDestination, {
+    city: "New York",
+    state: "NY",
+    country: "US",
+  });
+  assert.deepEqual(res.body.items, [
+    { name: "Black Ring", color: "Black", size: 8, option: null, quantity: 1, price: 95.5 },
+  ]);
+
+  for (const field of [
+    "stripeSessionId",
+    "stripePaymentIntentId",
+    "shippingAddress",
+    "statusHistory",
+    "notifications",
+    "metadata",
+  ]) {
+    assert.equal(field in res.body, false, `${field} is exposed`);
+  }
+});
+
+test("an unpaid session is not confirmed", async () => {
+  const session = paidCheckoutSession("cs_test_unpaid", {
+    status: "open",
+    payment_status: "unpaid",
+  });
+  stubStripe("checkout.sessions.retrieve", async () => session);
+
+  const res = fakeResponse();
+  await verifyCheckoutSession({ params: { sessionId: session.id } }, res, mock.fn());
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+});
@@ -0,0 +1,48 @@
+/**
+ * Serve a router on a free local port, with the app's error handler,
+ * so tests can call it over HTTP
+ */
+
+import express from "express";
+import { errorHandler } from "../../middleware/errorHandler.js";
+
+/**
+ * RETURNS: { request(method, path, { body, token }), close() }
+ * request resolves to { status, headers, body } - body is parsed when
+ * the response is JSON, the plain text otherwise. Redirects aren't
+ * followed, so their status and location can be checked
+ */
+export const serveRouter = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const isJson = response.headers.get("content-type")?.includes("application/json");
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
@@ -0,0 +1,165 @@
+/**
+ * Stand-ins for Stripe and SMTP in tests
+ *
+ * Every service builds its own Stripe client, but the API methods live on
+ * prototypes shared by all clients - so stubbing a method here reaches
+ * every service. Nodemailer transports work the same way.
+ *
+ * Stubs are made with node:test's mock, so mock.restoreAll() undoes them.
+ */
+
+import { mock } from "node:test";
+import { createTransport } from "nodemailer";
+import Stripe from "stripe";
+
+const stripe = new Stripe("sk_test_stubs");
+
+/**
+ * Replace one Stripe API method, e.g. stubStripe("checkout.sessions.retrieve", fn)
+ * RETURNS: the mock (mock.calls lists every call)
+ */
+export const stubStripe = (path, implementation) => {
+  const parts = path.split(".");
+  const method = parts.pop();
+  const resource = parts.reduce((object, key) => object[key], stripe);
+
+  return mock.method(Object.getPrototypeOf(resource), method, implementation);
+};
+
+/**
+ * Turn email on and keep every message instead of sending it
+ * RETURNS: the array the messages are pushed to
+ */
+export const captureEmails = () => {
+  Object.assign(process.env, {
+    SMTP_HOST: "smtp.example.test",
+    SMTP_USER: "shop@example.test",
+    SMTP_PASS: "secret",
+    OWNER_EMAIL: "owner@example.test",
+  });
+
+  const sent = [];
+  const mailer = createTransport({ host: process.env.SMTP_HOST });
+  mock.method(Object.getPrototypeOf(mailer.transporter), "verify", async () => true);
+  mock.method(Object.getPrototypeOf(mailer), "sendMail", async (message) => {
+    sent.push(message);
+    return { messageId: `<test-${sent.length}@example.test>` };
+  });
+
+  return sent;
+};
+
+/**
+ * A Stripe product with its default price expanded, as products.list returns it
+ * The product is sold as `frontendId` (product metadata)
+ */
+export const catalogProduct = (id, frontendId, unitAmount, metadata = {}) => ({
+  id,
+  object: "product",
+  active: true,
+  name: frontendId,
+  images: [],
+  metadata: { frontend_id: frontendId, ...metadata },
+  default_price: {
+    id: `price_${id}`,
+    object: "price",
+    active: true,
+    product: id,
+    unit_amount: unitAmount,
+    currency: "usd",
+    metadata: {},
+  },
+});
+
+/**
+ * Serve these products (see catalogProduct) and extra prices from every
+ * Stripe call the catalog and price checks make
+ * RETURNS: { productsList, productRetrieve, priceRetrieve } - the mocks,
+ * e.g. to count calls
+ */
+export const stubCatalog = (products, extraPrices = []) => {
+  const allPrices = [...products.map((product) => product.default_price), ...extraPrices];
+  // Like Stripe's list results: awaitable, and async-iterable over every page
+  const list = (data) =>
+    Object.assign(Promise.resolve({ object: "list", data, has_more: false }), {
+      async *[Symbol.asyncIterator]() {
+        yield* data;
+      },
+    });
+  const find = (items, id) => {
+    const item = items.find((candidate) => candidate.id === id);
+    if (!item) throw Object.assign(new Error(`No such object: ${id}`), { code: "resource_missing" });
+    return item;
+  };
+
+  stubStripe("prices.list", (params = {}) =>
+    list(allPrices.filter((price) => !params.product || price.product === params.product))
+  );
+  return {
+    productsList: stubStripe("products.list", () => list(products)),
+    // Not expanded here - default_price is the price ID
+    productRetrieve: stubStripe("products.retrieve", async (id) => {
+      const product = find(products, id);
+      return { ...product, default_price: product.default_price.id };
+    }),
+    priceRetrieve: stubStripe("prices.retrieve", async (id) => find(allPrices, id)),
+  };
+};
+
+/**
+ * A paid Checkout session as Stripe returns it, with line_items expanded
+ */
+export const paidCheckoutSession = (id, overrides = {}) => ({
+  id,
+  object: "checkout.session",
+  status: "complete",
+  payment_status: "paid",
+  payment_intent: `pi_${id}`,
+  amount_total: 9550,
+  currency: "usd",
+  created: Math.floor(Date.now() / 1000),
+  customer_details: { email: "customer@example.com", name: "Jane Doe" },
+  shipping_details: {
+    name: "Jane Doe",
+    address: {
+      line1: "123 Main St",
+      city: "New York",
+      state: "NY",
+      postal_code: "10001",
+      country: "US",
+    },
+  },
+  line_items: {
+    data: [{ description: "Black Ring", quantity: 1, amount_total: 9550 }],
+  },
+  metadata: {
+    orderType: "itapring_product",
+    itemCount: "1",
+    item1_id: "ring-black",
+    item1_name: "Black Ring",
+    item1_color: "Black",
+    item1_size: "8",
+    item1_quantity: "1",
+    item1_price: "95.50",
+  },
+  ...overrides,
+});
+
+/**
+ * Minimal Express response that records what the controller sent
+ */
+export const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
@@ -0,0 +1,179 @@
+/**
+ * Inventory service: checkout expiry, reservations and restocking
+ */
+
+import assert from "node:assert/strict";
+import { afterEach, before, mock, test } from "node:test";
+import { catalogProduct, stubCatalog } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const {
+  attachReservation,
+  getCheckoutExpiresAt,
+  listStock,
+  reserveStock,
+  restockOrder,
+  setStock,
+  startInventoryWorker,
+  stopInventoryWorker,
+} = await import("../services/inventory.service.js");
+const { getOrderById, saveOrder, updateOrder, updateOrderStatus } = await import(
+  "../services/order.service.js"
+);
+const { getProductCatalog, validateCart } = await import("../services/product.service.js");
+
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromNow = (date) => (new Date(date).getTime() - Date.now()) / MINUTE_MS;
+
+const stockOf = async (sku) =>
+  (await listStock()).find((record) => record.sku === sku);
+
+// Listeners run after the status change is saved
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// Every stock change is logged
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+afterEach(async () => {
+  delete process.env.INVENTORY_RESERVATION_MINUTES;
+  await stopInventoryWorker();
+});
+
+test("checkouts expire more than 30 minutes out, whatever is configured", () => {
+  for (const [minutes, expected] of [
+    [undefined, 32],
+    ["5", 32],
+    ["90", 92],
+    ["100000", 1442],
+  ]) {
+    if (minutes) process.env.INVENTORY_RESERVATION_MINUTES = minutes;
+    const expiresIn = minutesFromNow(getCheckoutExpiresAt());
+    assert.ok(Math.abs(expiresIn - expected) < 0.1, `${minutes}: ${expiresIn}`);
+  }
+});
+
+test("a reservation is held until 5 minutes after its session expires", async () => {
+  await setStock({ productId: "ring-black", size: 8, onHand: 3 });
+
+  const reservation = await reserveStock([
+    { productId: "ring-black", size: 8, quantity: 2 },
+    { productId: "untracked", size: 7, quantity: 1 },
+  ]);
+  assert.deepEqual(
+    reservation.lines.map((line) => [line.sku, line.quantity]),
+    [["ring-black:8", 2]]
+  );
+  assert.ok(new Date(reservation.expiresAt) > new Date(reservation.checkoutExpiresAt));
+
+  const sessionExpiresAt = Math.floor(Date.now() / 1000) + 40 * 60;
+  const attached = await attachReservation(reservation.reservationId, {
+    id: "cs_test_1",
+    expires_at: sessionExpiresAt,
+  });
+  assert.equal(attached.sessionId, "cs_test_1");
+  assert.equal(
+    new Date(attached.expiresAt).getTime(),
+    (sessionExpiresAt + 5 * 60) * 1000
+  );
+
+  const record = await stockOf("ring-black:8");
+  assert.equal(record.reserved, 2);
+  assert.equal(record.available, 1);
+
+  await assert.rejects(
+    reserveStock([{ productId: "ring-black", size: 8, quantity: 2 }]),
+    (error) => error.code === "OUT_OF_STOCK" && error.items[0].available === 1
+  );
+});
+
+test("expired reservations give their units back", async () => {
+  await setStock({ productId: "ring-gold", size: 7, onHand: 2 });
+  const reservation = await reserveStock([{ productId: "ring-gold", size: 7, quantity: 2 }]);
+  await attachReservation(reservation.reservationId, {
+    id: "cs_test_2",
+    expires_at: Math.floor(Date.now() / 1000) - 10 * 60,
+  });
+
+  startInventoryWorker();
+  await stopInventoryWorker();
+
+  assert.equal((await stockOf("ring-gold:7")).reserved, 0);
+});
+
+test("refunds restock only units that weren't shipped, returns restock the rest", async () => {
+  await setStock({ productId: "ring-silver", size: 9, onHand: 10 });
+  const reservation = await reserveStock([{ productId: "ring-silver", size: 9, quantity: 3 }]);
+
+  startInventoryWorker();
+  await saveOrder({
+    orderId: "IT-200001",
+    amount: 150,
+    items: [{ productId: "ring-silver", size: 9, quantity: 3 }],
+    metadata: { reservationId: reservation.reservationId },
+  });
+  await settle();
+
+  assert.deepEqual(
+    (({ onHand, reserved }) => ({ onHand, reserved }))(await stockOf("ring-silver:9")),
+    { onHand: 7, reserved: 0 }
+  );
+
+  // 2 shipped, then all 3 refunded: only the unshipped one is on the shelf
+  await updateOrder("IT-200001", (order) => ({
+    ...order,
+    items: [{ ...order.items[0], shippedQuantity: 2, refundedQuantity: 3 }],
+  }));
+  await restockOrder(await getOrderById("IT-200001"));
+  await restockOrder(await getOrderById("IT-200001"));
+  assert.equal((await stockOf("ring-silver:9")).onHand, 8);
+
+  await updateOrderStatus("IT-200001", "shipped");
+  await updateOrderStatus("IT-200001", "returned");
+  await settle();
+  assert.equal((await stockOf("ring-silver:9")).onHand, 10);
+});
+
+test("cancelled orders restock what wasn't shipped", async () => {
+  await setStock({ productId: "bracelet-gold", size: "M", onHand: 5 });
+
+  startInventoryWorker();
+  await saveOrder({
+    orderId: "IT-200002",
+    amount: 80,
+    items: [{ productId: "bracelet-gold", size: "M", quantity: 2 }],
+  });
+  await settle();
+  assert.equal((await stockOf("bracelet-gold:M")).onHand, 3);
+
+  await updateOrder("IT-200002", (order) => ({
+    ...order,
+    items: [{ ...order.items[0], shippedQuantity: 1 }],
+  }));
+  await updateOrderStatus("IT-200002", "cancelled");
+  await settle();
+  assert.equal((await stockOf("bracelet-gold:M")).onHand, 4);
+});
+
+test("carts asking for more than is available are rejected, and products list stock", async () => {
+  stubCatalog([catalogProduct("prod_onyx", "ring-onyx", 9550, { category: "ring" })]);
+  await setStock({ productId: "ring-onyx", size: 7.5, onHand: 1 });
+  const listed = await getProductCatalog();
+
+  await assert.rejects(
+    validateCart([{ id: "ring-onyx", price: 95.5, quantity: 2, size: "7.5" }]),
+    (error) => error.code === "OUT_OF_STOCK" && error.items[0].available === 1
+  );
+
+  const [onyx] = listed.products;
+  assert.deepEqual(onyx.stock, [{ size: 7.5, option: null, available: 1 }]);
+
+  // The ETag follows the stock level
+  await reserveStock([{ productId: "ring-onyx", size: 7.5, quantity: 1 }]);
+  const reserved = await getProductCatalog();
+  assert.equal(reserved.products[0].stock[0].available, 0);
+  assert.notEqual(reserved.etag, listed.etag);
+});
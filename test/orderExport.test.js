@@ -0,0 +1,132 @@
+/**
+ * Order export: GET /api/admin/orders/export
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ADMIN_API_KEY = "root-key-for-tests";
+const { adminRouter } = await import("../routes/admin.routes.js");
+const { createApiKey } = await import("../services/adminAuth.service.js");
+const { saveOrder } = await import("../services/order.service.js");
+
+const token = process.env.ADMIN_API_KEY;
+let api;
+
+const placeOrder = (orderId, at, overrides = {}) =>
+  saveOrder(
+    {
+      orderId,
+      status: "paid",
+      paymentStatus: "paid",
+      customerEmail: "customer@example.com",
+      customerName: "Jane Doe",
+      amount: 95.5,
+      currency: "usd",
+      shippingAddress: {
+        name: "Jane Doe",
+        line1: "123 Main St",
+        city: "New York",
+        state: "NY",
+        postal_code: "10001",
+        country: "US",
+      },
+      items: [
+        {
+          productId: "ring-black",
+          name: "Black Ring",
+          color: "Black",
+          size: 8,
+          quantity: 1,
+          price: 95.5,
+        },
+      ],
+      ...overrides,
+    },
+    { placedAt: new Date(at) }
+  );
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  api = await serveRouter("/api/admin", adminRouter);
+
+  await placeOrder("IT-700001", "2025-01-30T10:00:00.000Z");
+  await placeOrder("IT-700002", "2025-01-31T22:15:00.000Z", {
+    customerName: '=HYPERLINK("https://evil.test")',
+    shippingAddress: {
+      name: 'Doe, "JJ"',
+      line1: "1 Long Road",
+      line2: "Flat 2\nBack door",
+      city: "Boston",
+      state: "MA",
+      postal_code: "02101",
+      country: "US",
+    },
+  });
+  await placeOrder("IT-700003", "2025-02-01T00:00:00.000Z");
+});
+
+after(() => api.close());
+
+const exportCsv = async (query) => {
+  const { status, headers, body } = await api.request(
+    "GET",
+    `/api/admin/orders/export?${query}`,
+    { token }
+  );
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /text\/csv/);
+  return body;
+};
+
+test("a date-only to includes orders placed late that day", async () => {
+  const csv = await exportCsv("from=2025-01-30&to=2025-01-31");
+
+  assert.ok(csv.includes("IT-700001,"));
+  assert.ok(csv.includes("IT-700002,"));
+  assert.equal(csv.includes("IT-700003"), false);
+});
+
+test("cells with commas, quotes and line breaks are quoted", async () => {
+  const csv = await exportCsv("from=2025-01-31&to=2025-01-31");
+  const [header] = csv.split("\r\n");
+
+  assert.ok(header.startsWith("orderId,createdAt,status,"));
+  assert.ok(csv.includes(',"Doe, ""JJ""",1 Long Road,"Flat 2\nBack door",Boston,'));
+});
+
+test("text that looks like a formula is defused", async () => {
+  const csv = await exportCsv("from=2025-01-31&to=2025-01-31");
+
+  assert.ok(csv.includes(`,"'=HYPERLINK(""https://evil.test"")",`));
+  assert.equal(csv.includes(",=HYPERLINK"), false);
+  assert.equal(csv.includes('"=HYPERLINK'), false);
+});
+
+test("ndjson has one object per line item with the same fields", async () => {
+  const { body } = await api.request(
+    "GET",
+    "/api/admin/orders/export?format=ndjson&to=2025-01-31",
+    { token }
+  );
+  const rows = body.trim().split("\n").map((line) => JSON.parse(line));
+
+  assert.deepEqual(
+    rows.map((row) => row.orderId),
+    ["IT-700001", "IT-700002"]
+  );
+  assert.equal(rows[1].customerName, '=HYPERLINK("https://evil.test")');
+  assert.equal(rows[1].shipLine2, "Flat 2\nBack door");
+});
+
+test("only owners can export, and list-only parameters are refused", async () => {
+  const { key } = await createApiKey({ name: "Viv", role: "viewer", createdBy: "root" });
+  const asViewer = await api.request("GET", "/api/admin/orders/export", { token: key });
+  assert.equal(asViewer.status, 403);
+
+  const sorted = await api.request("GET", "/api/admin/orders/export?sort=amount", { token });
+  assert.equal(sorted.status, 400);
+});
@@ -0,0 +1,112 @@
+/**
+ * Customer order lookup: POST /api/orders/lookup
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { orderRouter } = await import("../routes/order.routes.js");
+const { saveOrder } = await import("../services/order.service.js");
+
+let api;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  api = await serveRouter("/api/orders", orderRouter);
+
+  await saveOrder({
+    orderId: "IT-600001",
+    status: "shipped",
+    stripeSessionId: "cs_test_lookup",
+    stripePaymentIntentId: "pi_test_lookup",
+    customerEmail: "Customer@Example.com",
+    customerName: "Jane Doe",
+    amount: 95.5,
+    currency: "usd",
+    shippingAddress: {
+      name: "Jane Doe",
+      line1: "123 Main St",
+      city: "New York",
+      state: "NY",
+      postal_code: "10001",
+      country: "US",
+    },
+    items: [
+      {
+        productId: "ring-black",
+        name: "Black Ring",
+        color: "Black",
+        size: 8,
+        quantity: 1,
+        price: 95.5,
+      },
+    ],
+    shipments: [
+      {
+        shipmentId: "IT-600001-S1",
+        carrier: "usps",
+        trackingNumber: "9400111",
+        trackingUrl: "https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111",
+        items: [{ line: 1, quantity: 1 }],
+        shippedAt: new Date(),
+        createdBy: "Sam",
+      },
+    ],
+    metadata: { note: "VIP" },
+  });
+});
+
+after(() => api.close());
+
+const lookup = (orderNumber, email) =>
+  api.request("POST", "/api/orders/lookup", { body: { orderNumber, email } });
+
+test("the order number and email find the order, in any case", async () => {
+  const { status, body } = await lookup(" it-600001 ", "CUSTOMER@example.COM");
+
+  assert.equal(status, 200);
+  assert.equal(body.data.orderId, "IT-600001");
+  assert.equal(body.data.status, "shipped");
+  assert.deepEqual(body.data.shipments[0].items, [{ name: "Black Ring", quantity: 1 }]);
+  assert.equal(body.data.shipments[0].trackingNumber, "9400111");
+});
+
+test("the customer view leaves out payment IDs, the street address and internals", async () => {
+  const { body } = await lookup("IT-600001", "customer@example.com");
+
+  assert.deepEqual(body.data.shippingDestination, {
+    city: "New York",
+    state: "NY",
+    country: "US",
+  });
+  assert.equal(JSON.stringify(body).includes("123 Main St"), false);
+  assert.equal(JSON.stringify(body).includes("Sam"), false);
+  for (const field of [
+    "stripeSessionId",
+    "stripePaymentIntentId",
+    "shippingAddress",
+    "customerEmail",
+    "statusHistory",
+    "metadata",
+  ]) {
+    assert.equal(field in body.data, false, `${field} is exposed`);
+  }
+});
+
+test("a wrong email gets the same answer as a missing order", async () => {
+  const wrongEmail = await lookup("IT-600001", "someone@example.com");
+  const missing = await lookup("IT-999999", "customer@example.com");
+
+  assert.equal(wrongEmail.status, 404);
+  assert.equal(missing.status, 404);
+  assert.deepEqual(wrongEmail.body, missing.body);
+});
+
+test("malformed input is rejected before any lookup", async () => {
+  assert.equal((await lookup("600001", "customer@example.com")).status, 400);
+  assert.equal((await lookup("IT-600001", "not-an-email")).status, 400);
+  assert.equal((await lookup(600001, "customer@example.com")).status, 400);
+});
@@ -0,0 +1,85 @@
+/**
+ * Order numbers: unique under concurrency and across restarts
+ */
+
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, before, mock, test } from "node:test";
+
+process.env.STORAGE_DRIVER = "memory";
+const { generateOrderId, getOrderNumberPrefix } = await import("../utils/helpers.js");
+const { saveOrder } = await import("../services/order.service.js");
+
+before(() => {
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  delete process.env.ORDER_NUMBER_PREFIX;
+});
+
+test("concurrent callers all get different, consecutive numbers", async () => {
+  const orderIds = await Promise.all(Array.from({ length: 20 }, () => generateOrderId()));
+
+  assert.equal(new Set(orderIds).size, 20);
+  assert.deepEqual(
+    [...orderIds].sort(),
+    Array.from({ length: 20 }, (_, index) => `IT-${100001 + index}`)
+  );
+});
+
+test("numbers already taken by an order are skipped", async () => {
+  await saveOrder({ orderId: "IT-100021", items: [] });
+  await saveOrder({ orderId: "IT-100022", items: [] });
+
+  assert.equal(await generateOrderId(), "IT-100023");
+});
+
+test("each prefix has its own sequence", async () => {
+  process.env.ORDER_NUMBER_PREFIX = " xy ";
+
+  assert.equal(getOrderNumberPrefix(), "XY");
+  assert.equal(await generateOrderId(), "XY-100001");
+});
+
+test("a prefix that isn't letters and digits is refused", () => {
+  process.env.ORDER_NUMBER_PREFIX = "IT-EU";
+
+  assert.throws(() => getOrderNumberPrefix(), /letters and digits only/);
+});
+
+test("the sequence continues after a restart", () => {
+  const dir = mkdtempSync(join(tmpdir(), "itapring-"));
+  const script = `
+    const { generateOrderId } = await import(${JSON.stringify(
+      new URL("../utils/helpers.js", import.meta.url).href
+    )});
+    const { flushStorage } = await import(${JSON.stringify(
+      new URL("../services/storage.service.js", import.meta.url).href
+    )});
+    const orderId = await generateOrderId();
+    await flushStorage();
+    process.stdout.write("\\n" + orderId);
+  `;
+  const allocate = () =>
+    execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+      env: {
+        ...process.env,
+        STORAGE_DRIVER: "file",
+        STORAGE_PATH: join(dir, "store.json"),
+      },
+      encoding: "utf8",
+    })
+      .trim()
+      .split("\n")
+      .pop();
+
+  try {
+    assert.deepEqual([allocate(), allocate()], ["IT-100001", "IT-100002"]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * Admin order search: GET /api/admin/orders
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ADMIN_API_KEY = "root-key-for-tests";
+const { adminRouter } = await import("../routes/admin.routes.js");
+const { saveOrder } = await import("../services/order.service.js");
+
+const token = process.env.ADMIN_API_KEY;
+let api;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+
+  api = await serveRouter("/api/admin", adminRouter);
+
+  const placed = {
+    "IT-300001": "2025-01-30T12:00:00.000Z",
+    "IT-300002": "2025-01-31T00:00:00.000Z",
+    "IT-300003": "2025-01-31T18:45:00.000Z",
+    "IT-300004": "2025-02-01T00:00:00.000Z",
+    "IT-300005": "2025-02-01T09:30:00.000Z",
+  };
+  for (const [orderId, at] of Object.entries(placed)) {
+    await saveOrder(
+      { orderId, status: "paid", customerEmail: "customer@example.com", items: [] },
+      { placedAt: new Date(at) }
+    );
+  }
+});
+
+after(() => api.close());
+
+const orderIds = (body) => body.data.map((order) => order.orderId).sort();
+
+test("a date-only to includes orders placed later that day", async () => {
+  const { status, body } = await api.request(
+    "GET",
+    "/api/admin/orders?from=2025-01-31&to=2025-01-31",
+    { token }
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual(orderIds(body), ["IT-300002", "IT-300003"]);
+});
+
+test("a to with a time is used as given", async () => {
+  const { body } = await api.request(
+    "GET",
+    "/api/admin/orders?from=2025-01-31&to=2025-01-31T12:00:00Z",
+    { token }
+  );
+
+  assert.deepEqual(orderIds(body), ["IT-300002"]);
+});
+
+test("from after to is rejected", async () => {
+  const { status } = await api.request(
+    "GET",
+    "/api/admin/orders?from=2025-02-01&to=2025-01-31",
+    { token }
+  );
+
+  assert.equal(status, 400);
+});
+
+test("paging with the cursor visits every order once", async () => {
+  const seen = [];
+  let cursor = null;
+
+  do {
+    const query = `sort=createdAt&direction=asc&limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+    const { body } = await api.request("GET", `/api/admin/orders?${query}`, { token });
+    seen.push(...body.data.map((order) => order.orderId));
+    cursor = body.pagination.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ["IT-300001", "IT-300002", "IT-300003", "IT-300004", "IT-300005"]);
+});
@@ -0,0 +1,103 @@
+/**
+ * Manual order status changes: PATCH /api/admin/orders/:orderId/status
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ADMIN_API_KEY = "root-key-for-tests";
+const { adminRouter } = await import("../routes/admin.routes.js");
+const { createApiKey } = await import("../services/adminAuth.service.js");
+const { getOrderById, saveOrder } = await import("../services/order.service.js");
+
+let api;
+let packerKey;
+let viewerKey;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+
+  api = await serveRouter("/api/admin", adminRouter);
+  packerKey = (await createApiKey({ name: "Sam", role: "fulfillment", createdBy: "root" })).key;
+  viewerKey = (await createApiKey({ name: "Viv", role: "viewer", createdBy: "root" })).key;
+});
+
+after(() => api.close());
+
+const placeOrder = (orderId, status) =>
+  saveOrder({
+    orderId,
+    status,
+    statusTimestamps: { [status]: new Date() },
+    statusHistory: [],
+    items: [],
+  });
+
+test("fulfillment can mark a shipped order delivered", async () => {
+  await placeOrder("IT-200001", "shipped");
+
+  const { status, body } = await api.request("PATCH", "/api/admin/orders/IT-200001/status", {
+    token: packerKey,
+    body: { status: "delivered", note: "Left with the neighbour" },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.status, "delivered");
+  assert.ok(body.data.statusTimestamps.delivered);
+
+  const change = (await getOrderById("IT-200001")).statusHistory.at(-1);
+  assert.equal(change.from, "shipped");
+  assert.equal(change.to, "delivered");
+  assert.equal(change.actor, "admin:Sam");
+  assert.equal(change.note, "Left with the neighbour");
+});
+
+test("a move the status machine doesn't allow is rejected", async () => {
+  await placeOrder("IT-200002", "paid");
+
+  const { status, body } = await api.request("PATCH", "/api/admin/orders/IT-200002/status", {
+    token: packerKey,
+    body: { status: "delivered" },
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.code, "INVALID_TRANSITION");
+  assert.equal((await getOrderById("IT-200002")).status, "paid");
+});
+
+test("statuses that follow Stripe or shipments can't be set by hand", async () => {
+  await placeOrder("IT-200003", "paid");
+
+  for (const target of ["refunded", "shipped", "nonsense"]) {
+    const { status } = await api.request("PATCH", "/api/admin/orders/IT-200003/status", {
+      token: packerKey,
+      body: { status: target },
+    });
+    assert.equal(status, 400, target);
+  }
+  assert.equal((await getOrderById("IT-200003")).status, "paid");
+});
+
+test("viewers can't change a status", async () => {
+  await placeOrder("IT-200004", "shipped");
+
+  const { status } = await api.request("PATCH", "/api/admin/orders/IT-200004/status", {
+    token: viewerKey,
+    body: { status: "delivered" },
+  });
+
+  assert.equal(status, 403);
+  assert.equal((await getOrderById("IT-200004")).status, "shipped");
+});
+
+test("an unknown order is a 404", async () => {
+  const { status } = await api.request("PATCH", "/api/admin/orders/IT-999999/status", {
+    token: packerKey,
+    body: { status: "delivered" },
+  });
+
+  assert.equal(status, 404);
+});
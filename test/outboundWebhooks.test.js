@@ -0,0 +1,215 @@
+/**
+ * Outbound webhooks: signed, public payloads, retried until delivered
+ */
+
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:http";
+import { setTimeout as delay } from "node:timers/promises";
+import { after, before, mock, test } from "node:test";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.OUTBOUND_WEBHOOK_POLL_MS = "10";
+process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS = "10";
+process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS = "3";
+const {
+  createWebhookSubscription,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  publishOrderEvent,
+  startOutboundWebhookWorker,
+  stopOutboundWebhookWorker,
+} = await import("../services/outboundWebhook.service.js");
+const { saveOrder, updateOrderStatus } = await import("../services/order.service.js");
+
+// A receiving endpoint that answers with the queued status codes (then 200)
+const receiver = {
+  server: null,
+  url: null,
+  requests: [],
+  answers: [],
+};
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+
+  receiver.server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.answers.shift() || 200).end("ok");
+    });
+  });
+  await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+
+  startOutboundWebhookWorker();
+});
+
+after(async () => {
+  await stopOutboundWebhookWorker();
+  await new Promise((resolve) => receiver.server.close(resolve));
+});
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    const result = await check();
+    if (result) return result;
+    await delay(10);
+  }
+  throw new Error("Timed out waiting");
+};
+
+const waitUntilDone = (deliveryId) =>
+  waitFor(async () => {
+    const delivery = await getWebhookDelivery(deliveryId);
+    return delivery.status !== "pending" && delivery;
+  });
+
+const placeOrder = (orderId, status = "paid") =>
+  saveOrder({
+    orderId,
+    status,
+    paymentStatus: status === "paid" ? "paid" : "unpaid",
+    stripeSessionId: `cs_${orderId}`,
+    stripePaymentIntentId: `pi_${orderId}`,
+    customerName: "Jane Doe",
+    customerEmail: "customer@example.com",
+    shippingAddress: {
+      name: "Jane Doe",
+      line1: "123 Main St",
+      city: "New York",
+      country: "US",
+    },
+    amount: 95.5,
+    currency: "usd",
+    items: [
+      {
+        productId: "ring-black",
+        name: "Black Ring",
+        color: "Black",
+        size: 8,
+        option: null,
+        quantity: 1,
+        price: 95.5,
+      },
+    ],
+    metadata: { reservationId: "res_internal" },
+  });
+
+test("events are signed and carry only the public order fields", async () => {
+  const { secret } = await createWebhookSubscription({
+    url: receiver.url,
+    events: ["order.shipped"],
+    createdBy: "root",
+  });
+  const order = await placeOrder("IT-930001");
+  const shipment = {
+    shipmentId: "IT-930001-S1",
+    carrier: "UPS",
+    trackingNumber: "1Z999",
+    trackingUrl: null,
+    items: [{ line: 1, quantity: 1 }],
+    shippedAt: new Date(),
+    createdBy: "root",
+    notifiedAt: new Date(),
+    notified: true,
+  };
+
+  const [queued] = await publishOrderEvent("order.shipped", {
+    order: { ...order, shipments: [shipment] },
+    shipment,
+  });
+  assert.equal((await waitUntilDone(queued.deliveryId)).status, "delivered");
+
+  const { headers, body } = receiver.requests.at(-1);
+  const [t, v1] = headers["x-itapring-signature"]
+    .split(",")
+    .map((part) => part.split("=")[1]);
+  assert.equal(v1, createHmac("sha256", secret).update(`${t}.${body}`).digest("hex"));
+
+  const { type, data } = JSON.parse(body);
+  assert.equal(type, "order.shipped");
+  assert.deepEqual(Object.keys(data).sort(), ["order", "shipment"]);
+  assert.deepEqual(Object.keys(data.shipment).sort(), [
+    "carrier",
+    "items",
+    "shipmentId",
+    "shippedAt",
+    "trackingNumber",
+    "trackingUrl",
+  ]);
+  assert.equal(data.order.orderId, "IT-930001");
+  assert.equal(data.order.shippingAddress.city, "New York");
+  assert.equal(data.order.items[0].unitPrice, 95.5);
+  assert.equal(data.order.shipments[0].trackingNumber, "1Z999");
+  for (const field of [
+    "stripeSessionId",
+    "stripePaymentIntentId",
+    "statusHistory",
+    "notifications",
+    "metadata",
+  ]) {
+    assert.equal(field in data.order, false, `${field} is sent`);
+  }
+});
+
+test("a failing endpoint is retried with the same event, then given up on", async () => {
+  await createWebhookSubscription({
+    url: receiver.url,
+    events: ["order.refunded"],
+    createdBy: "root",
+  });
+  const order = await placeOrder("IT-930002");
+  const refund = {
+    refundId: "re_test_1",
+    amount: 10,
+    status: "succeeded",
+    createdAt: new Date(),
+  };
+
+  receiver.answers.push(500, 503);
+  const [retried] = await publishOrderEvent("order.refunded", { order, refund });
+  const delivered = await waitUntilDone(retried.deliveryId);
+
+  assert.equal(delivered.status, "delivered");
+  assert.deepEqual(
+    delivered.attempts.map((attempt) => attempt.statusCode),
+    [500, 503, 200]
+  );
+  const eventIds = receiver.requests
+    .filter((request) => request.headers["x-itapring-delivery"] === retried.deliveryId)
+    .map((request) => JSON.parse(request.body).id);
+  assert.deepEqual(eventIds, [retried.eventId, retried.eventId, retried.eventId]);
+
+  receiver.answers.push(500, 500, 500);
+  const [dropped] = await publishOrderEvent("order.refunded", { order, refund });
+  const failed = await waitUntilDone(dropped.deliveryId);
+
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.failures, 3);
+  assert.equal(failed.lastError, "Endpoint answered 500");
+});
+
+test("order.created is sent once a delayed payment clears, not before", async () => {
+  await createWebhookSubscription({
+    url: receiver.url,
+    events: ["order.created"],
+    createdBy: "root",
+  });
+  const created = async (orderId) =>
+    (await listWebhookDeliveries({ type: "order.created" })).filter(
+      (delivery) => delivery.event.data.order.orderId === orderId
+    );
+
+  await placeOrder("IT-930003", "pending_payment");
+  assert.equal((await created("IT-930003")).length, 0);
+
+  // Queued as part of the status change
+  await updateOrderStatus("IT-930003", "paid", { actor: "webhook" });
+  const deliveries = await created("IT-930003");
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].event.data.order.status, "paid");
+});
@@ -0,0 +1,136 @@
+/**
+ * Payment failures: recorded once, counted by reason, retry links
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import {
+  captureEmails,
+  catalogProduct,
+  paidCheckoutSession,
+  stubCatalog,
+  stubStripe,
+} from "./helpers/stubs.js";
+import { serveRouter } from "./helpers/http.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.PAYMENT_RETRY_EMAILS = "on";
+const { getPaymentFailureReport } = await import("../services/paymentFailure.service.js");
+const { handleStripeEvent } = await import("../services/webhook.service.js");
+const { stripeRouter } = await import("../routes/stripe.routes.js");
+
+let emails;
+let server;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+  server = await serveRouter("/api/stripe", stripeRouter);
+});
+
+after(() => server.close());
+
+// A checkout still on the payment page after its card was declined
+const declinedCheckout = (id, email) =>
+  paidCheckoutSession(id, {
+    status: "open",
+    payment_status: "unpaid",
+    url: `https://checkout.stripe.com/c/pay/${id}`,
+    customer_details: { email, name: "Jane Doe" },
+    success_url: "https://shop.example.test/success",
+    cancel_url: "https://shop.example.test/cart",
+  });
+
+const paymentFailed = (eventId, chargeId, session, declineCode, metadata) =>
+  handleStripeEvent({
+    id: eventId,
+    type: "payment_intent.payment_failed",
+    data: {
+      object: {
+        id: session.payment_intent,
+        object: "payment_intent",
+        amount: 9550,
+        currency: "usd",
+        metadata: metadata || { integration: "itapring_checkout" },
+        latest_charge: chargeId,
+        last_payment_error: {
+          type: "card_error",
+          code: "card_declined",
+          decline_code: declineCode,
+          charge: chargeId,
+          message: "Your card was declined.",
+        },
+      },
+    },
+  });
+
+const retryEmailsTo = (email) =>
+  emails.filter(
+    (message) => message.to === email && message.subject.includes("didn't go through")
+  );
+
+test("failures are recorded once per declined charge and counted by reason", async () => {
+  const session = declinedCheckout("cs_test_declines", "declines@example.com");
+  stubStripe("checkout.sessions.list", async () => ({ data: [session], has_more: false }));
+
+  await paymentFailed("evt_test_decline_1", "ch_test_1", session, "insufficient_funds");
+  await paymentFailed("evt_test_decline_1b", "ch_test_1", session, "insufficient_funds");
+  await paymentFailed("evt_test_decline_2", "ch_test_2", session, "insufficient_funds");
+  await paymentFailed("evt_test_decline_3", "ch_test_3", session, "stolen_card");
+  // Someone else's payment on the same Stripe account
+  await paymentFailed("evt_test_decline_4", "ch_test_4", session, "stolen_card", {});
+
+  const report = await getPaymentFailureReport();
+  assert.equal(report.total, 3);
+  assert.equal(report.amount, 286.5);
+  assert.deepEqual(
+    report.byReason.map(({ reason, count }) => ({ reason, count })),
+    [
+      { reason: "insufficient_funds", count: 2 },
+      { reason: "stolen_card", count: 1 },
+    ]
+  );
+  assert.equal(report.recent[0].sessionId, session.id);
+
+  // One retry email per checkout, however often the card is declined
+  assert.equal(retryEmailsTo("declines@example.com").length, 1);
+});
+
+test("the retry link goes back to the open checkout, then opens a new one", async () => {
+  const session = declinedCheckout("cs_test_retry_link", "retry-link@example.com");
+  stubStripe("checkout.sessions.list", async () => ({ data: [session], has_more: false }));
+  stubCatalog([catalogProduct("prod_black", "ring-black", 9550, { category: "ring" })]);
+
+  await paymentFailed("evt_test_retry_link", "ch_test_retry_link", session, "do_not_honor");
+  const [email] = retryEmailsTo("retry-link@example.com");
+  const path = email.html.match(/\/api\/stripe\/retry-payment\/[A-Za-z0-9_-]{32}/)[0];
+
+  const retried = {
+    id: "cs_test_retried",
+    status: "open",
+    url: "https://checkout.stripe.com/c/pay/cs_test_retried",
+  };
+  const sessionsById = { [session.id]: session, [retried.id]: retried };
+  stubStripe("checkout.sessions.retrieve", async (id) => sessionsById[id]);
+  const create = stubStripe("checkout.sessions.create", async () => retried);
+
+  // The customer can still pay on the declined checkout
+  const back = await server.request("GET", path);
+  assert.equal(back.status, 303);
+  assert.equal(back.headers.get("location"), session.url);
+  assert.equal(create.mock.callCount(), 0);
+
+  // Once it expired, a fresh checkout - opened only once
+  sessionsById[session.id] = { ...session, status: "expired" };
+  const first = await server.request("GET", path);
+  const second = await server.request("GET", path);
+
+  assert.equal(first.headers.get("location"), retried.url);
+  assert.equal(second.headers.get("location"), retried.url);
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(
+    create.mock.calls[0].arguments[0].metadata.retryOf,
+    "cs_test_retry_link"
+  );
+});
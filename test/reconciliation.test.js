@@ -0,0 +1,106 @@
+/**
+ * Reconciliation: Stripe compared with our orders
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { captureEmails, stubStripe } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { processDisputeEvent } = await import("../services/dispute.service.js");
+const { saveOrder } = await import("../services/order.service.js");
+const { runReconciliation } = await import("../services/reconciliation.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+});
+
+const placeOrder = (orderId) =>
+  saveOrder({
+    orderId,
+    status: "paid",
+    paymentStatus: "paid",
+    stripePaymentIntentId: `pi_${orderId}`,
+    customerEmail: "customer@example.com",
+    amount: 95.5,
+    currency: "usd",
+    items: [],
+  });
+
+const stripeDispute = (id, paymentIntentId) => ({
+  id,
+  object: "dispute",
+  amount: 9550,
+  currency: "usd",
+  reason: "fraudulent",
+  status: "needs_response",
+  charge: `ch_${paymentIntentId}`,
+  payment_intent: paymentIntentId,
+  created: Math.floor(Date.now() / 1000),
+  evidence_details: {
+    due_by: Math.floor(Date.now() / 1000) + 7 * 86400,
+    submission_count: 0,
+  },
+});
+
+// Stripe with nothing to report apart from the given disputes
+const stubStripeActivity = ({ disputes = [] } = {}) => {
+  stubStripe("checkout.sessions.list", async () => ({ data: [], has_more: false }));
+  stubStripe("refunds.list", async () => ({ data: [], has_more: false }));
+  stubStripe("disputes.list", async () => ({ data: disputes, has_more: false }));
+  stubStripe("paymentIntents.retrieve", async (id) => ({ id, status: "succeeded" }));
+};
+
+test("only disputes the webhook never recorded are reported", async () => {
+  await placeOrder("IT-910001");
+  await placeOrder("IT-910002");
+
+  const known = stripeDispute("dp_test_known", "pi_IT-910001");
+  const missed = stripeDispute("dp_test_missed", "pi_IT-910002");
+  const notOurs = stripeDispute("dp_test_other", "pi_someone_else");
+  await processDisputeEvent(known);
+
+  stubStripeActivity({ disputes: [known, missed, notOurs] });
+  const run = await runReconciliation({ wait: true });
+
+  assert.equal(run.status, "completed");
+  assert.equal(run.checked.disputes, 3);
+  assert.deepEqual(
+    run.discrepancies.map((d) => [d.type, d.orderId]),
+    [["dispute_not_recorded", "IT-910002"]]
+  );
+  assert.match(run.discrepancies[0].detail, /dp_test_missed/);
+  assert.ok(emails.some((email) => email.html.includes("Dispute missing from order")));
+});
+
+test("a clean run reports nothing and sends no report", async () => {
+  stubStripeActivity();
+  const sentBefore = emails.length;
+
+  const run = await runReconciliation({ wait: true });
+
+  assert.equal(run.status, "completed");
+  assert.equal(run.summary.total, 0);
+  assert.equal(emails.length, sentBefore);
+});
+
+test("orders whose payment didn't succeed need review", async () => {
+  await placeOrder("IT-910003");
+  stubStripeActivity();
+  stubStripe("paymentIntents.retrieve", async (id) => ({
+    id,
+    status: id === "pi_IT-910003" ? "requires_payment_method" : "succeeded",
+  }));
+
+  const run = await runReconciliation({ wait: true });
+
+  assert.deepEqual(
+    run.discrepancies.map((d) => [d.type, d.orderId]),
+    [["payment_not_succeeded", "IT-910003"]]
+  );
+  assert.equal(run.summary.needsReview, 1);
+});
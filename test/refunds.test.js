@@ -0,0 +1,182 @@
+/**
+ * Refunds: per line item, and what a failed refund gives back
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { captureEmails, stubStripe } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { createRefund, processChargeRefunded } = await import(
+  "../services/refund.service.js"
+);
+const { getOrderById, saveOrder } = await import("../services/order.service.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+});
+
+// Two lines: 2 x Black Ring at $50 each, 1 x Gold Ring at $80
+const placeOrder = (orderId) =>
+  saveOrder({
+    orderId,
+    status: "paid",
+    paymentStatus: "paid",
+    stripePaymentIntentId: `pi_${orderId}`,
+    customerEmail: "customer@example.com",
+    customerName: "Jane Doe",
+    amount: 180,
+    currency: "usd",
+    items: [
+      { productId: "ring-black", name: "Black Ring", size: 8, quantity: 2, price: 100 },
+      { productId: "ring-gold", name: "Gold Ring", size: 7, quantity: 1, price: 80 },
+    ],
+  });
+
+// Stripe answers refunds.create with what it was asked for
+const stubRefundCreate = () => {
+  let count = 0;
+  return stubStripe("refunds.create", async (params) => ({
+    id: `re_test_${++count}`,
+    amount: params.amount,
+    status: "succeeded",
+    metadata: params.metadata,
+    created: Math.floor(Date.now() / 1000),
+  }));
+};
+
+test("a partial refund covers only the units asked for", async () => {
+  await placeOrder("IT-400001");
+  const create = stubRefundCreate();
+
+  const { order, refund } = await createRefund("IT-400001", {
+    items: [{ line: 1, quantity: 1 }],
+    admin: { name: "Alex" },
+  });
+
+  assert.equal(create.mock.calls[0].arguments[0].amount, 5000);
+  assert.equal(refund.amount, 50);
+  assert.deepEqual(
+    order.items.map((item) => item.refundedQuantity),
+    [1, 0]
+  );
+  assert.equal(order.refundedAmount, 50);
+  assert.equal(order.paymentStatus, "partially_refunded");
+  assert.equal(order.status, "paid");
+});
+
+test("a line can't be refunded past its quantity", async () => {
+  await placeOrder("IT-400002");
+  stubRefundCreate();
+
+  await createRefund("IT-400002", { items: [{ line: 1, quantity: 2 }] });
+
+  await assert.rejects(
+    createRefund("IT-400002", { items: [{ line: 1, quantity: 1 }] }),
+    (error) => error.code === "REFUND_EXCEEDS_QUANTITY"
+  );
+  await assert.rejects(
+    createRefund("IT-400002", { items: [{ line: 3, quantity: 1 }] }),
+    (error) => error.code === "INVALID_LINE"
+  );
+});
+
+test("refunding the rest moves the order to refunded", async () => {
+  await placeOrder("IT-400003");
+  stubRefundCreate();
+
+  await createRefund("IT-400003", { items: [{ line: 2, quantity: 1 }] });
+  const { order, refund } = await createRefund("IT-400003");
+
+  assert.equal(refund.amount, 100);
+  assert.deepEqual(refund.items, [{ line: 1, quantity: 2 }]);
+  assert.deepEqual(
+    order.items.map((item) => item.refundedQuantity),
+    [2, 1]
+  );
+  assert.equal(order.refundedAmount, 180);
+  assert.equal(order.status, "refunded");
+});
+
+test("units of a refund that failed can be refunded again", async () => {
+  await placeOrder("IT-400004");
+  stubRefundCreate();
+
+  const { refund } = await createRefund("IT-400004", {
+    items: [{ line: 1, quantity: 2 }],
+  });
+
+  // The bank bounced it: Stripe reports the refund as failed
+  stubStripe("refunds.list", async () => ({
+    data: [
+      {
+        id: refund.refundId,
+        amount: 10000,
+        status: "failed",
+        metadata: { orderId: "IT-400004", lines: "[[1,2]]" },
+        created: Math.floor(Date.now() / 1000),
+      },
+    ],
+  }));
+  await processChargeRefunded({
+    id: "ch_IT-400004",
+    payment_intent: "pi_IT-400004",
+    amount_refunded: 0,
+  });
+
+  const order = await getOrderById("IT-400004");
+  assert.equal(order.refunds[0].status, "failed");
+  assert.deepEqual(
+    order.items.map((item) => item.refundedQuantity),
+    [0, 0]
+  );
+  assert.equal(order.refundedAmount, 0);
+  assert.equal(emails.some((email) => email.subject?.includes("IT-400004")), false);
+
+  const retry = await createRefund("IT-400004", { items: [{ line: 1, quantity: 2 }] });
+  assert.equal(retry.order.items[0].refundedQuantity, 2);
+});
+
+test("the webhook records a refund once however often it arrives", async () => {
+  await placeOrder("IT-400005");
+  stubRefundCreate();
+
+  const { refund } = await createRefund("IT-400005", {
+    items: [{ line: 2, quantity: 1 }],
+  });
+
+  stubStripe("refunds.list", async () => ({
+    data: [
+      {
+        id: refund.refundId,
+        amount: 8000,
+        status: "succeeded",
+        metadata: { orderId: "IT-400005", lines: "[[2,1]]" },
+        created: Math.floor(Date.now() / 1000),
+      },
+    ],
+  }));
+  const charge = {
+    id: "ch_IT-400005",
+    payment_intent: "pi_IT-400005",
+    amount_refunded: 8000,
+  };
+  await processChargeRefunded(charge);
+  await processChargeRefunded(charge);
+
+  const order = await getOrderById("IT-400005");
+  assert.equal(order.refunds.length, 1);
+  assert.deepEqual(
+    order.items.map((item) => item.refundedQuantity),
+    [0, 1]
+  );
+  assert.equal(order.refundedAmount, 80);
+  const notices = emails.filter(
+    (email) => email.to === "customer@example.com" && email.subject.includes("IT-400005")
+  );
+  assert.equal(notices.length, 1);
+});
@@ -0,0 +1,153 @@
+/**
+ * Shipments: split packages, tracking links and the shipping email
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { serveRouter } from "./helpers/http.js";
+import { captureEmails } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.ADMIN_API_KEY = "root-key-for-tests";
+const { adminRouter } = await import("../routes/admin.routes.js");
+const { saveOrder } = await import("../services/order.service.js");
+const { addShipment } = await import("../services/shipment.service.js");
+
+const token = process.env.ADMIN_API_KEY;
+let api;
+let emails;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+  api = await serveRouter("/api/admin", adminRouter);
+});
+
+after(() => api.close());
+
+// Two lines: 2 x Black Ring, 1 x Gold Ring
+const placeOrder = (orderId) =>
+  saveOrder({
+    orderId,
+    status: "paid",
+    customerEmail: "customer@example.com",
+    customerName: "Jane Doe",
+    amount: 180,
+    items: [
+      {
+        productId: "ring-black",
+        name: "Black Ring",
+        color: "Black",
+        size: 8,
+        quantity: 2,
+        price: 100,
+      },
+      {
+        productId: "ring-gold",
+        name: "Gold Ring",
+        color: "Gold",
+        size: 7,
+        quantity: 1,
+        price: 80,
+      },
+    ],
+  });
+
+const shippingEmails = (orderId) =>
+  emails.filter(
+    (email) => email.to === "customer@example.com" && email.subject.includes(orderId)
+  );
+
+test("an order ships in parts and is shipped once every unit has gone", async () => {
+  await placeOrder("IT-500001");
+
+  const first = await addShipment("IT-500001", {
+    carrier: "usps",
+    trackingNumber: "9400111",
+    items: [{ line: 1, quantity: 1 }],
+  });
+  assert.equal(first.order.status, "processing");
+  assert.deepEqual(first.shipment.items, [{ line: 1, quantity: 1 }]);
+  assert.equal(
+    first.shipment.trackingUrl,
+    "https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111"
+  );
+
+  // No items = everything that hasn't shipped yet
+  const second = await addShipment("IT-500001", { carrier: "ups", trackingNumber: "1Z999" });
+  assert.equal(second.order.status, "shipped");
+  assert.deepEqual(second.shipment.items, [
+    { line: 1, quantity: 1 },
+    { line: 2, quantity: 1 },
+  ]);
+  assert.deepEqual(
+    second.order.items.map((item) => item.shippedQuantity),
+    [2, 1]
+  );
+  assert.equal(shippingEmails("IT-500001").length, 2);
+});
+
+test("units can't be shipped twice", async () => {
+  await placeOrder("IT-500002");
+  await addShipment("IT-500002", {
+    carrier: "usps",
+    trackingNumber: "9400222",
+    items: [{ line: 1, quantity: 2 }],
+  });
+
+  await assert.rejects(
+    addShipment("IT-500002", {
+      carrier: "usps",
+      trackingNumber: "9400223",
+      items: [{ line: 1, quantity: 1 }],
+    }),
+    (error) => error.code === "SHIPMENT_EXCEEDS_QUANTITY"
+  );
+});
+
+test("tracking links must be http(s) URLs", async () => {
+  await placeOrder("IT-500003");
+
+  for (const trackingUrl of ["javascript:alert(1)", "https://", "not a url", 42]) {
+    const { status } = await api.request("POST", "/api/admin/orders/IT-500003/shipments", {
+      token,
+      body: { carrier: "acme", trackingNumber: "A1", trackingUrl },
+    });
+    assert.equal(status, 400, String(trackingUrl));
+  }
+
+  const { status, body } = await api.request(
+    "POST",
+    "/api/admin/orders/IT-500003/shipments",
+    {
+      token,
+      body: {
+        carrier: "acme",
+        trackingNumber: "A1",
+        trackingUrl: "https://track.acme.test/A1",
+      },
+    }
+  );
+  assert.equal(status, 201);
+  assert.equal(body.data.shipment.trackingUrl, "https://track.acme.test/A1");
+});
+
+test("the shipping email escapes what the admin typed", async () => {
+  await placeOrder("IT-500004");
+
+  await addShipment("IT-500004", {
+    carrier: "acme<b>",
+    trackingNumber: '1Z"<script>',
+    trackingUrl: 'https://track.acme.test/?n="><img src=x>',
+  });
+
+  const [email] = shippingEmails("IT-500004");
+  assert.ok(email.html.includes("ACME&lt;B&gt;"));
+  assert.ok(email.html.includes("1Z&quot;&lt;script&gt;"));
+  assert.ok(
+    email.html.includes('href="https://track.acme.test/?n=&quot;&gt;&lt;img src=x&gt;"')
+  );
+  assert.equal(email.html.includes("<script>"), false);
+  assert.equal(email.html.includes("<img"), false);
+});
@@ -0,0 +1,109 @@
+/**
+ * Sizes: checked against the product's size system, kept exactly from
+ * the cart through Stripe metadata to the order and its emails
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import {
+  captureEmails,
+  catalogProduct,
+  paidCheckoutSession,
+  stubCatalog,
+  stubStripe,
+} from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { buildCartFromMetadata, createCheckoutSessionForCart } = await import(
+  "../services/checkout.service.js"
+);
+const { fulfillCheckoutSession } = await import("../services/fulfillment.service.js");
+const { validateCart, validateProductPrice } = await import("../services/product.service.js");
+const { normalizeSize, parseSizeValue } = await import("../utils/sizes.js");
+
+let emails;
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  emails = captureEmails();
+
+  stubCatalog([
+    catalogProduct("prod_black", "ring-black", 9550, { category: "ring" }),
+    catalogProduct("prod_bracelet", "bracelet-cf-marble", 12000, {
+      category: "bracelet",
+      size_system: "bracelet",
+    }),
+    catalogProduct("prod_charm", "charm-star", 2500),
+  ]);
+});
+
+test("each size system normalizes its own sizes", () => {
+  assert.equal(normalizeSize("us_ring", "7.5"), 7.5);
+  assert.equal(normalizeSize("us_ring", "8.0"), 8);
+  assert.equal(normalizeSize("us_ring", 7.25), null);
+  assert.equal(normalizeSize("bracelet", "m"), "M");
+  assert.equal(normalizeSize("bracelet", "XXL"), null);
+
+  // Metadata text back to what was sent
+  assert.equal(parseSizeValue("7.5"), 7.5);
+  assert.equal(parseSizeValue("M"), "M");
+  assert.equal(parseSizeValue("N/A"), null);
+});
+
+test("sizes are checked against the product's size system", async () => {
+  assert.equal((await validateProductPrice("ring-black", 95.5, 1, "7.5")).size, 7.5);
+  assert.equal((await validateProductPrice("bracelet-cf-marble", 120, 1, "s")).size, "S");
+
+  await assert.rejects(
+    validateProductPrice("ring-black", 95.5, 1, 7.25),
+    /Size 7.25 not available/
+  );
+  await assert.rejects(validateProductPrice("ring-black", 95.5, 1), /Choose a size/);
+  await assert.rejects(validateProductPrice("charm-star", 25, 1, "M"), /has no sizes/);
+});
+
+test("a half size survives the checkout metadata, the order and its email", async () => {
+  const create = stubStripe("checkout.sessions.create", async () => ({
+    id: "cs_test_half_size",
+    url: "https://checkout.stripe.com/c/pay/cs_test_half_size",
+  }));
+
+  const cart = await validateCart([
+    { id: "ring-black", price: 95.5, quantity: 1, size: "7.5", color: "Black" },
+    { id: "bracelet-cf-marble", price: 120, quantity: 1, size: "M", color: "Marble" },
+    { id: "charm-star", price: 25, quantity: 1, color: "Gold" },
+  ]);
+  await createCheckoutSessionForCart(cart, {
+    customerEmail: "customer@example.com",
+    successUrl: "https://shop.example.test/success",
+    cancelUrl: "https://shop.example.test/cart",
+  });
+
+  const { metadata } = create.mock.calls[0].arguments[0];
+  assert.deepEqual(
+    [metadata.item1_size, metadata.item2_size, metadata.item3_size],
+    ["7.5", "M", "N/A"]
+  );
+  assert.deepEqual(
+    buildCartFromMetadata(metadata).map((item) => item.size),
+    [7.5, "M", null]
+  );
+
+  const session = paidCheckoutSession("cs_test_half_size", {
+    amount_total: 24050,
+    line_items: {
+      data: cart.items.map((item) => ({
+        description: item.productName,
+        quantity: item.quantity,
+        amount_total: Math.round(item.totalPrice * 100),
+      })),
+    },
+    metadata,
+  });
+  const { order } = await fulfillCheckoutSession(session.id, { session });
+
+  assert.deepEqual(order.items.map((item) => item.size), [7.5, "M", null]);
+  const confirmation = emails.find((email) => email.subject.includes(order.orderId));
+  assert.match(confirmation.html, /7\.5/);
+});
@@ -0,0 +1,159 @@
+/**
+ * Storage service: saving, undoing failed writes, migrations, retention
+ *
+ * Runs against a driver that keeps every saved snapshot and can be told
+ * to fail the next save. Its first load returns data from before any
+ * migration, so loading runs them all.
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { registerStorageDriver } from "../services/storage/drivers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const legacySnapshot = {
+  collections: {
+    orders: {
+      "IT-100007": {
+        orderId: "IT-100007",
+        status: "completed",
+        amount: 49,
+        createdAt: "2024-01-05T10:00:00.000Z",
+      },
+    },
+    logs: {
+      old: { id: "old", at: new Date(Date.now() - 100 * DAY_MS).toISOString() },
+      pinned: {
+        id: "pinned",
+        at: new Date(Date.now() - 100 * DAY_MS).toISOString(),
+        pinned: true,
+      },
+      recent: { id: "recent", at: new Date(Date.now() - DAY_MS).toISOString() },
+    },
+  },
+};
+
+const driver = {
+  saves: [],
+  failNextSave: false,
+};
+
+registerStorageDriver("test", () => ({
+  name: "test",
+  load: () => structuredClone(legacySnapshot),
+  save: async (data) => {
+    if (driver.failNextSave) {
+      driver.failNextSave = false;
+      throw new Error("Disk full");
+    }
+    driver.saves.push(structuredClone(data));
+  },
+}));
+
+process.env.STORAGE_DRIVER = "test";
+const { defineCollection, flushStorage, initStorage } = await import(
+  "../services/storage.service.js"
+);
+const { LATEST_SCHEMA_VERSION } = await import("../services/storage/migrations.js");
+
+const orders = defineCollection("orders", { key: "orderId" });
+const sequences = defineCollection("sequences", { key: "name" });
+const logs = defineCollection("logs", {
+  key: "id",
+  retention: { field: "at", keep: (doc) => doc.pinned },
+});
+const items = defineCollection("items", {
+  key: "id",
+  indexes: [{ field: "sku", unique: true }],
+});
+
+// Migrations, failed writes and pruning are logged
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+const lastSave = () => driver.saves[driver.saves.length - 1];
+
+test("migrations upgrade old data on load and save it", async () => {
+  initStorage();
+  await flushStorage();
+
+  const order = await orders.get("IT-100007");
+  assert.equal(order.status, "paid");
+  assert.deepEqual(order.statusTimestamps, { paid: order.createdAt });
+  assert.equal(order.statusHistory[0].actor, "migration");
+  assert.deepEqual(order.notifications.confirmation, {
+    sent: true,
+    at: order.createdAt,
+  });
+
+  assert.deepEqual(await sequences.get("order-number:IT"), {
+    name: "order-number:IT",
+    value: 100007,
+  });
+
+  assert.equal(lastSave().schemaVersion, LATEST_SCHEMA_VERSION);
+});
+
+test("writes reach the driver", async () => {
+  await items.insert({ id: "a", sku: "ring-black:8", onHand: 3 });
+  await items.update("a", { onHand: 2 });
+  await flushStorage();
+
+  assert.equal(lastSave().collections.items.a.onHand, 2);
+});
+
+test("a failed insert is undone, including its index entries", async () => {
+  driver.failNextSave = true;
+  await assert.rejects(items.insert({ id: "b", sku: "ring-black:9" }), /Disk full/);
+
+  assert.equal(await items.get("b"), null);
+  assert.deepEqual(await items.find("sku", "ring-black:9"), []);
+
+  // The unique SKU is free again
+  await items.insert({ id: "c", sku: "ring-black:9" });
+  assert.equal((await items.findOne("sku", "ring-black:9")).id, "c");
+});
+
+test("a failed update or remove restores the previous document", async () => {
+  driver.failNextSave = true;
+  await assert.rejects(items.update("a", { onHand: 0 }), /Disk full/);
+  assert.equal((await items.get("a")).onHand, 2);
+
+  driver.failNextSave = true;
+  await assert.rejects(items.remove("a"), /Disk full/);
+  assert.equal((await items.get("a")).onHand, 2);
+  assert.equal((await items.findOne("sku", "ring-black:8")).id, "a");
+});
+
+test("every change carried by a failed save is undone", async () => {
+  driver.failNextSave = true;
+  const results = await Promise.allSettled([
+    items.insert({ id: "d", sku: "ring-gold:7" }),
+    items.update("a", { onHand: 10 }),
+  ]);
+
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ["rejected", "rejected"]
+  );
+  assert.equal(await items.get("d"), null);
+  assert.equal((await items.get("a")).onHand, 2);
+
+  await items.update("a", { onHand: 1 });
+  await flushStorage();
+  assert.equal(lastSave().collections.items.a.onHand, 1);
+  assert.equal(lastSave().collections.items.d, undefined);
+});
+
+test("old entries are pruned unless retention keeps them", async () => {
+  await logs.insert({ id: "new", at: new Date() });
+
+  const ids = (await logs.all()).map((doc) => doc.id).sort();
+  assert.deepEqual(ids, ["new", "pinned", "recent"]);
+
+  await flushStorage();
+  assert.equal(lastSave().collections.logs.old, undefined);
+});
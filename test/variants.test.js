@@ -0,0 +1,122 @@
+/**
+ * Variant prices: a size or option with its own Stripe price
+ */
+
+import assert from "node:assert/strict";
+import { before, mock, test } from "node:test";
+import { catalogProduct, stubCatalog, stubStripe } from "./helpers/stubs.js";
+
+process.env.STORAGE_DRIVER = "memory";
+const { createCheckoutSessionForCart } = await import("../services/checkout.service.js");
+const { getCatalogReport, validateCart, validateProductPrice } = await import(
+  "../services/product.service.js"
+);
+
+const variantPrice = (id, product, unitAmount, metadata) => ({
+  id,
+  object: "price",
+  active: true,
+  type: "one_time",
+  product,
+  unit_amount: unitAmount,
+  currency: "usd",
+  metadata,
+});
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(console, "warn", () => {});
+
+  stubCatalog(
+    [
+      catalogProduct("prod_black", "ring-black", 9550, { category: "ring", sizes: "7,8,12" }),
+      catalogProduct("prod_bracelet", "bracelet-gold-marble", 12000, {
+        category: "bracelet",
+        size_system: "bracelet",
+        sizes: "S,M",
+      }),
+    ],
+    [
+      variantPrice("price_black_12", "prod_black", 10550, { size: "12" }),
+      variantPrice("price_black_14", "prod_black", 10550, { size: "14" }),
+      variantPrice("price_gold_16", "prod_bracelet", 12000, { option: "16cm" }),
+      variantPrice("price_gold_18", "prod_bracelet", 13000, { option: "18cm" }),
+      variantPrice("price_gold_m_18", "prod_bracelet", 13500, { size: "M", option: "18cm" }),
+    ]
+  );
+});
+
+test("the catalog lists each product's variants and options", async () => {
+  const { products, problems } = await getCatalogReport();
+  const bracelet = products.find((p) => p.id === "bracelet-gold-marble");
+
+  assert.deepEqual(bracelet.options, ["16cm", "18cm"]);
+  assert.deepEqual(
+    bracelet.variants.map((v) => [v.size, v.option, v.price]),
+    [
+      [null, "16cm", 120],
+      [null, "18cm", 130],
+      ["M", "18cm", 135],
+    ]
+  );
+
+  // Size 14 isn't sold
+  assert.deepEqual(
+    problems.map((p) => [p.type, p.priceId]),
+    [["invalid_variant", "price_black_14"]]
+  );
+});
+
+test("the claimed price is checked against the chosen variant", async () => {
+  const size12 = await validateProductPrice("ring-black", 105.5, 1, 12);
+  assert.equal(size12.stripePriceId, "price_black_12");
+
+  const size8 = await validateProductPrice("ring-black", 95.5, 1, "8");
+  assert.equal(size8.stripePriceId, "price_prod_black");
+
+  // The most specific variant wins
+  const medium = await validateProductPrice("bracelet-gold-marble", 135, 1, "m", "18cm");
+  assert.equal(medium.stripePriceId, "price_gold_m_18");
+  const small = await validateProductPrice("bracelet-gold-marble", 130, 1, "S", "18cm");
+  assert.equal(small.stripePriceId, "price_gold_18");
+
+  await assert.rejects(validateProductPrice("ring-black", 95.5, 1, 12), /Price mismatch/);
+  await assert.rejects(
+    validateProductPrice("bracelet-gold-marble", 120, 1, "S"),
+    /Choose an option/
+  );
+  await assert.rejects(
+    validateProductPrice("bracelet-gold-marble", 120, 1, "S", "20cm"),
+    /Option 20cm not available/
+  );
+});
+
+test("checkout charges the variant's Stripe price", async () => {
+  const create = stubStripe("checkout.sessions.create", async () => ({
+    id: "cs_test_variants",
+    url: "https://checkout.stripe.com/c/pay/cs_test_variants",
+  }));
+
+  const cart = await validateCart([
+    { id: "ring-black", price: 105.5, quantity: 2, size: 12, color: "Black" },
+    { id: "bracelet-gold-marble", price: 130, quantity: 1, size: "S", option: "18cm" },
+  ]);
+  await createCheckoutSessionForCart(cart, {
+    customerEmail: "customer@example.com",
+    successUrl: "https://shop.example.test/success",
+    cancelUrl: "https://shop.example.test/cart",
+  });
+
+  const [params] = create.mock.calls[0].arguments;
+  assert.deepEqual(params.line_items, [
+    { price: "price_black_12", quantity: 2 },
+    { price: "price_gold_18", quantity: 1 },
+  ]);
+  assert.equal(
+    params.custom_text.submit.message,
+    "ring-black: Size 12 | bracelet-gold-marble: Size S, 18cm"
+  );
+  assert.equal(params.metadata.item2_option, "18cm");
+  assert.equal(params.metadata.validatedAmount, "341.00");
+});
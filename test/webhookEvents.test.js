@@ -0,0 +1,71 @@
+/**
+ * Stripe webhook event log: each event is processed once
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+process.env.STORAGE_DRIVER = "memory";
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getWebhookEvent,
+} = await import("../services/webhookEvent.service.js");
+
+let eventCount = 0;
+const stripeEvent = (type = "checkout.session.completed") => ({
+  id: `evt_test_${++eventCount}`,
+  type,
+  created: Math.floor(Date.now() / 1000),
+  livemode: false,
+  data: { object: { id: `cs_test_${eventCount}` } },
+});
+
+test("of two deliveries arriving together only one is claimed", async () => {
+  const event = stripeEvent();
+
+  const results = await Promise.all([claimWebhookEvent(event), claimWebhookEvent(event)]);
+
+  assert.deepEqual(
+    results.map((result) => result.claimed).sort(),
+    [false, true]
+  );
+  const record = await getWebhookEvent(event.id);
+  assert.equal(record.deliveries, 2);
+  assert.equal(record.attempts, 1);
+});
+
+test("a redelivery of a handled event is not processed again", async () => {
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+  await completeWebhookEvent(event.id);
+
+  const redelivery = await claimWebhookEvent(event);
+  assert.equal(redelivery.claimed, false);
+  assert.equal(redelivery.record.status, "processed");
+});
+
+test("unhandled event types are logged as ignored", async () => {
+  const event = stripeEvent("customer.created");
+  await claimWebhookEvent(event);
+  await completeWebhookEvent(event.id, { ignored: true });
+
+  const record = await getWebhookEvent(event.id);
+  assert.equal(record.status, "ignored");
+  assert.equal(record.type, "customer.created");
+  assert.equal((await claimWebhookEvent(event)).claimed, false);
+});
+
+test("a redelivery of a failed event runs it again", async () => {
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+  await failWebhookEvent(event.id, new Error("Stripe timed out"));
+
+  assert.equal((await getWebhookEvent(event.id)).error, "Stripe timed out");
+
+  const redelivery = await claimWebhookEvent(event);
+  assert.equal(redelivery.claimed, true);
+  assert.equal(redelivery.record.status, "processing");
+  assert.equal(redelivery.record.attempts, 2);
+});
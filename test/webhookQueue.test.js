@@ -0,0 +1,134 @@
+/**
+ * Webhook retry queue: backoff, dead letters and the retry worker
+ */
+
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_RETRY_BASE_MS = "1000";
+const { claimWebhookEvent, getWebhookEvent } = await import(
+  "../services/webhookEvent.service.js"
+);
+const {
+  getWebhookJob,
+  processWebhookEvent,
+  redriveWebhookJob,
+  startWebhookRetryWorker,
+  stopWebhookRetryWorker,
+} = await import("../services/webhookQueue.service.js");
+
+let eventCount = 0;
+const stripeEvent = (type = "checkout.session.completed") => ({
+  id: `evt_test_${++eventCount}`,
+  type,
+  created: Math.floor(Date.now() / 1000),
+  livemode: false,
+  data: { object: { id: `cs_test_${eventCount}` } },
+});
+
+const failing = async () => {
+  throw new Error("Stripe timed out");
+};
+const handled = async () => true;
+
+// The queue logs every failure and retry
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(async () => {
+  await stopWebhookRetryWorker();
+});
+
+test("a failed handler is queued with backoff, and Stripe's redelivery waits for it", async () => {
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+
+  const started = Date.now();
+  const { processed, job } = await processWebhookEvent(event, failing);
+  assert.equal(processed, false);
+  assert.equal(job.status, "pending");
+  assert.equal(job.failures, 1);
+  const delay = new Date(job.nextRunAt).getTime() - started;
+  assert.ok(delay >= 1000 && delay < 1500, `first retry after ${delay}ms`);
+
+  const record = await getWebhookEvent(event.id);
+  assert.equal(record.status, "retrying");
+  assert.equal(record.error, "Stripe timed out");
+
+  // The queue owns it now
+  assert.equal((await claimWebhookEvent(event)).claimed, false);
+
+  const second = await processWebhookEvent(event, failing);
+  assert.equal(second.job.failures, 2);
+  const secondDelay = new Date(second.job.nextRunAt).getTime() - Date.now();
+  assert.ok(secondDelay > 1500 && secondDelay <= 2000, `second retry after ${secondDelay}ms`);
+});
+
+test("events are dead-lettered after WEBHOOK_MAX_ATTEMPTS, and a redelivery revives them", async () => {
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+
+  await processWebhookEvent(event, failing);
+  await processWebhookEvent(event, failing);
+  const { job } = await processWebhookEvent(event, failing);
+
+  assert.equal(job.status, "dead");
+  assert.equal(job.nextRunAt, null);
+  assert.equal((await getWebhookEvent(event.id)).status, "dead");
+
+  const redelivery = await claimWebhookEvent(event);
+  assert.equal(redelivery.claimed, true);
+
+  assert.deepEqual(await processWebhookEvent(event, handled), { processed: true });
+  assert.equal(await getWebhookJob(event.id), null);
+  assert.equal((await getWebhookEvent(event.id)).status, "processed");
+});
+
+test("only dead letters can be re-driven, and they start over", async () => {
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+  await processWebhookEvent(event, failing);
+
+  await assert.rejects(
+    redriveWebhookJob(event.id),
+    (error) => error.code === "JOB_NOT_DEAD"
+  );
+  await assert.rejects(
+    redriveWebhookJob("evt_unknown"),
+    (error) => error.code === "JOB_NOT_FOUND"
+  );
+
+  await processWebhookEvent(event, failing);
+  await processWebhookEvent(event, failing);
+  const requeued = await redriveWebhookJob(event.id);
+
+  assert.equal(requeued.status, "pending");
+  assert.equal(requeued.failures, 0);
+  assert.equal((await getWebhookEvent(event.id)).status, "retrying");
+});
+
+test("the retry worker runs due jobs with the webhook handler", async () => {
+  process.env.WEBHOOK_RETRY_BASE_MS = "1";
+  const event = stripeEvent();
+  await claimWebhookEvent(event);
+  await processWebhookEvent(event, failing);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const seen = [];
+  startWebhookRetryWorker(async (retried) => {
+    seen.push(retried.id);
+    return true;
+  });
+  await stopWebhookRetryWorker();
+
+  assert.ok(seen.includes(event.id));
+  assert.equal(await getWebhookJob(event.id), null);
+
+  const record = await getWebhookEvent(event.id);
+  assert.equal(record.status, "processed");
+  assert.equal(record.attempts, 2);
+});
@@ -0,0 +1,20 @@
+/**
+ * HTTP Errors
+ * Errors that carry their own status code
+ *
+ * HOW IT WORKS:
+ * - Services throw these instead of plain Errors
+ * - errorHandler reads err.statusCode and err.code to build the response
+ * - Only these codes reach the client - a system code like ECONNREFUSED
+ *   on any other error stays in our logs
+ *
+ * EXAMPLE:
+ * throw createHttpError(404, "Order not found", "ORDER_NOT_FOUND");
+ */
+export const createHttpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  error.isHttpError = true;
+  return error;
+};
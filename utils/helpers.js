@@ -12,8 +12,27 @@
  * - We write it once here and use it everywhere
  */
 
-// Import order service to count existing orders
-import { getAllOrders } from "../services/order.service.js";
+// Import the persisted counter used for order numbers
+import { orderExists } from "../services/order.service.js";
+import { nextSequenceValue } from "../services/sequence.service.js";
+
+/**
+ * Order number prefix from .env (default: "IT")
+ *
+ * WHY SO STRICT: order lookups and storage migrations expect
+ * "{LETTERS/DIGITS}-{number}", so "it" becomes "IT" and anything else
+ * (like "IT-EU") is refused - checked once at startup (server.js)
+ */
+export const getOrderNumberPrefix = () => {
+  const prefix = (process.env.ORDER_NUMBER_PREFIX || "IT").trim().toUpperCase();
+
+  if (!/^[A-Z0-9]+$/.test(prefix)) {
+    throw new Error(
+      `ORDER_NUMBER_PREFIX must be letters and digits only (got "${process.env.ORDER_NUMBER_PREFIX}")`
+    );
+  }
+  return prefix;
+};
 
 /**
  * Generate Sequential Order Number (BEST for Small E-commerce)
@@ -22,10 +41,21 @@ import { getAllOrders } from "../services/order.service.js";
  * EXAMPLES: IT-100001, IT-100002, IT-100003...
  * 
  * HOW IT WORKS:
- * 1. Count how many orders exist in the system
- * 2. Add 100,000 (so first order is IT-100001, not IT-000001)
- * 3. Add 1 for the new order
- * 4. Format: IT-{number}
+ * 1. Take the next value from the "order-number:{prefix}" sequence
+ * 2. The sequence starts at 100,001 (so first order is IT-100001, not IT-000001)
+ * 3. Format: {prefix}-{number}
+ * 
+ * WHY A STORED SEQUENCE (not counting orders):
+ * - The webhook and the success page can fulfill orders at the same moment
+ * - Counting orders would give both of them the same number
+ * - The sequence is incremented atomically and saved to disk,
+ *   so every number is handed out exactly once, even across restarts
+ * 
+ * CONFIGURABLE PREFIX:
+ * - ORDER_NUMBER_PREFIX in .env (default: "IT")
+ * - Each prefix has its own sequence, so a second store ("XY-100001")
+ *   never shares numbers with the first one
+ * - Letters and digits only (see getOrderNumberPrefix)
  * 
  * WHY THIS FORMAT IS PERFECT FOR SMALL E-COMMERCE:
  * ✅ Super easy to read - "IT dash one hundred thousand one"
@@ -34,7 +64,7 @@ import { getAllOrders } from "../services/order.service.js";
  * ✅ Phone-friendly - Easy for customers to say/type
  * ✅ Psychologically smart - Starting at 100001 looks established
  * ✅ Sortable - Automatically chronological
- * ✅ 100% unique - Sequential = impossible to duplicate
+ * ✅ 100% unique - Atomic persisted sequence = impossible to duplicate
  * ✅ Scalable - Can handle 900,000+ orders
  * 
  * WHY START AT 100,001 (not 1)?
@@ -60,35 +90,22 @@ import { getAllOrders } from "../services/order.service.js";
  * - At 1000 orders/month = 750 years of capacity!
  * - When you reach 900k orders, add another digit (you'll be rich!)
  */
-export const generateOrderId = async () => {
-  try {
-    // STEP 1: Get all existing orders
-    const orders = await getAllOrders();
-    
-    // STEP 2: Count them
-    const orderCount = orders.length;
-    
-    // STEP 3: Generate new order number
-    // Start at 100,001 and increment from there
-    const orderNumber = 100001 + orderCount;
-    
-    // STEP 4: Format with IT- prefix
-    return `IT-${orderNumber}`;
-    
-    // EXAMPLES:
-    // 1st order:     IT-100001
-    // 2nd order:     IT-100002
-    // 50th order:    IT-100050
-    // 1000th order:  IT-101000
-    // 5000th order:  IT-105000
-    
-  } catch (error) {
-    // If something goes wrong, fall back to timestamp-based
-    // This ensures we always generate a unique ID
-    console.error("Error generating sequential order ID:", error);
-    const fallbackNumber = 100000 + Date.now() % 900000;
-    return `IT-${fallbackNumber}`;
+export const generateOrderId = async (prefix = getOrderNumberPrefix()) => {
+  const sequenceName = `order-number:${prefix}`;
+
+  // Skip numbers that are already taken (e.g., orders imported by hand)
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const orderNumber = await nextSequenceValue(sequenceName, {
+      start: 100001,
+    });
+    const orderId = `${prefix}-${orderNumber}`;
+
+    if (!(await orderExists(orderId))) {
+      return orderId;
+    }
   }
+
+  throw new Error(`Could not allocate a free order number for ${prefix}`);
 };
 
 /**
@@ -161,3 +178,51 @@ export const formatDate = (date) => {
     minute: "2-digit",
   }).format(new Date(date));
 };
+
+/**
+ * Read a from / to date filter from a query string
+ * 
+ * A date without a time ("2025-01-31") means midnight - fine for from,
+ * but a to of midnight would leave out that whole day. With endOfDay,
+ * a date-only value means the last millisecond of that day (UTC).
+ * 
+ * EXAMPLE: parseDateFilter("2025-01-31", { endOfDay: true })
+ *          → 2025-01-31T23:59:59.999Z
+ */
+export const parseDateFilter = (value, { endOfDay = false } = {}) => {
+  if (!value) return undefined;
+
+  const date = new Date(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return date;
+};
+
+/**
+ * Run async work one-at-a-time per key
+ * 
+ * WHY: Two admins refunding the same order at the same moment must not
+ *      both think the money is still there. Work for different keys
+ *      still runs in parallel.
+ * 
+ * EXAMPLE:
+ * const withOrderLock = createKeyedLock();
+ * await withOrderLock("IT-100001", async () => { ... });
+ */
+export const createKeyedLock = () => {
+  const tails = new Map();
+
+  return async (key, work) => {
+    const previous = tails.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(work);
+    const tail = current.catch(() => {});
+    tails.set(key, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+};
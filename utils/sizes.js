@@ -0,0 +1,83 @@
+/**
+ * Size Systems
+ * Which sizes a product can come in, and how a size is written
+ *
+ * Each product picks a system with its size_system metadata
+ * (see PRODUCT CATALOG in product.service.js):
+ * - us_ring: US ring sizes 3-15, including half sizes (7.5)
+ * - bracelet: XS, S, M, L, XL
+ * - none: no sizes (a size in the cart is rejected)
+ *
+ * HOW SIZES ARE STORED:
+ * Ring sizes are numbers (7.5), letter sizes strings ("M"). In Stripe
+ * metadata they're text ("7.5", "M", or "N/A" for no size) -
+ * parseSizeValue() turns them back into exactly what was sent.
+ */
+
+const US_RING_SIZES = Array.from({ length: 25 }, (_, index) => 3 + index / 2);
+const BRACELET_SIZES = ["XS", "S", "M", "L", "XL"];
+
+export const SIZE_SYSTEMS = {
+  us_ring: {
+    label: "US ring size",
+    sizes: US_RING_SIZES,
+    // 8, "8", "8.0" → 8   "7.5" → 7.5
+    normalize: (value) => {
+      const size = typeof value === "number" ? value : Number(String(value).trim());
+      return US_RING_SIZES.includes(size) ? size : null;
+    },
+  },
+  bracelet: {
+    label: "Bracelet size",
+    sizes: BRACELET_SIZES,
+    // "m" → "M"
+    normalize: (value) => {
+      const size = String(value).trim().toUpperCase();
+      return BRACELET_SIZES.includes(size) ? size : null;
+    },
+  },
+  none: {
+    label: "No size",
+    sizes: [],
+    normalize: () => null,
+  },
+};
+
+export const SIZE_SYSTEM_NAMES = Object.keys(SIZE_SYSTEMS);
+
+/**
+ * A size written the way its system writes it
+ * RETURNS: the size, or null if the system doesn't have it
+ */
+export const normalizeSize = (system, value) => {
+  if (value === null || value === undefined || value === "") return null;
+  return SIZE_SYSTEMS[system]?.normalize(value) ?? null;
+};
+
+/**
+ * Read a size back from Stripe metadata
+ * "7.5" → 7.5   "M" → "M"   "N/A" / "" → null
+ */
+export const parseSizeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text || text === "N/A") return null;
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+};
+
+/**
+ * Sort order for sizes: ring sizes by number, letter sizes XS → XL,
+ * no size first
+ */
+export const compareSizes = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+
+  const rank = (size) => {
+    const index = BRACELET_SIZES.indexOf(size);
+    return index === -1 ? BRACELET_SIZES.length : index;
+  };
+  return rank(a) - rank(b) || String(a).localeCompare(String(b));
+};